@@ -2,6 +2,7 @@
 
 const express = require('express')
 const ClientWorker = require('./client-worker.js')
+const OpenAIHelper = require('./openai-helper.js')
 const logger = require('../shared-logger.js')
 
 // Global error handlers for uncaught errors
@@ -25,13 +26,30 @@ process.on('unhandledRejection', (reason, promise) => {
 const app = express()
 const port = process.env.PORT || 3000
 
-// Middleware to parse JSON
-app.use(express.json())
+// Name of the HttpOnly cookie carrying the caller's JWT for browser sessions
+const SESSION_COOKIE_NAME = 'inference_session'
+const SESSION_COOKIE_MAX_AGE_MS = 24 * 60 * 60 * 1000 // matches the 24h JWT expiry
 
-// CORS middleware to allow cross-origin requests from all domains
+// Middleware to parse JSON (batches of prompts for /inference/batch need more than the 100kb default)
+app.use(express.json({ limit: '5mb' }))
+
+// Browser origins allowed to call the bridge with the session cookie (comma-separated BRIDGE_ALLOWED_ORIGINS,
+// defaulting to the web UI)
+const ALLOWED_ORIGINS = (process.env.BRIDGE_ALLOWED_ORIGINS || 'http://localhost:4012')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean)
+
+// CORS middleware: only allowed origins are echoed back, with credentials, so other sites cannot make
+// requests with the caller's session cookie. Callers without an Origin (CLI, scripts) are unaffected.
 app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*')
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS')
+  const origin = req.headers.origin
+  res.header('Vary', 'Origin')
+  if (origin && ALLOWED_ORIGINS.includes(origin)) {
+    res.header('Access-Control-Allow-Origin', origin)
+    res.header('Access-Control-Allow-Credentials', 'true')
+  }
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS')
   res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization')
   
   // Handle preflight requests
@@ -42,7 +60,92 @@ app.use((req, res, next) => {
   }
 })
 
+// Extract the caller's session token from the request.
+// Prefers "Authorization: Bearer <jwt>" (API/CLI callers), then the HttpOnly session cookie (web UI).
+// Returns null when the request carries no credential - the shared ClientWorker session is never used.
+function getRequestSessionKey(req) {
+  const authHeader = req.headers.authorization
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    const token = authHeader.substring(7).trim()
+    if (token) {
+      return token
+    }
+  }
+  
+  const cookieHeader = req.headers.cookie
+  if (cookieHeader) {
+    for (const part of cookieHeader.split(';')) {
+      const separatorIndex = part.indexOf('=')
+      if (separatorIndex === -1) continue
+      
+      const name = part.substring(0, separatorIndex).trim()
+      if (name === SESSION_COOKIE_NAME) {
+        // A malformed value (e.g. "%E0") is treated as no cookie rather than failing the request
+        try {
+          const value = decodeURIComponent(part.substring(separatorIndex + 1).trim())
+          return value || null
+        } catch (error) {
+          return null
+        }
+      }
+    }
+  }
+  
+  return null
+}
+
+// Read the inference input from a request body: { prompt: string } or, for chat,
+// { messages: [{ role, content }, ...] }. Only the shape is checked here - the gateway
+// validates roles and content. Returns { input, promptText } or null when neither is usable.
+function getInferenceInput(body) {
+  if (body && Array.isArray(body.messages) && body.messages.length > 0) {
+    const lastUser = body.messages.filter(message => message && message.role === 'user').pop()
+    return {
+      input: body.messages,
+      promptText: lastUser && typeof lastUser.content === 'string' ? lastUser.content : ''
+    }
+  }
+  
+  if (body && typeof body.prompt === 'string' && body.prompt) {
+    return { input: body.prompt, promptText: body.prompt }
+  }
+  
+  return null
+}
+
+// Optional saved conversation to record an inference exchange in ({ conversationId } in the body)
+function getConversationId(body) {
+  return body && typeof body.conversationId === 'string' && body.conversationId ? body.conversationId : undefined
+}
+
+// Optional generation options ({ options } in the body); the gateway validates them
+function getGenerationOptions(body) {
+  return body && body.options !== undefined ? body.options : undefined
+}
+
+// Optional model to route the request to ({ model } in the body); the gateway validates it
+function getRequestedModel(body) {
+  return body && body.model !== undefined ? body.model : undefined
+}
+
+// Optional scheduler priority class ({ priority } in the body); the gateway validates it
+function getRequestedPriority(body) {
+  return body && body.priority !== undefined ? body.priority : undefined
+}
+
+// Cookie options shared by login (set) and logout (clear)
+function getSessionCookieOptions() {
+  return {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/'
+  }
+}
+
 // Global client worker instance
+// The worker is shared by all HTTP callers, so it must never hold a session itself;
+// every protected call passes the caller's own token via { sessionKey }
 let clientWorker = null
 let isWorkerReady = false
 
@@ -181,7 +284,8 @@ app.post('/login', async (req, res) => {
     })
     
     try {
-      const result = await clientWorker.loginUser(email, password)
+      // Do not persist the token on the shared worker - it belongs to this caller only
+      const result = await clientWorker.loginUser(email, password, { persistSession: false })
       
       logger.info('BridgeServer', requestId, 'Login request completed', {
         success: result.success,
@@ -189,6 +293,14 @@ app.post('/login', async (req, res) => {
         hasKey: !!result.key
       })
       
+      // Hand the browser its own session cookie
+      if (result.success && result.key) {
+        res.cookie(SESSION_COOKIE_NAME, result.key, {
+          ...getSessionCookieOptions(),
+          maxAge: SESSION_COOKIE_MAX_AGE_MS
+        })
+      }
+      
       // Return the response
       res.status(result.status || 200).json(result)
       
@@ -218,6 +330,24 @@ app.post('/login', async (req, res) => {
   }
 })
 
+// User logout endpoint - clears the caller's session cookie
+app.post('/logout', (req, res) => {
+  const requestId = Math.random().toString(36).substr(2, 9)
+  const hadSession = !!getRequestSessionKey(req)
+  
+  res.clearCookie(SESSION_COOKIE_NAME, getSessionCookieOptions())
+  
+  logger.info('BridgeServer', requestId, 'Logout request completed', {
+    endpoint: '/logout',
+    hadSession: hadSession
+  })
+  
+  res.json({
+    success: true,
+    message: 'Logged out successfully'
+  })
+})
+
 // Session verification endpoint
 app.post('/verify-session', async (req, res) => {
   try {
@@ -235,7 +365,7 @@ app.post('/verify-session', async (req, res) => {
     })
     
     try {
-      const result = await clientWorker.verifySession()
+      const result = await clientWorker.verifySession({ sessionKey: getRequestSessionKey(req) })
       
       logger.info('BridgeServer', requestId, 'Session verification completed', {
         valid: result.valid,
@@ -287,7 +417,7 @@ app.post('/get-api-token', async (req, res) => {
     })
     
     try {
-      const result = clientWorker.getApiToken()
+      const result = clientWorker.getApiToken({ sessionKey: getRequestSessionKey(req) })
       
       logger.info('BridgeServer', requestId, 'API token request completed', {
         success: result.success,
@@ -332,18 +462,20 @@ app.post('/inference', async (req, res) => {
       })
     }
     
-    // Validate request body
-    const { prompt } = req.body
+    // Validate request body: a prompt string or a messages array (conversation)
+    const inferenceInput = getInferenceInput(req.body)
     
-    if (!prompt || typeof prompt !== 'string') {
+    if (!inferenceInput) {
       return res.status(400).json({
         error: 'Bad request',
-        message: 'Missing or invalid prompt in request body'
+        message: 'Missing or invalid prompt or messages in request body'
       })
     }
+    const { input, promptText: prompt } = inferenceInput
     
-    // Check if ClientWorker has a valid session
-    if (!clientWorker.sessionKey) {
+    // Check that the caller supplied a session (bearer token or session cookie)
+    const sessionKey = getRequestSessionKey(req)
+    if (!sessionKey) {
       return res.status(401).json({
         error: 'Unauthorized',
         message: 'No active session - please login first'
@@ -359,13 +491,20 @@ app.post('/inference', async (req, res) => {
       userAgent: req.headers['user-agent'],
       prompt: prompt.length > 200 ? prompt.substring(0, 200) + '...' : prompt,
       promptLength: prompt.length,
+      messageCount: Array.isArray(input) ? input.length : 0,
       timestamp: new Date().toISOString()
     })
     
     try {
       // ClientWorker.sendRequest() already handles all retries internally
       // We just wait for the final result (success or failure after all retries)
-      const result = await clientWorker.sendRequest(prompt)
+      const result = await clientWorker.sendRequest(input, {
+        sessionKey,
+        conversationId: getConversationId(req.body),
+        options: getGenerationOptions(req.body),
+        model: getRequestedModel(req.body),
+        priority: getRequestedPriority(req.body)
+      })
       
       // Check if the final result is an error object from the backend
       if (result && result.error) {
@@ -376,10 +515,11 @@ app.post('/inference', async (req, res) => {
           requestId: result.requestId
         })
         
-        // Backend returned an error after all retries exhausted
-        return res.status(500).json({
+        // Backend returned an error after all retries exhausted (or rejected the input with 400)
+        return res.status(result.status || 500).json({
           error: true,
           message: result.message || 'Request processing failed after retries',
+          code: result.code,
           requestId: result.requestId
         })
       }
@@ -411,9 +551,9 @@ app.post('/inference', async (req, res) => {
           retryCount: 'exhausted',
           prompt: prompt ? prompt.substring(0, 100) + '...' : 'N/A'
         })
-      } else if (error.message.includes('ERR_TOPIC_LOOKUP_EMPTY')) {
+      } else if (error.message.includes('ERR_TOPIC_LOOKUP_EMPTY') || error.message.includes('ERR_TOPIC_PEERS_CIRCUIT_OPEN')) {
         userMessage = 'Backend service is not available. Please ensure the gateway worker is running.'
-        logger.error('BridgeServer', errorRequestId, 'Topic lookup empty after all retries', {
+        logger.error('BridgeServer', errorRequestId, 'No reachable gateway after all retries', {
           endpoint: '/inference',
           error: error.message,
           retryCount: 'exhausted'
@@ -461,6 +601,511 @@ app.post('/inference', async (req, res) => {
   }
 })
 
+// Streaming inference endpoint (Server-Sent Events)
+// Auth and rate-limit failures are answered with a normal JSON error before the stream opens;
+// afterwards the response is text/event-stream with "start", "token", "done" and "error" events
+app.post('/inference/stream', async (req, res) => {
+  // Check if worker is ready
+  if (!isWorkerReady) {
+    return res.status(503).json({
+      error: 'Service unavailable',
+      message: 'Client worker is not ready yet'
+    })
+  }
+  
+  // Validate request body: a prompt string or a messages array (conversation)
+  const inferenceInput = getInferenceInput(req.body)
+  
+  if (!inferenceInput) {
+    return res.status(400).json({
+      error: 'Bad request',
+      message: 'Missing or invalid prompt or messages in request body'
+    })
+  }
+  const { input, promptText: prompt } = inferenceInput
+  
+  const sessionKey = getRequestSessionKey(req)
+  if (!sessionKey) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'No active session - please login first'
+    })
+  }
+  
+  const requestId = Math.random().toString(36).substr(2, 9)
+  logger.prompt('BridgeServer', requestId, 'REQUEST_RECEIVED', {
+    source: 'web_ui',
+    stream: true,
+    userAgent: req.headers['user-agent'],
+    prompt: prompt.length > 200 ? prompt.substring(0, 200) + '...' : prompt,
+    promptLength: prompt.length,
+    messageCount: Array.isArray(input) ? input.length : 0,
+    timestamp: new Date().toISOString()
+  })
+  
+  // Stop pulling tokens as soon as the browser goes away
+  const controller = new AbortController()
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort()
+    }
+  })
+  
+  let streamOpen = false
+  const sendEvent = (event, payload) => {
+    if (!streamOpen) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      })
+      streamOpen = true
+    }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`)
+  }
+  
+  try {
+    let tokenCount = 0
+    const result = await clientWorker.sendRequestStream(
+      input,
+      (token) => {
+        tokenCount++
+        sendEvent('token', { token })
+      },
+      {
+        sessionKey,
+        conversationId: getConversationId(req.body),
+        options: getGenerationOptions(req.body),
+        model: getRequestedModel(req.body),
+        priority: getRequestedPriority(req.body),
+        signal: controller.signal,
+        onStart: (started) => sendEvent('start', {
+          requestId: started.requestId,
+          rateLimitInfo: started.rateLimitInfo || null,
+          queueInfo: started.queueInfo || null
+        })
+      }
+    )
+    
+    if (result && result.cancelled) {
+      logger.prompt('BridgeServer', requestId, 'REQUEST_CANCELLED', {
+        tokensSent: tokenCount
+      })
+      return res.end()
+    }
+    
+    if (result && (result.error || result.success === false)) {
+      logger.prompt('BridgeServer', requestId, 'REQUEST_FAILED', {
+        status: 'error',
+        error: result.message,
+        tokensSent: tokenCount
+      })
+      
+      if (!streamOpen) {
+        return res.status(result.status || 500).json({
+          error: true,
+          message: result.message || 'Request processing failed',
+          code: result.code,
+          requestId: result.requestId,
+          rateLimitInfo: result.rateLimitInfo,
+          retryAfter: result.retryAfter
+        })
+      }
+      
+      sendEvent('error', { message: result.message || 'Request processing failed', requestId: result.requestId })
+      return res.end()
+    }
+    
+    logger.prompt('BridgeServer', requestId, 'REQUEST_COMPLETED', {
+      status: 'success',
+      stream: true,
+      tokensSent: tokenCount,
+      responseLength: result?.response ? result.response.length : 0,
+      rateLimitInfo: result?.rateLimitInfo || null
+    })
+    
+    sendEvent('done', result)
+    res.end()
+    
+  } catch (error) {
+    logger.error('BridgeServer', requestId, 'Streaming request failed', {
+      endpoint: '/inference/stream',
+      error: error.message,
+      stack: error.stack
+    })
+    
+    let userMessage = 'Request failed after multiple attempts'
+    if (error.message.includes('ERR_TOPIC_LOOKUP_EMPTY') || error.message.includes('ERR_TOPIC_PEERS_CIRCUIT_OPEN')) {
+      userMessage = 'Backend service is not available. Please ensure the gateway worker is running.'
+    } else if (error.message.includes('CHANNEL_CLOSED')) {
+      userMessage = 'Connection was lost while streaming. Please check if the backend services are running.'
+    }
+    
+    if (!streamOpen) {
+      return res.status(500).json({
+        error: true,
+        message: userMessage
+      })
+    }
+    
+    sendEvent('error', { message: userMessage })
+    res.end()
+  }
+})
+
+// Many prompts in one request: { items: [prompt | { prompt | messages, options?, model?, priority? }],
+// options?, model?, priority?, parallelism? }. Answers once every item finished: 200, or 207 when
+// some items failed, with { results, summary } in item order. The gateway validates the items.
+app.post('/inference/batch', (req, res) => {
+  if (!req.body || !Array.isArray(req.body.items) || req.body.items.length === 0) {
+    return res.status(400).json({
+      error: 'Bad request',
+      message: 'Missing or empty items array in request body'
+    })
+  }
+  
+  // Items not started yet are dropped when the caller goes away
+  const controller = new AbortController()
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort()
+    }
+  })
+  
+  return handleGatewayRoute(req, res, 'POST /inference/batch', opts => clientWorker.processBatch(req.body.items, {
+    ...opts,
+    options: getGenerationOptions(req.body),
+    model: getRequestedModel(req.body),
+    priority: getRequestedPriority(req.body),
+    parallelism: req.body.parallelism,
+    signal: controller.signal
+  }))
+})
+
+// OpenAI-compatible completion handler shared by /v1/chat/completions (mode 'chat')
+// and /v1/completions (mode 'text'). The bearer token is the caller's JWT/API key, and
+// every error uses OpenAI's { error: { message, type, code } } shape so SDKs can parse it
+async function handleOpenAICompletion(req, res, mode) {
+  const isChat = mode === 'chat'
+  const endpoint = isChat ? '/v1/chat/completions' : '/v1/completions'
+  
+  if (!isWorkerReady) {
+    return res.status(503).json(OpenAIHelper.buildError('Client worker is not ready yet', 'server_error', 'service_unavailable'))
+  }
+  
+  const parsed = isChat ? OpenAIHelper.parseChatRequest(req.body) : OpenAIHelper.parseCompletionRequest(req.body)
+  if (parsed.error) {
+    return res.status(400).json(parsed.error)
+  }
+  
+  const sessionKey = OpenAIHelper.getBearerToken(req.headers.authorization)
+  if (!sessionKey) {
+    return res.status(401).json(OpenAIHelper.buildError('Missing bearer token in Authorization header', 'invalid_request_error', 'invalid_api_key'))
+  }
+  
+  const requestId = Math.random().toString(36).substr(2, 9)
+  logger.prompt('BridgeServer', requestId, 'REQUEST_RECEIVED', {
+    source: 'openai_api',
+    endpoint: endpoint,
+    stream: parsed.stream,
+    model: parsed.model,
+    userAgent: req.headers['user-agent'],
+    prompt: parsed.promptText.length > 200 ? parsed.promptText.substring(0, 200) + '...' : parsed.promptText,
+    promptLength: parsed.promptText.length,
+    messageCount: parsed.messages ? parsed.messages.length : 0,
+    timestamp: new Date().toISOString()
+  })
+  
+  try {
+    if (!parsed.stream) {
+      const result = await clientWorker.sendRequest(parsed.input, {
+        sessionKey,
+        model: parsed.requestedModel || undefined,
+        options: parsed.options
+      })
+      
+      if (result && (result.error || result.success === false)) {
+        const mapped = OpenAIHelper.mapGatewayError(result)
+        logger.prompt('BridgeServer', requestId, 'REQUEST_FAILED', {
+          endpoint: endpoint,
+          status: mapped.status,
+          error: result.message
+        })
+        return res.status(mapped.status).json(mapped.body)
+      }
+      
+      logger.prompt('BridgeServer', requestId, 'REQUEST_COMPLETED', {
+        endpoint: endpoint,
+        status: 'success',
+        responseLength: result.response ? result.response.length : 0
+      })
+      
+      return res.json(isChat
+        ? OpenAIHelper.buildChatCompletion(result, parsed.model)
+        : OpenAIHelper.buildCompletion(result, parsed.model))
+    }
+    
+    // stream: true - OpenAI SSE format: "data: <chunk>" per delta, then "data: [DONE]"
+    const completionId = OpenAIHelper.newCompletionId(isChat ? 'chatcmpl' : 'cmpl')
+    const created = OpenAIHelper.nowSeconds()
+    
+    const controller = new AbortController()
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        controller.abort()
+      }
+    })
+    
+    const sendChunk = (payload) => {
+      if (!res.headersSent) {
+        res.writeHead(200, {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          Connection: 'keep-alive'
+        })
+      }
+      res.write(`data: ${JSON.stringify(payload)}\n\n`)
+    }
+    
+    let tokenCount = 0
+    const result = await clientWorker.sendRequestStream(
+      parsed.input,
+      (token) => {
+        tokenCount++
+        sendChunk(isChat
+          ? OpenAIHelper.buildChatChunk(completionId, created, parsed.model, { content: token })
+          : OpenAIHelper.buildCompletionChunk(completionId, created, parsed.model, token))
+      },
+      {
+        sessionKey,
+        model: parsed.requestedModel || undefined,
+        options: parsed.options,
+        signal: controller.signal,
+        onStart: () => {
+          // Chat streams announce the assistant role before any content
+          if (isChat) {
+            sendChunk(OpenAIHelper.buildChatChunk(completionId, created, parsed.model, { role: 'assistant', content: '' }))
+          }
+        }
+      }
+    )
+    
+    if (result && result.cancelled) {
+      logger.prompt('BridgeServer', requestId, 'REQUEST_CANCELLED', {
+        endpoint: endpoint,
+        tokensSent: tokenCount
+      })
+      return res.end()
+    }
+    
+    if (result && (result.error || result.success === false)) {
+      const mapped = OpenAIHelper.mapGatewayError(result)
+      logger.prompt('BridgeServer', requestId, 'REQUEST_FAILED', {
+        endpoint: endpoint,
+        status: mapped.status,
+        error: result.message,
+        tokensSent: tokenCount
+      })
+      
+      if (!res.headersSent) {
+        return res.status(mapped.status).json(mapped.body)
+      }
+      sendChunk(mapped.body)
+      return res.end()
+    }
+    
+    logger.prompt('BridgeServer', requestId, 'REQUEST_COMPLETED', {
+      endpoint: endpoint,
+      status: 'success',
+      stream: true,
+      tokensSent: tokenCount
+    })
+    
+    sendChunk(isChat
+      ? OpenAIHelper.buildChatChunk(completionId, created, parsed.model, {}, 'stop')
+      : OpenAIHelper.buildCompletionChunk(completionId, created, parsed.model, '', 'stop'))
+    res.write('data: [DONE]\n\n')
+    res.end()
+    
+  } catch (error) {
+    const mapped = OpenAIHelper.mapNetworkError(error)
+    logger.error('BridgeServer', requestId, 'OpenAI-compatible request failed', {
+      endpoint: endpoint,
+      error: error.message,
+      stack: error.stack
+    })
+    
+    if (!res.headersSent) {
+      return res.status(mapped.status).json(mapped.body)
+    }
+    res.write(`data: ${JSON.stringify(mapped.body)}\n\n`)
+    res.end()
+  }
+}
+
+// Shared handler for the /conversations and /models routes: checks readiness and the caller's session,
+// then relays the gateway's { success, status, ... } response with its status code
+async function handleGatewayRoute(req, res, endpoint, call) {
+  if (!isWorkerReady) {
+    return res.status(503).json({
+      error: 'Service unavailable',
+      message: 'Client worker is not ready yet'
+    })
+  }
+  
+  const sessionKey = getRequestSessionKey(req)
+  if (!sessionKey) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'No active session - please login first'
+    })
+  }
+  
+  try {
+    const result = await call({ sessionKey })
+    
+    if (!result || result.success === false) {
+      return res.status((result && result.status) || 500).json({
+        error: true,
+        message: (result && result.message) || 'Request failed',
+        code: result && result.code,
+        requestId: result && result.requestId
+      })
+    }
+    
+    const { success, status, ...body } = result
+    res.status(status || 200).json(body)
+    
+  } catch (error) {
+    const requestId = Math.random().toString(36).substr(2, 9)
+    logger.error('BridgeServer', requestId, 'Gateway request failed', {
+      endpoint: endpoint,
+      error: error.message,
+      stack: error.stack
+    })
+    
+    const unavailable = ['ERR_TOPIC_LOOKUP_EMPTY', 'ERR_TOPIC_PEERS_CIRCUIT_OPEN', 'CHANNEL_CLOSED'].some(code => error.message.includes(code))
+    res.status(unavailable ? 503 : 500).json({
+      error: true,
+      message: unavailable
+        ? 'Backend service is not available. Please ensure the gateway worker is running.'
+        : 'Request failed'
+    })
+  }
+}
+
+// List the caller's saved conversations, most recently updated first (?limit=N)
+app.get('/conversations', (req, res) => handleGatewayRoute(req, res, 'GET /conversations',
+  opts => clientWorker.listConversations({ ...opts, limit: req.query.limit })))
+
+// Create an empty conversation ({ title } is optional)
+app.post('/conversations', (req, res) => handleGatewayRoute(req, res, 'POST /conversations',
+  opts => clientWorker.createConversation(req.body ? req.body.title : undefined, opts)))
+
+// Full conversation with its messages
+app.get('/conversations/:id', (req, res) => handleGatewayRoute(req, res, 'GET /conversations/:id',
+  opts => clientWorker.getConversation(req.params.id, opts)))
+
+// Rename a conversation ({ title })
+app.patch('/conversations/:id', (req, res) => handleGatewayRoute(req, res, 'PATCH /conversations/:id',
+  opts => clientWorker.renameConversation(req.params.id, req.body ? req.body.title : undefined, opts)))
+
+app.delete('/conversations/:id', (req, res) => handleGatewayRoute(req, res, 'DELETE /conversations/:id',
+  opts => clientWorker.deleteConversation(req.params.id, opts)))
+
+// Queue a prompt as an asynchronous job (body as for /inference); answers 202 { job } right away
+app.post('/jobs', (req, res) => {
+  const inferenceInput = getInferenceInput(req.body)
+  if (!inferenceInput) {
+    return res.status(400).json({
+      error: 'Bad request',
+      message: 'Missing or invalid prompt or messages in request body'
+    })
+  }
+  
+  return handleGatewayRoute(req, res, 'POST /jobs', opts => clientWorker.submitJob(inferenceInput.input, {
+    ...opts,
+    conversationId: getConversationId(req.body),
+    options: getGenerationOptions(req.body),
+    model: getRequestedModel(req.body),
+    priority: getRequestedPriority(req.body)
+  }))
+})
+
+// Job status, with the result once it completed
+app.get('/jobs/:id', (req, res) => handleGatewayRoute(req, res, 'GET /jobs/:id',
+  opts => clientWorker.getJob(req.params.id, opts)))
+
+// Cancel a queued or running job (409 once it finished)
+app.delete('/jobs/:id', (req, res) => handleGatewayRoute(req, res, 'DELETE /jobs/:id',
+  opts => clientWorker.cancelJob(req.params.id, opts)))
+
+// Dead-letter store of failed jobs (admin sessions only): list, inspect, requeue, purge
+app.get('/admin/dead-letters', (req, res) => handleGatewayRoute(req, res, 'GET /admin/dead-letters',
+  opts => clientWorker.listDeadLetters({
+    limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined,
+    errorCategory: req.query.errorCategory
+  }, opts)))
+
+app.get('/admin/dead-letters/:id', (req, res) => handleGatewayRoute(req, res, 'GET /admin/dead-letters/:id',
+  opts => clientWorker.getDeadLetter(req.params.id, opts)))
+
+app.post('/admin/dead-letters/:id/requeue', (req, res) => handleGatewayRoute(req, res, 'POST /admin/dead-letters/:id/requeue',
+  opts => clientWorker.requeueDeadLetter(req.params.id, opts)))
+
+app.delete('/admin/dead-letters/:id', (req, res) => handleGatewayRoute(req, res, 'DELETE /admin/dead-letters/:id',
+  opts => clientWorker.purgeDeadLetters({ jobIds: [req.params.id] }, opts)))
+
+// Purge many entries: body { olderThan: <epoch ms> } or { all: true }
+app.delete('/admin/dead-letters', (req, res) => handleGatewayRoute(req, res, 'DELETE /admin/dead-letters',
+  opts => clientWorker.purgeDeadLetters({
+    olderThan: req.body ? req.body.olderThan : undefined,
+    all: req.body ? req.body.all : undefined
+  }, opts)))
+
+// Models the cluster can serve right now: { models: [{ id, processors }], processors }
+app.get('/models', (req, res) => handleGatewayRoute(req, res, 'GET /models',
+  opts => clientWorker.listModels(opts)))
+
+// OpenAI-compatible chat endpoint
+app.post('/v1/chat/completions', (req, res) => handleOpenAICompletion(req, res, 'chat'))
+
+// OpenAI-compatible legacy completions endpoint
+app.post('/v1/completions', (req, res) => handleOpenAICompletion(req, res, 'text'))
+
+// OpenAI-compatible model listing: the models the cluster can serve right now (as GET /models)
+app.get('/v1/models', async (req, res) => {
+  if (!isWorkerReady) {
+    return res.status(503).json(OpenAIHelper.buildError('Client worker is not ready yet', 'server_error', 'service_unavailable'))
+  }
+  
+  const sessionKey = OpenAIHelper.getBearerToken(req.headers.authorization)
+  if (!sessionKey) {
+    return res.status(401).json(OpenAIHelper.buildError('Missing bearer token in Authorization header', 'invalid_request_error', 'invalid_api_key'))
+  }
+  
+  try {
+    const result = await clientWorker.listModels({ sessionKey })
+    
+    if (!result || result.success === false) {
+      const mapped = OpenAIHelper.mapGatewayError(result || {})
+      return res.status(mapped.status).json(mapped.body)
+    }
+    
+    res.json(OpenAIHelper.buildModelList(result.models))
+    
+  } catch (error) {
+    const requestId = Math.random().toString(36).substr(2, 9)
+    logger.error('BridgeServer', requestId, 'OpenAI-compatible model list failed', {
+      error: error.message,
+      stack: error.stack
+    })
+    
+    const mapped = OpenAIHelper.mapNetworkError(error)
+    res.status(mapped.status).json(mapped.body)
+  }
+})
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({
@@ -479,6 +1124,17 @@ app.use((err, req, res, next) => {
     method: req.method
   })
   console.error('🚨 EXPRESS ERROR:', err)
+  
+  // OpenAI SDKs expect their own error shape, e.g. for malformed JSON bodies
+  if (req.path.startsWith('/v1/')) {
+    const status = err.status || 500
+    return res.status(status).json(OpenAIHelper.buildError(
+      status === 400 ? 'Could not parse the JSON body of the request' : 'An unexpected error occurred',
+      status === 400 ? 'invalid_request_error' : 'server_error',
+      null
+    ))
+  }
+  
   res.status(500).json({
     error: 'Internal server error',
     message: 'An unexpected error occurred'
@@ -489,18 +1145,26 @@ app.use((err, req, res, next) => {
 app.listen(port, () => {
   logger.lifecycle('BridgeServer', 'STARTED', {
     port: port,
-    endpoints: ['/inference', '/register', '/login', '/verify-session', '/get-api-token', '/health'],
+    endpoints: ['/inference', '/inference/stream', '/inference/batch', '/register', '/login', '/logout', '/verify-session', '/get-api-token', '/conversations', '/jobs', '/admin/dead-letters', '/models', '/v1/chat/completions', '/v1/completions', '/v1/models', '/health'],
     urls: {
       register: `http://localhost:${port}/register`,
       login: `http://localhost:${port}/login`,
+      logout: `http://localhost:${port}/logout`,
       verifySession: `http://localhost:${port}/verify-session`,
       getApiToken: `http://localhost:${port}/get-api-token`,
       inference: `http://localhost:${port}/inference`,
+      inferenceStream: `http://localhost:${port}/inference/stream`,
+      inferenceBatch: `http://localhost:${port}/inference/batch`,
+      conversations: `http://localhost:${port}/conversations`,
+      jobs: `http://localhost:${port}/jobs`,
+      deadLetters: `http://localhost:${port}/admin/dead-letters`,
+      models: `http://localhost:${port}/models`,
+      openai: `http://localhost:${port}/v1`,
       health: `http://localhost:${port}/health`
     }
   })
   console.log(`🌐 Bridge server listening on port ${port}`)
-  console.log(`📡 Endpoints: /register /login /verify-session /get-api-token /inference /health`)
+  console.log(`📡 Endpoints: /register /login /logout /verify-session /get-api-token /inference /inference/stream /inference/batch /conversations /jobs /admin/dead-letters /models /v1/chat/completions /v1/completions /v1/models /health`)
 })
 
 // Graceful shutdown
@@ -0,0 +1,244 @@
+'use strict'
+
+const fs = require('fs')
+const readline = require('readline')
+
+// CLI Batch - Non-interactive mode of the CLI: "node client_worker/cli-client.js batch ..."
+// Reads prompts as JSONL from a file or stdin, sends each one through ClientWorker.sendRequest
+// with bounded concurrency and writes one JSONL result line per prompt. Ids already present in
+// the output file are skipped, so an interrupted run is resumed by running the same command again.
+//
+// Input line:  { "id": "q1", "prompt": "..." }  or  { "id": "q2", "messages": [...] }
+//              optional "options" (generation options), "model" and "priority"
+// Output line: { "id": "q1", "response": "...", "latencyMs": 812, "error": null }
+
+const DEFAULT_CONCURRENCY = 4
+const MAX_CONCURRENCY = 64
+
+// Flags that take a value, and the option each one sets
+const VALUE_FLAGS = {
+  '--input': 'input',
+  '-i': 'input',
+  '--output': 'output',
+  '-o': 'output',
+  '--concurrency': 'concurrency',
+  '-c': 'concurrency',
+  '--token': 'token',
+  '--profile': 'profile',
+  '--model': 'model',
+  '--priority': 'priority'
+}
+
+class CliBatch {
+
+  static usage() {
+    return [
+      'Usage: node client_worker/cli-client.js batch --input <file|-> [--output <file>] [options]',
+      '',
+      '  -i, --input <file|->       JSONL prompts, one {"id", "prompt"|"messages"} per line ("-" = stdin)',
+      '  -o, --output <file>        Append JSONL results here and skip ids it already holds (default: stdout)',
+      `  -c, --concurrency <n>      Prompts in flight at once (default ${DEFAULT_CONCURRENCY}, max ${MAX_CONCURRENCY})`,
+      '      --token <token>        API token (default: INFERENCE_API_TOKEN, then the saved login)',
+      '      --profile <name>       Saved profile whose login to use (default: the current one)',
+      '      --model <name>         Model for lines that do not name one',
+      '      --priority <class>     Scheduling priority for every prompt (e.g. batch)'
+    ].join('\n')
+  }
+
+  // Parse the arguments after "batch"; throws an Error with a usage message when they are invalid.
+  // token stays null when neither --token nor INFERENCE_API_TOKEN is given (the caller then falls
+  // back to the saved login)
+  static parseArgs(argv, env = process.env) {
+    const args = {
+      input: null,
+      output: null,
+      concurrency: DEFAULT_CONCURRENCY,
+      token: env.INFERENCE_API_TOKEN || null,
+      profile: null,
+      model: null,
+      priority: null,
+      help: false
+    }
+
+    for (let i = 0; i < argv.length; i++) {
+      const flag = argv[i]
+      if (flag === '--help' || flag === '-h') {
+        args.help = true
+        continue
+      }
+      const name = VALUE_FLAGS[flag]
+      if (!name) {
+        throw new Error(`Unknown argument: ${flag}`)
+      }
+      const value = argv[++i]
+      if (value === undefined || (value.startsWith('-') && value !== '-')) {
+        throw new Error(`${flag} needs a value`)
+      }
+      args[name] = value
+    }
+
+    if (args.help) return args
+
+    if (!args.input) {
+      throw new Error('--input is required (use "-" to read from stdin)')
+    }
+    const concurrency = Number(args.concurrency)
+    if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+      throw new Error(`--concurrency must be a whole number between 1 and ${MAX_CONCURRENCY}`)
+    }
+    args.concurrency = concurrency
+    return args
+  }
+
+  // One input line -> { id, input, opts } for sendRequest; throws when the line is not a usable prompt
+  static parseLine(line, defaults = {}) {
+    let entry
+    try {
+      entry = JSON.parse(line)
+    } catch (error) {
+      throw new Error('Line is not valid JSON')
+    }
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error('Line must be a JSON object')
+    }
+
+    const id = typeof entry.id === 'number' ? String(entry.id) : entry.id
+    if (typeof id !== 'string' || id.trim() === '') {
+      throw new Error('Line needs a non-empty "id"')
+    }
+
+    let input
+    if (Array.isArray(entry.messages) && entry.messages.length > 0) {
+      input = entry.messages
+    } else if (typeof entry.prompt === 'string' && entry.prompt.trim() !== '') {
+      input = entry.prompt
+    } else {
+      throw new Error(`Prompt ${id} needs a "prompt" string or a "messages" array`)
+    }
+
+    const opts = {}
+    if (entry.options !== undefined) opts.options = entry.options
+    if (entry.model || defaults.model) opts.model = entry.model || defaults.model
+    if (entry.priority || defaults.priority) opts.priority = entry.priority || defaults.priority
+
+    return { id, input, opts }
+  }
+
+  // Ids that already have a result line; a missing file means nothing is done yet. Lines that do
+  // not parse (e.g. cut short when a previous run was killed) are ignored so they run again.
+  static async readCompletedIds(outputPath) {
+    const ids = new Set()
+    if (!outputPath || !fs.existsSync(outputPath)) return ids
+
+    const lines = readline.createInterface({ input: fs.createReadStream(outputPath), crlfDelay: Infinity })
+    for await (const line of lines) {
+      try {
+        const result = JSON.parse(line)
+        if (result && typeof result.id === 'string') ids.add(result.id)
+      } catch (error) {
+        // Partial line from an interrupted run
+      }
+    }
+    return ids
+  }
+
+  // Result line for one prompt: the gateway's { response } or { error: true, message, status, code },
+  // or the exception sendRequest threw
+  static buildResult(id, outcome, latencyMs) {
+    if (outcome instanceof Error) {
+      return { id, response: null, latencyMs, error: { message: outcome.message } }
+    }
+    if (outcome && outcome.error) {
+      const error = { message: outcome.message || 'Request failed' }
+      if (outcome.status) error.status = outcome.status
+      if (outcome.code) error.code = outcome.code
+      return { id, response: null, latencyMs, error }
+    }
+    return { id, response: outcome ? outcome.response : null, latencyMs, error: null }
+  }
+
+  /**
+   * Send every prompt of `input` (a readable stream of JSONL) through worker.sendRequest, at most
+   * `concurrency` at a time, and hand each result line to write(line) in completion order.
+   * Ids in `completed` and repeated ids are skipped; invalid lines are reported to onInvalid and
+   * not written. Stops taking new prompts once `signal` aborts; prompts in flight still finish.
+   * @returns {object} summary { total, succeeded, failed, skipped, invalid, cancelled, durationMs }
+   */
+  static async run(worker, { input, write, concurrency = DEFAULT_CONCURRENCY, completed = new Set(), defaults = {}, signal = null, onResult = null, onInvalid = null }) {
+    const startTime = Date.now()
+    const summary = { total: 0, succeeded: 0, failed: 0, skipped: 0, invalid: 0, cancelled: false, durationMs: 0 }
+    const seen = new Set(completed)
+    const inFlight = new Set()
+    let writes = Promise.resolve()
+
+    const send = async ({ id, input: prompt, opts }) => {
+      const sentAt = Date.now()
+      let outcome
+      try {
+        outcome = await worker.sendRequest(prompt, opts)
+      } catch (error) {
+        outcome = error
+      }
+
+      const result = CliBatch.buildResult(id, outcome, Date.now() - sentAt)
+      if (result.error) {
+        summary.failed++
+      } else {
+        summary.succeeded++
+      }
+      // Lines are written one at a time so they never interleave
+      writes = writes.then(() => write(JSON.stringify(result) + '\n'))
+      await writes
+      if (onResult) onResult(result, summary)
+    }
+
+    const lines = readline.createInterface({ input, crlfDelay: Infinity })
+    // Closing the reader ends the loop below even while it waits for more input (stdin)
+    const stop = () => lines.close()
+    if (signal) signal.addEventListener('abort', stop, { once: true })
+    let lineNumber = 0
+    try {
+      for await (const line of lines) {
+        lineNumber++
+        if (signal && signal.aborted) break
+        if (line.trim() === '') continue
+
+        let prompt
+        try {
+          prompt = CliBatch.parseLine(line, defaults)
+        } catch (error) {
+          summary.invalid++
+          if (onInvalid) onInvalid(lineNumber, error.message)
+          continue
+        }
+
+        summary.total++
+        if (seen.has(prompt.id)) {
+          summary.skipped++
+          continue
+        }
+        seen.add(prompt.id)
+
+        const task = send(prompt).finally(() => inFlight.delete(task))
+        inFlight.add(task)
+        if (inFlight.size >= concurrency) {
+          await Promise.race(inFlight)
+        }
+      }
+    } finally {
+      if (signal) signal.removeEventListener('abort', stop)
+      lines.close()
+      await Promise.all(inFlight)
+      await writes
+    }
+
+    summary.cancelled = Boolean(signal && signal.aborted)
+    summary.durationMs = Date.now() - startTime
+    return summary
+  }
+}
+
+CliBatch.DEFAULT_CONCURRENCY = DEFAULT_CONCURRENCY
+CliBatch.MAX_CONCURRENCY = MAX_CONCURRENCY
+
+module.exports = CliBatch
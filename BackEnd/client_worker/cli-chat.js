@@ -0,0 +1,159 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const CredentialsStore = require('./credentials-store.js')
+
+// CLI Chat - Chat mode of the interactive CLI ("chat" command, or "cli-client.js chat"): every
+// line is a message of one conversation, sent with the turns before it, and lines starting with
+// "/" are chat commands (/new, /history, /save, /model, /set, /system, ...). A message spanning
+// several lines starts with "<<" (or "<<WORD") and ends with a line holding only EOF (or WORD).
+// The readline history of the interactive CLI is kept here too, in a per-user history file.
+
+// The gateway accepts at most this many messages per request, the system prompt included
+const MAX_MESSAGES = 100
+const HISTORY_SIZE = 500
+const DEFAULT_TERMINATOR = 'EOF'
+const HEREDOC = /^(?:(.*\S)\s+)?<<([A-Za-z_][A-Za-z0-9_]*)?$/
+const FILE_MODE = 0o600
+const DIR_MODE = 0o700
+
+class CliChat {
+
+  // A new conversation: { system, turns: [{ user, assistant }], pending }
+  static create({ system = null } = {}) {
+    return { system: system, turns: [], pending: null }
+  }
+
+  // Forget the turns (/new); the system prompt stays
+  static reset(chat) {
+    chat.turns = []
+    chat.pending = null
+  }
+
+  /**
+   * Split a "/command args" line; null for a message. "//..." is a message starting with "/".
+   * @returns {object|null} { command, args }
+   */
+  static parseSlash(line) {
+    if (!line.startsWith('/') || line.startsWith('//')) return null
+    const match = line.slice(1).match(/^(\S*)\s*([\s\S]*)$/)
+    return { command: match[1].toLowerCase(), args: match[2].trim() }
+  }
+
+  // The message a line stands for ("//x" is sent as "/x")
+  static messageText(line) {
+    return line.startsWith('//') ? line.slice(1) : line
+  }
+
+  // Start a multi-line message when the line ends with "<<" or "<<WORD"; text before it is the
+  // first line of the message. Returns false for an ordinary line
+  static startMultiline(chat, line) {
+    const match = line.match(HEREDOC)
+    if (!match) return false
+    chat.pending = {
+      terminator: match[2] || DEFAULT_TERMINATOR,
+      lines: match[1] ? [match[1]] : []
+    }
+    return true
+  }
+
+  /**
+   * Add a line to the multi-line message being typed. Lines are kept as typed, indentation
+   * included.
+   * @returns {string|undefined} the whole message once the terminator line arrives
+   */
+  static collectLine(chat, line) {
+    if (line.trim() !== chat.pending.terminator) {
+      chat.pending.lines.push(line)
+      return undefined
+    }
+    const text = chat.pending.lines.join('\n')
+    chat.pending = null
+    return text
+  }
+
+  /**
+   * Messages to send for a new user message: the system prompt, the earlier turns and the new
+   * message. The oldest turns are left out when they would not fit in MAX_MESSAGES.
+   * @returns {object} { messages, dropped } - dropped is the number of turns left out
+   */
+  static buildMessages(chat, text) {
+    const room = Math.floor((MAX_MESSAGES - 1 - (chat.system ? 1 : 0)) / 2)
+    const dropped = Math.max(0, chat.turns.length - room)
+    const messages = chat.system ? [{ role: 'system', content: chat.system }] : []
+    for (const turn of chat.turns.slice(dropped)) {
+      messages.push({ role: 'user', content: turn.user }, { role: 'assistant', content: turn.assistant })
+    }
+    messages.push({ role: 'user', content: text })
+    return { messages, dropped }
+  }
+
+  // Keep an answered message; failed ones are not part of the conversation
+  static addTurn(chat, user, assistant) {
+    chat.turns.push({ user, assistant })
+  }
+
+  // The conversation as a Markdown document (/save)
+  static toMarkdown(chat, { model = null, options = {}, savedAt = new Date() } = {}) {
+    const settings = Object.entries(options)
+      .filter(([name]) => name !== 'model')
+      .map(([name, value]) => `${name} ${JSON.stringify(value)}`)
+    const lines = [
+      '# Chat transcript',
+      '',
+      `- Saved: ${savedAt.toISOString()}`,
+      `- Model: ${model || 'default'}`
+    ]
+    if (settings.length > 0) {
+      lines.push(`- Options: ${settings.join(', ')}`)
+    }
+    if (chat.system) {
+      lines.push('', '## System', '', chat.system)
+    }
+    for (const turn of chat.turns) {
+      lines.push('', '## You', '', turn.user, '', '## Assistant', '', turn.assistant)
+    }
+    return lines.join('\n') + '\n'
+  }
+
+  static async saveTranscript(filePath, chat, settings) {
+    await fs.promises.writeFile(filePath, CliChat.toMarkdown(chat, settings))
+    return path.resolve(filePath)
+  }
+
+  // INFERENCE_HISTORY_FILE, else "history" beside the credentials in the config directory
+  static historyPath(env = process.env) {
+    return env.INFERENCE_HISTORY_FILE || path.join(CredentialsStore.configDir(env), 'history')
+  }
+
+  /**
+   * Read the history file (one entry per line, oldest first). A missing or unreadable file is an
+   * empty history.
+   * @returns {string[]} entries newest first, as readline keeps them
+   */
+  static async loadHistory(filePath, limit = HISTORY_SIZE) {
+    let raw
+    try {
+      raw = await fs.promises.readFile(filePath, 'utf8')
+    } catch (error) {
+      return []
+    }
+    return raw.split('\n').filter(line => line.trim()).reverse().slice(0, limit)
+  }
+
+  // Write readline's history (newest first) to the history file, owner-only like the credentials
+  static async saveHistory(filePath, history, limit = HISTORY_SIZE) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true, mode: DIR_MODE })
+    const entries = history.slice(0, limit).reverse()
+    const tmpPath = `${filePath}.${process.pid}.tmp`
+    await fs.promises.writeFile(tmpPath, entries.map(entry => entry + '\n').join(''), { mode: FILE_MODE })
+    await fs.promises.chmod(tmpPath, FILE_MODE)
+    await fs.promises.rename(tmpPath, filePath)
+  }
+}
+
+CliChat.MAX_MESSAGES = MAX_MESSAGES
+CliChat.HISTORY_SIZE = HISTORY_SIZE
+
+module.exports = CliChat
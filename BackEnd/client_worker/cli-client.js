@@ -1,6 +1,13 @@
 'use strict'
 
 const ClientWorker = require('./client-worker.js')
+const CliBatch = require('./cli-batch.js')
+const CliChat = require('./cli-chat.js')
+const CliCommands = require('./cli-commands.js')
+const CliPrompt = require('./cli-prompt.js')
+const CliStream = require('./cli-stream.js')
+const CredentialsStore = require('./credentials-store.js')
+const fs = require('fs')
 const readline = require('readline')
 const logger = require('../shared-logger.js')
 
@@ -16,9 +23,97 @@ const ctx = {
   root: process.cwd()
 }
 
-console.log('🚀 Starting CLI Client...')
+// Generation options settable with "set <option> <value>"; numeric ones are parsed here
+// and everything is range-checked by the gateway
+const NUMERIC_OPTIONS = ['temperature', 'top_p', 'top_k', 'max_tokens', 'seed']
+const TEXT_OPTIONS = ['stop', 'model']
+const MAX_STOP_SEQUENCES = 4
 
-logger.lifecycle('CLIClient', 'STARTING', { interface: 'command_line' })
+// Chat mode (see cli-chat.js): prompts, and the commands "/<command>" runs as the ordinary command
+const CHAT_PROMPT = '💬 > '
+const CHAT_CONTINUATION_PROMPT = '.. '
+const CHAT_SHARED_COMMANDS = ['set', 'unset', 'options', 'models', 'status', 'stats']
+
+// "cli-client.js <command> ..." runs one command and exits (see cli-commands.js), "batch ..." runs
+// prompts from a JSONL file (see cli-batch.js); without arguments the interactive CLI starts, and
+// "chat" starts it in chat mode (see cli-chat.js)
+const subcommand = process.argv[2]
+const batchMode = subcommand === 'batch'
+const chatAtStart = subcommand === 'chat'
+let batchArgs = null
+let batchController = null
+// Aborts the response being generated in the interactive CLI (Ctrl+C)
+let generationController = null
+let commandArgs = null
+
+// Saved logins (see credentials-store.js); activeProfile is the profile the interactive CLI uses
+const credentialsFile = CredentialsStore.defaultPath()
+let activeProfile = null
+// Readline history of the interactive CLI, kept across sessions
+const historyFile = CliChat.historyPath()
+
+// Where one-shot commands write: results to stdout, messages to stderr
+const commandIo = {
+  stdin: process.stdin,
+  isTTY: Boolean(process.stdin.isTTY),
+  out: text => process.stdout.write(text),
+  err: text => process.stderr.write(text),
+  askHidden: query => CliPrompt.askHiddenOnce(query),
+  credentialsFile: credentialsFile
+}
+
+if (subcommand === 'help' || subcommand === '--help' || subcommand === '-h') {
+  console.log(CliCommands.usage())
+  process.exit(0)
+} else if (CliCommands.isCommand(subcommand)) {
+  try {
+    commandArgs = CliCommands.parseArgs(process.argv.slice(2))
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`)
+    console.error(CliCommands.usage())
+    process.exit(CliCommands.EXIT_CODES.USAGE)
+  }
+  // stdout only carries the command's result
+  console.log = console.error
+} else if (subcommand !== undefined && !batchMode && !chatAtStart) {
+  console.error(`❌ Unknown command: ${subcommand}\n`)
+  console.error(CliCommands.usage())
+  process.exit(CliCommands.EXIT_CODES.USAGE)
+}
+
+if (batchMode) {
+  try {
+    batchArgs = CliBatch.parseArgs(process.argv.slice(3))
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`)
+    console.error(CliBatch.usage())
+    process.exit(2)
+  }
+  if (batchArgs.help) {
+    console.log(CliBatch.usage())
+    process.exit(0)
+  }
+  if (batchArgs.input !== '-' && !fs.existsSync(batchArgs.input)) {
+    console.error(`❌ Input file not found: ${batchArgs.input}`)
+    process.exit(2)
+  }
+  // Results may go to stdout, so everything else the process prints goes to stderr
+  if (!batchArgs.output) {
+    console.log = console.error
+  }
+}
+
+// Commands that only touch the credentials file do not need the P2P network
+if (commandArgs && !CliCommands.needsWorker(commandArgs.command)) {
+  CliCommands.run(null, commandArgs, commandIo).then(exitCode => process.exit(exitCode))
+  return
+}
+
+if (!commandArgs) {
+  console.log(batchMode ? '🚀 Starting CLI Client (batch mode)...' : '🚀 Starting CLI Client...')
+}
+
+logger.lifecycle('CLIClient', 'STARTING', { interface: commandArgs ? 'one_shot' : batchMode ? 'batch' : 'command_line' })
 
 try {
   const worker = new ClientWorker(conf, ctx)
@@ -30,34 +125,179 @@ try {
         error: err.message,
         stack: err.stack
       })
+      if (commandArgs) {
+        process.exit(CliCommands.report(commandIo, commandArgs.flags, {
+          failure: { message: `Failed to start Client Worker: ${err.message}` },
+          exitCode: CliCommands.EXIT_CODES.UNAVAILABLE
+        }))
+      }
       console.error('❌ Failed to start Client Worker:', err)
       process.exit(1)
     }
     
     logger.lifecycle('CLIClient', 'STARTED', { ready: true })
     
+    if (commandArgs) {
+      runCommand(worker, commandArgs)
+      return
+    }
+    
+    if (batchMode) {
+      runBatch(worker, batchArgs)
+      return
+    }
+    
     console.log('💡 Available commands:')
     console.log('💡   • Type any prompt to send to the AI model')
-    console.log('💡   • Type "register <email> <password>" to register a new user')
-    console.log('💡   • Type "login <email> <password>" to login a user')
+    console.log('💡   • Type "register <email>" to register a new user')
+    console.log('💡   • Type "login <email>" to login a user')
     console.log('💡   • Type "logout" to clear session and logout')
     console.log('💡   • Type "settoken <token>" to set API token manually')
     console.log('💡   • Type "gettoken" to get current API token')
     console.log('💡   • Type "status" to show authentication status')
+    console.log('💡   • Type "set <option> <value>" to set a generation option (e.g. set temperature 0.2)')
+    console.log('💡   • Type "chat" for a conversation that keeps context (or start with: cli-client.js chat)')
+    console.log('💡   • Press Ctrl+C while a response is printed to stop it')
     console.log('💡   • Type "help" to see all commands')
     console.log('💡   • Type "exit" to quit')
     console.log('🌐   Get API tokens from web UI: http://localhost:3001')
     
-    // Setup input handling after worker is ready
-    setupInputHandling(worker)
+    // Setup input handling after worker is ready and the saved login and history are loaded
+    loadSavedLogin(worker)
+      .then(() => CliChat.loadHistory(historyFile))
+      .then(history => setupInputHandling(worker, history))
   })
   
-  // Function to set up input handling after worker is ready
-  function setupInputHandling(worker) {
+  // Start logged in when the active profile holds a login
+  async function loadSavedLogin(worker) {
+    try {
+      const profile = await CredentialsStore.getProfile(credentialsFile)
+      activeProfile = profile.name
+      if (profile.token) {
+        worker.sessionKey = profile.token
+        console.log(`🔑 Logged in${profile.email ? ` as ${profile.email}` : ''} from profile "${profile.name}"`)
+      }
+    } catch (error) {
+      activeProfile = CredentialsStore.DEFAULT_PROFILE
+      console.log(`⚠️  Could not read saved credentials: ${error.message}`)
+    }
+  }
+  
+  // Keep the session in the active profile so the next CLI session starts logged in
+  async function saveLogin(email, token) {
+    try {
+      await CredentialsStore.saveProfile(credentialsFile, activeProfile, { email, token })
+      console.log(`💾 Login saved in profile "${activeProfile}"`)
+    } catch (error) {
+      console.log(`⚠️  Could not save credentials: ${error.message}`)
+    }
+  }
+  
+  async function forgetLogin() {
+    try {
+      if (await CredentialsStore.clearProfile(credentialsFile, activeProfile)) {
+        console.log(`🗑️  Saved login removed from profile "${activeProfile}"`)
+      }
+    } catch (error) {
+      console.log(`⚠️  Could not update saved credentials: ${error.message}`)
+    }
+  }
+  
+  // Run a one-shot command and exit with its code once stdout is flushed
+  async function runCommand(worker, args) {
+    const exitCode = await CliCommands.run(worker, args, commandIo)
+    logger.info('CLIClient', 'ONE_SHOT', 'Command finished', {
+      command: args.command,
+      exitCode: exitCode
+    })
+    await new Promise(resolve => process.stdout.write('', resolve))
+    worker.stop()
+    process.exit(exitCode)
+  }
+  
+  // Run the batch command, print a summary to stderr and exit: 0 when every prompt succeeded,
+  // 1 when some failed, some lines were invalid or the run was stopped
+  async function runBatch(worker, args) {
+    const runId = Math.random().toString(36).substr(2, 9)
+    batchController = new AbortController()
+    
+    let output = null
+    try {
+      worker.sessionKey = args.token || (await CredentialsStore.getProfile(credentialsFile, args.profile)).token
+      if (!worker.sessionKey) {
+        console.error('❌ No API token: pass --token, set INFERENCE_API_TOKEN or log in first')
+        worker.stop()
+        process.exit(2)
+      }
+      
+      const completed = await CliBatch.readCompletedIds(args.output)
+      if (completed.size > 0) {
+        console.error(`⏭️  Resuming: ${completed.size} prompt${completed.size === 1 ? '' : 's'} already in ${args.output}`)
+      }
+      
+      output = args.output ? await fs.promises.open(args.output, 'a') : null
+      const write = output
+        ? line => output.write(line)
+        : line => new Promise(resolve => process.stdout.write(line, resolve))
+      
+      logger.info('CLIClient', runId, 'Batch run started', {
+        input: args.input,
+        output: args.output || 'stdout',
+        concurrency: args.concurrency,
+        resumed: completed.size
+      })
+      
+      const summary = await CliBatch.run(worker, {
+        input: args.input === '-' ? process.stdin : fs.createReadStream(args.input),
+        write: write,
+        concurrency: args.concurrency,
+        completed: completed,
+        defaults: { model: args.model, priority: args.priority },
+        signal: batchController.signal,
+        onResult: (result, progress) => {
+          const done = progress.succeeded + progress.failed
+          if (result.error) {
+            console.error(`❌ [${done}] ${result.id}: ${result.error.message}`)
+          } else {
+            console.error(`✅ [${done}] ${result.id} (${result.latencyMs}ms)`)
+          }
+        },
+        onInvalid: (lineNumber, message) => {
+          console.error(`⚠️  Line ${lineNumber} skipped: ${message}`)
+        }
+      })
+      
+      logger.info('CLIClient', runId, 'Batch run finished', summary)
+      console.error(`\n📊 Batch ${summary.cancelled ? 'stopped' : 'finished'} in ${summary.durationMs}ms: ` +
+        `${summary.succeeded} succeeded, ${summary.failed} failed, ${summary.skipped} skipped, ${summary.invalid} invalid line${summary.invalid === 1 ? '' : 's'}`)
+      if (summary.cancelled) {
+        console.error('💡 Run the same command again to resume')
+      }
+      
+      if (output) await output.close()
+      worker.stop()
+      process.exit(summary.failed > 0 || summary.invalid > 0 || summary.cancelled ? 1 : 0)
+    } catch (error) {
+      logger.error('CLIClient', runId, 'Batch run failed', {
+        error: error.message,
+        stack: error.stack
+      })
+      console.error('❌ Batch failed:', error.message)
+      if (output) await output.close().catch(() => {})
+      worker.stop()
+      process.exit(1)
+    }
+  }
+  
+  // Function to set up input handling after worker is ready; history is the saved readline history
+  function setupInputHandling(worker, history) {
     const rl = readline.createInterface({
       input: process.stdin,
       output: process.stdout,
-      prompt: ''
+      prompt: '',
+      history: history,
+      historySize: CliChat.HISTORY_SIZE,
+      removeHistoryDuplicates: true
     })
     
     console.log('\n🔗 Token Workflow:')
@@ -67,49 +307,237 @@ try {
     console.log('   4. Send AI prompts directly without re-login!\n')
     
     let isProcessing = false
+    const generationOptions = {}
+    // The conversation while in chat mode, null in command mode
+    let chat = null
+    // Print timing stats after each response ("stats on")
+    let showStats = false
+    let historySaved = Promise.resolve()
+    
+    const ask = (query) => new Promise(resolve => rl.question(query, answer => resolve(answer.trim())))
+    
+    // New passwords are typed twice, hidden; null when the two do not match
+    async function askNewPassword() {
+      const password = await CliPrompt.askHidden(rl, '🔒 Password: ')
+      if (!password) return ''
+      const confirmation = await CliPrompt.askHidden(rl, '🔒 Repeat password: ')
+      return password === confirmation ? password : null
+    }
+    
+    // Saves are chained so two of them never write the history file at once
+    function saveHistory() {
+      historySaved = historySaved
+        .then(() => CliChat.saveHistory(historyFile, rl.history))
+        .catch(error => logger.warn('CLIClient', 'HISTORY', 'Could not save the readline history', { error: error.message }))
+    }
+    
+    function enterChat() {
+      chat = CliChat.create()
+      rl.setPrompt(CHAT_PROMPT)
+      console.log('💬 Chat mode: every line is a message of one conversation (type /help for chat commands, /exit to leave)')
+      console.log('💡 Start a message with << to write several lines and end it with a line holding only EOF')
+    }
+    
+    function printChatHelp() {
+      console.log(`\n💬 Chat Commands:`)
+      console.log(`   /new                         - Start a new conversation`)
+      console.log(`   /history                     - Show the conversation so far`)
+      console.log(`   /save <file.md>              - Save the conversation as Markdown`)
+      console.log(`   /model [name]                - Show the models or switch to one`)
+      console.log(`   /set <option> <value>        - Set a generation option (as "set"), /unset and /options too`)
+      console.log(`   /system [text|clear]         - Show, set or clear the system prompt`)
+      console.log(`   /status                      - Show authentication status`)
+      console.log(`   /stats [on|off]              - Show timing stats after each response`)
+      console.log(`   /exit                        - Leave chat mode`)
+      console.log(`   <text> <<[WORD]              - Multi-line message, ended by a line holding only WORD (default EOF)`)
+      console.log(`   //text                       - Send a message that starts with "/"`)
+    }
+    
+    // Print a response as it is generated (see cli-stream.js); Ctrl+C cancels it
+    async function generate(input, prefix) {
+      const opts = Object.keys(generationOptions).length > 0 ? { options: { ...generationOptions } } : {}
+      generationController = new AbortController()
+      let outcome
+      try {
+        outcome = await CliStream.run(worker, input, { opts, signal: generationController.signal, prefix })
+      } finally {
+        generationController = null
+      }
+      
+      if (outcome.cancelled) {
+        console.log('🛑 Generation cancelled')
+      } else if (!outcome.result || !outcome.result.response) {
+        console.log(`❌ ${(outcome.result && outcome.result.message) || 'No response received'}`)
+      } else if (showStats) {
+        console.log(CliStream.formatStats(outcome.stats))
+      }
+      return outcome
+    }
+    
+    // Send a chat message with the conversation so far; answered messages join the conversation
+    async function sendChatMessage(text) {
+      const { messages, dropped } = CliChat.buildMessages(chat, text)
+      if (dropped > 0) {
+        console.log(`⚠️  The ${dropped} oldest turn${dropped === 1 ? '' : 's'} no longer fit in a request (${CliChat.MAX_MESSAGES} messages) and are left out`)
+      }
+      const { result, cancelled } = await generate(messages, '🤖 ')
+      if (!cancelled && result && result.response) {
+        CliChat.addTurn(chat, text, result.response)
+      }
+    }
+    
+    /**
+     * Handle a line typed in chat mode: messages are sent, chat commands run here. Returns the
+     * command line to run through the ordinary commands for the ones chat mode shares with them
+     * (/set, /unset, /options, /status, /model <name>), else null.
+     */
+    async function handleChatLine(input, multiLine) {
+      const slash = multiLine ? null : CliChat.parseSlash(input)
+      if (!slash) {
+        if (!multiLine && CliChat.startMultiline(chat, input)) {
+          rl.setPrompt(CHAT_CONTINUATION_PROMPT)
+          return null
+        }
+        await sendChatMessage(multiLine ? input : CliChat.messageText(input))
+        return null
+      }
+      
+      const { command, args } = slash
+      if (command === 'new') {
+        CliChat.reset(chat)
+        console.log('🆕 New conversation started' + (chat.system ? ' (the system prompt is kept)' : ''))
+      } else if (command === 'history') {
+        if (chat.system) {
+          console.log(`⚙️  system: ${chat.system}`)
+        }
+        if (chat.turns.length === 0) {
+          console.log('💬 No messages yet')
+        }
+        chat.turns.forEach((turn, index) => {
+          console.log(`👤 [${index + 1}] ${turn.user}`)
+          console.log(`🤖 [${index + 1}] ${turn.assistant}`)
+        })
+      } else if (command === 'save') {
+        if (!args) {
+          console.log('❌ Usage: /save <file.md>')
+        } else if (chat.turns.length === 0) {
+          console.log('⚠️  Nothing to save yet')
+        } else {
+          const savedPath = await CliChat.saveTranscript(args, chat, { model: generationOptions.model, options: generationOptions })
+          console.log(`💾 Saved ${chat.turns.length} turn${chat.turns.length === 1 ? '' : 's'} to ${savedPath}`)
+        }
+      } else if (command === 'model') {
+        if (args) return `set model ${args}`
+        console.log(`🧠 Current model: ${generationOptions.model || 'default'}`)
+        return 'models'
+      } else if (command === 'system') {
+        if (!args) {
+          console.log(chat.system ? `⚙️  System prompt: ${chat.system}` : '⚙️  No system prompt set')
+        } else if (args === 'clear') {
+          chat.system = null
+          console.log('✅ System prompt cleared')
+        } else {
+          chat.system = args
+          console.log('✅ System prompt set; it is sent with every message of the conversation')
+        }
+      } else if (CHAT_SHARED_COMMANDS.includes(command)) {
+        return `${command} ${args}`.trim()
+      } else if (command === 'exit') {
+        chat = null
+        rl.setPrompt('')
+        console.log('↩️  Left chat mode, lines are commands and single prompts again')
+      } else if (command === 'help' || command === '?') {
+        printChatHelp()
+      } else {
+        console.log(`❌ Unknown chat command: /${command} (type /help)`)
+      }
+      return null
+    }
     
     rl.on('line', async (input) => {
-      input = input.trim()
+      // Lines of a multi-line chat message are kept as typed until the terminator line
+      let multiLine = false
+      if (chat && chat.pending) {
+        const message = CliChat.collectLine(chat, input)
+        if (message === undefined) {
+          rl.prompt()
+          return
+        }
+        rl.setPrompt(CHAT_PROMPT)
+        input = message.trim() ? message : ''
+        multiLine = true
+      }
+      input = multiLine ? input : input.trim()
       
-      if (input === 'exit') {
+      if (input === 'exit' && !multiLine) {
         console.log('👋 Exiting...')
         rl.close()
         process.exit(0)
       } else if (input && !isProcessing) {
         isProcessing = true
         try {
+          // In chat mode lines are messages and chat commands; a few run as the commands below
+          if (chat) {
+            input = await handleChatLine(input, multiLine)
+            if (input === null) return
+          }
+          
           // Parse commands
-          const parts = input.split(' ')
+          const parts = input.split(/\s+/)
           const command = parts[0].toLowerCase()
+          // Passwords and tokens typed inline must not be recalled with the arrow keys
+          if (CliPrompt.hasSecret(input)) {
+            CliPrompt.scrubHistory(rl, input, command === 'settoken' ? null : parts.slice(0, 2).join(' '))
+          }
           
           if (command === 'register') {
-            if (parts.length !== 3) {
-              console.log('❌ Usage: register <email> <password>')
+            if (parts.length > 3) {
+              console.log('❌ Usage: register [email]')
             } else {
-              const [, email, password] = parts
-              const result = await worker.registerUser(email, password)
-              if (result.success) {
-                console.log(`✅ Registration Response:`)
-                console.log(`   Email: ${result.email}`)
-                console.log(`   Status: ${result.status}`)
-                console.log(`   Message: ${result.message}`)
+              if (parts.length === 3) {
+                console.log('⚠️  Passwords typed on the command line are visible on screen; use "register <email>" to be asked for it')
+              }
+              const email = parts[1] || await ask('📧 Email: ')
+              const password = email ? parts[2] || await askNewPassword() : ''
+              if (password === null) {
+                console.log('❌ Passwords do not match')
+              } else if (!email || !password) {
+                console.log('❌ Email and password are required')
               } else {
-                console.log(`❌ Registration failed: ${result.message}`)
+                const result = await worker.registerUser(email, password)
+                if (result.success) {
+                  console.log(`✅ Registration Response:`)
+                  console.log(`   Email: ${result.email}`)
+                  console.log(`   Status: ${result.status}`)
+                  console.log(`   Message: ${result.message}`)
+                } else {
+                  console.log(`❌ Registration failed: ${result.message}`)
+                }
               }
             }
           } else if (command === 'login') {
-            if (parts.length !== 3) {
-              console.log('❌ Usage: login <email> <password>')
+            if (parts.length > 3) {
+              console.log('❌ Usage: login [email]')
             } else {
-              const [, email, password] = parts
-              const result = await worker.loginUser(email, password)
-              if (result.success) {
-                console.log(`✅ Login Response:`)
-                console.log(`   Email: ${result.email}`)
-                console.log(`   Key: ${result.key}`)
-                console.log(`   Status: ${result.status}`)
+              if (parts.length === 3) {
+                console.log('⚠️  Passwords typed on the command line are visible on screen; use "login <email>" to be asked for it')
+              }
+              const email = parts[1] || await ask('📧 Email: ')
+              const password = email ? parts[2] || await CliPrompt.askHidden(rl, '🔒 Password: ') : ''
+              if (!email || !password) {
+                console.log('❌ Email and password are required')
               } else {
-                console.log(`❌ Login failed: ${result.message}`)
+                const result = await worker.loginUser(email, password)
+                if (result.success) {
+                  console.log(`✅ Login Response:`)
+                  console.log(`   Email: ${result.email}`)
+                  console.log(`   Key: ${CliPrompt.maskToken(result.key)}`)
+                  console.log(`   Status: ${result.status}`)
+                  console.log(`💡 Show the full token with: gettoken`)
+                  await saveLogin(result.email || email, result.key)
+                } else {
+                  console.log(`❌ Login failed: ${result.message}`)
+                }
               }
             }
           } else if (command === 'logout') {
@@ -120,6 +548,7 @@ try {
             } else {
               console.log(`⚠️  ${result.message}`)
             }
+            await forgetLogin()
           } else if (command === 'settoken') {
             if (parts.length !== 2) {
               console.log('❌ Usage: settoken <your-api-token>')
@@ -128,8 +557,9 @@ try {
               const [, token] = parts
               worker.sessionKey = token
               console.log(`✅ API token set successfully`)
-              console.log(`🔑 Token: ${token.substring(0, 8)}${'*'.repeat(Math.max(0, token.length - 16))}${token.substring(Math.max(8, token.length - 8))}`)
+              console.log(`🔑 Token: ${CliPrompt.maskToken(token)}`)
               console.log(`💡 You can now send AI prompts without logging in`)
+              await saveLogin(null, token)
             }
           } else if (command === 'gettoken') {
             const result = worker.getApiToken()
@@ -139,71 +569,204 @@ try {
               console.log(`💡 Copy this token to use in other applications`)
             } else {
               console.log(`❌ ${result.message}`)
-              console.log(`💡 Try logging in first with: login <email> <password>`)
+              console.log(`💡 Try logging in first with: login <email>`)
             }
           } else if (command === 'cleartoken') {
             worker.sessionKey = null
             console.log(`✅ API token cleared`)
             console.log(`💡 You'll need to login or set a token to send prompts`)
+            await forgetLogin()
           } else if (command === 'status') {
             if (worker.sessionKey) {
               console.log(`✅ Authentication Status: LOGGED IN`)
-              console.log(`🔑 Token: ${worker.sessionKey.substring(0, 8)}${'*'.repeat(Math.max(0, worker.sessionKey.length - 16))}${worker.sessionKey.substring(Math.max(8, worker.sessionKey.length - 8))}`)
+              console.log(`🔑 Token: ${CliPrompt.maskToken(worker.sessionKey)}`)
               console.log(`💡 Ready to send AI prompts`)
             } else {
               console.log(`❌ Authentication Status: NOT LOGGED IN`)
-              console.log(`💡 Login with: login <email> <password>`)
+              console.log(`💡 Login with: login <email>`)
               console.log(`💡 Or set token with: settoken <your-api-token>`)
             }
+            console.log(`📁 Profile: ${activeProfile}`)
+          } else if (command === 'profile') {
+            const action = (parts[1] || 'list').toLowerCase()
+            if (action === 'use' && parts.length === 3) {
+              const name = parts[2]
+              if (!CredentialsStore.isValidProfileName(name)) {
+                console.log('❌ Profile names use letters, digits, ".", "_" and "-" (at most 64)')
+              } else {
+                await CredentialsStore.useProfile(credentialsFile, name)
+                const profile = await CredentialsStore.getProfile(credentialsFile, name)
+                activeProfile = name
+                worker.sessionKey = profile.token
+                console.log(`✅ Now using profile "${name}"`)
+                console.log(profile.token
+                  ? `🔑 Logged in${profile.email ? ` as ${profile.email}` : ''}`
+                  : `💡 Not logged in yet: login <email> saves the login in this profile`)
+              }
+            } else if (action === 'list' && parts.length <= 2) {
+              const profiles = await CredentialsStore.listProfiles(credentialsFile)
+              console.log(`📁 Profiles (${credentialsFile}):`)
+              for (const profile of profiles) {
+                const login = profile.loggedIn ? (profile.email || 'API token') : 'not logged in'
+                console.log(`   ${profile.name === activeProfile ? '*' : ' '} ${profile.name} - ${login}`)
+              }
+            } else {
+              console.log('❌ Usage: profile list | profile use <name>')
+            }
+          } else if (command === 'set') {
+            const name = (parts[1] || '').toLowerCase()
+            const rawValue = parts.slice(2).join(' ')
+            if (!rawValue || (!NUMERIC_OPTIONS.includes(name) && !TEXT_OPTIONS.includes(name))) {
+              console.log('❌ Usage: set <option> <value>')
+              console.log(`💡 Options: ${NUMERIC_OPTIONS.concat(TEXT_OPTIONS).join(', ')}`)
+            } else if (NUMERIC_OPTIONS.includes(name)) {
+              const value = Number(rawValue)
+              if (!Number.isFinite(value)) {
+                console.log(`❌ ${name} must be a number`)
+              } else {
+                generationOptions[name] = value
+                console.log(`✅ ${name} set to ${value}`)
+              }
+            } else if (name === 'stop') {
+              // Each "set stop" adds a sequence; "unset stop" clears them
+              const sequences = (generationOptions.stop || []).concat(rawValue)
+              if (sequences.length > MAX_STOP_SEQUENCES) {
+                console.log(`❌ At most ${MAX_STOP_SEQUENCES} stop sequences are allowed`)
+              } else {
+                generationOptions.stop = sequences
+                console.log(`✅ stop sequences: ${JSON.stringify(sequences)}`)
+              }
+            } else {
+              generationOptions[name] = rawValue
+              console.log(`✅ ${name} set to ${rawValue}`)
+            }
+          } else if (command === 'unset') {
+            const name = (parts[1] || '').toLowerCase()
+            if (name === 'all') {
+              Object.keys(generationOptions).forEach(key => delete generationOptions[key])
+              console.log('✅ All generation options cleared')
+            } else if (generationOptions[name] !== undefined) {
+              delete generationOptions[name]
+              console.log(`✅ ${name} cleared`)
+            } else {
+              console.log('❌ Usage: unset <option>|all')
+            }
+          } else if (command === 'options') {
+            if (Object.keys(generationOptions).length === 0) {
+              console.log('⚙️  No generation options set (model defaults apply)')
+            } else {
+              console.log('⚙️  Generation options:')
+              for (const [name, value] of Object.entries(generationOptions)) {
+                console.log(`   ${name}: ${JSON.stringify(value)}`)
+              }
+            }
+          } else if (command === 'models') {
+            const result = await worker.listModels()
+            if (result.success === false) {
+              console.log(`❌ ${result.message}`)
+            } else if (result.models.length === 0) {
+              console.log('⚠️  No processor is serving any model right now')
+            } else {
+              console.log(`🧠 Available models (${result.processors} processor${result.processors === 1 ? '' : 's'}):`)
+              for (const model of result.models) {
+                console.log(`   ${model.id} (${model.processors} processor${model.processors === 1 ? '' : 's'})`)
+              }
+              console.log('💡 Pick one with: set model <name>')
+            }
+          } else if (command === 'chat') {
+            enterChat()
           } else if (command === 'help' || command === '?') {
             console.log(`\n📖 Available Commands:`)
-            console.log(`   register <email> <password>  - Create a new account`)
-            console.log(`   login <email> <password>     - Login to your account`)
-            console.log(`   logout                       - Logout from current session`)
+            console.log(`   register [email]             - Create a new account (asks for the password)`)
+            console.log(`   login [email]                - Login to your account (asks for the password)`)
+            console.log(`   logout                       - Logout and remove the saved login`)
             console.log(`   settoken <token>             - Set API token manually`)
             console.log(`   gettoken                     - Get current API token`)
             console.log(`   cleartoken                   - Clear current API token`)
             console.log(`   status                       - Show authentication status`)
+            console.log(`   profile list                 - List the saved login profiles`)
+            console.log(`   profile use <name>           - Switch to another profile (logins are saved per profile)`)
+            console.log(`   set <option> <value>         - Set a generation option:`)
+            console.log(`                                  temperature (0-2), top_p (0-1), top_k (1-1000),`)
+            console.log(`                                  max_tokens (1-32768), seed, stop (repeat for up to ${MAX_STOP_SEQUENCES}), model`)
+            console.log(`   unset <option>|all           - Clear one or all generation options`)
+            console.log(`   options                      - Show the generation options in use`)
+            console.log(`   models                       - List the models the cluster can serve`)
+            console.log(`   stats [on|off]               - Show time to first token and tokens/s after each response`)
+            console.log(`   chat                         - Chat mode: a conversation with context and /commands`)
             console.log(`   help                         - Show this help message`)
             console.log(`   exit                         - Exit the CLI`)
             console.log(`\n💡 After authentication, just type your AI prompt!`)
             console.log(`💡 Get API tokens from web UI: http://localhost:3001`)
-          } else {
-            // Regular AI prompt
-            const result = await worker.sendRequest(input)
-            if (result.response) {
-              console.log(`✅ AI Response:`)
-              console.log(`${result.response}`)
+          } else if (command === 'stats' && parts.length <= 2) {
+            const value = (parts[1] || '').toLowerCase()
+            if (value && value !== 'on' && value !== 'off') {
+              console.log('❌ Usage: stats [on|off]')
+            } else {
+              if (value) showStats = value === 'on'
+              console.log(`⏱️  Timing stats after each response: ${showStats ? 'on' : 'off'}`)
             }
+          } else {
+            // Regular AI prompt, printed as it is generated
+            await generate(input, '✅ AI Response:\n')
           }
         } catch (error) {
           const errorRequestId = Math.random().toString(36).substr(2, 9)
           logger.error('CLIClient', errorRequestId, 'CLI command execution failed', {
-            input: input,
+            input: CliPrompt.scrubCommand(input),
             error: error.message,
             stack: error.stack
           })
           console.error('❌ Request failed:', error.message)
         } finally {
           isProcessing = false
+          saveHistory()
+          if (chat) rl.prompt()
         }
       } else if (input && isProcessing) {
         console.log('⏳ Still processing previous request, please wait...')
+      } else if (chat) {
+        rl.prompt()
       }
     })
     
+    if (chatAtStart) {
+      enterChat()
+      rl.prompt()
+    }
+    
+    // Ctrl+C stops the response being generated and keeps the CLI running; otherwise it quits
+    rl.on('SIGINT', () => {
+      if (generationController) {
+        generationController.abort()
+        return
+      }
+      rl.close()
+    })
+    
     rl.on('close', () => {
       console.log('👋 Exiting...')
       process.exit(0)
     })
   }
   
-  // Graceful shutdown
+  // Graceful shutdown; in batch mode the first Ctrl+C lets the prompts in flight finish, and a
+  // response being generated is only cancelled
   process.on('SIGINT', () => {
+    if (generationController) {
+      generationController.abort()
+      return
+    }
+    if (batchController && !batchController.signal.aborted) {
+      console.error('\n🛑 Stopping batch after the prompts in flight (Ctrl+C again to quit now)...')
+      batchController.abort()
+      return
+    }
     logger.lifecycle('CLIClient', 'SHUTDOWN', { signal: 'SIGINT' })
     console.log('\n🛑 Shutting down CLI Client...')
     worker.stop()
-    process.exit(0)
+    // 130 = interrupted, as shells report it, so scripts can tell a cancelled command apart
+    process.exit(commandArgs ? 130 : 0)
   })
   
   process.on('SIGTERM', () => {
@@ -218,6 +781,12 @@ try {
     error: error.message,
     stack: error.stack
   })
+  if (commandArgs) {
+    process.exit(CliCommands.report(commandIo, commandArgs.flags, {
+      failure: { message: `Failed to create Client Worker: ${error.message}` },
+      exitCode: CliCommands.EXIT_CODES.UNAVAILABLE
+    }))
+  }
   console.error('❌ Failed to create Client Worker:', error.message)
   process.exit(1)
 } 
\ No newline at end of file
@@ -0,0 +1,409 @@
+'use strict'
+
+const ClientHelper = require('./client-helper.js')
+const CredentialsStore = require('./credentials-store.js')
+
+// CLI Commands - One-shot subcommands of the CLI for shell pipelines and CI:
+//   node client_worker/cli-client.js prompt "Explain DHTs" --json
+//   cat notes.txt | node client_worker/cli-client.js prompt --model llama3
+//   node client_worker/cli-client.js login --email a@example.com --password-stdin < password.txt
+// Logins are kept in the credentials file (see credentials-store.js), so later commands find the
+// token there when neither --token nor INFERENCE_API_TOKEN is given.
+// Each command runs once, writes its result to stdout (plain text, or one JSON object with --json),
+// writes anything meant for humans to stderr and exits with one of EXIT_CODES.
+
+const EXIT_CODES = Object.freeze({
+  OK: 0,
+  FAILED: 1,
+  USAGE: 2,
+  AUTH_FAILED: 3,
+  RATE_LIMITED: 4,
+  UNAVAILABLE: 5
+})
+
+// Flags each command accepts; BOOLEAN_FLAGS take no value, "stop" may be repeated
+const TOKEN_FLAGS = ['json', 'token', 'profile']
+const GENERATION_FLAGS = ['temperature', 'top-p', 'top-k', 'max-tokens', 'seed', 'stop']
+const COMMAND_FLAGS = {
+  prompt: [...TOKEN_FLAGS, 'model', 'priority', ...GENERATION_FLAGS],
+  login: ['json', 'profile', 'email', 'password', 'password-stdin'],
+  register: ['json', 'email', 'password', 'password-stdin'],
+  logout: ['json', 'profile'],
+  status: TOKEN_FLAGS,
+  models: TOKEN_FLAGS,
+  profile: ['json']
+}
+const BOOLEAN_FLAGS = ['json', 'password-stdin']
+// Commands that only touch the credentials file and run without a worker
+const LOCAL_COMMANDS = ['logout', 'profile']
+const NUMERIC_FLAGS = ['temperature', 'top-p', 'top-k', 'max-tokens', 'seed']
+
+// Error codes that mean the gateway or the processors could not serve the request right now
+const UNAVAILABLE_CODES = ['PROCESSOR_BUSY', 'GATEWAY_QUEUE_FULL', 'QUEUE_TIMEOUT', 'MODEL_NOT_AVAILABLE']
+const UNAVAILABLE_ERRORS = ['ERR_TOPIC_LOOKUP_EMPTY', 'ERR_TOPIC_PEERS_CIRCUIT_OPEN', 'CHANNEL_CLOSED', 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT']
+
+function usageError(message) {
+  const error = new Error(message)
+  error.exitCode = EXIT_CODES.USAGE
+  return error
+}
+
+class CliCommands {
+
+  static usage() {
+    return [
+      'Usage: node client_worker/cli-client.js [command] [options]',
+      '',
+      'Without a command the interactive CLI starts. Commands:',
+      '  prompt [text|-]            Send one prompt (reads stdin when no text is given or text is "-")',
+      '         --model <name> --priority <class> --temperature <n> --top-p <n> --top-k <n>',
+      '         --max-tokens <n> --seed <n> --stop <sequence> (repeatable)',
+      '  login --email <email>      Log in, save the token in the profile and print it',
+      '  register --email <email>   Create an account',
+      '         asks for the password on a terminal (hidden); --password-stdin reads it from stdin',
+      '         (--password <password> works too but leaves it in the shell history)',
+      '  logout                     Remove the saved login of the profile',
+      '  status                     Check the API token',
+      '  models                     List the models the cluster can serve',
+      '  profile [list]             List the saved profiles',
+      '  profile use <name>         Make a profile the current one',
+      '  batch --input <file|->     Run a JSONL file of prompts (see "batch --help")',
+      '  chat                       Start the interactive CLI in chat mode (a conversation with context)',
+      '',
+      'Options:',
+      '  --json                     Print one JSON object instead of plain text',
+      '  --token <token>            API token (default: INFERENCE_API_TOKEN, then the saved login)',
+      '  --profile <name>           Saved profile to use (default: INFERENCE_PROFILE, then the current one)',
+      '',
+      `Exit codes: ${EXIT_CODES.OK} success, ${EXIT_CODES.FAILED} failure, ${EXIT_CODES.USAGE} invalid arguments, ` +
+        `${EXIT_CODES.AUTH_FAILED} authentication failed, ${EXIT_CODES.RATE_LIMITED} rate limited, ${EXIT_CODES.UNAVAILABLE} service unavailable`
+    ].join('\n')
+  }
+
+  static isCommand(name) {
+    return Object.prototype.hasOwnProperty.call(COMMAND_FLAGS, name)
+  }
+
+  static needsWorker(name) {
+    return !LOCAL_COMMANDS.includes(name)
+  }
+
+  /**
+   * Parse "<command> [args] [--flag value|--flag=value]". Throws an Error with exitCode USAGE when
+   * the command or a flag is unknown or a value is missing.
+   * @returns {object} { command, positional: [...], flags: { json, token, ... } }
+   */
+  static parseArgs(argv, env = process.env) {
+    const [command, ...rest] = argv
+    if (!CliCommands.isCommand(command)) {
+      throw usageError(`Unknown command: ${command}`)
+    }
+
+    const allowed = COMMAND_FLAGS[command]
+    const positional = []
+    const flags = { json: false, token: env.INFERENCE_API_TOKEN || null }
+
+    for (let i = 0; i < rest.length; i++) {
+      const arg = rest[i]
+      if (!arg.startsWith('--')) {
+        positional.push(arg)
+        continue
+      }
+
+      const separator = arg.indexOf('=')
+      const name = separator === -1 ? arg.slice(2) : arg.slice(2, separator)
+      if (!allowed.includes(name)) {
+        throw usageError(`Unknown option for ${command}: --${name}`)
+      }
+      if (BOOLEAN_FLAGS.includes(name)) {
+        flags[name] = true
+        continue
+      }
+
+      const value = separator === -1 ? rest[++i] : arg.slice(separator + 1)
+      if (value === undefined || value === '') {
+        throw usageError(`--${name} needs a value`)
+      }
+      if (NUMERIC_FLAGS.includes(name) && !Number.isFinite(Number(value))) {
+        throw usageError(`--${name} must be a number`)
+      }
+      if (name === 'stop') {
+        flags.stop = (flags.stop || []).concat(value)
+      } else {
+        flags[name] = value
+      }
+    }
+
+    return { command, positional, flags }
+  }
+
+  // Generation options from the flags, named as the gateway expects them (--top-p -> top_p)
+  static generationOptions(flags) {
+    const options = {}
+    for (const name of GENERATION_FLAGS) {
+      if (flags[name] === undefined) continue
+      options[name.replace('-', '_')] = NUMERIC_FLAGS.includes(name) ? Number(flags[name]) : flags[name]
+    }
+    return options
+  }
+
+  // Exit code for a failed gateway answer ({ status, code, message, note }) or a thrown error
+  static exitCodeFor(failure = {}) {
+    const { status, code, note } = failure
+    const message = failure.message || ''
+    if (status === 401 || status === 403) {
+      return EXIT_CODES.AUTH_FAILED
+    }
+    if (status === 429 || code === 'USER_QUEUE_FULL') {
+      return EXIT_CODES.RATE_LIMITED
+    }
+    if (status === 502 || status === 503 || status === 504 || UNAVAILABLE_CODES.includes(code) || note === 'LLM_UNAVAILABLE' ||
+        UNAVAILABLE_ERRORS.some(error => message.includes(error)) || ClientHelper.isStaleAnnouncementError({ message })) {
+      return EXIT_CODES.UNAVAILABLE
+    }
+    return EXIT_CODES.FAILED
+  }
+
+  // Whole stream as a string (stdin piped into the CLI)
+  static async readStream(stream) {
+    let text = ''
+    stream.setEncoding('utf8')
+    for await (const chunk of stream) {
+      text += chunk
+    }
+    return text
+  }
+
+  /**
+   * Run one parsed command. io = { stdin, isTTY, out(text), err(text), askHidden(query),
+   * credentialsFile, env }: stdin is read for piped prompts and --password-stdin, out receives the
+   * result and err the human-readable messages; askHidden (optional) asks for a password without
+   * echoing it when stdin is a terminal; credentialsFile (optional) is where logins are kept.
+   * @returns {number} the exit code
+   */
+  static async run(worker, { command, positional, flags }, io) {
+    try {
+      if (!flags.token && io.credentialsFile && COMMAND_FLAGS[command].includes('token')) {
+        flags = { ...flags, token: (await CliCommands.getProfile(flags, io)).token }
+      }
+      const outcome = await CliCommands[command](worker, positional, flags, io)
+      return CliCommands.report(io, flags, outcome)
+    } catch (error) {
+      if (error.exitCode === EXIT_CODES.USAGE) {
+        io.err(`${error.message}\n`)
+        return EXIT_CODES.USAGE
+      }
+      return CliCommands.report(io, flags, { failure: { message: error.message } })
+    }
+  }
+
+  // Print an outcome { json, text } or { failure: { message, status?, code?, note? } } and pick the exit code
+  static report(io, flags, outcome) {
+    if (outcome.failure) {
+      const { message, status, code } = outcome.failure
+      const exitCode = outcome.exitCode || CliCommands.exitCodeFor(outcome.failure)
+      if (flags.json) {
+        io.out(JSON.stringify({ success: false, error: { message, status: status || null, code: code || null }, exitCode }) + '\n')
+      } else {
+        io.err(`Error: ${message}\n`)
+      }
+      return exitCode
+    }
+
+    io.out(flags.json ? JSON.stringify({ success: true, ...outcome.json }) + '\n' : outcome.text)
+    return EXIT_CODES.OK
+  }
+
+  static missingToken() {
+    return {
+      failure: { message: 'No API token: pass --token, set INFERENCE_API_TOKEN or run "login" first', status: 401 }
+    }
+  }
+
+  // The profile a command works on (--profile, INFERENCE_PROFILE or the current one)
+  static async getProfile(flags, io) {
+    return await CredentialsStore.getProfile(io.credentialsFile, flags.profile || null, io.env || process.env)
+  }
+
+  // A gateway answer that is not a success: { error: true, ... } or { success: false, ... }
+  static isFailure(result) {
+    return !result || result.error === true || result.success === false
+  }
+
+  static failureOf(result) {
+    return {
+      failure: {
+        message: (result && result.message) || 'Request failed',
+        status: result && result.status,
+        code: result && result.code
+      }
+    }
+  }
+
+  static async prompt(worker, positional, flags, io) {
+    let text = positional.join(' ')
+    if (text === '' || text === '-') {
+      if (io.isTTY) {
+        throw usageError('No prompt given: pass it as an argument or pipe it into stdin')
+      }
+      text = (await CliCommands.readStream(io.stdin)).trim()
+    }
+    if (!text) {
+      throw usageError('The prompt is empty')
+    }
+    if (!flags.token) {
+      return CliCommands.missingToken()
+    }
+
+    const opts = { sessionKey: flags.token }
+    const options = CliCommands.generationOptions(flags)
+    if (Object.keys(options).length > 0) opts.options = options
+    if (flags.model) opts.model = flags.model
+    if (flags.priority) opts.priority = flags.priority
+
+    const result = await worker.sendRequest(text, opts)
+    if (CliCommands.isFailure(result)) {
+      return CliCommands.failureOf(result)
+    }
+    // The processor answers with a canned message when its LLM backend is down
+    if (result.note === 'LLM_UNAVAILABLE') {
+      return { failure: { message: 'The model backend is unavailable', code: 'LLM_UNAVAILABLE', note: result.note } }
+    }
+    return { json: result, text: `${result.response}\n` }
+  }
+
+  /**
+   * --email (or the first argument) and the password from --password-stdin, --password or, on a
+   * terminal, a hidden prompt (asked twice when confirm is set, for new accounts).
+   */
+  static async readCredentials(positional, flags, io, { confirm = false } = {}) {
+    const email = flags.email || positional[0]
+    if (!email) {
+      throw usageError('--email is required')
+    }
+
+    let password = flags.password
+    if (flags['password-stdin']) {
+      password = (await CliCommands.readStream(io.stdin)).split(/\r?\n/)[0]
+    } else if (password) {
+      io.err('Warning: --password leaves the password in the shell history, prefer --password-stdin\n')
+    } else if (io.isTTY && io.askHidden) {
+      password = await io.askHidden('Password: ')
+      if (password && confirm && await io.askHidden('Repeat password: ') !== password) {
+        throw usageError('Passwords do not match')
+      }
+    }
+    if (!password) {
+      throw usageError('A password is required: type it when asked or pipe it in with --password-stdin')
+    }
+    return { email, password }
+  }
+
+  static async login(worker, positional, flags, io) {
+    const { email, password } = await CliCommands.readCredentials(positional, flags, io)
+    const result = await worker.loginUser(email, password, { persistSession: false })
+    if (CliCommands.isFailure(result) || !result.key) {
+      return CliCommands.failureOf(result)
+    }
+
+    let profile = null
+    if (io.credentialsFile) {
+      profile = (await CliCommands.getProfile(flags, io)).name
+      await CredentialsStore.saveProfile(io.credentialsFile, profile, { email: result.email || email, token: result.key })
+      io.err(`Saved the login in profile "${profile}"\n`)
+    }
+    return { json: { email: result.email, token: result.key, profile: profile }, text: `${result.key}\n` }
+  }
+
+  static async logout(worker, positional, flags, io) {
+    if (!io.credentialsFile) {
+      return { failure: { message: 'No credentials file to log out of' } }
+    }
+    const profile = (await CliCommands.getProfile(flags, io)).name
+    const loggedOut = await CredentialsStore.clearProfile(io.credentialsFile, profile)
+    return {
+      json: { profile: profile, loggedOut: loggedOut },
+      text: loggedOut ? `Logged out of profile "${profile}"\n` : `Profile "${profile}" holds no login\n`
+    }
+  }
+
+  // "profile", "profile list" or "profile use <name>"
+  static async profile(worker, positional, flags, io) {
+    if (!io.credentialsFile) {
+      return { failure: { message: 'No credentials file' } }
+    }
+    const [action = 'list', name] = positional
+
+    if (action === 'use') {
+      if (!name) {
+        throw usageError('Usage: profile use <name>')
+      }
+      if (!CredentialsStore.isValidProfileName(name)) {
+        throw usageError(`Invalid profile name: ${name}`)
+      }
+      await CredentialsStore.useProfile(io.credentialsFile, name)
+      return { json: { current: name }, text: `Now using profile "${name}"\n` }
+    }
+    if (action !== 'list') {
+      throw usageError(`Unknown profile action: ${action} (expected list or use <name>)`)
+    }
+
+    const profiles = await CredentialsStore.listProfiles(io.credentialsFile)
+    return {
+      json: { profiles: profiles },
+      text: profiles.map(profile =>
+        `${profile.current ? '*' : ' '} ${profile.name}\t${profile.loggedIn ? profile.email || '(token)' : '(not logged in)'}\n`
+      ).join('')
+    }
+  }
+
+  static async register(worker, positional, flags, io) {
+    const { email, password } = await CliCommands.readCredentials(positional, flags, io, { confirm: true })
+    const result = await worker.registerUser(email, password)
+    if (CliCommands.isFailure(result)) {
+      return CliCommands.failureOf(result)
+    }
+    return { json: { email: result.email, message: result.message }, text: `${result.message}\n` }
+  }
+
+  static async status(worker, positional, flags) {
+    if (!flags.token) {
+      return { ...CliCommands.missingToken(), exitCode: EXIT_CODES.AUTH_FAILED }
+    }
+
+    const result = await worker.verifySession({ sessionKey: flags.token })
+    if (CliCommands.isFailure(result) || !result.valid) {
+      return { ...CliCommands.failureOf(result), exitCode: EXIT_CODES.AUTH_FAILED }
+    }
+
+    const info = result.rateLimitInfo
+    const lines = [`Authenticated as ${result.email}`]
+    if (info && info.remainingRequests !== undefined) {
+      lines.push(`Requests left: ${info.remainingRequests}/${info.maxRequests}`)
+    }
+    return {
+      json: { authenticated: true, email: result.email, rateLimitInfo: info || null },
+      text: lines.join('\n') + '\n'
+    }
+  }
+
+  static async models(worker, positional, flags) {
+    if (!flags.token) {
+      return CliCommands.missingToken()
+    }
+
+    const result = await worker.listModels({ sessionKey: flags.token })
+    if (CliCommands.isFailure(result)) {
+      return CliCommands.failureOf(result)
+    }
+    return {
+      json: { models: result.models, processors: result.processors },
+      text: result.models.map(model => `${model.id}\n`).join('')
+    }
+  }
+}
+
+CliCommands.EXIT_CODES = EXIT_CODES
+CliCommands.COMMANDS = Object.keys(COMMAND_FLAGS)
+
+module.exports = CliCommands
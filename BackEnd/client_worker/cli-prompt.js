@@ -0,0 +1,95 @@
+'use strict'
+
+const readline = require('readline')
+
+// CLI Prompt - Keeps secrets typed into the CLI off the screen, out of the readline history and
+// out of the logs: hidden password prompts, history scrubbing and redacted command lines
+
+const REDACTED = '[REDACTED]'
+
+// Commands whose arguments carry a secret, and how many leading words are safe to keep
+const SECRET_COMMANDS = {
+  login: 2, // login <email> <password>
+  register: 2, // register <email> <password>
+  settoken: 1 // settoken <token>
+}
+
+class CliPrompt {
+
+  // Command line with its secret arguments replaced, for logs
+  static scrubCommand(input) {
+    if (typeof input !== 'string') return input
+    const parts = input.trim().split(/\s+/)
+    const keep = SECRET_COMMANDS[parts[0].toLowerCase()]
+    if (keep === undefined || parts.length <= keep) return input.trim()
+    return parts.slice(0, keep).concat(REDACTED).join(' ')
+  }
+
+  // Whether a command line carries a secret (so it must not stay in the history)
+  static hasSecret(input) {
+    return CliPrompt.scrubCommand(input) !== (typeof input === 'string' ? input.trim() : input)
+  }
+
+  // First and last characters of a token, enough to tell tokens apart
+  static maskToken(token) {
+    if (typeof token !== 'string' || token.length === 0) return ''
+    if (token.length <= 16) return '*'.repeat(token.length)
+    return `${token.substring(0, 8)}${'*'.repeat(token.length - 16)}${token.substring(token.length - 8)}`
+  }
+
+  /**
+   * Take the most recent history entry `line` out of the readline history, or put `replacement`
+   * in its place (e.g. the command without its password).
+   */
+  static scrubHistory(rl, line, replacement = null) {
+    if (!rl || !Array.isArray(rl.history)) return
+    const index = rl.history.indexOf(line)
+    if (index === -1) return
+    if (replacement) {
+      rl.history[index] = replacement
+    } else {
+      rl.history.splice(index, 1)
+    }
+  }
+
+  /**
+   * Ask a question on an open readline interface without echoing the answer; the answer is kept
+   * out of the history.
+   * @returns {Promise<string>} the answer
+   */
+  static askHidden(rl, query) {
+    return new Promise(resolve => {
+      const writeToOutput = rl._writeToOutput
+      // Redraws (prompt + line) only show the question, echoed keystrokes are swallowed and the
+      // final newline goes through
+      rl._writeToOutput = function (text) {
+        if (text.startsWith(query)) {
+          writeToOutput.call(rl, query)
+        } else if (text === '\r\n' || text === '\n') {
+          writeToOutput.call(rl, text)
+        }
+      }
+
+      rl.question(query, answer => {
+        rl._writeToOutput = writeToOutput
+        CliPrompt.scrubHistory(rl, answer)
+        resolve(answer)
+      })
+    })
+  }
+
+  // Ask for a secret outside the interactive CLI (one-shot commands): reads `input`, writes the
+  // question to `output` (stderr, so stdout only carries the command's result)
+  static async askHiddenOnce(query, { input = process.stdin, output = process.stderr } = {}) {
+    const rl = readline.createInterface({ input, output, terminal: true, historySize: 0 })
+    try {
+      return await CliPrompt.askHidden(rl, query)
+    } finally {
+      rl.close()
+    }
+  }
+}
+
+CliPrompt.REDACTED = REDACTED
+
+module.exports = CliPrompt
@@ -0,0 +1,135 @@
+'use strict'
+
+const readline = require('readline')
+
+// CLI Stream - Streamed responses in the interactive CLI: a spinner until the first token, then
+// the tokens as they arrive (ClientWorker.sendRequestStream), cancellation through an AbortSignal
+// (Ctrl+C) and timing stats. A gateway without processPromptStream gets the prompt through
+// sendRequest instead and the response is printed in one piece.
+
+const SPINNER_FRAMES = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏']
+const SPINNER_INTERVAL_MS = 80
+
+class CliStream {
+
+  /**
+   * Spinner drawn on one line of `output` until stop() erases it. Only drawn on a terminal, so
+   * piped output stays clean.
+   * @returns {object} { start(), stop() }
+   */
+  static createSpinner(output, label = 'Thinking...') {
+    let timer = null
+    let frame = 0
+    const draw = () => {
+      readline.cursorTo(output, 0)
+      output.write(`${SPINNER_FRAMES[frame++ % SPINNER_FRAMES.length]} ${label}`)
+    }
+    return {
+      start() {
+        if (!output.isTTY || timer) return
+        draw()
+        timer = setInterval(draw, SPINNER_INTERVAL_MS)
+      },
+      stop() {
+        if (!timer) return
+        clearInterval(timer)
+        timer = null
+        readline.cursorTo(output, 0)
+        readline.clearLine(output, 0)
+      }
+    }
+  }
+
+  // Whether the gateway does not serve streamed prompts (an older gateway)
+  static isStreamUnsupported(error) {
+    return Boolean(error && error.message && error.message.includes('UNKNOWN_METHOD'))
+  }
+
+  /**
+   * Timing of one response (times in ms from the clock). tokensPerSecond covers the generation,
+   * from the first token to the end, and is null when there is nothing to measure.
+   * @returns {object} { timeToFirstTokenMs, totalMs, tokens, tokensPerSecond }
+   */
+  static timingStats({ startedAt, firstTokenAt, endedAt, tokens }) {
+    const generationMs = firstTokenAt !== null ? endedAt - firstTokenAt : 0
+    return {
+      timeToFirstTokenMs: firstTokenAt !== null ? firstTokenAt - startedAt : null,
+      totalMs: endedAt - startedAt,
+      tokens: tokens,
+      tokensPerSecond: tokens > 0 && generationMs > 0 ? Math.round(tokens / generationMs * 10000) / 10 : null
+    }
+  }
+
+  static formatStats(stats) {
+    const parts = []
+    if (stats.timeToFirstTokenMs !== null) {
+      parts.push(`first token ${stats.timeToFirstTokenMs} ms`)
+    }
+    parts.push(`total ${(stats.totalMs / 1000).toFixed(2)} s`)
+    if (stats.tokens !== null) {
+      parts.push(`${stats.tokens} token${stats.tokens === 1 ? '' : 's'}`)
+    }
+    if (stats.tokensPerSecond !== null) {
+      parts.push(`${stats.tokensPerSecond} tokens/s`)
+    }
+    return `⏱️  ${parts.join(' · ')}`
+  }
+
+  /**
+   * Send a prompt (or conversation) and write the response to `output` as it is generated:
+   * `prefix` goes before the first token and a newline after the last one. opts are the
+   * sendRequest options; aborting `signal` cancels the generation.
+   * @returns {Promise<object>} { result, streamed, cancelled, stats } - result is the gateway's
+   * result or rejection; stats as timingStats (tokens is null when the response was not streamed)
+   */
+  static async run(worker, input, { opts = {}, signal = null, output = process.stdout, prefix = '', clock = Date.now } = {}) {
+    const spinner = CliStream.createSpinner(output)
+    const startedAt = clock()
+    let firstTokenAt = null
+    let tokens = 0
+    let result
+    let streamed = true
+
+    const onToken = (token) => {
+      if (tokens === 0) {
+        firstTokenAt = clock()
+        spinner.stop()
+        output.write(prefix)
+      }
+      tokens++
+      output.write(token)
+    }
+
+    spinner.start()
+    try {
+      try {
+        result = await worker.sendRequestStream(input, onToken, { ...opts, signal: signal || undefined })
+      } catch (error) {
+        if (!CliStream.isStreamUnsupported(error) || tokens > 0) throw error
+        streamed = false
+        result = await worker.sendRequest(input, opts)
+        if (!(signal && signal.aborted) && result && result.response) {
+          firstTokenAt = clock()
+          spinner.stop()
+          output.write(prefix + result.response)
+          tokens = null
+        }
+      }
+    } finally {
+      spinner.stop()
+      if (tokens === null || tokens > 0) {
+        output.write('\n')
+      }
+    }
+
+    const cancelled = Boolean((result && result.cancelled) || (signal && signal.aborted))
+    return {
+      result: result,
+      streamed: streamed,
+      cancelled: cancelled,
+      stats: CliStream.timingStats({ startedAt, firstTokenAt, endedAt: clock(), tokens })
+    }
+  }
+}
+
+module.exports = CliStream
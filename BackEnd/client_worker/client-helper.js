@@ -7,9 +7,20 @@ const logger = require('../shared-logger.js')
 
 class ClientHelper {
   
-  // Authorized topic request wrapper - automatically adds auth key for protected methods
-  static async authorizedTopicRequest(workerInstance, topic, method, data) {
+  // Resolve which session key a call should use.
+  // An explicit opts.sessionKey (even null) wins over the worker's own sessionKey,
+  // so multi-user callers like the bridge server never fall back to a shared session.
+  static resolveSessionKey(workerInstance, opts = {}) {
+    if (opts && opts.sessionKey !== undefined) {
+      return opts.sessionKey
+    }
+    return workerInstance ? workerInstance.sessionKey : null
+  }
+  
+  // Build the { data, meta? } payload for a gateway call, attaching the auth key for protected methods
+  static buildRequestPayload(workerInstance, method, data, opts = {}) {
     const exemptMethods = ['register', 'login']
+    const sessionKey = ClientHelper.resolveSessionKey(workerInstance, opts)
     
     // All requests now use the new format: { data: {...}, meta?: { key: "..." } }
     const requestPayload = {
@@ -17,20 +28,63 @@ class ClientHelper {
     }
     
     // Only add auth key for non-exempt methods (and only if we have a session key)
-    if (!exemptMethods.includes(method) && workerInstance.sessionKey) {
-      requestPayload.meta = { key: workerInstance.sessionKey }
+    if (!exemptMethods.includes(method) && sessionKey) {
+      requestPayload.meta = { key: sessionKey }
       logger.jwt('ClientWorker', 'RPC-OUT', 'Including Auth Key', {
         method,
-        tokenPreview: workerInstance.sessionKey.substring(0, 20) + '...'
+        tokenPreview: sessionKey.substring(0, 20) + '...'
       })
     } else if (!exemptMethods.includes(method)) {
       logger.warn('ClientWorker', 'RPC-OUT', `No session key available for ${method} request`, {
-        sessionKey: workerInstance.sessionKey || 'null'
+        sessionKey: sessionKey || 'null'
       })
     } else {
       logger.debug('ClientWorker', 'RPC-OUT', `${method} is exempt from auth key requirement`, null)
     }
     
+    return requestPayload
+  }
+  
+  // Build processPrompt data from either a prompt string or a chat conversation
+  // ([{ role, content }, ...]); returns { data, promptText } where promptText is used for logs.
+  // opts.conversationId stores the exchange in that saved conversation (see the gateway's ConversationStore);
+  // opts.options carries generation options ({ temperature, top_p, top_k, max_tokens, stop, seed, model });
+  // opts.model routes the prompt to a processor serving that model (see listModels);
+  // opts.priority picks the gateway scheduler's priority class (e.g. 'interactive' or 'batch').
+  static buildPromptData(input, opts = {}) {
+    let built
+    if (Array.isArray(input)) {
+      const lastUser = input.filter(message => message && message.role === 'user').pop()
+      built = {
+        data: { messages: input },
+        promptText: lastUser && typeof lastUser.content === 'string' ? lastUser.content : ''
+      }
+    } else {
+      built = {
+        data: { prompt: input },
+        promptText: input
+      }
+    }
+    
+    if (opts && opts.conversationId) {
+      built.data.conversationId = opts.conversationId
+    }
+    if (opts && opts.options !== undefined) {
+      built.data.options = opts.options
+    }
+    if (opts && opts.model) {
+      built.data.model = opts.model
+    }
+    if (opts && opts.priority) {
+      built.data.priority = opts.priority
+    }
+    return built
+  }
+  
+  // Authorized topic request wrapper - automatically adds auth key for protected methods
+  static async authorizedTopicRequest(workerInstance, topic, method, data, opts = {}) {
+    const requestPayload = ClientHelper.buildRequestPayload(workerInstance, method, data, opts)
+    
     // Use robust topic request that handles stale DHT connections internally
     const sessionId = Math.random().toString(36).substr(2, 9)
     
@@ -98,13 +152,16 @@ class ClientHelper {
     )
   }
   
-  // Method for sending AI prompts to the gateway
-  static async sendRequest(workerInstance, inputPrompt) {
+  // Method for sending AI prompts to the gateway.
+  // inputPrompt is a prompt string or a conversation: [{ role: 'system'|'user'|'assistant', content }]
+  static async sendRequest(workerInstance, inputPrompt, opts = {}) {
     const requestId = Math.random().toString(36).substr(2, 9)
+    const { data, promptText } = ClientHelper.buildPromptData(inputPrompt, opts)
     
     logger.info('ClientWorker', requestId, 'Sending prompt to gateway', {
-      promptLength: inputPrompt.length,
-      promptPreview: inputPrompt.length > 100 ? inputPrompt.substring(0, 100) + '...' : inputPrompt
+      promptLength: promptText.length,
+      promptPreview: promptText.length > 100 ? promptText.substring(0, 100) + '...' : promptText,
+      messageCount: data.messages ? data.messages.length : 0
     })
     
     try {
@@ -112,7 +169,8 @@ class ClientHelper {
         workerInstance,
         'gateway',
         'processPrompt',
-        { prompt: inputPrompt }
+        data,
+        opts
       )
       
       if (result.response) {
@@ -162,6 +220,175 @@ class ClientHelper {
     }
   }
   
+  // Method for streaming AI prompts: tokens are passed to onToken as the processor generates them.
+  // Resolves with the final result, a gateway rejection ({ status: 401/429, ... }) or { cancelled: true }.
+  // opts.signal (AbortSignal) cancels the stream; opts.onStart receives { requestId, rateLimitInfo, queueInfo }.
+  // Like sendRequest, inputPrompt may be a conversation array instead of a string.
+  static async sendRequestStream(workerInstance, inputPrompt, onToken, opts = {}) {
+    const requestId = Math.random().toString(36).substr(2, 9)
+    const { data, promptText } = ClientHelper.buildPromptData(inputPrompt, opts)
+    
+    logger.info('ClientWorker', requestId, 'Sending streaming prompt to gateway', {
+      promptLength: promptText.length,
+      promptPreview: promptText.length > 100 ? promptText.substring(0, 100) + '...' : promptText,
+      messageCount: data.messages ? data.messages.length : 0
+    })
+    
+    try {
+      const stream = workerInstance.net_default.jTopicStream(
+        'gateway',
+        'processPromptStream',
+        ClientHelper.buildRequestPayload(workerInstance, 'processPromptStream', data, opts),
+        { signal: opts.signal }
+      )
+      
+      let tokenCount = 0
+      // Leaving the loop early (break/return) cancels the stream on the gateway and processor
+      for await (const chunk of stream) {
+        if (opts.signal && opts.signal.aborted) {
+          logger.info('ClientWorker', requestId, 'Streaming request cancelled by caller', {
+            tokensReceived: tokenCount
+          })
+          return { cancelled: true, requestId: requestId }
+        }
+        
+        switch (chunk.type) {
+          case 'start':
+            if (opts.onStart) {
+              opts.onStart({ requestId: chunk.requestId, rateLimitInfo: chunk.rateLimitInfo, queueInfo: chunk.queueInfo })
+            }
+            break
+            
+          case 'token':
+            tokenCount++
+            onToken(chunk.token)
+            break
+            
+          case 'done':
+            logger.info('ClientWorker', requestId, 'Streaming response completed', {
+              tokensReceived: tokenCount,
+              responseLength: chunk.result?.response ? chunk.result.response.length : 0
+            })
+            return chunk.result
+            
+          case 'error': {
+            logger.warn('ClientWorker', requestId, 'Stream ended with error', {
+              status: chunk.status,
+              error: chunk.message,
+              tokensReceived: tokenCount
+            })
+            const { type, ...rejection } = chunk
+            return rejection
+          }
+        }
+      }
+      
+      // The stream also ends early, without a result, when opts.signal aborts between pulls
+      if (opts.signal && opts.signal.aborted) {
+        logger.info('ClientWorker', requestId, 'Streaming request cancelled by caller', {
+          tokensReceived: tokenCount
+        })
+        return { cancelled: true, requestId: requestId }
+      }
+      
+      throw new Error('Stream ended without a result')
+      
+    } catch (error) {
+      logger.error('ClientWorker', requestId, 'Streaming request failed', {
+        method: 'processPromptStream',
+        error: error.message,
+        stack: error.stack
+      })
+      throw error
+    }
+  }
+  
+  // Run many prompts through the gateway's processBatch stream. items are prompt strings or
+  // { prompt | messages, options?, model?, priority? } objects; opts.options, opts.model,
+  // opts.priority and opts.parallelism apply to the whole batch. opts.onStart({ requestId, total,
+  // parallelism }) and opts.onItem({ index, success, result | error }) report progress.
+  // Resolves to { success: true, status: 200 (207 when any item failed), requestId, results, summary }
+  // with results in item order, or to the gateway's rejection ({ error: true, status, message }).
+  static async processBatch(workerInstance, items, opts = {}) {
+    const requestId = Math.random().toString(36).substr(2, 9)
+    const data = { items: items }
+    for (const field of ['options', 'model', 'priority', 'parallelism']) {
+      if (opts[field] !== undefined) {
+        data[field] = opts[field]
+      }
+    }
+    
+    logger.info('ClientWorker', requestId, 'Sending prompt batch to gateway', {
+      items: Array.isArray(items) ? items.length : 0,
+      parallelism: opts.parallelism || null
+    })
+    
+    try {
+      const stream = workerInstance.net_default.jTopicStream(
+        'gateway',
+        'processBatch',
+        ClientHelper.buildRequestPayload(workerInstance, 'processBatch', data, opts),
+        { signal: opts.signal }
+      )
+      
+      const results = Array.isArray(items) ? new Array(items.length).fill(null) : []
+      for await (const chunk of stream) {
+        switch (chunk.type) {
+          case 'start':
+            if (opts.onStart) {
+              opts.onStart({ requestId: chunk.requestId, total: chunk.total, parallelism: chunk.parallelism })
+            }
+            break
+            
+          case 'item': {
+            const { type, ...item } = chunk
+            results[item.index] = item
+            if (opts.onItem) {
+              opts.onItem(item)
+            }
+            break
+          }
+            
+          case 'done':
+            logger.info('ClientWorker', requestId, 'Prompt batch completed', chunk.summary)
+            return {
+              success: true,
+              status: chunk.summary.failed > 0 ? 207 : 200,
+              requestId: chunk.requestId,
+              results: results,
+              summary: chunk.summary
+            }
+            
+          case 'error': {
+            logger.warn('ClientWorker', requestId, 'Gateway rejected prompt batch', {
+              status: chunk.status,
+              error: chunk.message
+            })
+            const { type, ...rejection } = chunk
+            return rejection
+          }
+        }
+      }
+      
+      if (opts.signal && opts.signal.aborted) {
+        logger.info('ClientWorker', requestId, 'Prompt batch cancelled by caller', {
+          itemsReceived: results.filter(Boolean).length
+        })
+        return { cancelled: true, requestId: requestId, results: results }
+      }
+      
+      throw new Error('Batch stream ended without a summary')
+      
+    } catch (error) {
+      logger.error('ClientWorker', requestId, 'Prompt batch failed', {
+        method: 'processBatch',
+        error: error.message,
+        stack: error.stack
+      })
+      throw error
+    }
+  }
+  
   // Method for user registration
   static async registerUser(workerInstance, email, password) {
     const requestId = Math.random().toString(36).substr(2, 9)
@@ -203,7 +430,8 @@ class ClientHelper {
   }
   
   // Method for user login
-  static async loginUser(workerInstance, email, password) {
+  // Pass opts.persistSession = false to return the token without storing it on the worker
+  static async loginUser(workerInstance, email, password, opts = {}) {
     const requestId = Math.random().toString(36).substr(2, 9)
     
     logger.info('ClientWorker', requestId, 'Starting user login', {
@@ -219,7 +447,7 @@ class ClientHelper {
       )
       
       // Store session key if login successful
-      if (result.success && result.key) {
+      if (result.success && result.key && opts.persistSession !== false) {
         workerInstance.sessionKey = result.key
         logger.jwt('ClientWorker', requestId, 'Session Key Stored', {
           email,
@@ -230,6 +458,11 @@ class ClientHelper {
           email: result.email,
           status: result.status
         })
+      } else if (result.success && result.key) {
+        logger.info('ClientWorker', requestId, 'User login successful - session returned to caller', {
+          email: result.email,
+          status: result.status
+        })
       } else {
         logger.warn('ClientWorker', requestId, 'User login failed', {
           email: email,
@@ -255,7 +488,7 @@ class ClientHelper {
     
     logger.info('ClientWorker', requestId, 'User logout initiated', null)
     
-    if (workerInstance.sessionKey) {
+    if (workerInstance && workerInstance.sessionKey) {
       workerInstance.sessionKey = null
       logger.info('ClientWorker', requestId, 'Session key cleared - logout successful', null)
       return {
@@ -272,18 +505,19 @@ class ClientHelper {
   }
   
   // Method to get current API token
-  static getApiToken(workerInstance) {
+  static getApiToken(workerInstance, opts = {}) {
     const requestId = Math.random().toString(36).substr(2, 9)
+    const sessionKey = ClientHelper.resolveSessionKey(workerInstance, opts)
     
     logger.debug('ClientWorker', requestId, 'API token retrieval requested', null)
     
-    if (workerInstance.sessionKey) {
+    if (sessionKey) {
       logger.info('ClientWorker', requestId, 'API token retrieved successfully', {
-        tokenLength: workerInstance.sessionKey.length
+        tokenLength: sessionKey.length
       })
       return {
         success: true,
-        token: workerInstance.sessionKey,
+        token: sessionKey,
         message: 'API token retrieved successfully'
       }
     } else {
@@ -296,14 +530,16 @@ class ClientHelper {
   }
   
   // Method for session verification
-  static async verifySession(workerInstance) {
+  static async verifySession(workerInstance, opts = {}) {
     const requestId = Math.random().toString(36).substr(2, 9)
     
     logger.info('ClientWorker', requestId, 'Session verification initiated', null)
     
     try {
+      const sessionKey = ClientHelper.resolveSessionKey(workerInstance, opts)
+      
       // Check if we have a session key
-      if (!workerInstance.sessionKey) {
+      if (!sessionKey) {
         logger.warn('ClientWorker', requestId, 'Session verification failed - no session key found', null)
         return {
           success: false,
@@ -316,7 +552,8 @@ class ClientHelper {
         workerInstance,
         'gateway',
         'verifySession',
-        {}
+        {},
+        { sessionKey }
       )
       
       logger.info('ClientWorker', requestId, 'Session verification completed', {
@@ -338,6 +575,152 @@ class ClientHelper {
     }
   }
 
+  // Shared call path for the gateway's conversation RPCs. Resolves with the gateway
+  // response ({ success, status, ... }); network errors are logged and rethrown.
+  static async conversationRequest(workerInstance, method, data, opts = {}) {
+    const requestId = Math.random().toString(36).substr(2, 9)
+    
+    logger.info('ClientWorker', requestId, 'Sending conversation request to gateway', {
+      method: method,
+      conversationId: data.conversationId || null
+    })
+    
+    try {
+      const result = await ClientHelper.authorizedTopicRequest(workerInstance, 'gateway', method, data, opts)
+      
+      if (result && result.success === false) {
+        logger.warn('ClientWorker', requestId, 'Gateway rejected conversation request', {
+          method: method,
+          status: result.status,
+          error: result.message
+        })
+      }
+      
+      return result
+      
+    } catch (error) {
+      logger.error('ClientWorker', requestId, 'Conversation request failed', {
+        method: method,
+        error: error.message,
+        stack: error.stack
+      })
+      throw error
+    }
+  }
+  
+  static async listConversations(workerInstance, opts = {}) {
+    const data = opts.limit ? { limit: opts.limit } : {}
+    return await ClientHelper.conversationRequest(workerInstance, 'listConversations', data, opts)
+  }
+  
+  static async createConversation(workerInstance, title, opts = {}) {
+    const data = title !== undefined && title !== null ? { title } : {}
+    return await ClientHelper.conversationRequest(workerInstance, 'createConversation', data, opts)
+  }
+  
+  static async getConversation(workerInstance, conversationId, opts = {}) {
+    return await ClientHelper.conversationRequest(workerInstance, 'getConversation', { conversationId }, opts)
+  }
+  
+  static async renameConversation(workerInstance, conversationId, title, opts = {}) {
+    return await ClientHelper.conversationRequest(workerInstance, 'renameConversation', { conversationId, title }, opts)
+  }
+  
+  static async deleteConversation(workerInstance, conversationId, opts = {}) {
+    return await ClientHelper.conversationRequest(workerInstance, 'deleteConversation', { conversationId }, opts)
+  }
+  
+  // Shared call path for the gateway's job RPCs, like conversationRequest
+  static async jobRequest(workerInstance, method, data, opts = {}) {
+    const requestId = Math.random().toString(36).substr(2, 9)
+    
+    logger.info('ClientWorker', requestId, 'Sending job request to gateway', {
+      method: method,
+      jobId: data.jobId || null
+    })
+    
+    try {
+      const result = await ClientHelper.authorizedTopicRequest(workerInstance, 'gateway', method, data, opts)
+      
+      if (result && result.success === false) {
+        logger.warn('ClientWorker', requestId, 'Gateway rejected job request', {
+          method: method,
+          status: result.status,
+          error: result.message
+        })
+      }
+      
+      return result
+      
+    } catch (error) {
+      logger.error('ClientWorker', requestId, 'Job request failed', {
+        method: method,
+        error: error.message,
+        stack: error.stack
+      })
+      throw error
+    }
+  }
+  
+  // Queue a prompt as an asynchronous job: { success, status: 202, job: { id, status, ... } }.
+  // inputPrompt and opts (conversationId, options, model, priority) are the same as for sendRequest.
+  static async submitJob(workerInstance, inputPrompt, opts = {}) {
+    const { data } = ClientHelper.buildPromptData(inputPrompt, opts)
+    return await ClientHelper.jobRequest(workerInstance, 'submitJob', data, opts)
+  }
+  
+  static async getJob(workerInstance, jobId, opts = {}) {
+    return await ClientHelper.jobRequest(workerInstance, 'getJob', { jobId }, opts)
+  }
+  
+  static async cancelJob(workerInstance, jobId, opts = {}) {
+    return await ClientHelper.jobRequest(workerInstance, 'cancelJob', { jobId }, opts)
+  }
+  
+  // Dead-letter store of failed jobs (admin sessions only; others get status 403).
+  // filter: { limit, errorCategory } for the listing; { jobIds } / { olderThan } / { all: true } for purging
+  static async listDeadLetters(workerInstance, filter = {}, opts = {}) {
+    return await ClientHelper.jobRequest(workerInstance, 'listDeadLetters', { limit: filter.limit, errorCategory: filter.errorCategory }, opts)
+  }
+  
+  static async getDeadLetter(workerInstance, jobId, opts = {}) {
+    return await ClientHelper.jobRequest(workerInstance, 'getDeadLetter', { jobId }, opts)
+  }
+  
+  static async requeueDeadLetter(workerInstance, jobId, opts = {}) {
+    return await ClientHelper.jobRequest(workerInstance, 'requeueDeadLetter', { jobId }, opts)
+  }
+  
+  static async purgeDeadLetters(workerInstance, filter = {}, opts = {}) {
+    return await ClientHelper.jobRequest(workerInstance, 'purgeDeadLetters', { jobIds: filter.jobIds, olderThan: filter.olderThan, all: filter.all }, opts)
+  }
+  
+  // Models the cluster can serve right now: { success, status, models: [{ id, processors }], processors }
+  static async listModels(workerInstance, opts = {}) {
+    const requestId = Math.random().toString(36).substr(2, 9)
+    logger.info('ClientWorker', requestId, 'Requesting available models from gateway', {})
+    
+    try {
+      const result = await ClientHelper.authorizedTopicRequest(workerInstance, 'gateway', 'listModels', {}, opts)
+      
+      if (result && result.success === false) {
+        logger.warn('ClientWorker', requestId, 'Gateway rejected model list request', {
+          status: result.status,
+          error: result.message
+        })
+      }
+      
+      return result
+      
+    } catch (error) {
+      logger.error('ClientWorker', requestId, 'Model list request failed', {
+        error: error.message,
+        stack: error.stack
+      })
+      throw error
+    }
+  }
+  
   // Method to detect stale DHT announcement errors
   static isStaleAnnouncementError(error) {
     if (!error || typeof error.message !== 'string') {
@@ -69,8 +69,15 @@ class ClientWorker extends Base {
   }
   
   // Delegates to helper
-  async sendRequest(inputPrompt) {
-    return await ClientHelper.sendRequest(this, inputPrompt)
+  // opts.sessionKey overrides the stored session (used by the bridge for per-user requests)
+  // inputPrompt may also be a conversation: [{ role, content }, ...]
+  async sendRequest(inputPrompt, opts) {
+    return await ClientHelper.sendRequest(this, inputPrompt, opts)
+  }
+  
+  // Delegates to helper - onToken is called for each generated token
+  async sendRequestStream(inputPrompt, onToken, opts) {
+    return await ClientHelper.sendRequestStream(this, inputPrompt, onToken, opts)
   }
   
   // Delegates to helper
@@ -79,8 +86,8 @@ class ClientWorker extends Base {
   }
   
   // Delegates to helper
-  async loginUser(email, password) {
-    return await ClientHelper.loginUser(this, email, password)
+  async loginUser(email, password, opts) {
+    return await ClientHelper.loginUser(this, email, password, opts)
   }
   
   // Delegates to helper
@@ -89,13 +96,73 @@ class ClientWorker extends Base {
   }
   
   // Delegates to helper
-  async verifySession() {
-    return await ClientHelper.verifySession(this)
+  async verifySession(opts) {
+    return await ClientHelper.verifySession(this, opts)
+  }
+  
+  // Conversation storage - delegates to helper (opts.sessionKey as for sendRequest)
+  async listConversations(opts) {
+    return await ClientHelper.listConversations(this, opts)
+  }
+  
+  async createConversation(title, opts) {
+    return await ClientHelper.createConversation(this, title, opts)
+  }
+  
+  async getConversation(conversationId, opts) {
+    return await ClientHelper.getConversation(this, conversationId, opts)
+  }
+  
+  async renameConversation(conversationId, title, opts) {
+    return await ClientHelper.renameConversation(this, conversationId, title, opts)
+  }
+  
+  async deleteConversation(conversationId, opts) {
+    return await ClientHelper.deleteConversation(this, conversationId, opts)
+  }
+  
+  // Many prompts at once over the gateway's processBatch stream - delegates to helper
+  async processBatch(items, opts) {
+    return await ClientHelper.processBatch(this, items, opts)
+  }
+  
+  async listModels(opts) {
+    return await ClientHelper.listModels(this, opts)
+  }
+  
+  // Asynchronous jobs - delegate to helper (input and opts as for sendRequest)
+  async submitJob(inputPrompt, opts) {
+    return await ClientHelper.submitJob(this, inputPrompt, opts)
+  }
+  
+  async getJob(jobId, opts) {
+    return await ClientHelper.getJob(this, jobId, opts)
+  }
+  
+  async cancelJob(jobId, opts) {
+    return await ClientHelper.cancelJob(this, jobId, opts)
+  }
+  
+  // Dead-letter admin operations - delegate to helper
+  async listDeadLetters(filter, opts) {
+    return await ClientHelper.listDeadLetters(this, filter, opts)
+  }
+  
+  async getDeadLetter(jobId, opts) {
+    return await ClientHelper.getDeadLetter(this, jobId, opts)
+  }
+  
+  async requeueDeadLetter(jobId, opts) {
+    return await ClientHelper.requeueDeadLetter(this, jobId, opts)
+  }
+  
+  async purgeDeadLetters(filter, opts) {
+    return await ClientHelper.purgeDeadLetters(this, filter, opts)
   }
   
   // Delegates to helper
-  getApiToken() {
-    return ClientHelper.getApiToken(this)
+  getApiToken(opts) {
+    return ClientHelper.getApiToken(this, opts)
   }
   
 
@@ -0,0 +1,155 @@
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+// Credentials Store - Keeps CLI logins across sessions in a per-user file, by default
+// ~/.config/distributed-inference/credentials.json ($XDG_CONFIG_HOME is honoured and
+// INFERENCE_CREDENTIALS_FILE overrides the path). The file is only readable by its owner (0600,
+// directory 0700) and holds named profiles, so one user can keep logins for several accounts or
+// clusters side by side:
+//
+//   { "current": "default", "profiles": { "default": { "email", "token", "savedAt" }, "staging": { ... } } }
+//
+// Every change is written to a temporary file and renamed over the old one.
+
+const DEFAULT_PROFILE = 'default'
+const PROFILE_NAME = /^[A-Za-z0-9_.-]{1,64}$/
+const FILE_MODE = 0o600
+const DIR_MODE = 0o700
+
+function checkProfileName(name) {
+  if (!CredentialsStore.isValidProfileName(name)) {
+    throw new Error(`Invalid profile name: ${name} (letters, digits, ".", "_" and "-", at most 64)`)
+  }
+}
+
+class CredentialsStore {
+
+  // Per-user directory for the CLI's files (credentials, readline history)
+  static configDir(env = process.env) {
+    return path.join(env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'distributed-inference')
+  }
+
+  static defaultPath(env = process.env) {
+    if (env.INFERENCE_CREDENTIALS_FILE) {
+      return env.INFERENCE_CREDENTIALS_FILE
+    }
+    return path.join(CredentialsStore.configDir(env), 'credentials.json')
+  }
+
+  static isValidProfileName(name) {
+    return typeof name === 'string' && PROFILE_NAME.test(name)
+  }
+
+  static empty() {
+    return { current: DEFAULT_PROFILE, profiles: {} }
+  }
+
+  /**
+   * Read the credentials file; a missing file is an empty store. A file other users can read is
+   * tightened to 0600 before it is used.
+   * @returns {object} { current, profiles }
+   */
+  static async load(filePath) {
+    let raw
+    try {
+      raw = await fs.promises.readFile(filePath, 'utf8')
+    } catch (error) {
+      if (error.code === 'ENOENT') return CredentialsStore.empty()
+      throw error
+    }
+
+    const stat = await fs.promises.stat(filePath)
+    if ((stat.mode & 0o077) !== 0) {
+      await fs.promises.chmod(filePath, FILE_MODE)
+    }
+
+    let data
+    try {
+      data = JSON.parse(raw)
+    } catch (error) {
+      throw new Error(`Credentials file ${filePath} is not valid JSON`)
+    }
+    return {
+      current: CredentialsStore.isValidProfileName(data.current) ? data.current : DEFAULT_PROFILE,
+      profiles: data.profiles && typeof data.profiles === 'object' ? data.profiles : {}
+    }
+  }
+
+  static async save(filePath, data) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true, mode: DIR_MODE })
+
+    const tmpPath = `${filePath}.${process.pid}.tmp`
+    await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2) + '\n', { mode: FILE_MODE })
+    // writeFile's mode is subject to the umask and ignored for an existing file
+    await fs.promises.chmod(tmpPath, FILE_MODE)
+    await fs.promises.rename(tmpPath, filePath)
+  }
+
+  // Profile to use: an explicit name (--profile), then INFERENCE_PROFILE, then the file's current one
+  static resolveProfileName(data, name = null, env = process.env) {
+    return name || env.INFERENCE_PROFILE || data.current
+  }
+
+  /**
+   * Credentials of one profile (see resolveProfileName).
+   * @returns {object} { name, email, token } - email and token are null when it holds no login
+   */
+  static async getProfile(filePath, name = null, env = process.env) {
+    const data = await CredentialsStore.load(filePath)
+    const profileName = CredentialsStore.resolveProfileName(data, name, env)
+    const profile = data.profiles[profileName] || {}
+    return {
+      name: profileName,
+      email: profile.email || null,
+      token: profile.token || null
+    }
+  }
+
+  // Store a login in a profile (created when needed)
+  static async saveProfile(filePath, name, { email = null, token }) {
+    checkProfileName(name)
+    const data = await CredentialsStore.load(filePath)
+    data.profiles[name] = { email: email, token: token, savedAt: new Date().toISOString() }
+    await CredentialsStore.save(filePath, data)
+    return data.profiles[name]
+  }
+
+  // Forget the login of a profile (logout); returns false when it held none
+  static async clearProfile(filePath, name) {
+    const data = await CredentialsStore.load(filePath)
+    if (!data.profiles[name]) return false
+    delete data.profiles[name]
+    await CredentialsStore.save(filePath, data)
+    return true
+  }
+
+  // Make a profile the current one; it does not need to hold a login yet
+  static async useProfile(filePath, name) {
+    checkProfileName(name)
+    const data = await CredentialsStore.load(filePath)
+    data.current = name
+    await CredentialsStore.save(filePath, data)
+    return name
+  }
+
+  // [{ name, email, loggedIn, current, savedAt }], without the tokens
+  static async listProfiles(filePath) {
+    const data = await CredentialsStore.load(filePath)
+    const names = Object.keys(data.profiles)
+    if (!names.includes(data.current)) names.push(data.current)
+    return names.sort().map(name => ({
+      name: name,
+      email: data.profiles[name] ? data.profiles[name].email || null : null,
+      loggedIn: Boolean(data.profiles[name] && data.profiles[name].token),
+      current: name === data.current,
+      savedAt: data.profiles[name] ? data.profiles[name].savedAt : null
+    }))
+  }
+}
+
+CredentialsStore.DEFAULT_PROFILE = DEFAULT_PROFILE
+
+module.exports = CredentialsStore
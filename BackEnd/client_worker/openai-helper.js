@@ -0,0 +1,236 @@
+'use strict'
+
+// OpenAI Helper - Translates between the OpenAI REST format and the gateway's processPrompt flow
+// Used by the bridge server's /v1 endpoints; every function here is pure so it can be unit tested
+
+// Model echoed in responses when a request does not name one (the processors pick their default)
+const DEFAULT_MODEL = process.env.OPENAI_DEFAULT_MODEL || 'llama3'
+const MODEL_OWNER = 'distributed-inference'
+
+const VALID_ROLES = ['system', 'user', 'assistant']
+
+// OpenAI sampling fields forwarded to the gateway as generation options (same names there);
+// the gateway validates their ranges and answers 400 for bad values
+const OPTION_FIELDS = ['temperature', 'top_p', 'max_tokens', 'stop', 'seed']
+
+class OpenAIHelper {
+
+  // OpenAI error body: { error: { message, type, code } }
+  static buildError(message, type = 'invalid_request_error', code = null) {
+    return {
+      error: {
+        message: message,
+        type: type,
+        code: code
+      }
+    }
+  }
+
+  // OpenAI SDKs always send "Authorization: Bearer <key>"; the key is our JWT/API token
+  static getBearerToken(authorizationHeader) {
+    if (typeof authorizationHeader !== 'string' || !authorizationHeader.startsWith('Bearer ')) {
+      return null
+    }
+
+    const token = authorizationHeader.substring(7).trim()
+    return token || null
+  }
+
+  // Model named in the body, or null
+  static getRequestedModel(body) {
+    return typeof body.model === 'string' && body.model ? body.model : null
+  }
+
+  // Generation options for the gateway from the OpenAI fields of a body, or undefined if it sets none.
+  // Unset (null) fields are left out so the processors' defaults apply.
+  static getGenerationOptions(body) {
+    const options = {}
+    for (const field of OPTION_FIELDS) {
+      if (body[field] !== undefined && body[field] !== null) {
+        options[field] = body[field]
+      }
+    }
+    return Object.keys(options).length > 0 ? options : undefined
+  }
+
+  // Validate a /v1/chat/completions body
+  // Returns { error } (OpenAI error body) or { messages, input, promptText, model, requestedModel, options, stream }.
+  // The messages are forwarded as a conversation; promptText (last user message) is for logs.
+  // requestedModel is the model the body named (null if none), to route the prompt with.
+  static parseChatRequest(body) {
+    if (!body || !Array.isArray(body.messages) || body.messages.length === 0) {
+      return { error: OpenAIHelper.buildError("'messages' must be a non-empty array", 'invalid_request_error', 'invalid_messages') }
+    }
+
+    for (let index = 0; index < body.messages.length; index++) {
+      const message = body.messages[index]
+      if (!message || !VALID_ROLES.includes(message.role)) {
+        return { error: OpenAIHelper.buildError(`'messages[${index}].role' must be one of ${VALID_ROLES.join(', ')}`, 'invalid_request_error', 'invalid_messages') }
+      }
+      if (typeof message.content !== 'string') {
+        return { error: OpenAIHelper.buildError(`'messages[${index}].content' must be a string`, 'invalid_request_error', 'invalid_messages') }
+      }
+    }
+
+    if (body.messages[body.messages.length - 1].role !== 'user') {
+      return { error: OpenAIHelper.buildError("The last message must have role 'user'", 'invalid_request_error', 'invalid_messages') }
+    }
+
+    // Drop fields the gateway does not use (name, tool_calls, ...)
+    const messages = body.messages.map(message => ({ role: message.role, content: message.content }))
+
+    return {
+      messages: messages,
+      input: messages,
+      promptText: messages[messages.length - 1].content,
+      model: OpenAIHelper.getRequestedModel(body) || DEFAULT_MODEL,
+      requestedModel: OpenAIHelper.getRequestedModel(body),
+      options: OpenAIHelper.getGenerationOptions(body),
+      stream: body.stream === true
+    }
+  }
+
+  // Validate a /v1/completions body
+  // Returns { error } (OpenAI error body) or { prompt, input, promptText, model, requestedModel, options, stream }
+  static parseCompletionRequest(body) {
+    let prompt = body ? body.prompt : undefined
+
+    // SDKs may send a single-element array of prompts
+    if (Array.isArray(prompt) && prompt.length === 1) {
+      prompt = prompt[0]
+    }
+
+    if (typeof prompt !== 'string' || !prompt) {
+      return { error: OpenAIHelper.buildError("'prompt' must be a non-empty string", 'invalid_request_error', 'invalid_prompt') }
+    }
+
+    return {
+      prompt: prompt,
+      input: prompt,
+      promptText: prompt,
+      model: OpenAIHelper.getRequestedModel(body) || DEFAULT_MODEL,
+      requestedModel: OpenAIHelper.getRequestedModel(body),
+      options: OpenAIHelper.getGenerationOptions(body),
+      stream: body.stream === true
+    }
+  }
+
+  // Map a gateway error result ({ error/success:false, status, message }) to { status, body }
+  static mapGatewayError(result) {
+    const status = result.status || 500
+    const message = result.message || 'Request processing failed'
+
+    if (status === 401) {
+      return { status, body: OpenAIHelper.buildError(message, 'invalid_request_error', 'invalid_api_key') }
+    }
+    if (status === 429) {
+      return { status, body: OpenAIHelper.buildError(message, 'requests', 'rate_limit_exceeded') }
+    }
+    // Includes the gateway's validation of the forwarded options ("Invalid input: ...")
+    if (status === 400) {
+      return { status, body: OpenAIHelper.buildError(message, 'invalid_request_error', null) }
+    }
+    // No processor announces the requested model (MODEL_NOT_AVAILABLE)
+    if (status === 404) {
+      return { status, body: OpenAIHelper.buildError(message, 'invalid_request_error', 'model_not_found') }
+    }
+
+    return { status, body: OpenAIHelper.buildError(message, 'server_error', null) }
+  }
+
+  // Map a thrown network error (gateway unreachable, channel closed...) to { status, body }
+  static mapNetworkError(error) {
+    if (error.message.includes('ERR_TOPIC_LOOKUP_EMPTY') || error.message.includes('ERR_TOPIC_PEERS_CIRCUIT_OPEN')) {
+      return { status: 503, body: OpenAIHelper.buildError('Backend service is not available', 'server_error', 'service_unavailable') }
+    }
+
+    return { status: 500, body: OpenAIHelper.buildError(error.message, 'server_error', null) }
+  }
+
+  static newCompletionId(prefix) {
+    return `${prefix}-${Math.random().toString(36).substr(2, 9)}`
+  }
+
+  static nowSeconds() {
+    return Math.floor(Date.now() / 1000)
+  }
+
+  // Non-streaming /v1/chat/completions response
+  static buildChatCompletion(result, model) {
+    return {
+      id: OpenAIHelper.newCompletionId('chatcmpl'),
+      object: 'chat.completion',
+      created: OpenAIHelper.nowSeconds(),
+      model: model,
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content: result.response || '' },
+        finish_reason: 'stop'
+      }]
+    }
+  }
+
+  // One SSE chunk of a streaming /v1/chat/completions response
+  static buildChatChunk(id, created, model, delta, finishReason = null) {
+    return {
+      id: id,
+      object: 'chat.completion.chunk',
+      created: created,
+      model: model,
+      choices: [{
+        index: 0,
+        delta: delta,
+        finish_reason: finishReason
+      }]
+    }
+  }
+
+  // Non-streaming /v1/completions response
+  static buildCompletion(result, model) {
+    return {
+      id: OpenAIHelper.newCompletionId('cmpl'),
+      object: 'text_completion',
+      created: OpenAIHelper.nowSeconds(),
+      model: model,
+      choices: [{
+        index: 0,
+        text: result.response || '',
+        logprobs: null,
+        finish_reason: 'stop'
+      }]
+    }
+  }
+
+  // One SSE chunk of a streaming /v1/completions response
+  static buildCompletionChunk(id, created, model, text, finishReason = null) {
+    return {
+      id: id,
+      object: 'text_completion',
+      created: created,
+      model: model,
+      choices: [{
+        index: 0,
+        text: text,
+        logprobs: null,
+        finish_reason: finishReason
+      }]
+    }
+  }
+
+  // /v1/models response from the gateway's listModels result ({ models: [{ id, processors }] })
+  static buildModelList(models = []) {
+    return {
+      object: 'list',
+      data: models.map(model => ({
+        id: model.id,
+        object: 'model',
+        created: 0,
+        owned_by: MODEL_OWNER
+      }))
+    }
+  }
+}
+
+OpenAIHelper.DEFAULT_MODEL = DEFAULT_MODEL
+
+module.exports = OpenAIHelper
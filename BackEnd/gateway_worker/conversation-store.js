@@ -0,0 +1,213 @@
+'use strict'
+
+const crypto = require('crypto')
+const KeyedLock = require('./keyed-lock.js')
+
+// Conversation storage for the gateway, kept per user in a Hyperbee ("conversations").
+//
+// Keys (user emails are URI-encoded so they cannot contain the "/" separator):
+//   conversation/<user>/<id>                          -> full conversation { id, title, createdAt, updatedAt, messages }
+//   conversation-index/<user>/<inverted updatedAt>/<id> -> summary { id, title, createdAt, updatedAt, messageCount }
+// The index timestamp is inverted so a plain range read lists the most recently
+// updated conversations first; it is rewritten whenever a conversation changes.
+
+const MAX_TIMESTAMP = 9999999999999
+const DEFAULT_LIST_LIMIT = 50
+const MAX_LIST_LIMIT = 200
+const MAX_TITLE_LENGTH = 200
+const DEFAULT_TITLE = 'New conversation'
+
+class ConversationStore {
+  // Lazily initialise and cache the Hyperbee database used for conversations
+  static async _getDb (workerInstance) {
+    if (!workerInstance || !workerInstance.store_s0) {
+      throw new Error('Store facility not available in worker instance')
+    }
+
+    // Re-use the same Bee instance for the lifetime of the process
+    if (!ConversationStore._db) {
+      ConversationStore._db = await workerInstance.store_s0.getBee(
+        { name: 'conversations' },
+        {
+          keyEncoding: 'utf-8',
+          valueEncoding: 'json'
+        }
+      )
+      await ConversationStore._db.ready()
+    }
+
+    return ConversationStore._db
+  }
+
+  static _userPrefix (userEmail) {
+    return encodeURIComponent(userEmail)
+  }
+
+  static _recordKey (userEmail, id) {
+    return `conversation/${ConversationStore._userPrefix(userEmail)}/${id}`
+  }
+
+  static _indexPrefix (userEmail) {
+    return `conversation-index/${ConversationStore._userPrefix(userEmail)}/`
+  }
+
+  static _indexKey (userEmail, conversation) {
+    const inverted = String(MAX_TIMESTAMP - conversation.updatedAt).padStart(13, '0')
+    return `${ConversationStore._indexPrefix(userEmail)}${inverted}/${conversation.id}`
+  }
+
+  static _summary (conversation) {
+    return {
+      id: conversation.id,
+      title: conversation.title,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt,
+      messageCount: conversation.messages.length
+    }
+  }
+
+  static normalizeTitle (title) {
+    if (typeof title !== 'string' || !title.trim()) {
+      return null
+    }
+    return title.trim().substring(0, MAX_TITLE_LENGTH)
+  }
+
+  // Title derived from the first user message, used when a conversation has none yet
+  static titleFromMessage (content) {
+    const firstLine = String(content || '').trim().split('\n')[0]
+    if (!firstLine) return DEFAULT_TITLE
+    return firstLine.length > 60 ? firstLine.substring(0, 60) + '...' : firstLine
+  }
+
+  // Write a conversation and move its index entry (previous = the stored version, if any)
+  static async _write (db, userEmail, conversation, previous) {
+    const batch = db.batch()
+    if (previous) {
+      await batch.del(ConversationStore._indexKey(userEmail, previous))
+    }
+    await batch.put(ConversationStore._recordKey(userEmail, conversation.id), conversation)
+    await batch.put(ConversationStore._indexKey(userEmail, conversation), ConversationStore._summary(conversation))
+    await batch.flush()
+  }
+
+  static async _read (db, userEmail, id) {
+    if (typeof id !== 'string' || !id) return null
+    const entry = await db.get(ConversationStore._recordKey(userEmail, id))
+    return entry && entry.value ? entry.value : null
+  }
+
+  /**
+   * Create a conversation for userEmail.
+   * @returns {object} the stored conversation
+   */
+  static async create (workerInstance, userEmail, { title, messages = [] } = {}) {
+    const db = await ConversationStore._getDb(workerInstance)
+    const now = Date.now()
+
+    const conversation = {
+      id: crypto.randomBytes(8).toString('hex'),
+      title: ConversationStore.normalizeTitle(title) || DEFAULT_TITLE,
+      titleSet: !!ConversationStore.normalizeTitle(title),
+      createdAt: now,
+      updatedAt: now,
+      messages: messages.map(message => ({ role: message.role, content: message.content, createdAt: now }))
+    }
+
+    await ConversationStore._write(db, userEmail, conversation, null)
+    return conversation
+  }
+
+  /**
+   * List a user's conversation summaries, most recently updated first.
+   * @returns {object[]} [{ id, title, createdAt, updatedAt, messageCount }]
+   */
+  static async list (workerInstance, userEmail, { limit } = {}) {
+    const db = await ConversationStore._getDb(workerInstance)
+    const prefix = ConversationStore._indexPrefix(userEmail)
+    const max = Math.min(parseInt(limit, 10) || DEFAULT_LIST_LIMIT, MAX_LIST_LIMIT)
+
+    const summaries = []
+    // "0" sorts right after "/", so this range covers exactly the user's index keys
+    for await (const entry of db.createReadStream({ gte: prefix, lt: prefix.slice(0, -1) + '0', limit: max })) {
+      summaries.push(entry.value)
+    }
+    return summaries
+  }
+
+  // @returns {object|null} the conversation with its messages, or null when the user has none with this id
+  static async get (workerInstance, userEmail, id) {
+    const db = await ConversationStore._getDb(workerInstance)
+    return await ConversationStore._read(db, userEmail, id)
+  }
+
+  // @returns {object|null} the renamed conversation, or null when it does not exist
+  static async rename (workerInstance, userEmail, id, title) {
+    const normalizedTitle = ConversationStore.normalizeTitle(title)
+    if (!normalizedTitle) {
+      throw new Error('Title must be a non-empty string')
+    }
+
+    const db = await ConversationStore._getDb(workerInstance)
+    return await ConversationStore._locks.run(ConversationStore._recordKey(userEmail, id), async () => {
+      const previous = await ConversationStore._read(db, userEmail, id)
+      if (!previous) return null
+
+      const conversation = { ...previous, title: normalizedTitle, titleSet: true, updatedAt: Date.now() }
+      await ConversationStore._write(db, userEmail, conversation, previous)
+      return conversation
+    })
+  }
+
+  // @returns {boolean} whether a conversation was deleted
+  static async remove (workerInstance, userEmail, id) {
+    const db = await ConversationStore._getDb(workerInstance)
+    return await ConversationStore._locks.run(ConversationStore._recordKey(userEmail, id), async () => {
+      const previous = await ConversationStore._read(db, userEmail, id)
+      if (!previous) return false
+
+      const batch = db.batch()
+      await batch.del(ConversationStore._indexKey(userEmail, previous))
+      await batch.del(ConversationStore._recordKey(userEmail, id))
+      await batch.flush()
+      return true
+    })
+  }
+
+  /**
+   * Append messages ([{ role, content }]) to a conversation. Untitled conversations
+   * take their title from the first user message.
+   * @returns {object|null} the updated conversation, or null when it does not exist
+   */
+  static async appendMessages (workerInstance, userEmail, id, messages) {
+    const db = await ConversationStore._getDb(workerInstance)
+    return await ConversationStore._locks.run(ConversationStore._recordKey(userEmail, id), async () => {
+      const previous = await ConversationStore._read(db, userEmail, id)
+      if (!previous) return null
+
+      const now = Date.now()
+      const conversation = {
+        ...previous,
+        updatedAt: now,
+        messages: previous.messages.concat(messages.map(message => ({ role: message.role, content: message.content, createdAt: now })))
+      }
+
+      if (!conversation.titleSet) {
+        const firstUser = conversation.messages.find(message => message.role === 'user')
+        if (firstUser) {
+          conversation.title = ConversationStore.titleFromMessage(firstUser.content)
+          conversation.titleSet = true
+        }
+      }
+
+      await ConversationStore._write(db, userEmail, conversation, previous)
+      return conversation
+    })
+  }
+}
+
+ConversationStore._db = null
+// Serialises read-modify-write cycles on the same conversation
+ConversationStore._locks = new KeyedLock()
+
+module.exports = ConversationStore
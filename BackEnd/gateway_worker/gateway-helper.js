@@ -2,7 +2,48 @@
 
 const jwt = require('jsonwebtoken')
 const RateLimiter = require('./rate-limiter.js')
+const ConversationStore = require('./conversation-store.js')
+const JobStore = require('./job-store.js')
 const logger = require('../shared-logger.js')
+const { PROCESSOR_TOPIC, modelTopic, normalizeModelName } = require('../model-topics.js')
+
+// Chat requests ({ messages }) are validated here before they reach a processor
+const CHAT_ROLES = ['system', 'user', 'assistant']
+const MAX_CHAT_MESSAGES = 100
+
+// Generation options ({ options } in prompt data) and their accepted ranges; the processor
+// maps them onto its backend's parameters (e.g. max_tokens -> Ollama num_predict)
+const GENERATION_OPTIONS = {
+  temperature: { type: 'number', min: 0, max: 2 },
+  top_p: { type: 'number', min: 0, max: 1 },
+  top_k: { type: 'integer', min: 1, max: 1000 },
+  max_tokens: { type: 'integer', min: 1, max: 32768 },
+  seed: { type: 'integer', min: 0, max: 2147483647 },
+  stop: { type: 'stop' },
+  model: { type: 'model' }
+}
+const MAX_STOP_SEQUENCES = 4
+const MAX_STOP_LENGTH = 100
+const MODEL_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._:/-]{0,99}$/
+
+// How long listModels waits for each processor's model list
+const MODEL_LIST_TIMEOUT_MS = 5000
+
+// How long a processor gets to answer a load probe (ping)
+const PROBE_TIMEOUT_MS = 5000
+
+// processBatch limits, overridable under "batch" in config/gateway.json
+const DEFAULT_BATCH_MAX_ITEMS = 500
+const DEFAULT_BATCH_PARALLELISM = 4
+const DEFAULT_BATCH_MAX_PARALLELISM = 16
+// Prompt fields a batch item may carry; everything else is dropped
+const BATCH_ITEM_FIELDS = ['prompt', 'messages', 'options', 'model', 'priority']
+// Error code of a failed batch item that did not come with one
+const BATCH_ERROR_CODES = { 400: 'INVALID_REQUEST', 401: 'AUTH_FAILED', 404: 'NOT_FOUND', 429: 'RATE_LIMITED' }
+
+// Dead-letter listing page size (default / largest)
+const DEAD_LETTER_LIST_LIMIT = 50
+const DEAD_LETTER_LIST_MAX = 500
 
 // Gateway Helper - Contains core gateway business logic
 // These functions are bound to the main GatewayWorker instance
@@ -97,65 +138,346 @@ class GatewayHelper {
     }
   }
   
-  // RPC method called by clients for AI processing
-  static async processPrompt(workerInstance, data) {
-    const requestId = Math.random().toString(36).substr(2, 9)
-    logger.info('GatewayWorker', requestId, 'Processing AI prompt request', {
-      method: 'processPrompt'
+  // Validate generation options (see GENERATION_OPTIONS). Returns an error message, or null when valid.
+  static validateGenerationOptions(options) {
+    if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+      return 'Invalid input: options must be an object'
+    }
+    
+    for (const [name, value] of Object.entries(options)) {
+      const rule = GENERATION_OPTIONS[name]
+      if (!rule) {
+        return `Invalid input: unknown option "${name}" (supported: ${Object.keys(GENERATION_OPTIONS).join(', ')})`
+      }
+      
+      if (rule.type === 'stop') {
+        const sequences = Array.isArray(value) ? value : [value]
+        if (sequences.length === 0 || sequences.length > MAX_STOP_SEQUENCES) {
+          return `Invalid input: options.stop must be a string or an array of 1-${MAX_STOP_SEQUENCES} strings`
+        }
+        if (!sequences.every(sequence => typeof sequence === 'string' && sequence.length > 0 && sequence.length <= MAX_STOP_LENGTH)) {
+          return `Invalid input: options.stop entries must be non-empty strings of at most ${MAX_STOP_LENGTH} characters`
+        }
+      } else if (rule.type === 'model') {
+        if (typeof value !== 'string' || !MODEL_NAME_PATTERN.test(value)) {
+          return 'Invalid input: options.model must be a model name such as "llama3" or "llama3:8b"'
+        }
+      } else {
+        const isNumber = typeof value === 'number' && Number.isFinite(value)
+        if (!isNumber || (rule.type === 'integer' && !Number.isInteger(value))) {
+          return `Invalid input: options.${name} must be ${rule.type === 'integer' ? 'an integer' : 'a number'}`
+        }
+        if (value < rule.min || value > rule.max) {
+          return `Invalid input: options.${name} must be between ${rule.min} and ${rule.max}`
+        }
+      }
+    }
+    
+    return null
+  }
+  
+  // Validate prompt input: either { prompt: string } or { messages: [{ role, content }] },
+  // plus the optional conversationId, model and generation options.
+  // Returns an error message, or null when the input is valid.
+  static validatePromptInput(actualData) {
+    if (!actualData) {
+      return 'Invalid input: expected { prompt: string }'
+    }
+    
+    if (actualData.conversationId !== undefined && (typeof actualData.conversationId !== 'string' || !actualData.conversationId)) {
+      return 'Invalid input: conversationId must be a non-empty string'
+    }
+    
+    if (actualData.options !== undefined) {
+      const optionsError = GatewayHelper.validateGenerationOptions(actualData.options)
+      if (optionsError) {
+        return optionsError
+      }
+    }
+    
+    if (actualData.model !== undefined) {
+      if (typeof actualData.model !== 'string' || !MODEL_NAME_PATTERN.test(actualData.model)) {
+        return 'Invalid input: model must be a model name such as "llama3" or "llama3:8b"'
+      }
+      if (actualData.options?.model !== undefined && actualData.options.model !== actualData.model) {
+        return 'Invalid input: model and options.model name different models'
+      }
+    }
+    
+    if (actualData.messages === undefined) {
+      return typeof actualData.prompt === 'string' ? null : 'Invalid input: expected { prompt: string }'
+    }
+    
+    if (actualData.prompt !== undefined) {
+      return 'Invalid input: send either prompt or messages, not both'
+    }
+    if (!Array.isArray(actualData.messages) || actualData.messages.length === 0) {
+      return 'Invalid input: messages must be a non-empty array'
+    }
+    if (actualData.messages.length > MAX_CHAT_MESSAGES) {
+      return `Invalid input: at most ${MAX_CHAT_MESSAGES} messages are allowed`
+    }
+    
+    for (let index = 0; index < actualData.messages.length; index++) {
+      const message = actualData.messages[index]
+      if (!message || !CHAT_ROLES.includes(message.role)) {
+        return `Invalid input: messages[${index}].role must be one of ${CHAT_ROLES.join(', ')}`
+      }
+      if (typeof message.content !== 'string') {
+        return `Invalid input: messages[${index}].content must be a string`
+      }
+    }
+    
+    if (actualData.messages[actualData.messages.length - 1].role !== 'user') {
+      return 'Invalid input: the last message must have role user'
+    }
+    
+    return null
+  }
+  
+  // Model the caller asked for ({ model } or options.model), or null for the processors' default
+  static getRequestedModel(actualData) {
+    return actualData?.model || actualData?.options?.model || null
+  }
+  
+  // Answer for a prompt naming a model no processor currently announces
+  static modelNotAvailable(model, requestId) {
+    return {
+      error: true,
+      status: 404,
+      code: 'MODEL_NOT_AVAILABLE',
+      message: `Model "${model}" is not available`,
+      requestId: requestId
+    }
+  }
+  
+  // Every processor that was tried had a full work queue (PROCESSOR_BUSY)
+  static processorsBusy(requestId) {
+    return {
+      error: true,
+      status: 503,
+      code: 'PROCESSOR_BUSY',
+      message: 'All processors are busy, please try again shortly',
+      requestId: requestId
+    }
+  }
+  
+  // Text used for prompt logs: the prompt, or the last user message of a chat
+  static getPromptText(actualData) {
+    if (actualData && Array.isArray(actualData.messages)) {
+      const lastUser = actualData.messages.filter(message => message && message.role === 'user').pop()
+      return lastUser && typeof lastUser.content === 'string' ? lastUser.content : ''
+    }
+    return actualData && typeof actualData.prompt === 'string' ? actualData.prompt : ''
+  }
+  
+  // Shared front half of prompt handling: unwrap, authenticate, rate limit and validate.
+  // Returns { rejection } when the request must be answered without reaching a processor,
+  // otherwise { actualData, processorData, authKey, authValidation, rateLimitInfo, model, topic }. Throws on invalid input.
+  // With a conversationId, processorData carries the stored history plus the new prompt as messages.
+  // A requested model travels to the processor as options.model, and topic is that model's DHT topic.
+  static async authorizePromptRequest(workerInstance, data, methodName, requestId) {
+    // Extract actual data and auth info
+    const { actualData, authKey } = GatewayHelper.extractRequestData(data)
+    
+    // Validate authentication for protected methods
+    const authValidation = await GatewayHelper.validateAuthKey(authKey, methodName, requestId)
+    if (!authValidation.isValid) {
+      // Log authentication failure
+      logger.prompt('GatewayWorker', requestId, 'AUTH_FAILED', {
+        error: 'Authentication failed',
+        method: methodName
+      })
+      
+      return { rejection: authValidation.error }
+    }
+    
+    // Log authenticated request received at gateway
+    const promptText = GatewayHelper.getPromptText(actualData)
+    logger.prompt('GatewayWorker', requestId, 'PROCESSING_START', {
+      user: authValidation.decoded?.email || 'anonymous',
+      prompt: promptText ? (promptText.length > 200 ? promptText.substring(0, 200) + '...' : promptText) : 'N/A',
+      promptLength: promptText.length,
+      messageCount: Array.isArray(actualData.messages) ? actualData.messages.length : 0
     })
+
+    // Apply per-user rate limiting
+    let rateLimitInfo = null
+    if (!authValidation.skipAuth && authValidation.decoded?.email) {
+      const rlResult = await RateLimiter.checkRateLimit(workerInstance, authValidation.decoded.email)
+      if (!rlResult.allowed) {
+        logger.warn('GatewayWorker', requestId, 'Rate limit exceeded', {
+          user: authValidation.decoded.email,
+          method: methodName
+        })
+        // Remove internal flag before sending to client
+        const { allowed, ...clientError } = rlResult
+        return { rejection: clientError }
+      }
+      // Store rate limit info for successful response
+      rateLimitInfo = rlResult.rateLimitInfo
+    }
     
+    // Validate input data
+    const validationError = GatewayHelper.validatePromptInput(actualData)
+    if (validationError) {
+      logger.error('GatewayWorker', requestId, `Invalid input data for ${methodName}`, {
+        method: methodName,
+        hasActualData: !!actualData,
+        promptType: typeof actualData?.prompt,
+        validationError: validationError
+      })
+      const error = new Error(validationError)
+      error.status = 400
+      throw error
+    }
+    
+    let processorData = actualData
+    if (actualData.conversationId) {
+      const conversation = await ConversationStore.get(workerInstance, authValidation.decoded?.email, actualData.conversationId)
+      if (!conversation) {
+        logger.warn('GatewayWorker', requestId, 'Conversation not found for prompt', {
+          method: methodName,
+          conversationId: actualData.conversationId
+        })
+        return {
+          rejection: {
+            success: false,
+            status: 404,
+            message: 'Conversation not found',
+            method: methodName
+          }
+        }
+      }
+      
+      // Callers may send just the new prompt; the stored history supplies the context
+      if (typeof actualData.prompt === 'string') {
+        const history = conversation.messages
+          .slice(-(MAX_CHAT_MESSAGES - 1))
+          .map(message => ({ role: message.role, content: message.content }))
+        processorData = { messages: history.concat({ role: 'user', content: actualData.prompt }) }
+      } else {
+        processorData = { messages: actualData.messages }
+      }
+      if (actualData.options) {
+        processorData.options = actualData.options
+      }
+    }
+    
+    // Priority class for the gateway scheduler; it never reaches the processor
+    if (actualData.priority !== undefined) {
+      if (workerInstance.scheduler && !workerInstance.scheduler.hasPriority(actualData.priority)) {
+        const error = new Error(`Invalid priority: expected one of ${Object.keys(workerInstance.scheduler.priorities).join(', ')}`)
+        error.status = 400
+        throw error
+      }
+      processorData = { ...processorData }
+      delete processorData.priority
+    }
+    
+    const model = GatewayHelper.getRequestedModel(actualData)
+    if (model) {
+      processorData = { ...processorData, options: { ...processorData.options, model: model } }
+      delete processorData.model
+    }
+    const topic = model ? modelTopic(model) : PROCESSOR_TOPIC
+    
+    return { actualData, processorData, authKey, authValidation, rateLimitInfo, model, topic }
+  }
+  
+  // Wait for the gateway scheduler (fair share across users, see scheduler.js) before a prompt
+  // goes to a processor. Returns { release, queueInfo: { waitMs, priority } }, or { rejection }
+  // when the queue is full or the wait timed out. Without a scheduler prompts go straight through.
+  static async schedulePrompt(workerInstance, authorization, methodName, requestId, signal) {
+    if (!workerInstance.scheduler) {
+      return { release: () => {}, queueInfo: null }
+    }
+    
+    const decoded = authorization.authValidation.decoded
     try {
-      // Extract actual data and auth info
-      const { actualData, authKey } = GatewayHelper.extractRequestData(data)
+      const ticket = await workerInstance.scheduler.schedule({
+        user: decoded?.email || 'anonymous',
+        role: decoded?.role,
+        priority: authorization.actualData.priority,
+        signal: signal
+      })
       
-      // Validate authentication for protected methods
-      const authValidation = await GatewayHelper.validateAuthKey(authKey, 'processPrompt', requestId)
-      if (!authValidation.isValid) {
-        // Log authentication failure
-        logger.prompt('GatewayWorker', requestId, 'AUTH_FAILED', {
-          error: 'Authentication failed',
-          method: 'processPrompt'
+      if (ticket.waitMs > 0) {
+        logger.debug('GatewayWorker', requestId, 'Prompt left the scheduler queue', {
+          method: methodName,
+          priority: ticket.priority,
+          queueWaitMs: ticket.waitMs
         })
-        
-        return authValidation.error
+      }
+      return { release: ticket.release, queueInfo: { waitMs: ticket.waitMs, priority: ticket.priority } }
+    } catch (error) {
+      // Scheduler rejections carry a string code (USER_QUEUE_FULL, ...); a cancelled request
+      // rejects with the signal's reason, an AbortError whose numeric DOMException code is not one
+      if (error.name === 'AbortError' || typeof error.code !== 'string') {
+        throw error
       }
       
-      // Log authenticated request received at gateway
-      logger.prompt('GatewayWorker', requestId, 'PROCESSING_START', {
-        user: authValidation.decoded?.email || 'anonymous',
-        prompt: actualData.prompt ? (actualData.prompt.length > 200 ? actualData.prompt.substring(0, 200) + '...' : actualData.prompt) : 'N/A',
-        promptLength: actualData.prompt ? actualData.prompt.length : 0
+      logger.warn('GatewayWorker', requestId, 'Prompt rejected by the scheduler', {
+        method: methodName,
+        user: decoded?.email || 'anonymous',
+        code: error.code,
+        schedulerStats: workerInstance.scheduler.stats()
       })
-
-      // Apply per-user rate limiting
-      let rateLimitInfo = null
-      if (!authValidation.skipAuth && authValidation.decoded?.email) {
-        const rlResult = await RateLimiter.checkRateLimit(workerInstance, authValidation.decoded.email)
-        if (!rlResult.allowed) {
-          logger.warn('GatewayWorker', requestId, 'Rate limit exceeded', {
-            user: authValidation.decoded.email,
-            method: 'processPrompt'
-          })
-          // Remove internal flag before sending to client
-          const { allowed, ...clientError } = rlResult
-          return clientError
+      return {
+        rejection: {
+          error: true,
+          status: error.status,
+          code: error.code,
+          message: error.message,
+          requestId: requestId
         }
-        // Store rate limit info for successful response
-        rateLimitInfo = rlResult.rateLimitInfo
       }
-      
-      // Validate input data
-      if (!actualData || typeof actualData.prompt !== 'string') {
-        logger.error('GatewayWorker', requestId, 'Invalid input data for processPrompt', {
-          method: 'processPrompt',
-          hasActualData: !!actualData,
-          promptType: typeof actualData?.prompt
-        })
-        throw new Error('Invalid input: expected { prompt: string }')
+    }
+  }
+  
+  // Append-on-completion: store the user's turn and the response in the request's conversation.
+  // Failed and LLM_UNAVAILABLE results are not stored; storage errors never fail the prompt itself.
+  static async recordConversationTurn(workerInstance, actualData, authValidation, result, requestId) {
+    if (!actualData.conversationId || !result || result.error || result.note || typeof result.response !== 'string') {
+      return
+    }
+    
+    try {
+      const userContent = GatewayHelper.getPromptText(actualData)
+      await ConversationStore.appendMessages(workerInstance, authValidation.decoded?.email, actualData.conversationId, [
+        { role: 'user', content: userContent },
+        { role: 'assistant', content: result.response }
+      ])
+      result.conversationId = actualData.conversationId
+    } catch (error) {
+      logger.warn('GatewayWorker', requestId, 'Failed to store conversation turn', {
+        conversationId: actualData.conversationId,
+        error: error.message
+      })
+    }
+  }
+  
+  // RPC method called by clients for AI processing
+  static async processPrompt(workerInstance, data) {
+    const requestId = Math.random().toString(36).substr(2, 9)
+    logger.info('GatewayWorker', requestId, 'Processing AI prompt request', {
+      method: 'processPrompt'
+    })
+    
+    let requestedModel = null
+    
+    try {
+      const authorization = await GatewayHelper.authorizePromptRequest(workerInstance, data, 'processPrompt', requestId)
+      if (authorization.rejection) {
+        return authorization.rejection
       }
+      const { actualData, processorData, authValidation, rateLimitInfo, topic } = authorization
+      requestedModel = authorization.model
       
+      const promptLength = GatewayHelper.getPromptText(actualData).length
       logger.debug('GatewayWorker', requestId, 'Forwarding request to processor', {
-        promptLength: actualData.prompt.length
+        promptLength: promptLength,
+        messageCount: Array.isArray(actualData.messages) ? actualData.messages.length : 0
       })
       
       // Log processor connection attempt with network diagnostics
@@ -166,21 +488,32 @@ class GatewayHelper {
           lookupServiceReady: !!workerInstance.net_default?.lookup,
           dhtReady: !!workerInstance.net_default?.dht
         },
-        targetTopic: 'processor',
+        targetTopic: topic,
         targetMethod: 'processRequest',
-        promptLength: actualData.prompt ? actualData.prompt.length : 0
+        promptLength: promptLength
       })
       
+      // Wait for this user's fair share of the processors
+      const ticket = await GatewayHelper.schedulePrompt(workerInstance, authorization, 'processPrompt', requestId)
+      if (ticket.rejection) {
+        return ticket.rejection
+      }
+      
       // Forward to processor using robust method to handle stale DHT connections
       const processorStartTime = Date.now()
-      const result = await workerInstance.net_default.jTopicRequestRobust(
-        'processor',
-        'processRequest',
-        actualData,
-        {}, // options
-        3,  // maxRetries
-        100 // baseDelay in ms
-      )
+      let result
+      try {
+        result = await workerInstance.net_default.jTopicRequestRobust(
+          topic,
+          'processRequest',
+          processorData,
+          {}, // options
+          3,  // maxRetries
+          100 // baseDelay in ms
+        )
+      } finally {
+        ticket.release()
+      }
       const processorDuration = Date.now() - processorStartTime
       
       // Log successful processor response
@@ -191,10 +524,15 @@ class GatewayHelper {
         hasError: !!result.error
       })
       
-      // Add rate limit information to the response
+      // Add rate limit and queue wait information to the response
       if (rateLimitInfo) {
         result.rateLimitInfo = rateLimitInfo
       }
+      if (ticket.queueInfo) {
+        result.queueInfo = ticket.queueInfo
+      }
+      
+      await GatewayHelper.recordConversationTurn(workerInstance, actualData, authValidation, result, requestId)
       
       // Log successful processing completion
       logger.prompt('GatewayWorker', requestId, 'PROCESSING_SUCCESS', {
@@ -231,8 +569,331 @@ class GatewayHelper {
         errorType: error.message.includes('CHANNEL_CLOSED') ? 'CHANNEL_CLOSED' : 'UNKNOWN'
       })
       
-      // Return error in a structured format
-      return {
+      // No processor announces the requested model
+      if (requestedModel && this.categorizeGatewayError(error) === 'PROCESSOR_NOT_FOUND') {
+        return GatewayHelper.modelNotAvailable(requestedModel, requestId)
+      }
+      if (this.categorizeGatewayError(error) === 'PROCESSOR_BUSY') {
+        return GatewayHelper.processorsBusy(requestId)
+      }
+      
+      // Return error in a structured format (validation errors carry status 400)
+      const errorResult = {
+        error: true,
+        message: error.message,
+        requestId: requestId
+      }
+      if (error.status) {
+        errorResult.status = error.status
+      }
+      return errorResult
+    }
+  }
+  
+  // Streaming RPC method called by clients via jTopicStream.
+  // Auth and rate limiting run before any token is produced. Yields, in order:
+  //   { type: 'start', requestId, rateLimitInfo, queueInfo }   (once the scheduler lets it through)
+  //   { type: 'token', token } ...
+  //   { type: 'done', result }
+  // or a single { type: 'error', error: true, message, ... } when the request fails.
+  static async * processPromptStream(workerInstance, data, ctx = {}) {
+    const requestId = Math.random().toString(36).substr(2, 9)
+    logger.info('GatewayWorker', requestId, 'Processing streaming AI prompt request', {
+      method: 'processPromptStream'
+    })
+    
+    let user = 'anonymous'
+    let tokenCount = 0
+    let requestedModel = null
+    let ticket = null
+    
+    try {
+      const authorization = await GatewayHelper.authorizePromptRequest(workerInstance, data, 'processPromptStream', requestId)
+      if (authorization.rejection) {
+        yield { type: 'error', ...authorization.rejection }
+        return
+      }
+      const { actualData, processorData, authValidation, rateLimitInfo, topic } = authorization
+      requestedModel = authorization.model
+      user = authValidation.decoded?.email || 'anonymous'
+      
+      // The scheduler slot is held until the stream ends or is cancelled
+      ticket = await GatewayHelper.schedulePrompt(workerInstance, authorization, 'processPromptStream', requestId, ctx.signal)
+      if (ticket.rejection) {
+        yield { type: 'error', ...ticket.rejection }
+        return
+      }
+      const queueInfo = ticket.queueInfo
+      
+      yield { type: 'start', requestId: requestId, rateLimitInfo: rateLimitInfo, queueInfo: queueInfo }
+      
+      // The stream stays pinned to whichever processor accepted it
+      const upstream = workerInstance.net_default.jTopicStream(topic, 'processRequestStream', processorData)
+      
+      for await (const chunk of upstream) {
+        if (ctx.signal?.aborted) {
+          logger.warn('GatewayWorker', requestId, 'Stream cancelled by client', {
+            user: user,
+            tokensRelayed: tokenCount
+          })
+          return
+        }
+        
+        if (chunk.type === 'done') {
+          if (rateLimitInfo) {
+            chunk.result.rateLimitInfo = rateLimitInfo
+          }
+          if (queueInfo) {
+            chunk.result.queueInfo = queueInfo
+          }
+          await GatewayHelper.recordConversationTurn(workerInstance, actualData, authValidation, chunk.result, requestId)
+          
+          logger.prompt('GatewayWorker', requestId, 'STREAM_SUCCESS', {
+            user: user,
+            responseLength: chunk.result?.response ? chunk.result.response.length : 0,
+            tokenCount: tokenCount
+          })
+        } else if (chunk.type === 'token') {
+          tokenCount++
+        }
+        
+        yield chunk
+      }
+      
+    } catch (error) {
+      logger.error('GatewayWorker', requestId, 'Error relaying prompt stream', {
+        method: 'processPromptStream',
+        error: error.message,
+        stack: error.stack,
+        tokensRelayed: tokenCount,
+        errorCategory: this.categorizeGatewayError(error)
+      })
+      
+      logger.prompt('GatewayWorker', requestId, 'STREAM_ERROR', {
+        user: user,
+        error: error.message
+      })
+      
+      if (requestedModel && this.categorizeGatewayError(error) === 'PROCESSOR_NOT_FOUND') {
+        yield { type: 'error', ...GatewayHelper.modelNotAvailable(requestedModel, requestId) }
+        return
+      }
+      if (this.categorizeGatewayError(error) === 'PROCESSOR_BUSY') {
+        yield { type: 'error', ...GatewayHelper.processorsBusy(requestId) }
+        return
+      }
+      
+      const errorChunk = {
+        type: 'error',
+        error: true,
+        message: error.message,
+        requestId: requestId
+      }
+      if (error.status) {
+        errorChunk.status = error.status
+      }
+      yield errorChunk
+    } finally {
+      ticket?.release?.()
+    }
+  }
+  
+  // Batch limits from config/gateway.json ("batch") with defaults
+  static getBatchConfig(workerInstance) {
+    const conf = workerInstance.conf?.gateway?.batch || {}
+    const value = (name, fallback) => {
+      const parsed = parseInt(conf[name], 10)
+      return parsed > 0 ? parsed : fallback
+    }
+    
+    const maxParallelism = value('maxParallelism', DEFAULT_BATCH_MAX_PARALLELISM)
+    return {
+      maxItems: value('maxItems', DEFAULT_BATCH_MAX_ITEMS),
+      maxParallelism: maxParallelism,
+      parallelism: Math.min(value('parallelism', DEFAULT_BATCH_PARALLELISM), maxParallelism)
+    }
+  }
+  
+  // processPrompt input for one batch item: a prompt string or a prompt object, with the batch's
+  // options, model and priority as defaults. Returns { data } or { error } for an unusable item.
+  static buildBatchItem(item, defaults) {
+    if (typeof item === 'string') {
+      item = { prompt: item }
+    }
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      return { error: 'Invalid item: expected a prompt string or an object with prompt or messages' }
+    }
+    if (item.conversationId !== undefined) {
+      return { error: 'Invalid item: conversationId is not supported in batches' }
+    }
+    
+    const data = {}
+    for (const field of BATCH_ITEM_FIELDS) {
+      if (item[field] !== undefined) {
+        data[field] = item[field]
+      }
+    }
+    if (defaults.options && typeof defaults.options === 'object' && (data.options === undefined || (data.options && typeof data.options === 'object'))) {
+      data.options = { ...defaults.options, ...data.options }
+    }
+    if (data.model === undefined && defaults.model !== undefined) {
+      data.model = defaults.model
+    }
+    if (data.priority === undefined && defaults.priority) {
+      data.priority = defaults.priority
+    }
+    return { data }
+  }
+  
+  // Run one batch item through processPrompt (auth, rate limit, validation, scheduler, processor).
+  // Never throws: resolves to { success: true, result } or { success: false, error: { status, code, message } }.
+  static async processBatchItem(workerInstance, item, defaults, authKey) {
+    const failure = (status, code, message) => ({
+      success: false,
+      error: { status: status, code: code || BATCH_ERROR_CODES[status] || 'PROCESSING_ERROR', message: message }
+    })
+    
+    const { data, error } = GatewayHelper.buildBatchItem(item, defaults)
+    if (error) {
+      return failure(400, null, error)
+    }
+    
+    try {
+      const result = await GatewayHelper.processPrompt(workerInstance, { data: data, meta: { key: authKey } })
+      if (!result || result.error || result.success === false) {
+        return failure(result?.status || 500, result?.code, result?.message || 'Prompt failed')
+      }
+      return { success: true, result: result }
+    } catch (err) {
+      return failure(500, null, err.message)
+    }
+  }
+  
+  // Streaming RPC method: run many prompts at once. Input: { items: [prompt | { prompt | messages,
+  // options?, model?, priority? }], options?, model?, priority?, parallelism? }; the top-level
+  // options, model and priority (default "batch") apply to every item that does not set its own.
+  // At most `parallelism` items are in flight; each one counts against the rate limit and takes
+  // its turn in the scheduler like a single prompt. Yields, in order:
+  //   { type: 'start', requestId, total, parallelism }
+  //   { type: 'item', index, success, result | error } ... as items finish (any order)
+  //   { type: 'done', requestId, summary: { total, succeeded, failed, cancelled, failuresByCode, durationMs } }
+  // or a single { type: 'error', ... } when the whole batch is rejected (auth, invalid input).
+  // A cancelled stream starts no further items.
+  static async * processBatch(workerInstance, data, ctx = {}) {
+    const requestId = Math.random().toString(36).substr(2, 9)
+    logger.info('GatewayWorker', requestId, 'Processing batch prompt request', {
+      method: 'processBatch'
+    })
+    
+    try {
+      const { actualData, authKey } = GatewayHelper.extractRequestData(data)
+      
+      const authValidation = await GatewayHelper.validateAuthKey(authKey, 'processBatch', requestId)
+      if (!authValidation.isValid) {
+        yield { type: 'error', ...authValidation.error }
+        return
+      }
+      const user = authValidation.decoded?.email || 'anonymous'
+      
+      const config = GatewayHelper.getBatchConfig(workerInstance)
+      const items = actualData.items
+      if (!Array.isArray(items) || items.length === 0 || items.length > config.maxItems) {
+        yield {
+          type: 'error',
+          error: true,
+          status: 400,
+          message: `Invalid input: items must be a non-empty array of at most ${config.maxItems} prompts`,
+          requestId: requestId
+        }
+        return
+      }
+      
+      const requested = parseInt(actualData.parallelism, 10)
+      const parallelism = Math.min(requested > 0 ? requested : config.parallelism, config.maxParallelism, items.length)
+      
+      let priority = actualData.priority
+      if (priority === undefined && (!workerInstance.scheduler || workerInstance.scheduler.hasPriority('batch'))) {
+        priority = 'batch'
+      }
+      if (priority !== undefined && workerInstance.scheduler && !workerInstance.scheduler.hasPriority(priority)) {
+        yield {
+          type: 'error',
+          error: true,
+          status: 400,
+          message: `Invalid priority: expected one of ${Object.keys(workerInstance.scheduler.priorities).join(', ')}`,
+          requestId: requestId
+        }
+        return
+      }
+      const defaults = { options: actualData.options, model: actualData.model, priority: priority }
+      
+      logger.info('GatewayWorker', requestId, 'Batch started', {
+        user: user,
+        items: items.length,
+        parallelism: parallelism
+      })
+      yield { type: 'start', requestId: requestId, total: items.length, parallelism: parallelism }
+      
+      // Bounded fan-out: finished items are queued here and relayed as they arrive
+      const startTime = Date.now()
+      const finished = []
+      let wake = null
+      let next = 0
+      let running = 0
+      const launch = () => {
+        while (running < parallelism && next < items.length && !ctx.signal?.aborted) {
+          const index = next++
+          running++
+          GatewayHelper.processBatchItem(workerInstance, items[index], defaults, authKey).then(outcome => {
+            running--
+            finished.push({ index, ...outcome })
+            launch()
+            wake?.()
+          })
+        }
+      }
+      launch()
+      
+      // Once cancelled, items already in flight still finish and are counted
+      const summary = { total: items.length, succeeded: 0, failed: 0, cancelled: 0, failuresByCode: {} }
+      let relayed = 0
+      while (relayed < next || running > 0) {
+        if (finished.length === 0) {
+          await new Promise(resolve => { wake = resolve })
+          wake = null
+          continue
+        }
+        
+        const outcome = finished.shift()
+        relayed++
+        if (outcome.success) {
+          summary.succeeded++
+        } else {
+          summary.failed++
+          summary.failuresByCode[outcome.error.code] = (summary.failuresByCode[outcome.error.code] || 0) + 1
+        }
+        yield { type: 'item', ...outcome }
+      }
+      
+      summary.cancelled = summary.total - summary.succeeded - summary.failed
+      summary.durationMs = Date.now() - startTime
+      
+      logger.info('GatewayWorker', requestId, ctx.signal?.aborted ? 'Batch cancelled by client' : 'Batch completed', {
+        user: user,
+        ...summary
+      })
+      
+      yield { type: 'done', requestId: requestId, summary: summary }
+      
+    } catch (error) {
+      logger.error('GatewayWorker', requestId, 'Error processing batch request', {
+        method: 'processBatch',
+        error: error.message,
+        stack: error.stack
+      })
+      
+      yield {
+        type: 'error',
         error: true,
         message: error.message,
         requestId: requestId
@@ -245,7 +906,11 @@ class GatewayHelper {
     if (!error || !error.message) return 'UNKNOWN'
     
     if (error.message.includes('CHANNEL_CLOSED')) return 'PROCESSOR_CONNECTION_LOST'
+    // The processor no longer knows the stream (it restarted while the stream was open)
+    if (error.message.includes('ERR_STREAM_NOT_FOUND')) return 'PROCESSOR_CONNECTION_LOST'
     if (error.message.includes('ERR_TOPIC_LOOKUP_EMPTY')) return 'PROCESSOR_NOT_FOUND'
+    if (error.message.includes('ERR_TOPIC_PEERS_CIRCUIT_OPEN')) return 'PROCESSOR_UNAVAILABLE'
+    if (error.message.includes('PROCESSOR_BUSY')) return 'PROCESSOR_BUSY'
     if (error.message.includes('ETIMEDOUT')) return 'PROCESSOR_TIMEOUT'
     if (error.message.includes('ECONNREFUSED')) return 'PROCESSOR_REFUSED'
     if (error.message.includes('Invalid request format')) return 'INVALID_REQUEST_FORMAT'
@@ -453,6 +1118,382 @@ class GatewayHelper {
       }
     }
   }
+  
+  // Shared wrapper for the conversation and model-list RPCs: unwrap, authenticate (no rate limit) and run
+  // handler(actualData, userEmail), which returns the response. Errors become { success: false, status: 500 }.
+  static async handleAuthenticatedRequest(workerInstance, data, methodName, handler) {
+    const requestId = Math.random().toString(36).substr(2, 9)
+    logger.info('GatewayWorker', requestId, 'Processing authenticated request', {
+      method: methodName
+    })
+    
+    try {
+      const { actualData, authKey } = GatewayHelper.extractRequestData(data)
+      
+      const authValidation = await GatewayHelper.validateAuthKey(authKey, methodName, requestId)
+      if (!authValidation.isValid) {
+        return authValidation.error
+      }
+      
+      return await handler(actualData, authValidation.decoded.email, authValidation.decoded)
+      
+    } catch (error) {
+      logger.error('GatewayWorker', requestId, 'Error processing authenticated request', {
+        method: methodName,
+        error: error.message,
+        stack: error.stack
+      })
+      
+      return {
+        success: false,
+        status: 500,
+        message: error.message,
+        requestId: requestId
+      }
+    }
+  }
+  
+  static conversationNotFound(methodName) {
+    return {
+      success: false,
+      status: 404,
+      message: 'Conversation not found',
+      method: methodName
+    }
+  }
+  
+  // RPC method: list the caller's conversations, most recently updated first
+  // Input: { limit? } -> { success, status: 200, conversations: [{ id, title, createdAt, updatedAt, messageCount }] }
+  static async listConversations(workerInstance, data) {
+    return await GatewayHelper.handleAuthenticatedRequest(workerInstance, data, 'listConversations', async (actualData, userEmail) => {
+      const conversations = await ConversationStore.list(workerInstance, userEmail, { limit: actualData.limit })
+      return { success: true, status: 200, conversations: conversations }
+    })
+  }
+  
+  // RPC method: create a conversation
+  // Input: { title? } -> { success, status: 201, conversation }
+  static async createConversation(workerInstance, data) {
+    return await GatewayHelper.handleAuthenticatedRequest(workerInstance, data, 'createConversation', async (actualData, userEmail) => {
+      if (actualData.title !== undefined && !ConversationStore.normalizeTitle(actualData.title)) {
+        return { success: false, status: 400, message: 'Title must be a non-empty string', method: 'createConversation' }
+      }
+      
+      const conversation = await ConversationStore.create(workerInstance, userEmail, { title: actualData.title })
+      return { success: true, status: 201, conversation: conversation }
+    })
+  }
+  
+  // RPC method: fetch one conversation with its messages
+  // Input: { conversationId } -> { success, status: 200, conversation } or 404
+  static async getConversation(workerInstance, data) {
+    return await GatewayHelper.handleAuthenticatedRequest(workerInstance, data, 'getConversation', async (actualData, userEmail) => {
+      const conversation = await ConversationStore.get(workerInstance, userEmail, actualData.conversationId)
+      if (!conversation) {
+        return GatewayHelper.conversationNotFound('getConversation')
+      }
+      return { success: true, status: 200, conversation: conversation }
+    })
+  }
+  
+  // RPC method: rename a conversation
+  // Input: { conversationId, title } -> { success, status: 200, conversation } or 400/404
+  static async renameConversation(workerInstance, data) {
+    return await GatewayHelper.handleAuthenticatedRequest(workerInstance, data, 'renameConversation', async (actualData, userEmail) => {
+      if (!ConversationStore.normalizeTitle(actualData.title)) {
+        return { success: false, status: 400, message: 'Title must be a non-empty string', method: 'renameConversation' }
+      }
+      
+      const conversation = await ConversationStore.rename(workerInstance, userEmail, actualData.conversationId, actualData.title)
+      if (!conversation) {
+        return GatewayHelper.conversationNotFound('renameConversation')
+      }
+      return { success: true, status: 200, conversation: conversation }
+    })
+  }
+  
+  // RPC method: delete a conversation
+  // Input: { conversationId } -> { success, status: 200, deleted: true } or 404
+  static async deleteConversation(workerInstance, data) {
+    return await GatewayHelper.handleAuthenticatedRequest(workerInstance, data, 'deleteConversation', async (actualData, userEmail) => {
+      const deleted = await ConversationStore.remove(workerInstance, userEmail, actualData.conversationId)
+      if (!deleted) {
+        return GatewayHelper.conversationNotFound('deleteConversation')
+      }
+      return { success: true, status: 200, deleted: true }
+    })
+  }
+  
+  static jobNotFound(methodName) {
+    return {
+      success: false,
+      status: 404,
+      message: 'Job not found',
+      method: methodName
+    }
+  }
+  
+  // RPC method: queue a prompt as an asynchronous job (see job-runner.js) and return at once.
+  // Input: same as processPrompt -> { success, status: 202, job }; auth, rate limit and validation
+  // rejections come back as { success: false, status, message }. Jobs default to the batch priority.
+  static async submitJob(workerInstance, data) {
+    const requestId = Math.random().toString(36).substr(2, 9)
+    logger.info('GatewayWorker', requestId, 'Processing job submission', {
+      method: 'submitJob'
+    })
+    
+    try {
+      const authorization = await GatewayHelper.authorizePromptRequest(workerInstance, data, 'submitJob', requestId)
+      if (authorization.rejection) {
+        return { ...authorization.rejection, success: false }
+      }
+      const { actualData, processorData, authValidation, model, topic } = authorization
+      
+      let priority = actualData.priority || null
+      if (!priority && (!workerInstance.scheduler || workerInstance.scheduler.hasPriority('batch'))) {
+        priority = 'batch'
+      }
+      
+      const job = await JobStore.create(workerInstance, authValidation.decoded?.email || 'anonymous', {
+        data: processorData,
+        topic: topic,
+        model: model,
+        priority: priority,
+        conversationId: actualData.conversationId || null,
+        promptText: GatewayHelper.getPromptText(actualData)
+      })
+      
+      logger.info('GatewayWorker', requestId, 'Job queued', {
+        jobId: job.id,
+        user: job.user,
+        topic: topic,
+        priority: priority
+      })
+      
+      workerInstance.jobRunner?.poll()
+      return { success: true, status: 202, job: JobStore.view(job) }
+      
+    } catch (error) {
+      logger.error('GatewayWorker', requestId, 'Error processing job submission', {
+        method: 'submitJob',
+        error: error.message,
+        stack: error.stack
+      })
+      
+      return {
+        success: false,
+        status: error.status || 500,
+        message: error.message,
+        requestId: requestId
+      }
+    }
+  }
+  
+  // RPC method: status of one of the caller's jobs, with its result once completed
+  // Input: { jobId } -> { success, status: 200, job } or 404
+  static async getJob(workerInstance, data) {
+    return await GatewayHelper.handleAuthenticatedRequest(workerInstance, data, 'getJob', async (actualData, userEmail) => {
+      const job = await JobStore.get(workerInstance, actualData.jobId)
+      if (!job || job.user !== userEmail) {
+        return GatewayHelper.jobNotFound('getJob')
+      }
+      return { success: true, status: 200, job: JobStore.view(job) }
+    })
+  }
+  
+  // RPC method: cancel a queued or running job (a running one is aborted on its processor)
+  // Input: { jobId } -> { success, status: 200, job }, 404, or 409 when the job already finished
+  static async cancelJob(workerInstance, data) {
+    return await GatewayHelper.handleAuthenticatedRequest(workerInstance, data, 'cancelJob', async (actualData, userEmail) => {
+      const existing = await JobStore.get(workerInstance, actualData.jobId)
+      if (!existing || existing.user !== userEmail) {
+        return GatewayHelper.jobNotFound('cancelJob')
+      }
+      
+      const job = await JobStore.update(workerInstance, existing.id, current => JobStore.isFinished(current)
+        ? null
+        : { status: 'cancelled', finishedAt: Date.now() })
+      if (!job) {
+        const current = await JobStore.get(workerInstance, existing.id)
+        return {
+          success: false,
+          status: 409,
+          message: `Job already ${current.status}`,
+          method: 'cancelJob',
+          job: JobStore.view(current)
+        }
+      }
+      
+      workerInstance.jobRunner?.cancel(job.id)
+      return { success: true, status: 200, job: JobStore.view(job) }
+    })
+  }
+  
+  // Admins are tokens with role "admin" and the emails listed under "admins" in config/gateway.json
+  static isAdmin(workerInstance, decoded) {
+    if (!decoded) return false
+    const admins = workerInstance.conf?.gateway?.admins
+    return decoded.role === 'admin' || (Array.isArray(admins) && admins.includes(decoded.email))
+  }
+  
+  // Like handleAuthenticatedRequest, for admin-only operations (403 for everybody else)
+  static async handleAdminRequest(workerInstance, data, methodName, handler) {
+    return await GatewayHelper.handleAuthenticatedRequest(workerInstance, data, methodName, async (actualData, userEmail, decoded) => {
+      if (!GatewayHelper.isAdmin(workerInstance, decoded)) {
+        logger.warn('GatewayWorker', methodName, 'Admin operation refused', {
+          user: userEmail
+        })
+        return {
+          success: false,
+          status: 403,
+          message: 'Forbidden: admin access required',
+          method: methodName
+        }
+      }
+      
+      return await handler(actualData, userEmail)
+    })
+  }
+  
+  static deadLetterNotFound(methodName) {
+    return {
+      success: false,
+      status: 404,
+      message: 'Dead-letter entry not found',
+      method: methodName
+    }
+  }
+  
+  // Admin RPC method: jobs that failed for good, most recent first, without their payload
+  // Input: { limit?, errorCategory? } -> { success, status: 200, entries: [...] }
+  static async listDeadLetters(workerInstance, data) {
+    return await GatewayHelper.handleAdminRequest(workerInstance, data, 'listDeadLetters', async (actualData) => {
+      const limit = Math.min(parseInt(actualData.limit, 10) || DEAD_LETTER_LIST_LIMIT, DEAD_LETTER_LIST_MAX)
+      const entries = await JobStore.listDeadLetters(workerInstance, {
+        limit: limit,
+        errorCategory: actualData.errorCategory || null
+      })
+      return { success: true, status: 200, entries: entries.map(entry => JobStore.deadLetterSummary(entry)) }
+    })
+  }
+  
+  // Admin RPC method: one dead-letter entry with the original payload
+  // Input: { jobId } -> { success, status: 200, entry } or 404
+  static async getDeadLetter(workerInstance, data) {
+    return await GatewayHelper.handleAdminRequest(workerInstance, data, 'getDeadLetter', async (actualData) => {
+      const entry = await JobStore.getDeadLetter(workerInstance, actualData.jobId)
+      if (!entry) {
+        return GatewayHelper.deadLetterNotFound('getDeadLetter')
+      }
+      return { success: true, status: 200, entry: entry }
+    })
+  }
+  
+  // Admin RPC method: run a dead-lettered job again with a fresh set of attempts
+  // Input: { jobId } -> { success, status: 200, job } or 404
+  static async requeueDeadLetter(workerInstance, data) {
+    return await GatewayHelper.handleAdminRequest(workerInstance, data, 'requeueDeadLetter', async (actualData, userEmail) => {
+      const job = await JobStore.requeueDeadLetter(workerInstance, actualData.jobId)
+      if (!job) {
+        return GatewayHelper.deadLetterNotFound('requeueDeadLetter')
+      }
+      
+      logger.info('GatewayWorker', job.id, 'Dead-lettered job requeued', {
+        admin: userEmail,
+        owner: job.user,
+        requeues: job.requeues
+      })
+      
+      workerInstance.jobRunner?.poll()
+      return { success: true, status: 200, job: JobStore.view(job) }
+    })
+  }
+  
+  // Admin RPC method: drop dead-letter entries (the jobs stay failed)
+  // Input: { jobIds } or { olderThan } (epoch ms) or { all: true } -> { success, status: 200, purged }
+  static async purgeDeadLetters(workerInstance, data) {
+    return await GatewayHelper.handleAdminRequest(workerInstance, data, 'purgeDeadLetters', async (actualData, userEmail) => {
+      const { jobIds, olderThan, all } = actualData
+      const validIds = Array.isArray(jobIds) && jobIds.length > 0 && jobIds.every(id => typeof id === 'string')
+      const validOlderThan = typeof olderThan === 'number' && olderThan > 0
+      if (!validIds && !validOlderThan && all !== true) {
+        return {
+          success: false,
+          status: 400,
+          message: 'Invalid input: expected jobIds (array of ids), olderThan (epoch ms) or all: true',
+          method: 'purgeDeadLetters'
+        }
+      }
+      
+      const purged = await JobStore.purgeDeadLetters(workerInstance, {
+        ids: validIds ? jobIds : null,
+        olderThan: validOlderThan ? olderThan : null
+      })
+      
+      logger.info('GatewayWorker', 'DEAD_LETTER', 'Dead-letter entries purged', {
+        admin: userEmail,
+        purged: purged
+      })
+      
+      return { success: true, status: 200, purged: purged }
+    })
+  }
+  
+  // RPC method: models the cluster can serve right now, asked of every processor found on the DHT.
+  // Processors that do not answer in time are left out.
+  // Input: {} -> { success, status: 200, models: [{ id, processors }], processors }
+  static async listModels(workerInstance, data) {
+    return await GatewayHelper.handleAuthenticatedRequest(workerInstance, data, 'listModels', async () => {
+      const net = workerInstance.net_default
+      const keys = await net.lookup.lookup(PROCESSOR_TOPIC, false)
+      
+      const replies = await Promise.all(keys.map(key =>
+        net.jRequest(key, 'listModels', {}, { timeout: MODEL_LIST_TIMEOUT_MS }).catch(error => {
+          logger.warn('GatewayWorker', 'MODELS', 'Processor did not return its models', {
+            processor: key.substring(0, 16) + '...',
+            error: error.message
+          })
+          return null
+        })
+      ))
+      
+      // Model id -> number of processors serving it
+      const counts = new Map()
+      let processors = 0
+      for (const reply of replies) {
+        if (!reply || !Array.isArray(reply.models)) continue
+        processors++
+        for (const id of new Set(reply.models.map(model => normalizeModelName(model)))) {
+          counts.set(id, (counts.get(id) || 0) + 1)
+        }
+      }
+      
+      const models = Array.from(counts, ([id, count]) => ({ id: id, processors: count }))
+        .sort((a, b) => a.id.localeCompare(b.id))
+      return { success: true, status: 200, models: models, processors: processors }
+    })
+  }
+  
+  // Ping every processor so the net facility's peer selection knows each one's queue depth,
+  // including work other gateways sent it. Returns the number of processors that answered.
+  static async probeProcessors(workerInstance) {
+    const results = await workerInstance.net_default.probeTopic(PROCESSOR_TOPIC, { timeout: PROBE_TIMEOUT_MS })
+    const answered = results.filter(result => result.ok)
+    
+    logger.debug('GatewayWorker', 'PEERS', 'Processor load probed', {
+      processors: results.length,
+      answered: answered.length,
+      queueDepths: answered.map(result => result.queueDepth)
+    })
+    for (const result of results.filter(result => !result.ok)) {
+      logger.warn('GatewayWorker', 'PEERS', 'Processor did not answer load probe', {
+        processor: result.key.substring(0, 16) + '...',
+        error: result.error
+      })
+    }
+    
+    return answered.length
+  }
 }
 
 module.exports = GatewayHelper 
\ No newline at end of file
@@ -10,11 +10,26 @@ try {
   process.exit(1)
 }
 
+const fs = require('fs')
+const path = require('path')
 const Base = require('../bfx-wrk-base')
 const GatewayHelper = require('./gateway-helper.js')
+const { FairScheduler } = require('./scheduler.js')
+const { JobRunner } = require('./job-runner.js')
 const logger = require('../shared-logger.js')
 const SimpleMetrics = require('../simple-metrics.js')
 
+// How often processors are pinged for their queue depth when peer selection is load-aware
+const DEFAULT_PROBE_INTERVAL_MS = 10000
+
+// Conversation storage RPCs, all plain request/reply methods backed by ConversationStore
+const CONVERSATION_METHODS = ['listConversations', 'createConversation', 'getConversation', 'renameConversation', 'deleteConversation']
+// Asynchronous job RPCs, backed by JobStore and run by the JobRunner
+const JOB_METHODS = ['submitJob', 'getJob', 'cancelJob']
+// Admin-only RPCs over the dead-letter store of failed jobs
+const DEAD_LETTER_METHODS = ['listDeadLetters', 'getDeadLetter', 'requeueDeadLetter', 'purgeDeadLetters']
+const RPC_METHODS = ['ping', 'processPrompt', 'processPromptStream', 'processBatch', 'register', 'login', 'verifySession', 'listModels', ...CONVERSATION_METHODS, ...JOB_METHODS, ...DEAD_LETTER_METHODS]
+
 // Global error handlers for uncaught errors
 process.on('uncaughtException', (error) => {
   logger.error('GatewayWorker', 'GLOBAL', 'Uncaught Exception', {
@@ -52,6 +67,12 @@ class GatewayWorker extends Base {
     
     this.metrics = new SimpleMetrics('gateway', 9100)
     
+    // Fair-share queue in front of the processors (configured in _start, once conf.gateway is loaded)
+    this.scheduler = new FairScheduler()
+    
+    // Runs queued asynchronous jobs on processors (started in _start)
+    this.jobRunner = new JobRunner(this)
+    
     logger.lifecycle('GatewayWorker', 'CONSTRUCTOR_COMPLETED', {
       metricsPort: 9100,
       metricsUrl: 'http://localhost:9100/metrics'
@@ -81,6 +102,14 @@ class GatewayWorker extends Base {
         facilityReady: true
       })
       
+      this.scheduler.configure(this.conf?.gateway?.scheduler)
+      logger.info('GatewayWorker', 'STARTUP', 'Prompt scheduler configured', {
+        maxInFlight: this.scheduler.maxInFlight,
+        maxQueue: this.scheduler.maxQueue,
+        maxQueuePerUser: this.scheduler.maxQueuePerUser,
+        priorities: this.scheduler.priorities
+      })
+      
       // Start RPC server
       await this.net_default.startRpcServer()
       
@@ -94,18 +123,26 @@ class GatewayWorker extends Base {
       // Register RPC methods
       if (this.net_default.rpcServer && typeof this.net_default.rpcServer.respond === 'function') {
         // Register all gateway methods with enhanced logging
-        const methods = ['ping', 'processPrompt', 'register', 'login', 'verifySession']
+        const methods = RPC_METHODS
         
         // Register ping method for health checks
         this.net_default.rpcServer.respond('ping', async () => {
           logger.debug('GatewayWorker', 'PING', 'Health check received', {})
-          return { status: 'healthy', timestamp: Date.now(), service: 'gateway' }
+          return { status: 'healthy', timestamp: Date.now(), service: 'gateway', scheduler: this.scheduler.stats() }
         })
         
         this.net_default.rpcServer.respond('processPrompt', async (data) => {
           return await this.net_default.handleReply('processPrompt', data)
         })
         
+        this.net_default.rpcServer.respond('processPromptStream', async (data) => {
+          return await this.net_default.handleStreamReply('processPromptStream', data)
+        })
+        
+        this.net_default.rpcServer.respond('processBatch', async (data) => {
+          return await this.net_default.handleStreamReply('processBatch', data)
+        })
+        
         this.net_default.rpcServer.respond('register', async (data) => {
           return await this.net_default.handleReply('register', data)
         })
@@ -118,6 +155,16 @@ class GatewayWorker extends Base {
           return await this.net_default.handleReply('verifySession', data)
         })
         
+        this.net_default.rpcServer.respond('listModels', async (data) => {
+          return await this.net_default.handleReply('listModels', data)
+        })
+        
+        for (const method of [...CONVERSATION_METHODS, ...JOB_METHODS, ...DEAD_LETTER_METHODS]) {
+          this.net_default.rpcServer.respond(method, async (data) => {
+            return await this.net_default.handleReply(method, data)
+          })
+        }
+        
         logger.info('GatewayWorker', 'STARTUP', 'RPC methods registered', {
           methodsRegistered: methods,
           serverReady: true
@@ -130,6 +177,18 @@ class GatewayWorker extends Base {
         })
       }
       
+      // Processor circuit breakers: export them as metrics and log state changes
+      if (this.net_default.breakers) {
+        this.metrics.trackCircuitBreakers(this.net_default.breakers)
+        this.net_default.breakers.on('state', (key, state, previous) => {
+          logger.warn('GatewayWorker', 'PEERS', 'Peer circuit breaker changed state', {
+            peer: key.substring(0, 16) + '...',
+            from: previous,
+            to: state
+          })
+        })
+      }
+      
       // Start lookup
       this.net_default.startLookup()
       
@@ -154,7 +213,7 @@ class GatewayWorker extends Base {
         logger.info('GatewayWorker', 'STARTUP', 'Gateway worker fully initialized', {
           publicKeyPreview: publicKey.substring(0, 16) + '...',
           topic: 'gateway',
-          methods: ['ping', 'processPrompt', 'register', 'login', 'verifySession'],
+          methods: RPC_METHODS,
           networkReady: true,
           announcementActive: true
         })
@@ -188,10 +247,35 @@ class GatewayWorker extends Base {
         })
       }
       
+      // Pick up queued jobs, including those a previous run left unfinished
+      this.jobRunner.configure(this.conf?.gateway?.jobs)
+      await this.jobRunner.start()
+      logger.info('GatewayWorker', 'STARTUP', 'Job runner started', {
+        maxConcurrentJobs: this.jobRunner.maxConcurrentJobs,
+        maxAttempts: this.jobRunner.maxAttempts
+      })
+      
+      // Keep processor queue depths fresh for load-aware peer selection
+      // (round-robin does not use them)
+      const peerSelection = this.net_default.conf?.peerSelection || {}
+      if (this.net_default.peers && this.net_default.peers.strategy !== 'round-robin') {
+        const probeIntervalMs = parseInt(peerSelection.probeIntervalMs, 10) || DEFAULT_PROBE_INTERVAL_MS
+        this.probeInterval = setInterval(() => {
+          GatewayHelper.probeProcessors(this).catch(error => {
+            logger.warn('GatewayWorker', 'PEERS', 'Processor load probe failed', { error: error.message })
+          })
+        }, probeIntervalMs)
+        
+        logger.info('GatewayWorker', 'STARTUP', 'Processor load probing started', {
+          strategy: this.net_default.peers.strategy,
+          probeIntervalMs: probeIntervalMs
+        })
+      }
+      
       // Final startup success log
       logger.lifecycle('GatewayWorker', 'STARTED', {
         topic: 'gateway',
-        methods: ['ping', 'processPrompt', 'register', 'login', 'verifySession'],
+        methods: RPC_METHODS,
         publicKey: this.net_default.rpc?._defaultKeyPair?.publicKey?.toString('hex')?.substring(0, 16) + '...' || 'N/A',
         startupDuration: 'completed',
         metricsUrl: 'http://localhost:9100/metrics'
@@ -218,6 +302,16 @@ class GatewayWorker extends Base {
     return await this.metrics.wrapRpcMethod('processPrompt', GatewayHelper.processPrompt, this, data)
   }
   
+  // Streaming RPC method for AI processing - delegates to helper
+  async * processPromptStream(data, ctx) {
+    yield * this.metrics.wrapRpcStream('processPromptStream', GatewayHelper.processPromptStream, this, data, ctx)
+  }
+  
+  // Streaming RPC method: many prompts with bounded parallelism - delegates to helper
+  async * processBatch(data, ctx) {
+    yield * this.metrics.wrapRpcStream('processBatch', GatewayHelper.processBatch, this, data, ctx)
+  }
+  
   // RPC method for user registration - delegates to helper
   async register(data) {
     return await this.metrics.wrapRpcMethod('register', GatewayHelper.register, this, data)
@@ -241,10 +335,73 @@ class GatewayWorker extends Base {
     }
   }
   
+  // Conversation storage RPC methods - delegate to helper
+  async listConversations(data) {
+    return await this.metrics.wrapRpcMethod('listConversations', GatewayHelper.listConversations, this, data)
+  }
+  
+  async createConversation(data) {
+    return await this.metrics.wrapRpcMethod('createConversation', GatewayHelper.createConversation, this, data)
+  }
+  
+  async getConversation(data) {
+    return await this.metrics.wrapRpcMethod('getConversation', GatewayHelper.getConversation, this, data)
+  }
+  
+  async renameConversation(data) {
+    return await this.metrics.wrapRpcMethod('renameConversation', GatewayHelper.renameConversation, this, data)
+  }
+  
+  async deleteConversation(data) {
+    return await this.metrics.wrapRpcMethod('deleteConversation', GatewayHelper.deleteConversation, this, data)
+  }
+  
+  // Asynchronous job RPC methods - delegate to helper
+  async submitJob(data) {
+    return await this.metrics.wrapRpcMethod('submitJob', GatewayHelper.submitJob, this, data)
+  }
+  
+  async getJob(data) {
+    return await this.metrics.wrapRpcMethod('getJob', GatewayHelper.getJob, this, data)
+  }
+  
+  async cancelJob(data) {
+    return await this.metrics.wrapRpcMethod('cancelJob', GatewayHelper.cancelJob, this, data)
+  }
+  
+  // Dead-letter admin RPC methods - delegate to helper
+  async listDeadLetters(data) {
+    return await this.metrics.wrapRpcMethod('listDeadLetters', GatewayHelper.listDeadLetters, this, data)
+  }
+  
+  async getDeadLetter(data) {
+    return await this.metrics.wrapRpcMethod('getDeadLetter', GatewayHelper.getDeadLetter, this, data)
+  }
+  
+  async requeueDeadLetter(data) {
+    return await this.metrics.wrapRpcMethod('requeueDeadLetter', GatewayHelper.requeueDeadLetter, this, data)
+  }
+  
+  async purgeDeadLetters(data) {
+    return await this.metrics.wrapRpcMethod('purgeDeadLetters', GatewayHelper.purgeDeadLetters, this, data)
+  }
+  
+  // RPC method: models the processors can serve right now - delegates to helper
+  async listModels(data) {
+    return await this.metrics.wrapRpcMethod('listModels', GatewayHelper.listModels, this, data)
+  }
+  
   // Lifecycle method
   stop() {
     logger.lifecycle('GatewayWorker', 'STOPPING', {})
     
+    clearInterval(this.probeInterval)
+    this.probeInterval = null
+    
+    if (this.jobRunner) {
+      this.jobRunner.stop()
+    }
+    
     // Stop metrics server
     if (this.metrics) {
       this.metrics.stop()
@@ -270,6 +427,11 @@ const ctx = {
 try {
   const worker = new GatewayWorker(conf, ctx)
   
+  // Prompt scheduler limits (config/gateway.json); built-in defaults apply when absent
+  if (fs.existsSync(path.join(ctx.root, 'config', 'gateway.json'))) {
+    worker.loadConf('gateway', 'gateway')
+  }
+  
   // Start the worker
   worker.start((err) => {
     if (err) {
@@ -282,7 +444,7 @@ try {
     
     logger.lifecycle('GatewayWorker', 'READY', {
       topic: 'gateway',
-      methods: ['ping', 'processPrompt', 'register', 'login', 'verifySession'],
+      methods: RPC_METHODS,
       ready: true
     })
   })
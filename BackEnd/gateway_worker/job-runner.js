@@ -0,0 +1,303 @@
+'use strict'
+
+const JobStore = require('./job-store.js')
+const GatewayHelper = require('./gateway-helper.js')
+const logger = require('../shared-logger.js')
+
+// Runs queued jobs from the JobStore on processors. Each job is streamed through
+// processRequestStream, so a long generation is only bound by the processor's idle
+// timeout instead of the 30s request timeout, and it takes its turn in the gateway
+// scheduler like any other prompt. A failed attempt is sorted into an error category
+// (GatewayHelper.categorizeGatewayError) and the retry policy of that category decides
+// whether it goes back to the queue with a growing delay or fails for good, which puts
+// it in the dead-letter store (see job-store.js). Jobs still marked running when the
+// gateway starts are queued again.
+
+const DEFAULT_MAX_CONCURRENT_JOBS = 4
+const DEFAULT_POLL_INTERVAL_MS = 1000
+const DEFAULT_MAX_ATTEMPTS = 5
+const DEFAULT_RETRY_DELAY_MS = 2000
+const DEFAULT_PROGRESS_INTERVAL_MS = 5000
+
+// Scheduler rejections, which are their own error category
+const SCHEDULER_CODES = ['GATEWAY_QUEUE_FULL', 'USER_QUEUE_FULL', 'QUEUE_TIMEOUT']
+
+// Category of an attempt whose processor could not reach its model backend and answered with
+// the canned fallback reply (result.note "LLM_UNAVAILABLE") instead of a generated one
+const LLM_UNAVAILABLE = 'LLM_UNAVAILABLE'
+
+// Retry policy per error category: failures that clear up by themselves (the processor went
+// away or lost its model backend, every processor is busy, the gateway queue is full) are retried; anything else, such
+// as a processor rejecting the model or prompt, fails the job right away. "default" covers
+// categories without an entry.
+const DEFAULT_RETRY_POLICY = {
+  PROCESSOR_CONNECTION_LOST: { retry: true },
+  PROCESSOR_NOT_FOUND: { retry: true },
+  PROCESSOR_UNAVAILABLE: { retry: true },
+  PROCESSOR_BUSY: { retry: true },
+  PROCESSOR_TIMEOUT: { retry: true },
+  PROCESSOR_REFUSED: { retry: true },
+  LLM_UNAVAILABLE: { retry: true },
+  GATEWAY_QUEUE_FULL: { retry: true },
+  USER_QUEUE_FULL: { retry: true },
+  QUEUE_TIMEOUT: { retry: true },
+  default: { retry: false }
+}
+
+function positiveInt(value, fallback) {
+  const parsed = parseInt(value, 10)
+  return parsed > 0 ? parsed : fallback
+}
+
+// Merge gateway config (conf.gateway.jobs) with defaults. retryPolicy entries are
+// { retry, maxAttempts?, retryDelayMs? }; missing limits fall back to the job-wide ones.
+function resolveJobConfig(conf = {}) {
+  const maxAttempts = positiveInt(conf.maxAttempts, DEFAULT_MAX_ATTEMPTS)
+  const retryDelayMs = positiveInt(conf.retryDelayMs, DEFAULT_RETRY_DELAY_MS)
+
+  const retryPolicy = {}
+  for (const [category, policy] of Object.entries({ ...DEFAULT_RETRY_POLICY, ...conf.retryPolicy })) {
+    if (!policy || typeof policy !== 'object') continue
+    retryPolicy[category] = {
+      retry: policy.retry === true,
+      maxAttempts: positiveInt(policy.maxAttempts, maxAttempts),
+      retryDelayMs: positiveInt(policy.retryDelayMs, retryDelayMs)
+    }
+  }
+  if (!retryPolicy.default) {
+    retryPolicy.default = { retry: false, maxAttempts: maxAttempts, retryDelayMs: retryDelayMs }
+  }
+
+  return {
+    maxConcurrentJobs: positiveInt(conf.maxConcurrentJobs, DEFAULT_MAX_CONCURRENT_JOBS),
+    pollIntervalMs: positiveInt(conf.pollIntervalMs, DEFAULT_POLL_INTERVAL_MS),
+    maxAttempts: maxAttempts,
+    retryDelayMs: retryDelayMs,
+    progressIntervalMs: positiveInt(conf.progressIntervalMs, DEFAULT_PROGRESS_INTERVAL_MS),
+    retryPolicy: retryPolicy
+  }
+}
+
+class JobRunner {
+  constructor(workerInstance, opts = {}) {
+    this.workerInstance = workerInstance
+    // job id -> AbortController of the running attempt
+    this.running = new Map()
+    this.timer = null
+    this.polling = false
+    this.stopped = true
+    this.configure(opts)
+  }
+
+  configure(opts = {}) {
+    Object.assign(this, resolveJobConfig(opts))
+  }
+
+  // Queue jobs the previous gateway process left running, then start polling the queue
+  async start() {
+    this.stopped = false
+
+    const recovered = await this.recover()
+    if (recovered > 0) {
+      logger.info('GatewayWorker', 'JOBS', 'Requeued interrupted jobs', { jobs: recovered })
+    }
+
+    this.timer = setInterval(() => this.poll(), this.pollIntervalMs)
+    this.timer.unref?.()
+    this.poll()
+  }
+
+  // Stop taking jobs and abandon the running ones; they stay marked running and are
+  // queued again by the next start()
+  stop() {
+    this.stopped = true
+    clearInterval(this.timer)
+    this.timer = null
+    for (const controller of this.running.values()) {
+      controller.abort()
+    }
+  }
+
+  async recover() {
+    const ids = await JobStore.listRunning(this.workerInstance)
+    let recovered = 0
+    for (const id of ids) {
+      const job = await JobStore.update(this.workerInstance, id, job => job.status === 'running'
+        ? { status: 'queued', runAt: Date.now() }
+        : null)
+      if (job) recovered++
+    }
+    return recovered
+  }
+
+  // Abort the running attempt of a job (after cancelJob marked it cancelled)
+  cancel(id) {
+    const controller = this.running.get(id)
+    if (controller) {
+      controller.abort()
+    }
+  }
+
+  // Start as many due jobs as there are free slots
+  async poll() {
+    if (this.polling || this.stopped) return
+    this.polling = true
+
+    try {
+      const free = this.maxConcurrentJobs - this.running.size
+      if (free <= 0) return
+
+      const ids = await JobStore.listDue(this.workerInstance, { limit: free + this.running.size })
+      for (const id of ids) {
+        if (this.running.size >= this.maxConcurrentJobs) break
+        if (!this.running.has(id)) {
+          this._run(id)
+        }
+      }
+    } catch (error) {
+      logger.warn('GatewayWorker', 'JOBS', 'Job queue poll failed', { error: error.message })
+    } finally {
+      this.polling = false
+    }
+  }
+
+  // Error category of a failed attempt; connection errors the categories do not name
+  // (e.g. ECONNRESET) count as a lost connection
+  categorize(error) {
+    if (SCHEDULER_CODES.includes(error.code) || error.code === LLM_UNAVAILABLE) return error.code
+
+    const category = GatewayHelper.categorizeGatewayError(error)
+    const net = this.workerInstance.net_default
+    if (category === 'UNKNOWN_PROCESSOR_ERROR' && net && net.isRetryableError(error)) {
+      return 'PROCESSOR_CONNECTION_LOST'
+    }
+    return category
+  }
+
+  policyFor(category) {
+    return this.retryPolicy[category] || this.retryPolicy.default
+  }
+
+  async _run(id) {
+    const controller = new AbortController()
+    this.running.set(id, controller)
+
+    try {
+      const job = await JobStore.update(this.workerInstance, id, job => job.status === 'queued'
+        ? { status: 'running', attempts: job.attempts + 1, startedAt: job.startedAt || Date.now() }
+        : null)
+      if (!job) return
+
+      logger.info('GatewayWorker', id, 'Job started', {
+        user: job.user,
+        topic: job.topic,
+        attempt: job.attempts
+      })
+
+      try {
+        const result = await this._execute(job, controller.signal)
+        if (controller.signal.aborted) return
+        await this._finish(job, result)
+      } catch (error) {
+        if (controller.signal.aborted) return
+        await this._fail(job, error)
+      }
+    } catch (error) {
+      logger.error('GatewayWorker', id, 'Job bookkeeping failed', { error: error.message, stack: error.stack })
+    } finally {
+      this.running.delete(id)
+      this.poll()
+    }
+  }
+
+  // Stream the job from a processor; resolves with the processor's result (undefined when aborted)
+  async _execute(job, signal) {
+    const scheduler = this.workerInstance.scheduler
+    const ticket = scheduler
+      ? await scheduler.schedule({ user: job.user, priority: job.priority, signal })
+      : { release: () => {} }
+
+    try {
+      let result = null
+      let tokens = 0
+      let savedAt = Date.now()
+
+      const upstream = this.workerInstance.net_default.jTopicStream(job.topic, 'processRequestStream', job.data, { signal })
+      for await (const chunk of upstream) {
+        if (chunk.type === 'token') {
+          tokens++
+          if (Date.now() - savedAt >= this.progressIntervalMs) {
+            savedAt = Date.now()
+            await JobStore.update(this.workerInstance, job.id, current => current.status === 'running' ? { progress: { tokens } } : null)
+          }
+        } else if (chunk.type === 'done') {
+          result = chunk.result
+        }
+      }
+
+      if (!result && !signal.aborted) {
+        throw new Error('Processor stream ended without a result')
+      }
+      // The fallback reply is a failed attempt, not an answer to keep
+      if (result && result.note === LLM_UNAVAILABLE) {
+        const error = new Error('The model backend is unavailable')
+        error.code = LLM_UNAVAILABLE
+        throw error
+      }
+      return result && { ...result, tokens: tokens }
+    } finally {
+      ticket.release()
+    }
+  }
+
+  async _finish(job, result) {
+    const { tokens, ...jobResult } = result
+    const finished = await JobStore.update(this.workerInstance, job.id, current => current.status === 'running'
+      ? { status: 'completed', result: jobResult, progress: { tokens }, finishedAt: Date.now() }
+      : null)
+    if (!finished) return
+
+    await GatewayHelper.recordConversationTurn(
+      this.workerInstance,
+      { conversationId: job.conversationId, prompt: job.promptText },
+      { decoded: { email: job.user } },
+      jobResult,
+      job.id
+    )
+
+    logger.info('GatewayWorker', job.id, 'Job completed', {
+      user: job.user,
+      attempts: job.attempts,
+      tokens: tokens,
+      durationMs: finished.finishedAt - job.createdAt
+    })
+  }
+
+  async _fail(job, error) {
+    const category = this.categorize(error)
+    const policy = this.policyFor(category)
+    const retry = policy.retry && job.attempts < policy.maxAttempts
+    const delay = policy.retryDelayMs * Math.pow(2, job.attempts - 1)
+
+    await JobStore.update(this.workerInstance, job.id, current => {
+      if (current.status !== 'running') return null
+      return retry
+        ? { status: 'queued', runAt: Date.now() + delay, error: error.message, errorCategory: category }
+        : { status: 'failed', error: error.message, errorCategory: category, finishedAt: Date.now() }
+    })
+
+    logger.warn('GatewayWorker', job.id, retry ? 'Job attempt failed, requeued' : 'Job failed, moved to the dead-letter store', {
+      user: job.user,
+      attempt: job.attempts,
+      error: error.message,
+      errorCategory: category,
+      retryInMs: retry ? delay : null
+    })
+  }
+}
+
+module.exports = {
+  JobRunner,
+  resolveJobConfig,
+  DEFAULT_RETRY_POLICY
+}
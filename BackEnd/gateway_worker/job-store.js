@@ -0,0 +1,318 @@
+'use strict'
+
+const crypto = require('crypto')
+const KeyedLock = require('./keyed-lock.js')
+
+// Durable storage for asynchronous inference jobs, kept in the gateway's "jobs" Hyperbee
+// so queued and interrupted jobs survive a gateway restart (see job-runner.js).
+//
+// Keys:
+//   job/<id>                        -> full job { id, user, status, data, topic, ..., result, error }
+//   job-queue/<runAt>/<id>          -> { id } for every queued job, ordered by when it may run next
+//   job-running/<id>                -> { id } for every job a processor is working on
+//   dead-letter/<id>                -> copy of a failed job (payload, error category, attempts,
+//                                      timestamps) until an admin requeues or purges it
+// Every status change goes through update(), which keeps the markers and the dead-letter entry
+// in step with the job.
+
+const STATUSES = Object.freeze(['queued', 'running', 'completed', 'failed', 'cancelled'])
+const FINISHED_STATUSES = Object.freeze(['completed', 'failed', 'cancelled'])
+
+const QUEUE_PREFIX = 'job-queue/'
+const RUNNING_PREFIX = 'job-running/'
+const DEAD_LETTER_PREFIX = 'dead-letter/'
+
+class JobStore {
+  // Lazily initialise and cache the Hyperbee database used for jobs
+  static async _getDb (workerInstance) {
+    if (!workerInstance || !workerInstance.store_s0) {
+      throw new Error('Store facility not available in worker instance')
+    }
+
+    // Re-use the same Bee instance for the lifetime of the process
+    if (!JobStore._db) {
+      JobStore._db = await workerInstance.store_s0.getBee(
+        { name: 'jobs' },
+        {
+          keyEncoding: 'utf-8',
+          valueEncoding: 'json'
+        }
+      )
+      await JobStore._db.ready()
+    }
+
+    return JobStore._db
+  }
+
+  static _recordKey (id) {
+    return `job/${id}`
+  }
+
+  static _queueKey (job) {
+    return `${QUEUE_PREFIX}${String(job.runAt).padStart(13, '0')}/${job.id}`
+  }
+
+  static _runningKey (id) {
+    return `${RUNNING_PREFIX}${id}`
+  }
+
+  static _deadLetterKey (id) {
+    return `${DEAD_LETTER_PREFIX}${id}`
+  }
+
+  static isFinished (job) {
+    return FINISHED_STATUSES.includes(job.status)
+  }
+
+  static async _read (db, id) {
+    if (typeof id !== 'string' || !id) return null
+    const entry = await db.get(JobStore._recordKey(id))
+    return entry && entry.value ? entry.value : null
+  }
+
+  // Write a job and move its queue/running markers (previous = the stored version, if any)
+  static async _write (db, job, previous) {
+    const batch = db.batch()
+    if (previous && previous.status === 'queued') {
+      await batch.del(JobStore._queueKey(previous))
+    }
+    if (previous && previous.status === 'running' && job.status !== 'running') {
+      await batch.del(JobStore._runningKey(job.id))
+    }
+    if (previous && previous.status === 'failed' && job.status !== 'failed') {
+      await batch.del(JobStore._deadLetterKey(job.id))
+    }
+    await batch.put(JobStore._recordKey(job.id), job)
+    if (job.status === 'queued') {
+      await batch.put(JobStore._queueKey(job), { id: job.id })
+    }
+    if (job.status === 'running') {
+      await batch.put(JobStore._runningKey(job.id), { id: job.id })
+    }
+    if (job.status === 'failed' && (!previous || previous.status !== 'failed')) {
+      await batch.put(JobStore._deadLetterKey(job.id), JobStore._deadLetterEntry(job))
+    }
+    await batch.flush()
+  }
+
+  // What the dead-letter store keeps of a failed job: its original payload and how it failed
+  static _deadLetterEntry (job) {
+    return {
+      id: job.id,
+      user: job.user,
+      topic: job.topic,
+      model: job.model,
+      priority: job.priority,
+      conversationId: job.conversationId,
+      data: job.data,
+      promptText: job.promptText,
+      errorCategory: job.errorCategory || 'UNKNOWN',
+      error: job.error,
+      attempts: job.attempts,
+      requeues: job.requeues || 0,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      failedAt: job.finishedAt || job.updatedAt
+    }
+  }
+
+  // What callers of getJob/cancelJob see: no owner or processor input
+  static view (job) {
+    return {
+      id: job.id,
+      status: job.status,
+      model: job.model,
+      priority: job.priority,
+      conversationId: job.conversationId,
+      attempts: job.attempts,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      progress: job.progress,
+      result: job.result,
+      error: job.error,
+      errorCategory: job.errorCategory || null
+    }
+  }
+
+  // Dead-letter listing entry: everything but the payload
+  static deadLetterSummary (entry) {
+    const { data, promptText, ...summary } = entry
+    return summary
+  }
+
+  /**
+   * Queue a job for user. data is the processRequestStream input, topic the processor topic.
+   * @returns {object} the stored job
+   */
+  static async create (workerInstance, user, { data, topic, model = null, priority = null, conversationId = null, promptText = '' }) {
+    const db = await JobStore._getDb(workerInstance)
+    const now = Date.now()
+
+    const job = {
+      id: crypto.randomBytes(8).toString('hex'),
+      user: user,
+      status: 'queued',
+      data: data,
+      topic: topic,
+      model: model,
+      priority: priority,
+      conversationId: conversationId,
+      promptText: promptText,
+      attempts: 0,
+      runAt: now,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+      progress: { tokens: 0 },
+      result: null,
+      error: null,
+      errorCategory: null,
+      requeues: 0
+    }
+
+    await JobStore._write(db, job, null)
+    return job
+  }
+
+  // @returns {object|null} the job, or null when there is none with this id
+  static async get (workerInstance, id) {
+    const db = await JobStore._getDb(workerInstance)
+    return await JobStore._read(db, id)
+  }
+
+  /**
+   * Read-modify-write one job: fn(job) returns the fields to change, or null to leave it as is.
+   * @returns {object|null} the updated job, or null when it does not exist or fn declined
+   */
+  static async update (workerInstance, id, fn) {
+    const db = await JobStore._getDb(workerInstance)
+    return await JobStore._locks.run(JobStore._recordKey(id), async () => {
+      const previous = await JobStore._read(db, id)
+      if (!previous) return null
+
+      const changes = fn(previous)
+      if (!changes) return null
+
+      const job = { ...previous, ...changes, updatedAt: Date.now() }
+      await JobStore._write(db, job, previous)
+      return job
+    })
+  }
+
+  // Ids of queued jobs that may run now, oldest first
+  static async listDue (workerInstance, { limit = 10, now = Date.now() } = {}) {
+    const db = await JobStore._getDb(workerInstance)
+    const ids = []
+    const lt = `${QUEUE_PREFIX}${String(now + 1).padStart(13, '0')}`
+    for await (const entry of db.createReadStream({ gte: QUEUE_PREFIX, lt: lt, limit: limit })) {
+      ids.push(entry.value.id)
+    }
+    return ids
+  }
+
+  // Ids of jobs marked running
+  static async listRunning (workerInstance) {
+    const db = await JobStore._getDb(workerInstance)
+    const ids = []
+    // "0" sorts right after "/", so this range covers exactly the running markers
+    for await (const entry of db.createReadStream({ gte: RUNNING_PREFIX, lt: RUNNING_PREFIX.slice(0, -1) + '0' })) {
+      ids.push(entry.value.id)
+    }
+    return ids
+  }
+
+  // @returns {object|null} the dead-letter entry of a failed job
+  static async getDeadLetter (workerInstance, id) {
+    const db = await JobStore._getDb(workerInstance)
+    if (typeof id !== 'string' || !id) return null
+    const entry = await db.get(JobStore._deadLetterKey(id))
+    return entry && entry.value ? entry.value : null
+  }
+
+  // Dead-letter entries, most recent failure first, optionally for one error category.
+  // Entries are keyed by job id, not failure time, so this reads the whole dead-letter range
+  // before sorting and applying limit: its cost grows with the store, not with limit.
+  static async listDeadLetters (workerInstance, { limit = 50, errorCategory = null } = {}) {
+    const db = await JobStore._getDb(workerInstance)
+    const entries = []
+    for await (const entry of db.createReadStream({ gte: DEAD_LETTER_PREFIX, lt: DEAD_LETTER_PREFIX.slice(0, -1) + '0' })) {
+      if (!errorCategory || entry.value.errorCategory === errorCategory) {
+        entries.push(entry.value)
+      }
+    }
+    return entries
+      .sort((a, b) => b.failedAt - a.failedAt)
+      .slice(0, limit)
+  }
+
+  /**
+   * Put a dead-lettered job back in the queue with a fresh set of attempts.
+   * @returns {object|null} the queued job, or null when it is not in the dead-letter store
+   */
+  static async requeueDeadLetter (workerInstance, id) {
+    if (!await JobStore.getDeadLetter(workerInstance, id)) return null
+
+    return await JobStore.update(workerInstance, id, job => job.status === 'failed'
+      ? {
+          status: 'queued',
+          attempts: 0,
+          runAt: Date.now(),
+          finishedAt: null,
+          error: null,
+          errorCategory: null,
+          requeues: (job.requeues || 0) + 1
+        }
+      : null)
+  }
+
+  /**
+   * Drop dead-letter entries: the given ids, those that failed before olderThan, or all of them.
+   * The jobs themselves stay failed.
+   * @returns {number} how many entries were removed
+   */
+  static async purgeDeadLetters (workerInstance, { ids = null, olderThan = null } = {}) {
+    const db = await JobStore._getDb(workerInstance)
+    const matches = entry => !olderThan || entry.failedAt < olderThan
+    let purged = 0
+
+    if (ids) {
+      for (const id of ids) {
+        if (typeof id === 'string' && id && await JobStore._purgeDeadLetter(db, id, matches)) {
+          purged++
+        }
+      }
+      return purged
+    }
+
+    // Delete while walking the range instead of loading the whole store first
+    for await (const entry of db.createReadStream({ gte: DEAD_LETTER_PREFIX, lt: DEAD_LETTER_PREFIX.slice(0, -1) + '0' })) {
+      if (matches(entry.value) && await JobStore._purgeDeadLetter(db, entry.value.id, matches)) {
+        purged++
+      }
+    }
+    return purged
+  }
+
+  // Delete one dead-letter entry if it still matches, under the job's lock so a retry or
+  // requeue rewriting the entry at the same time is not lost
+  static async _purgeDeadLetter (db, id, matches) {
+    return await JobStore._locks.run(JobStore._recordKey(id), async () => {
+      const entry = await db.get(JobStore._deadLetterKey(id))
+      if (!entry || !entry.value || !matches(entry.value)) return false
+
+      await db.del(JobStore._deadLetterKey(id))
+      return true
+    })
+  }
+}
+
+JobStore._db = null
+// Serialises read-modify-write cycles on the same job
+JobStore._locks = new KeyedLock()
+
+JobStore.STATUSES = STATUSES
+
+module.exports = JobStore
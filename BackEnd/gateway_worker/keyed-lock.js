@@ -0,0 +1,35 @@
+'use strict'
+
+// Per-key mutual exclusion within the gateway process: run() calls for the same key
+// are chained one after another, calls for different keys run concurrently. Used to
+// serialise read-modify-write cycles on Hyperbee records (jobs, conversations, rate
+// limit counters). A key is forgotten once its last queued call settles.
+
+class KeyedLock {
+  constructor () {
+    this._tails = new Map()
+  }
+
+  // Number of keys with a call running or waiting
+  get size () {
+    return this._tails.size
+  }
+
+  // Run fn once every earlier call for key has settled; resolves or rejects like fn
+  async run (key, fn) {
+    const previous = this._tails.get(key) || Promise.resolve()
+    const run = previous.then(fn, fn)
+    const settled = run.catch(() => {})
+    this._tails.set(key, settled)
+
+    try {
+      return await run
+    } finally {
+      if (this._tails.get(key) === settled) {
+        this._tails.delete(key)
+      }
+    }
+  }
+}
+
+module.exports = KeyedLock
@@ -4,6 +4,7 @@
 require('dotenv').config()
 
 const logger = require('../shared-logger.js')
+const KeyedLock = require('./keyed-lock.js')
 
 // Default configuration values
 const DEFAULT_MAX_REQUESTS = 10           // requests
@@ -57,6 +58,13 @@ class RateLimiter {
       return { allowed: true }
     }
 
+    // Checks for the same user run one at a time, so parallel requests (e.g. the items
+    // of a batch) cannot all read the same remaining count and get through
+    return await RateLimiter._locks.run(userEmail, () => RateLimiter._consume(workerInstance, userEmail))
+  }
+
+  // Body of checkRateLimit: read, decrement and store the user's record
+  static async _consume (workerInstance, userEmail) {
     try {
       const db = await RateLimiter._getDb(workerInstance)
       const { maxRequests, resetIntervalMs } = RateLimiter._getConfig()
@@ -222,4 +230,6 @@ class RateLimiter {
   }
 }
 
+RateLimiter._locks = new KeyedLock()
+
 module.exports = RateLimiter 
\ No newline at end of file
@@ -0,0 +1,229 @@
+'use strict'
+
+// Fair-share scheduling of prompts toward processors. At most maxInFlight prompts are
+// forwarded at once; the rest wait in one queue per user and priority class and are
+// released by start-time fair queuing: each request is tagged with a virtual start time
+// (the later of the scheduler's virtual clock and the end of its flow's previous request)
+// and advances its flow by 1 / weight, so a user with many queued prompts only gets their
+// weighted share while others are waiting. Weight = priority class weight x role weight.
+
+const DEFAULT_MAX_IN_FLIGHT = 32
+const DEFAULT_MAX_QUEUE = 256
+const DEFAULT_MAX_QUEUE_PER_USER = 16
+const DEFAULT_MAX_WAIT_MS = 60000
+const DEFAULT_PRIORITY = 'interactive'
+const DEFAULT_PRIORITIES = { interactive: 4, batch: 1 }
+
+function positiveInt(value, fallback) {
+  const parsed = parseInt(value, 10)
+  return parsed > 0 ? parsed : fallback
+}
+
+// Merge gateway config (conf.gateway.scheduler) with environment overrides and defaults
+function resolveSchedulerConfig(conf = {}) {
+  const priorities = {}
+  for (const [name, weight] of Object.entries(conf.priorities || DEFAULT_PRIORITIES)) {
+    if (typeof weight === 'number' && weight > 0) {
+      priorities[name] = weight
+    }
+  }
+  if (Object.keys(priorities).length === 0) {
+    Object.assign(priorities, DEFAULT_PRIORITIES)
+  }
+
+  const defaultPriority = priorities[conf.defaultPriority] ? conf.defaultPriority : DEFAULT_PRIORITY
+  if (!priorities[defaultPriority]) {
+    priorities[defaultPriority] = DEFAULT_PRIORITIES[DEFAULT_PRIORITY]
+  }
+
+  return {
+    maxInFlight: positiveInt(process.env.GATEWAY_MAX_IN_FLIGHT || conf.maxInFlight, DEFAULT_MAX_IN_FLIGHT),
+    maxQueue: positiveInt(process.env.GATEWAY_MAX_QUEUE || conf.maxQueue, DEFAULT_MAX_QUEUE),
+    maxQueuePerUser: positiveInt(process.env.GATEWAY_MAX_QUEUE_PER_USER || conf.maxQueuePerUser, DEFAULT_MAX_QUEUE_PER_USER),
+    maxWaitMs: positiveInt(process.env.GATEWAY_MAX_QUEUE_WAIT_MS || conf.maxWaitMs, DEFAULT_MAX_WAIT_MS),
+    priorities: priorities,
+    defaultPriority: defaultPriority,
+    roleWeights: { ...conf.roleWeights }
+  }
+}
+
+function schedulerError(code, status, message) {
+  const error = new Error(message)
+  error.code = code
+  error.status = status
+  return error
+}
+
+class FairScheduler {
+  constructor(opts = {}) {
+    this.inFlight = 0
+    this.queued = 0
+    this.rejected = 0
+    this.virtualTime = 0
+    this.seq = 0
+    // `${priority}:${user}` -> { user, queue, finish }
+    this.flows = new Map()
+    // user -> requests waiting across all of their priority classes
+    this.userQueued = new Map()
+    this.configure(opts)
+  }
+
+  // Apply new limits; a higher maxInFlight releases waiting requests right away
+  configure(opts = {}) {
+    Object.assign(this, resolveSchedulerConfig(opts))
+    this._dispatch()
+  }
+
+  hasPriority(priority) {
+    return Object.prototype.hasOwnProperty.call(this.priorities, priority)
+  }
+
+  weight(priority, role) {
+    const roleWeight = this.roleWeights[role]
+    return this.priorities[priority] * (typeof roleWeight === 'number' && roleWeight > 0 ? roleWeight : 1)
+  }
+
+  stats() {
+    return {
+      inFlight: this.inFlight,
+      queued: this.queued,
+      queuedUsers: this.userQueued.size,
+      maxInFlight: this.maxInFlight,
+      maxQueue: this.maxQueue,
+      rejected: this.rejected
+    }
+  }
+
+  // Wait for a turn toward the processors. Resolves to { release, waitMs, priority };
+  // call release exactly once when the processor has answered (or the stream ended).
+  // Rejects with an error carrying code and status when the user's queue (USER_QUEUE_FULL, 429)
+  // or the whole queue (GATEWAY_QUEUE_FULL, 503) is full, after maxWaitMs (QUEUE_TIMEOUT, 503),
+  // or with the signal's reason when `signal` aborts while waiting.
+  schedule({ user = 'anonymous', priority, role, signal } = {}) {
+    priority = priority || this.defaultPriority
+    if (!this.hasPriority(priority)) {
+      return Promise.reject(schedulerError('INVALID_PRIORITY', 400, `Invalid priority: expected one of ${Object.keys(this.priorities).join(', ')}`))
+    }
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason || new Error('Request cancelled while queued'))
+    }
+
+    // Limits only apply to requests that will actually have to wait
+    if (this.inFlight >= this.maxInFlight) {
+      if (this.queued >= this.maxQueue) {
+        this.rejected++
+        return Promise.reject(schedulerError('GATEWAY_QUEUE_FULL', 503, 'Gateway is at capacity, please try again shortly'))
+      }
+      if ((this.userQueued.get(user) || 0) >= this.maxQueuePerUser) {
+        this.rejected++
+        return Promise.reject(schedulerError('USER_QUEUE_FULL', 429, 'Too many queued prompts, wait for earlier ones to finish'))
+      }
+    }
+
+    const key = `${priority}:${user}`
+    let flow = this.flows.get(key)
+    if (!flow) {
+      flow = { user: user, queue: [], finish: 0 }
+      this.flows.set(key, flow)
+    }
+
+    return new Promise((resolve, reject) => {
+      const start = Math.max(this.virtualTime, flow.finish)
+      const entry = { flow, start, seq: this.seq++, priority, enqueuedAt: Date.now(), resolve, reject, signal, onAbort: null, timer: null }
+      flow.finish = start + 1 / this.weight(priority, role)
+
+      if (signal) {
+        entry.onAbort = () => {
+          if (this._remove(entry, true)) {
+            reject(signal.reason || new Error('Request cancelled while queued'))
+          }
+        }
+        signal.addEventListener('abort', entry.onAbort, { once: true })
+      }
+      entry.timer = setTimeout(() => {
+        if (this._remove(entry, true)) {
+          this.rejected++
+          reject(schedulerError('QUEUE_TIMEOUT', 503, `Prompt waited more than ${this.maxWaitMs}ms for a processor slot`))
+        }
+      }, this.maxWaitMs)
+      entry.timer.unref?.()
+
+      flow.queue.push(entry)
+      this.queued++
+      this.userQueued.set(user, (this.userQueued.get(user) || 0) + 1)
+      this._dispatch()
+    })
+  }
+
+  // Take a waiting entry out of its flow; returns false if it already left the queue.
+  // A dropped (cancelled or timed out) last request gives its share back to the flow.
+  _remove(entry, dropped = false) {
+    const index = entry.flow.queue.indexOf(entry)
+    if (index === -1) {
+      return false
+    }
+
+    if (dropped && index === entry.flow.queue.length - 1) {
+      entry.flow.finish = entry.start
+    }
+    entry.flow.queue.splice(index, 1)
+    this.queued--
+
+    const user = entry.flow.user
+    const count = this.userQueued.get(user) - 1
+    if (count > 0) {
+      this.userQueued.set(user, count)
+    } else {
+      this.userQueued.delete(user)
+    }
+
+    clearTimeout(entry.timer)
+    entry.signal?.removeEventListener('abort', entry.onAbort)
+    return true
+  }
+
+  _releaser() {
+    let released = false
+    return () => {
+      if (released) return
+      released = true
+      this.inFlight--
+      this._dispatch()
+    }
+  }
+
+  // Hand free slots to the waiting request with the smallest virtual start time (oldest first on ties)
+  _dispatch() {
+    while (this.inFlight < this.maxInFlight && this.queued > 0) {
+      let next = null
+      for (const flow of this.flows.values()) {
+        const head = flow.queue[0]
+        if (head && (!next || head.start < next.start || (head.start === next.start && head.seq < next.seq))) {
+          next = head
+        }
+      }
+
+      this._remove(next)
+      this.virtualTime = Math.max(this.virtualTime, next.start)
+      this.inFlight++
+      next.resolve({ release: this._releaser(), waitMs: Date.now() - next.enqueuedAt, priority: next.priority })
+    }
+
+    // Idle flows are forgotten once the virtual clock has caught up with them
+    for (const [key, flow] of this.flows) {
+      if (flow.queue.length === 0 && flow.finish <= this.virtualTime) {
+        this.flows.delete(key)
+      }
+    }
+  }
+}
+
+module.exports = {
+  FairScheduler,
+  resolveSchedulerConfig,
+  DEFAULT_MAX_IN_FLIGHT,
+  DEFAULT_MAX_QUEUE,
+  DEFAULT_MAX_QUEUE_PER_USER,
+  DEFAULT_MAX_WAIT_MS,
+  DEFAULT_PRIORITIES
+}
@@ -8,7 +8,10 @@ const DHT = require('hyperdht')
 const Hyperswarm = require('hyperswarm')
 const os = require('os')
 
+const CircuitBreaker = require('./lib/circuit.breaker')
 const HyperDHTLookup = require('./lib/hyperdht.lookup')
+const PeerSelector = require('./lib/peer.selector')
+const { RpcStreamRegistry, openStream, readStream } = require('./lib/rpc.stream')
 
 class NetFacility extends Base {
   constructor (caller, opts, ctx) {
@@ -25,7 +28,19 @@ class NetFacility extends Base {
       this.opts.poolLinger = 300000
     }
 
+    this.streams = new RpcStreamRegistry(this.opts.stream)
+
     this.init()
+
+    this.peers = new PeerSelector({
+      ...this.conf?.peerSelection,
+      ...this.opts.peerSelection
+    })
+
+    this.breakers = new CircuitBreaker({
+      ...this.conf?.circuitBreaker,
+      ...this.opts.circuitBreaker
+    })
   }
 
   parseInputJSON (data) {
@@ -75,10 +90,19 @@ class NetFacility extends Base {
       opts.timeout = this.opts.timeout
     }
 
-    let res = await this.rpc.request(
-      Buffer.from(key, 'hex'), method,
-      this.toOutJSON(data), opts
-    )
+    // Any reply, even an error one, means the peer is reachable; only a
+    // failed request (connection error, timeout) counts against its breaker
+    let res
+    try {
+      res = await this.rpc.request(
+        Buffer.from(key, 'hex'), method,
+        this.toOutJSON(data), opts
+      )
+    } catch (e) {
+      this.breakers.failure(key)
+      throw e
+    }
+    this.breakers.success(key)
 
     res = this.parseInputJSON(res)
     this.handleInputError(res)
@@ -88,7 +112,42 @@ class NetFacility extends Base {
 
   async jTopicRequest (topic, method, data, opts = {}, cached = false) {
     const key = await this.lookupTopicKey(topic, cached)
-    return this.jRequest(key, method, data, opts)
+    return this.jTopicKeyRequest(topic, key, method, data, opts)
+  }
+
+  /**
+   * Request to one peer of a topic, reporting the outcome to the peer selector
+   * and to the lookup's key health (connection errors count as failures)
+   * @param {string} topic
+   * @param {string} key - Remote peer public key (hex)
+   * @param {string} method
+   * @param {object} data
+   * @param {object} opts
+   */
+  async jTopicKeyRequest (topic, key, method, data, opts = {}) {
+    try {
+      const res = await this.peers.track(key, () => this.jRequest(key, method, data, opts))
+      this.lookup.reportSuccess(topic, key)
+      return res
+    } catch (e) {
+      if (this.isConnectionError(e)) {
+        this.lookup.reportFailure(topic, key)
+      }
+      throw e
+    }
+  }
+
+  /**
+   * Orders the keys of a topic for trying: keys without reported failures
+   * first, in peer selection order, then failed ones, least failed first
+   * @param {string} topic
+   * @param {Array<string>} keys - as returned by lookup
+   * @returns {Array<string>}
+   */
+  orderTopicKeys (topic, keys) {
+    const healthy = keys.filter(key => !this.lookup.health(topic, key))
+    const failed = keys.filter(key => this.lookup.health(topic, key))
+    return this.peers.order(healthy, topic).concat(failed)
   }
 
   /**
@@ -108,8 +167,8 @@ class NetFacility extends Base {
     
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
-        // Force fresh DHT lookup on retries to avoid stale keys
-        const useCache = attempt === 1 ? false : false // Always force fresh lookup
+        // Cached keys first (failed keys are dropped from the cache), fresh DHT lookup on retries
+        const useCache = attempt === 1
         
         // For retry attempts after the first, add a small delay to allow DHT to update
         if (attempt > 1) {
@@ -117,17 +176,23 @@ class NetFacility extends Base {
           await new Promise(resolve => setTimeout(resolve, delay))
         }
         
-        // Get fresh keys from DHT lookup
-        const keys = await this.lookup.lookup(topic, useCache)
-        if (!keys.length) {
+        // Get keys from DHT lookup, best peer first (see orderTopicKeys)
+        const found = await this.lookup.lookup(topic, useCache)
+        if (!found.length) {
           throw new Error('ERR_TOPIC_LOOKUP_EMPTY')
         }
+        const keys = this.orderTopicKeys(topic, found)
         
-        // Try each available key until one works
+        // Try each available key until one works, skipping peers whose circuit is open
+        let keyError = null
         for (let keyIndex = 0; keyIndex < keys.length; keyIndex++) {
+          const key = keys[keyIndex]
+          if (!this.breakers.allow(key)) {
+            continue
+          }
+
           try {
-            const key = keys[keyIndex]
-            const result = await this.jRequest(key, method, data, opts)
+            const result = await this.jTopicKeyRequest(topic, key, method, data, opts)
             
             // Log success if it was a retry
             if (attempt > 1 || keyIndex > 0) {
@@ -135,17 +200,21 @@ class NetFacility extends Base {
             }
             
             return result
-          } catch (keyError) {
-            // If this is a connection error and we have more keys to try, continue
-            if (keyIndex < keys.length - 1 && this.isConnectionError(keyError)) {
-              console.log(`⚠️  Key ${keyIndex + 1} failed (${keyError.message}), trying next key...`)
-              continue
+          } catch (err) {
+            // Other errors come from the peer itself, so another key would not help,
+            // unless the peer was just too busy to take the request
+            if (!this.isConnectionError(err) && !this.isBusyError(err)) {
+              throw err
+            }
+            keyError = err
+            if (keyIndex < keys.length - 1) {
+              console.log(`⚠️  Key ${keyIndex + 1} failed (${err.message}), trying next key...`)
             }
-            // If no more keys or non-connection error, propagate error
-            throw keyError
           }
         }
         
+        // Every key failed or had its circuit open
+        throw keyError || new Error('ERR_TOPIC_PEERS_CIRCUIT_OPEN')
       } catch (error) {
         lastError = error
         
@@ -194,6 +263,17 @@ class NetFacility extends Base {
     )
   }
 
+  /**
+   * Check if a peer turned the request down because it is at capacity. Services
+   * signal this with an error code ending in _BUSY (e.g. PROCESSOR_BUSY); the
+   * request can go to another peer of the topic.
+   * @param {Error} error - The error to check
+   * @returns {boolean} True if another peer may accept the request
+   */
+  isBusyError (error) {
+    return /\b[A-Z_]+_BUSY\b/.test(error.message || '')
+  }
+
   /**
    * Check if an error is specifically a connection error (not auth/validation)
    * @param {Error} error - The error to check  
@@ -203,6 +283,98 @@ class NetFacility extends Base {
     return this.isRetryableError(error)
   }
 
+  /**
+   * Streaming request to a single peer. Every frame of the stream goes to `key`.
+   * @param {string} key - Remote peer public key (hex)
+   * @param {string} method - The streaming RPC method to call
+   * @param {object} data - The data payload passed to the remote producer
+   * @param {object} opts - Request options applied to every frame (timeout, etc.)
+   * @param {AbortSignal} [opts.signal] - Cancels the stream; the iterator then ends without error
+   * @returns {AsyncGenerator} Chunks in the order the remote producer yielded them
+   */
+  async * jStream (key, method, data, opts = {}) {
+    const { signal, ...requestOpts } = opts
+    const send = (frame) => this.jRequest(key, method, frame, { ...requestOpts })
+    const streamId = await openStream(send, data)
+
+    yield * readStream(send, streamId, signal)
+  }
+
+  /**
+   * Streaming request to a topic. Opening the stream tries each peer of the
+   * topic until one accepts it (on connection errors), then the stream stays
+   * pinned to that peer.
+   * @param {string} topic - The topic to stream from
+   * @param {string} method - The streaming RPC method to call
+   * @param {object} data - The data payload passed to the remote producer
+   * @param {object} opts - Request options applied to every frame (timeout, etc.)
+   * @param {AbortSignal} [opts.signal] - Cancels the stream; the iterator then ends without error
+   * @param {boolean} cached - Use cached DHT lookup results (default: false)
+   * @returns {AsyncGenerator} Chunks in the order the remote producer yielded them
+   */
+  async * jTopicStream (topic, method, data, opts = {}, cached = false) {
+    if (!this.lookup) {
+      throw new Error('ERR_FACS_NET_LOOKUP_NOTFOUND')
+    }
+
+    const found = await this.lookup.lookup(topic, cached)
+    if (!found.length) {
+      throw new Error('ERR_TOPIC_LOOKUP_EMPTY')
+    }
+
+    const keys = this.orderTopicKeys(topic, found)
+    const { signal, ...requestOpts } = opts
+    let send = null
+    let streamId = null
+    let done = null
+    let keyError = null
+
+    // Peers whose circuit is open are skipped
+    for (const key of keys) {
+      if (!this.breakers.allow(key)) {
+        continue
+      }
+
+      const keySend = (frame) => this.jRequest(key, method, frame, { ...requestOpts })
+      done = this.peers.begin(key)
+
+      try {
+        streamId = await openStream(keySend, data)
+        send = keySend
+        this.lookup.reportSuccess(topic, key)
+        break
+      } catch (err) {
+        done(err)
+        if (this.isBusyError(err)) {
+          keyError = err
+          continue
+        }
+        if (!this.isConnectionError(err)) {
+          throw err
+        }
+        this.lookup.reportFailure(topic, key)
+        keyError = err
+      }
+    }
+
+    if (!send) {
+      throw keyError || new Error('ERR_TOPIC_PEERS_CIRCUIT_OPEN')
+    }
+
+    // The stream counts as in flight on its peer until it ends; cancelled
+    // streams are not used as latency samples
+    let completed = false
+    try {
+      yield * readStream(send, streamId, signal)
+      completed = !signal?.aborted
+    } catch (err) {
+      done(err)
+      throw err
+    } finally {
+      done(null, completed)
+    }
+  }
+
   async jEvent (k, m, d) {
     if (!this.rpc) {
       throw new Error('ERR_FACS_NET_RPC_NOTFOUND')
@@ -234,6 +406,27 @@ class NetFacility extends Base {
     }
   }
 
+  /**
+   * Server side of jStream/jTopicStream. `this.caller[met](data, { signal, streamId })`
+   * must return an async iterable; `signal` aborts when the client cancels or goes idle.
+   * @param {string} met - The streaming method name
+   * @param {Buffer} data - Raw request frame
+   */
+  async handleStreamReply (met, data) {
+    try {
+      data = this.parseInputJSON(data)
+    } catch (e) {
+      return this.toOutJSON(`[HRPC_ERR]=${e.message}`)
+    }
+
+    try {
+      const res = await this.streams.handle(data, (payload, ctx) => this.caller[met](payload, ctx))
+      return this.toOutJSON(res)
+    } catch (e) {
+      return this.toOutJSON(`[HRPC_ERR]=${e.message}`)
+    }
+  }
+
   async getSeed (name) {
     const store = this.opts.fac_store || this.caller.store_s0
 
@@ -296,8 +489,40 @@ class NetFacility extends Base {
       throw new Error('ERR_TOPIC_LOOKUP_EMPTY')
     }
 
-    const index = Math.floor(Math.random() * keys.length)
-    return keys[index]
+    const key = this.orderTopicKeys(topic, keys).find(key => this.breakers.allow(key))
+    if (!key) {
+      throw new Error('ERR_TOPIC_PEERS_CIRCUIT_OPEN')
+    }
+
+    return key
+  }
+
+  /**
+   * Pings every peer announcing topic and records the load (queueDepth,
+   * inFlight) each one reports, so load-aware peer selection also sees work sent by other clients.
+   * Peers that fail to answer are reported but never throw.
+   * @param {string} topic
+   * @param {Object} [opts]
+   * @param {number} [opts.timeout] - per-peer ping timeout in ms (default: 5000)
+   * @returns {Promise<Array<{ key: string, ok: boolean, queueDepth?: number, inFlight?: number, error?: string }>>}
+   */
+  async probeTopic (topic, opts = {}) {
+    if (!this.lookup) {
+      throw new Error('ERR_FACS_NET_LOOKUP_NOTFOUND')
+    }
+
+    const keys = await this.lookup.lookup(topic, false)
+    const timeout = opts.timeout || 5000
+
+    return Promise.all(keys.map(async key => {
+      try {
+        const res = await this.jRequest(key, 'ping', {}, { timeout })
+        this.peers.reportLoad(key, res)
+        return { key, ok: true, queueDepth: res.queueDepth, inFlight: res.inFlight }
+      } catch (e) {
+        return { key, ok: false, error: e.message }
+      }
+    }))
   }
 
   async startRpcServer (keyPair = null) {
@@ -377,6 +602,8 @@ class NetFacility extends Base {
     async.series([
       next => { super._stop(next) },
       async () => {
+        this.streams.close()
+
         if (this.rpcServer) {
           await this.rpcServer.close()
         }
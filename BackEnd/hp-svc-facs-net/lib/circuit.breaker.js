@@ -0,0 +1,179 @@
+'use strict'
+
+const { EventEmitter } = require('events')
+
+/**
+ * One circuit breaker per remote public key.
+ *
+ *   closed    - requests go through; consecutive failures are counted
+ *   open      - after failureThreshold consecutive failures the peer is
+ *               skipped until cooldown ms have passed
+ *   half-open - after the cooldown a single probe request is let through:
+ *               success closes the breaker, failure opens it again
+ *
+ * A probe that never reports back (e.g. a fire-and-forget event) stops
+ * blocking the peer after another cooldown, so a half-open peer is not
+ * stuck forever.
+ *
+ * Events:
+ *   'state'  (key, state, previous) - a breaker changed state
+ *   'reject' (key)                  - a request to an open peer was skipped
+ */
+
+const STATES = Object.freeze(['closed', 'half-open', 'open'])
+
+/**
+ * @typedef {Object} CircuitBreakerOpts
+ * @property {number} [failureThreshold] - consecutive failures that open the breaker (default: 3)
+ * @property {number} [cooldown] - ms an open breaker waits before letting a probe through (default: 10000)
+ * @property {number} [maxPeers] - peers to keep breakers for (default: 1024)
+ */
+
+/**
+ * @typedef {Object} BreakerState
+ * @property {string} state - one of STATES
+ * @property {number} failures - consecutive failures
+ * @property {number} openedAt - when the breaker last opened
+ * @property {number} probeAt - when the running half-open probe started, 0 if none
+ * @property {number} lastUsed
+ */
+
+class CircuitBreaker extends EventEmitter {
+  /**
+   * @param {CircuitBreakerOpts} [opts]
+   */
+  constructor (opts = {}) {
+    super()
+
+    this._failureThreshold = opts.failureThreshold || 3
+    this._cooldown = opts.cooldown || 10 * 1000
+    this._maxPeers = opts.maxPeers || 1024
+
+    /** @type {Map<string, BreakerState>} */
+    this._breakers = new Map()
+  }
+
+  /**
+   * @param {string} key
+   * @returns {BreakerState}
+   */
+  _breaker (key) {
+    let breaker = this._breakers.get(key)
+    if (!breaker) {
+      breaker = { state: 'closed', failures: 0, openedAt: 0, probeAt: 0, lastUsed: Date.now() }
+      this._breakers.set(key, breaker)
+      this._evict()
+    }
+    return breaker
+  }
+
+  // Forget the least recently used closed breakers once over maxPeers
+  _evict () {
+    if (this._breakers.size <= this._maxPeers) {
+      return
+    }
+
+    const closed = Array.from(this._breakers.entries())
+      .filter(([, breaker]) => breaker.state === 'closed')
+      .sort((a, b) => a[1].lastUsed - b[1].lastUsed)
+
+    for (const [key] of closed.slice(0, this._breakers.size - this._maxPeers)) {
+      this._breakers.delete(key)
+    }
+  }
+
+  _transition (key, breaker, state) {
+    const previous = breaker.state
+    if (previous === state) {
+      return
+    }
+
+    breaker.state = state
+    this.emit('state', key, state, previous)
+  }
+
+  /**
+   * @param {string} key
+   * @returns {string} one of STATES
+   */
+  state (key) {
+    return this._breakers.get(key)?.state || 'closed'
+  }
+
+  /**
+   * Whether a request may be sent to key now. Once an open breaker's cooldown
+   * has passed this moves it to half-open and lets the caller's request
+   * through as the probe, so call it right before sending.
+   * @param {string} key
+   * @returns {boolean}
+   */
+  allow (key) {
+    const breaker = this._breakers.get(key)
+    if (!breaker || breaker.state === 'closed') {
+      return true
+    }
+
+    const now = Date.now()
+    const probing = breaker.state === 'half-open' && breaker.probeAt && now - breaker.probeAt < this._cooldown
+    const cooling = breaker.state === 'open' && now - breaker.openedAt < this._cooldown
+    if (probing || cooling) {
+      this.emit('reject', key)
+      return false
+    }
+
+    breaker.probeAt = now
+    breaker.lastUsed = now
+    this._transition(key, breaker, 'half-open')
+    return true
+  }
+
+  /**
+   * Records a request to key that got a reply
+   * @param {string} key
+   */
+  success (key) {
+    const breaker = this._breakers.get(key)
+    if (!breaker) {
+      return
+    }
+
+    breaker.failures = 0
+    breaker.probeAt = 0
+    breaker.lastUsed = Date.now()
+    this._transition(key, breaker, 'closed')
+  }
+
+  /**
+   * Records a request to key that failed to get a reply (connection error, timeout)
+   * @param {string} key
+   */
+  failure (key) {
+    const breaker = this._breaker(key)
+    const now = Date.now()
+
+    breaker.failures++
+    breaker.lastUsed = now
+
+    if (breaker.state === 'half-open' || breaker.failures >= this._failureThreshold) {
+      breaker.openedAt = now
+      breaker.probeAt = 0
+      this._transition(key, breaker, 'open')
+    }
+  }
+
+  /**
+   * Breaker of every known peer, keyed by public key (hex)
+   * @returns {Object<string, BreakerState>}
+   */
+  snapshot () {
+    const res = {}
+    for (const [key, breaker] of this._breakers) {
+      res[key] = { ...breaker }
+    }
+    return res
+  }
+}
+
+CircuitBreaker.STATES = STATES
+
+module.exports = CircuitBreaker
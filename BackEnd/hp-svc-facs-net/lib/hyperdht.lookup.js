@@ -29,6 +29,8 @@ class HyperDHTLookup {
    * @param {number} [opts.cachelTTL]
    * @param {number} [opts.cacheLength]
    * @param {number} [opts.announceTTL]
+   * @param {number} [opts.healthTTL] - ms a reported failure counts against a key (default: 5 min)
+   * @param {number} [opts.evictAfter] - consecutive failures that drop a key from cached results (default: 1)
    * @param {LookupCrypto} [opts.crypto]
    */
   constructor (opts) {
@@ -48,6 +50,13 @@ class HyperDHTLookup {
     this._topicMap = new Map()
     this._announceTTL = opts.announceTTL || 5 * 60 * 1000
     this._announceItvRunning = false
+
+    /** @type {LRU} `${topic}:${key}` -> consecutive failures reported */
+    this._health = new LRU({
+      max: (opts.cacheLength || 1024) * 16,
+      maxAge: opts.healthTTL || 5 * 60 * 1000
+    })
+    this._evictAfter = opts.evictAfter || 1
   }
 
   start () {
@@ -76,6 +85,7 @@ class HyperDHTLookup {
     this._topicMap.clear()
     this._announceItvRunning = false
     this._cache.clear()
+    this._health.clear()
   }
 
   /**
@@ -153,21 +163,29 @@ class HyperDHTLookup {
   }
 
   /**
+   * @param {string} topic
+   * @returns {string}
+   */
+  _cacheKey (topic) {
+    return `dht:lookup:${this.encodeTopic(topic).toString('hex')}`
+  }
+
+  /**
+   * Keys announcing topic, healthiest first (see reportFailure)
    * @param {string} topic
    * @param {boolean} [cached]
    * @returns {Promise<Array<string>>}
    */
   async lookup (topic, cached = true) {
-    const topicHash = this.encodeTopic(topic)
-    const ckey = `dht:lookup:${topicHash.toString('hex')}`
+    const ckey = this._cacheKey(topic)
     if (cached) {
       const cval = this._cache.get(ckey)
       if (cval) {
-        return cval
+        return this._rank(topic, cval)
       }
     }
 
-    const stream = this._dht.lookup(topicHash)
+    const stream = this._dht.lookup(this.encodeTopic(topic))
     const set = new Set()
 
     for await (const entry of stream) {
@@ -178,7 +196,66 @@ class HyperDHTLookup {
 
     const res = Array.from(set)
     this._cache.set(ckey, res)
-    return res
+    return this._rank(topic, res)
+  }
+
+  /**
+   * Stable sort by failures reported, so unhealthy keys are tried last
+   * @param {string} topic
+   * @param {Array<string>} keys
+   * @returns {Array<string>}
+   */
+  _rank (topic, keys) {
+    const failures = new Map(keys.map(key => [key, this.health(topic, key)]))
+    return keys.slice().sort((a, b) => failures.get(a) - failures.get(b))
+  }
+
+  /**
+   * Consecutive failures reported for key on topic within healthTTL
+   * @param {string} topic
+   * @param {string} key
+   * @returns {number}
+   */
+  health (topic, key) {
+    return this._health.peek(`${topic}:${key}`) || 0
+  }
+
+  /**
+   * Records a request to key that failed to reach it. The key is ranked after
+   * healthy ones, and after evictAfter failures it is dropped from the cached
+   * result for topic; a fresh lookup brings it back (still ranked last) while
+   * the DHT keeps announcing it.
+   * @param {string} topic
+   * @param {string} key
+   */
+  reportFailure (topic, key) {
+    const failures = this.health(topic, key) + 1
+    this._health.set(`${topic}:${key}`, failures)
+
+    if (failures < this._evictAfter) {
+      return
+    }
+
+    const ckey = this._cacheKey(topic)
+    const cval = this._cache.peek(ckey)
+    const index = cval ? cval.indexOf(key) : -1
+    if (index === -1) {
+      return
+    }
+
+    cval.splice(index, 1)
+    if (!cval.length) {
+      this._cache.remove(ckey)
+    }
+  }
+
+  /**
+   * Records a request to key that reached it, clearing its failures
+   * @param {string} topic
+   * @param {string} key
+   */
+  reportSuccess (topic, key) {
+    this._health.remove(`${topic}:${key}`)
   }
 }
 
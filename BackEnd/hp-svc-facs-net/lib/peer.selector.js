@@ -0,0 +1,270 @@
+'use strict'
+
+/**
+ * Chooses which peer of a topic gets the next request.
+ *
+ * Strategies:
+ *
+ *   round-robin     - rotate through the peers of each topic
+ *   least-in-flight - fewest requests in progress, counting both the calls this
+ *                     process has open to the peer and the load the peer last
+ *                     reported (e.g. in its `ping` response)
+ *   ewma-latency    - lowest exponentially weighted moving average of request
+ *                     latency, scaled by (in-flight + 1) so a burst of requests
+ *                     does not all land on the same fast peer
+ *
+ * Ties (including peers without statistics yet) are broken round-robin, so
+ * unknown peers get tried. `order` returns every key, best first, so callers
+ * can still fail over to the next peer.
+ */
+
+const STRATEGIES = Object.freeze([
+  'round-robin',
+  'least-in-flight',
+  'ewma-latency'
+])
+
+/**
+ * @typedef {Object} PeerSelectorOpts
+ * @property {string} [strategy] - one of STRATEGIES (default: round-robin)
+ * @property {number} [ewmaAlpha] - weight of the newest latency sample, 0..1 (default: 0.3)
+ * @property {number} [reportTTL] - ms a reported queue depth stays valid (default: 30000)
+ * @property {number} [maxPeers] - peers to keep statistics for (default: 1024)
+ */
+
+/**
+ * @typedef {Object} PeerStats
+ * @property {number} inFlight - requests this process has open to the peer
+ * @property {number|null} ewmaLatency - ms, null until the first completed request
+ * @property {number|null} queueDepth - last load reported by the peer (waiting + running)
+ * @property {number} reportedAt - when queueDepth was reported
+ * @property {number} requests - completed requests
+ * @property {number} failures - failed requests
+ * @property {number} lastUsed
+ */
+
+class PeerSelector {
+  /**
+   * @param {PeerSelectorOpts} [opts]
+   */
+  constructor (opts = {}) {
+    const strategy = opts.strategy || 'round-robin'
+    if (!STRATEGIES.includes(strategy)) {
+      throw new Error('ERR_PEER_SELECTION_STRATEGY_NOT_SUPPORTED')
+    }
+
+    this.strategy = strategy
+    this._alpha = opts.ewmaAlpha > 0 && opts.ewmaAlpha <= 1 ? opts.ewmaAlpha : 0.3
+    this._reportTTL = opts.reportTTL || 30 * 1000
+    this._maxPeers = opts.maxPeers || 1024
+
+    /** @type {Map<string, PeerStats>} */
+    this._stats = new Map()
+    /** @type {Map<string, number>} */
+    this._cursors = new Map()
+  }
+
+  /**
+   * @param {string} key
+   * @returns {PeerStats}
+   */
+  _peer (key) {
+    let stats = this._stats.get(key)
+    if (!stats) {
+      stats = {
+        inFlight: 0,
+        ewmaLatency: null,
+        queueDepth: null,
+        reportedAt: 0,
+        requests: 0,
+        failures: 0,
+        lastUsed: Date.now()
+      }
+      this._stats.set(key, stats)
+      this._evict()
+    }
+    return stats
+  }
+
+  // Forget the least recently used idle peers once over maxPeers
+  _evict () {
+    if (this._stats.size <= this._maxPeers) {
+      return
+    }
+
+    const idle = Array.from(this._stats.entries())
+      .filter(([, stats]) => stats.inFlight === 0)
+      .sort((a, b) => a[1].lastUsed - b[1].lastUsed)
+
+    for (const [key] of idle.slice(0, this._stats.size - this._maxPeers)) {
+      this._stats.delete(key)
+    }
+  }
+
+  /**
+   * Load a peer is known to have: open calls plus its fresh reported queue depth
+   * @param {string} key
+   * @returns {number}
+   */
+  load (key) {
+    const stats = this._stats.get(key)
+    if (!stats) {
+      return 0
+    }
+
+    const reported = stats.queueDepth !== null && Date.now() - stats.reportedAt <= this._reportTTL
+      ? stats.queueDepth
+      : 0
+    return stats.inFlight + reported
+  }
+
+  /**
+   * @param {string} key
+   * @returns {number} lower is better
+   */
+  _score (key) {
+    switch (this.strategy) {
+      case 'least-in-flight':
+        return this.load(key)
+      case 'ewma-latency': {
+        const latency = this._stats.get(key)?.ewmaLatency
+        return latency === null || latency === undefined ? 0 : latency * (this.load(key) + 1)
+      }
+      default:
+        return 0
+    }
+  }
+
+  /**
+   * Orders keys by preference for the next request on topic
+   * @param {Array<string>} keys
+   * @param {string} [topic]
+   * @returns {Array<string>}
+   */
+  order (keys, topic = '') {
+    if (keys.length < 2) {
+      return keys.slice()
+    }
+
+    const cursor = this._cursors.get(topic) || 0
+    this._cursors.set(topic, (cursor + 1) % keys.length)
+
+    const start = cursor % keys.length
+    const rotated = keys.slice(start).concat(keys.slice(0, start))
+    if (this.strategy === 'round-robin') {
+      return rotated
+    }
+
+    // Array#sort is stable, so equal scores keep the rotated order
+    const scores = new Map(rotated.map(key => [key, this._score(key)]))
+    return rotated.sort((a, b) => scores.get(a) - scores.get(b))
+  }
+
+  /**
+   * @param {Array<string>} keys
+   * @param {string} [topic]
+   * @returns {string}
+   */
+  select (keys, topic) {
+    return this.order(keys, topic)[0]
+  }
+
+  /**
+   * Marks a request to key as started. Call the returned function once it
+   * settles, with the error if it failed; failed requests, and those settled
+   * with sample = false (e.g. cancelled), do not update latency. Later calls
+   * are ignored.
+   * @param {string} key
+   * @returns {(err?: Error|null, sample?: boolean) => void}
+   */
+  begin (key) {
+    const stats = this._peer(key)
+    const startedAt = Date.now()
+    let settled = false
+
+    stats.inFlight++
+    stats.lastUsed = startedAt
+
+    return (err, sample = true) => {
+      if (settled) {
+        return
+      }
+      settled = true
+
+      stats.inFlight = Math.max(0, stats.inFlight - 1)
+      if (err) {
+        stats.failures++
+        return
+      }
+
+      stats.requests++
+      if (sample) {
+        this.recordLatency(key, Date.now() - startedAt)
+      }
+    }
+  }
+
+  /**
+   * Runs fn as a tracked request to key
+   * @template T
+   * @param {string} key
+   * @param {() => Promise<T>} fn
+   * @returns {Promise<T>}
+   */
+  async track (key, fn) {
+    const done = this.begin(key)
+    try {
+      const res = await fn()
+      done()
+      return res
+    } catch (err) {
+      done(err)
+      throw err
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @param {number} ms
+   */
+  recordLatency (key, ms) {
+    const stats = this._peer(key)
+    stats.ewmaLatency = stats.ewmaLatency === null
+      ? ms
+      : this._alpha * ms + (1 - this._alpha) * stats.ewmaLatency
+  }
+
+  /**
+   * Records load a peer reported about itself
+   * @param {string} key
+   * @param {Object} report
+   * @param {number} [report.queueDepth] - requests waiting on the peer
+   * @param {number} [report.inFlight] - requests the peer is running, added to queueDepth
+   */
+  reportLoad (key, report = {}) {
+    if (!Number.isFinite(report.queueDepth) || report.queueDepth < 0) {
+      return
+    }
+
+    const inFlight = Number.isFinite(report.inFlight) && report.inFlight > 0 ? report.inFlight : 0
+    const stats = this._peer(key)
+    stats.queueDepth = report.queueDepth + inFlight
+    stats.reportedAt = Date.now()
+  }
+
+  /**
+   * Statistics of every known peer, keyed by public key (hex)
+   * @returns {Object<string, PeerStats>}
+   */
+  snapshot () {
+    const res = {}
+    for (const [key, stats] of this._stats) {
+      res[key] = { ...stats, load: this.load(key) }
+    }
+    return res
+  }
+}
+
+PeerSelector.STRATEGIES = STRATEGIES
+
+module.exports = PeerSelector
@@ -0,0 +1,360 @@
+'use strict'
+
+/**
+ * Streaming RPC on top of request/response RPC.
+ *
+ * A stream is a sequence of JSON chunks produced by an async iterable on the
+ * server and consumed as an async iterator on the client. Every message is a
+ * plain RPC request to the method being streamed, tagged with a frame op:
+ *
+ *   { _stream: 'open', data }             -> { streamId }
+ *   { _stream: 'pull', streamId, ack }    -> { streamId, seq, chunks, end, error? }
+ *   { _stream: 'cancel', streamId }       -> { streamId, cancelled }
+ *
+ * `ack` is the number of chunks the client already consumed; the server drops
+ * them and answers with the chunks starting at `seq`. A frame with `end: true`
+ * is the last one, and carries `error` if the producer threw. The server keeps
+ * at most `highWaterMark` unacknowledged chunks and pauses the producer until
+ * the client catches up.
+ */
+
+const STREAM_OP = '_stream'
+
+const STREAM_OPS = Object.freeze([
+  'open',
+  'pull',
+  'cancel'
+])
+
+const noop = () => {}
+
+/**
+ * @typedef {Object} StreamOpts
+ * @property {number} [highWaterMark] - max unacknowledged chunks before the producer is paused
+ * @property {number} [maxFrameChunks] - max chunks sent in a single pull frame
+ * @property {number} [pullWait] - ms a pull waits for new chunks before answering empty
+ * @property {number} [idleTimeout] - ms without pulls before a stream is cancelled
+ * @property {number} [sweepInterval] - ms between checks for idle streams while any are open
+ */
+
+class RpcStreamSession {
+  /**
+   * @param {string} streamId
+   * @param {StreamOpts} opts
+   */
+  constructor (streamId, opts) {
+    this.streamId = streamId
+    this.opts = opts
+
+    this.seq = 0
+    this.buffer = []
+    this.ended = false
+    this.cancelled = false
+    this.error = null
+    this.controller = new AbortController()
+    this.lastAccess = Date.now()
+
+    this._dataWaiters = []
+    this._roomWaiters = []
+  }
+
+  _wake (waiters) {
+    waiters.splice(0).forEach(resolve => resolve())
+  }
+
+  _wait (waiters, ms) {
+    return new Promise(resolve => {
+      const timer = ms ? setTimeout(resolve, ms) : null
+      waiters.push(() => {
+        clearTimeout(timer)
+        resolve()
+      })
+    })
+  }
+
+  /**
+   * Drains the producer into the buffer, pausing while the buffer is full
+   * @param {AsyncIterable} iterable
+   */
+  async pump (iterable) {
+    const iterator = iterable[Symbol.asyncIterator]()
+
+    try {
+      while (!this.cancelled) {
+        if (this.buffer.length >= this.opts.highWaterMark) {
+          await this._wait(this._roomWaiters)
+          continue
+        }
+
+        const { value, done } = await iterator.next()
+        if (done || this.cancelled) {
+          break
+        }
+
+        this.buffer.push(value === undefined ? null : value)
+        this._wake(this._dataWaiters)
+      }
+    } catch (e) {
+      if (!this.cancelled) {
+        this.error = e.message || String(e)
+      }
+    } finally {
+      this.ended = true
+      this._wake(this._dataWaiters)
+
+      // let the producer run its cleanup when the consumer went away mid-stream
+      if (this.cancelled && typeof iterator.return === 'function') {
+        Promise.resolve().then(() => iterator.return()).catch(noop)
+      }
+    }
+  }
+
+  /**
+   * @param {number} ack - chunks consumed by the client so far
+   */
+  async pull (ack) {
+    this.lastAccess = Date.now()
+
+    if (!Number.isInteger(ack) || ack < this.seq) {
+      ack = this.seq
+    }
+
+    const consumed = Math.min(ack - this.seq, this.buffer.length)
+    if (consumed > 0) {
+      this.buffer.splice(0, consumed)
+      this.seq += consumed
+      this._wake(this._roomWaiters)
+    }
+
+    if (!this.buffer.length && !this.ended) {
+      await this._wait(this._dataWaiters, this.opts.pullWait)
+    }
+
+    const chunks = this.buffer.slice(0, this.opts.maxFrameChunks)
+    const frame = {
+      streamId: this.streamId,
+      seq: this.seq,
+      chunks,
+      end: this.ended && chunks.length === this.buffer.length
+    }
+
+    if (frame.end && this.error) {
+      frame.error = this.error
+    }
+
+    return frame
+  }
+
+  cancel () {
+    if (this.cancelled) {
+      return
+    }
+
+    this.cancelled = true
+    this.controller.abort()
+    this._wake(this._roomWaiters)
+    this._wake(this._dataWaiters)
+  }
+}
+
+class RpcStreamRegistry {
+  /**
+   * @param {StreamOpts} [opts]
+   */
+  constructor (opts = {}) {
+    this.opts = {
+      highWaterMark: opts.highWaterMark || 64,
+      maxFrameChunks: opts.maxFrameChunks || 64,
+      pullWait: opts.pullWait || 1000,
+      idleTimeout: opts.idleTimeout || 60000,
+      sweepInterval: opts.sweepInterval || 5000
+    }
+
+    /** @type {Map<string, RpcStreamSession>} */
+    this.sessions = new Map()
+    this._sweepTimer = null
+  }
+
+  /**
+   * Serves one stream frame
+   * @param {Object} frame - parsed request
+   * @param {Function} producer - (data, { signal, streamId }) => AsyncIterable, called on open
+   */
+  async handle (frame, producer) {
+    if (!frame || typeof frame !== 'object' || !STREAM_OPS.includes(frame[STREAM_OP])) {
+      throw new Error('ERR_STREAM_FRAME_INVALID')
+    }
+
+    this.sweep()
+
+    switch (frame[STREAM_OP]) {
+      case 'open':
+        return this.open(producer, frame.data)
+      case 'pull':
+        return this.pull(frame.streamId, frame.ack)
+      case 'cancel':
+        return this.cancel(frame.streamId)
+    }
+  }
+
+  async open (producer, data) {
+    const streamId = Math.random().toString(36).substr(2, 9)
+    const session = new RpcStreamSession(streamId, this.opts)
+
+    const iterable = await producer(data, {
+      signal: session.controller.signal,
+      streamId
+    })
+
+    if (!iterable || typeof iterable[Symbol.asyncIterator] !== 'function') {
+      throw new Error('ERR_STREAM_HANDLER_NOT_ITERABLE')
+    }
+
+    this.sessions.set(streamId, session)
+    this._startSweeping()
+    session.pump(iterable)
+
+    return { streamId }
+  }
+
+  async pull (streamId, ack) {
+    const session = this.sessions.get(streamId)
+    if (!session) {
+      throw new Error('ERR_STREAM_NOT_FOUND')
+    }
+
+    const frame = await session.pull(ack)
+    if (frame.end) {
+      this.sessions.delete(streamId)
+    }
+
+    return frame
+  }
+
+  cancel (streamId) {
+    const session = this.sessions.get(streamId)
+    if (!session) {
+      return { streamId, cancelled: false }
+    }
+
+    session.cancel()
+    this.sessions.delete(streamId)
+
+    return { streamId, cancelled: true }
+  }
+
+  /**
+   * Cancels streams whose client stopped pulling
+   */
+  sweep () {
+    const now = Date.now()
+
+    for (const [streamId, session] of this.sessions) {
+      if (now - session.lastAccess > this.opts.idleTimeout) {
+        session.cancel()
+        this.sessions.delete(streamId)
+      }
+    }
+
+    if (this.sessions.size === 0) {
+      this._stopSweeping()
+    }
+  }
+
+  /**
+   * Sweeps on a timer while streams are open, so a stream whose client went
+   * away is cancelled (freeing what its producer holds) even if no other
+   * frame arrives
+   */
+  _startSweeping () {
+    if (this._sweepTimer) return
+
+    this._sweepTimer = setInterval(() => this.sweep(), this.opts.sweepInterval)
+    this._sweepTimer.unref?.()
+  }
+
+  _stopSweeping () {
+    clearInterval(this._sweepTimer)
+    this._sweepTimer = null
+  }
+
+  close () {
+    this._stopSweeping()
+
+    for (const session of this.sessions.values()) {
+      session.cancel()
+    }
+
+    this.sessions.clear()
+  }
+}
+
+/**
+ * Opens a stream and resolves with its id
+ * @param {Function} send - (frame) => Promise<response>, bound to one peer and method
+ * @param {any} data
+ */
+async function openStream (send, data) {
+  const opened = await send({ [STREAM_OP]: 'open', data })
+  if (!opened || !opened.streamId) {
+    throw new Error('ERR_STREAM_OPEN_FAILED')
+  }
+
+  return opened.streamId
+}
+
+/**
+ * Iterates the chunks of an open stream. Pulls happen only when the consumer
+ * asks for more, and the stream is cancelled on the server if the consumer
+ * stops iterating before the end.
+ * @param {Function} send - (frame) => Promise<response>, bound to the peer that opened the stream
+ * @param {string} streamId
+ * @param {AbortSignal} [signal] - stops the stream (checked between pulls)
+ */
+async function * readStream (send, streamId, signal) {
+  let ack = 0
+  let finished = false
+
+  try {
+    while (true) {
+      if (signal && signal.aborted) {
+        return
+      }
+
+      const frame = await send({ [STREAM_OP]: 'pull', streamId, ack })
+      if (!frame || !Array.isArray(frame.chunks)) {
+        throw new Error('ERR_STREAM_FRAME_INVALID')
+      }
+      if (frame.seq !== ack) {
+        throw new Error('ERR_STREAM_OUT_OF_ORDER')
+      }
+
+      for (const chunk of frame.chunks) {
+        ack++
+        yield chunk
+      }
+
+      if (frame.end) {
+        finished = true
+
+        if (frame.error) {
+          throw new Error(frame.error)
+        }
+
+        return
+      }
+    }
+  } finally {
+    if (!finished) {
+      await send({ [STREAM_OP]: 'cancel', streamId }).catch(noop)
+    }
+  }
+}
+
+module.exports = {
+  STREAM_OP,
+  RpcStreamSession,
+  RpcStreamRegistry,
+  openStream,
+  readStream
+}
@@ -0,0 +1,90 @@
+'use strict'
+
+const test = require('brittle')
+const sinon = require('sinon')
+
+const CircuitBreaker = require('../lib/circuit.breaker')
+
+test('CircuitBreaker', async (t) => {
+  const clock = sinon.useFakeTimers({ now: 1000 })
+  t.teardown(() => clock.restore())
+
+  await t.test('opening', async (t) => {
+    const breakers = new CircuitBreaker({ failureThreshold: 3, cooldown: 5000 })
+    const states = []
+    breakers.on('state', (key, state, previous) => states.push([key, previous, state]))
+
+    t.comment('should stay closed below the failure threshold')
+    breakers.failure('a')
+    breakers.failure('a')
+    t.is(breakers.state('a'), 'closed')
+    t.ok(breakers.allow('a'))
+
+    t.comment('should reset the count on success')
+    breakers.success('a')
+    breakers.failure('a')
+    breakers.failure('a')
+    t.is(breakers.state('a'), 'closed')
+
+    t.comment('should open after consecutive failures and reject requests')
+    breakers.failure('a')
+    t.is(breakers.state('a'), 'open')
+    t.absent(breakers.allow('a'))
+    t.alike(states, [['a', 'closed', 'open']])
+
+    t.comment('should not affect other peers')
+    t.is(breakers.state('b'), 'closed')
+    t.ok(breakers.allow('b'))
+  })
+
+  await t.test('half-open', async (t) => {
+    const breakers = new CircuitBreaker({ failureThreshold: 1, cooldown: 5000 })
+    const rejected = []
+    breakers.on('reject', key => rejected.push(key))
+
+    breakers.failure('a')
+    t.absent(breakers.allow('a'))
+    t.alike(rejected, ['a'])
+
+    t.comment('should let a single probe through after the cooldown')
+    clock.tick(5000)
+    t.ok(breakers.allow('a'))
+    t.is(breakers.state('a'), 'half-open')
+    t.absent(breakers.allow('a'), 'second request waits for the probe')
+
+    t.comment('should reopen when the probe fails')
+    breakers.failure('a')
+    t.is(breakers.state('a'), 'open')
+    t.absent(breakers.allow('a'))
+
+    t.comment('should close when the probe succeeds')
+    clock.tick(5000)
+    t.ok(breakers.allow('a'))
+    breakers.success('a')
+    t.is(breakers.state('a'), 'closed')
+    t.ok(breakers.allow('a'))
+    t.is(breakers.snapshot().a.failures, 0)
+
+    t.comment('should let another probe through when one never reports back')
+    breakers.failure('a')
+    clock.tick(5000)
+    t.ok(breakers.allow('a'))
+    t.absent(breakers.allow('a'))
+    clock.tick(5000)
+    t.ok(breakers.allow('a'))
+  })
+
+  await t.test('eviction', async (t) => {
+    const breakers = new CircuitBreaker({ failureThreshold: 1, maxPeers: 2 })
+
+    t.comment('should forget closed breakers first once over maxPeers')
+    breakers.failure('a')
+    breakers.success('a')
+    clock.tick(1)
+    breakers.failure('b')
+    clock.tick(1)
+    breakers.failure('c')
+    t.alike(Object.keys(breakers.snapshot()).sort(), ['b', 'c'])
+    t.is(breakers.state('b'), 'open')
+  })
+})
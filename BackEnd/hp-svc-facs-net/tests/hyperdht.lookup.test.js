@@ -180,3 +180,52 @@ test('HyperDHTLookup', async (t) => {
     await lookupItv.stop()
   })
 })
+
+test('HyperDHTLookup key health', async (t) => {
+  // Answers DHT lookups with the keys in `peers`, counting the queries
+  const peers = ['aa', 'bb', 'cc']
+  const dht = {
+    queries: 0,
+    async * lookup () {
+      this.queries++
+      yield { peers: peers.map(key => ({ publicKey: Buffer.from(key, 'hex') })) }
+    }
+  }
+  const lookup = new HyperDHTLookup({ dht, keyPair: null, evictAfter: 2, healthTTL: 60000 })
+  const topic = 'health-topic'
+
+  t.comment('should rank keys with reported failures last')
+  t.alike(await lookup.lookup(topic, false), ['aa', 'bb', 'cc'])
+  lookup.reportFailure(topic, 'aa')
+  t.is(lookup.health(topic, 'aa'), 1)
+  t.alike(await lookup.lookup(topic), ['bb', 'cc', 'aa'])
+  t.is(dht.queries, 1)
+
+  t.comment('should drop a key from cached results after evictAfter failures')
+  lookup.reportFailure(topic, 'aa')
+  t.alike(await lookup.lookup(topic), ['bb', 'cc'])
+  t.is(dht.queries, 1)
+
+  t.comment('should bring the key back, ranked last, on a fresh lookup')
+  t.alike(await lookup.lookup(topic, false), ['bb', 'cc', 'aa'])
+
+  t.comment('should clear failures on success')
+  lookup.reportSuccess(topic, 'aa')
+  t.is(lookup.health(topic, 'aa'), 0)
+  t.alike(await lookup.lookup(topic), ['aa', 'bb', 'cc'])
+
+  t.comment('should keep health per topic')
+  lookup.reportFailure(topic, 'bb')
+  t.is(lookup.health('other-topic', 'bb'), 0)
+
+  t.comment('should query the DHT again once every cached key is dropped')
+  for (const key of ['aa', 'bb', 'cc']) {
+    lookup.reportFailure(topic, key)
+    lookup.reportFailure(topic, key)
+  }
+  const queries = dht.queries
+  await lookup.lookup(topic)
+  t.is(dht.queries, queries + 1)
+
+  await lookup.stop()
+})
@@ -0,0 +1,125 @@
+'use strict'
+
+const test = require('brittle')
+const sinon = require('sinon')
+
+const PeerSelector = require('../lib/peer.selector')
+
+test('PeerSelector', async (t) => {
+  await t.test('strategies', async (t) => {
+    t.comment('should default to round-robin and reject unknown strategies')
+    t.is(new PeerSelector().strategy, 'round-robin')
+    t.alike(PeerSelector.STRATEGIES, ['round-robin', 'least-in-flight', 'ewma-latency'])
+    t.exception(() => new PeerSelector({ strategy: 'random' }), /ERR_PEER_SELECTION_STRATEGY_NOT_SUPPORTED/)
+  })
+
+  await t.test('round-robin', async (t) => {
+    const peers = new PeerSelector({ strategy: 'round-robin' })
+    const keys = ['a', 'b', 'c']
+
+    t.comment('should rotate through the peers of a topic')
+    const picks = [1, 2, 3, 4].map(() => peers.select(keys, 'processor'))
+    t.alike(picks, ['a', 'b', 'c', 'a'])
+
+    t.comment('should keep a separate rotation per topic')
+    t.is(peers.select(keys, 'auth'), 'a')
+
+    t.comment('should return every key so callers can fail over')
+    t.alike(peers.order(keys, 'other').sort(), keys)
+    t.alike(peers.order(['x'], 'processor'), ['x'])
+  })
+
+  await t.test('least-in-flight', async (t) => {
+    const peers = new PeerSelector({ strategy: 'least-in-flight' })
+    const keys = ['a', 'b', 'c']
+
+    t.comment('should prefer the peer with the fewest open requests')
+    const doneA = peers.begin('a')
+    peers.begin('b')
+    peers.begin('b')
+    t.is(peers.select(keys, 'processor'), 'c')
+    t.is(peers.load('b'), 2)
+
+    t.comment('should count the queue depth a peer reported')
+    peers.reportLoad('c', { queueDepth: 5 })
+    t.is(peers.select(keys, 'processor'), 'a')
+    doneA()
+    t.is(peers.load('a'), 0)
+
+    t.comment('should add the requests the peer reports running')
+    peers.reportLoad('c', { queueDepth: 1, inFlight: 2 })
+    t.is(peers.load('c'), 3)
+
+    t.comment('should ignore invalid reports')
+    peers.reportLoad('a', { queueDepth: -1 })
+    peers.reportLoad('a', { status: 'healthy' })
+    t.is(peers.load('a'), 0)
+  })
+
+  await t.test('report expiry', async (t) => {
+    const clock = sinon.useFakeTimers({ now: 1000 })
+    t.teardown(() => clock.restore())
+
+    const peers = new PeerSelector({ strategy: 'least-in-flight', reportTTL: 5000 })
+    peers.reportLoad('a', { queueDepth: 3 })
+    t.is(peers.load('a'), 3)
+
+    t.comment('should stop counting a stale queue depth')
+    clock.tick(5001)
+    t.is(peers.load('a'), 0)
+  })
+
+  await t.test('ewma-latency', async (t) => {
+    const peers = new PeerSelector({ strategy: 'ewma-latency', ewmaAlpha: 0.5 })
+
+    t.comment('should average latency samples')
+    peers.recordLatency('a', 100)
+    peers.recordLatency('a', 200)
+    t.is(peers.snapshot().a.ewmaLatency, 150)
+
+    t.comment('should prefer the fastest peer')
+    peers.recordLatency('b', 50)
+    t.is(peers.select(['a', 'b'], 'processor'), 'b')
+
+    t.comment('should scale latency by load so a busy fast peer is passed over')
+    peers.begin('b')
+    peers.begin('b')
+    peers.begin('b')
+    t.is(peers.select(['a', 'b'], 'processor'), 'a')
+
+    t.comment('should try peers without samples first')
+    t.is(peers.select(['a', 'b', 'c'], 'processor'), 'c')
+  })
+
+  await t.test('tracking', async (t) => {
+    const peers = new PeerSelector({ strategy: 'ewma-latency' })
+
+    t.comment('should record completed and failed requests')
+    t.is(await peers.track('a', async () => 'ok'), 'ok')
+    await t.exception(peers.track('a', async () => { throw new Error('boom') }), /boom/)
+
+    const stats = peers.snapshot().a
+    t.is(stats.inFlight, 0)
+    t.is(stats.requests, 1)
+    t.is(stats.failures, 1)
+    t.ok(stats.ewmaLatency !== null)
+
+    t.comment('should settle a request only once and skip cancelled samples')
+    const done = peers.begin('b')
+    done(null, false)
+    done(new Error('late'))
+    t.is(peers.snapshot().b.requests, 1)
+    t.is(peers.snapshot().b.failures, 0)
+    t.is(peers.snapshot().b.ewmaLatency, null)
+  })
+
+  await t.test('eviction', async (t) => {
+    const peers = new PeerSelector({ maxPeers: 2 })
+
+    t.comment('should forget idle peers once over maxPeers')
+    peers.recordLatency('a', 10)
+    peers.begin('b')
+    peers.recordLatency('c', 10)
+    t.alike(Object.keys(peers.snapshot()).sort(), ['b', 'c'])
+  })
+})
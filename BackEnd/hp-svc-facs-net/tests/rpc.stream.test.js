@@ -0,0 +1,165 @@
+'use strict'
+
+const test = require('brittle')
+const { setTimeout: sleep } = require('timers/promises')
+
+const { RpcStreamRegistry, openStream, readStream } = require('../lib/rpc.stream')
+
+// Wires a client to a registry the way jStream/handleStreamReply do, including the JSON round trip
+const createPeer = (producer, opts) => {
+  const registry = new RpcStreamRegistry(opts)
+  const frames = []
+  const send = async (frame) => {
+    frames.push(frame)
+    const res = await registry.handle(JSON.parse(JSON.stringify(frame)), producer)
+    return JSON.parse(JSON.stringify(res))
+  }
+
+  return { registry, frames, send }
+}
+
+const collect = async (send, data) => {
+  const streamId = await openStream(send, data)
+  const chunks = []
+  for await (const chunk of readStream(send, streamId)) {
+    chunks.push(chunk)
+  }
+  return chunks
+}
+
+test('RpcStream', async (t) => {
+  await t.test('chunks', async (t) => {
+    t.comment('should deliver chunks in order and end the stream')
+    const { registry, send } = createPeer(async function * (data) {
+      for (let i = 0; i < data.count; i++) {
+        yield { i }
+      }
+    }, { maxFrameChunks: 3 })
+
+    const chunks = await collect(send, { count: 10 })
+    t.alike(chunks.map(c => c.i), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9])
+    t.is(registry.sessions.size, 0)
+
+    t.comment('should pass the open payload and a signal to the producer')
+    let ctx = null
+    const peer = createPeer(async function * (data, _ctx) {
+      ctx = _ctx
+      yield data
+    })
+    t.alike(await collect(peer.send, { hello: 'world' }), [{ hello: 'world' }])
+    t.ok(ctx.signal instanceof AbortSignal)
+    t.ok(ctx.streamId)
+  })
+
+  await t.test('errors', async (t) => {
+    t.comment('should deliver chunks produced before the error, then throw')
+    const { registry, send } = createPeer(async function * () {
+      yield 'a'
+      throw new Error('boom')
+    })
+
+    const received = []
+    const streamId = await openStream(send, {})
+    await t.exception(async () => {
+      for await (const chunk of readStream(send, streamId)) {
+        received.push(chunk)
+      }
+    }, /boom/)
+    t.alike(received, ['a'])
+    t.is(registry.sessions.size, 0)
+
+    t.comment('should reject invalid frames and unknown streams')
+    await t.exception(registry.handle({ foo: 1 }, () => {}), /ERR_STREAM_FRAME_INVALID/)
+    await t.exception(registry.handle({ _stream: 'pull', streamId: 'nope', ack: 0 }), /ERR_STREAM_NOT_FOUND/)
+
+    t.comment('should reject producers that are not async iterable')
+    await t.exception(registry.handle({ _stream: 'open', data: {} }, () => 42), /ERR_STREAM_HANDLER_NOT_ITERABLE/)
+  })
+
+  await t.test('backpressure', async (t) => {
+    t.comment('should pause the producer at the high water mark until chunks are acknowledged')
+    let produced = 0
+    const { registry, send } = createPeer(async function * () {
+      while (produced < 100) {
+        produced++
+        yield produced
+      }
+    }, { highWaterMark: 4, maxFrameChunks: 2 })
+
+    const streamId = await openStream(send, {})
+    await sleep(20)
+    t.is(produced, 4)
+
+    const frame = await registry.handle({ _stream: 'pull', streamId, ack: 0 })
+    t.alike(frame.chunks, [1, 2])
+
+    await registry.handle({ _stream: 'pull', streamId, ack: 2 })
+    await sleep(20)
+    t.is(produced, 6)
+
+    registry.close()
+  })
+
+  await t.test('cancellation', async (t) => {
+    t.comment('should cancel the producer when the consumer stops iterating')
+    let aborted = false
+    let cleanedUp = false
+    const { registry, frames, send } = createPeer(async function * (data, { signal }) {
+      signal.addEventListener('abort', () => { aborted = true })
+      try {
+        let i = 0
+        while (true) {
+          yield i++
+        }
+      } finally {
+        cleanedUp = true
+      }
+    }, { highWaterMark: 2 })
+
+    const streamId = await openStream(send, {})
+    for await (const chunk of readStream(send, streamId)) {
+      if (chunk === 2) break
+    }
+    await sleep(20)
+
+    t.is(frames[frames.length - 1]._stream, 'cancel')
+    t.ok(aborted)
+    t.ok(cleanedUp)
+    t.is(registry.sessions.size, 0)
+
+    t.comment('should cancel the stream when the signal aborts between pulls')
+    const slow = createPeer(async function * (data, { signal }) {
+      yield 'first'
+      await new Promise(resolve => signal.addEventListener('abort', resolve))
+    }, { pullWait: 10 })
+    const controller = new AbortController()
+    const slowId = await openStream(slow.send, {})
+    const seen = []
+    setTimeout(() => controller.abort(), 30)
+    for await (const chunk of readStream(slow.send, slowId, controller.signal)) {
+      seen.push(chunk)
+    }
+    t.alike(seen, ['first'])
+    t.is(slow.frames[slow.frames.length - 1]._stream, 'cancel')
+    t.is(slow.registry.sessions.size, 0)
+
+    t.comment('should cancel streams nobody pulls from')
+    const idle = createPeer(async function * () { yield 1 }, { idleTimeout: 10 })
+    await openStream(idle.send, {})
+    await sleep(20)
+    idle.registry.sweep()
+    t.is(idle.registry.sessions.size, 0)
+
+    t.comment('should cancel abandoned streams without waiting for another frame')
+    let abandonedSignal = null
+    const abandoned = createPeer(async function * (data, ctx) {
+      abandonedSignal = ctx.signal
+      yield 1
+    }, { idleTimeout: 10, sweepInterval: 5 })
+    await openStream(abandoned.send, {})
+    await sleep(40)
+    t.is(abandoned.registry.sessions.size, 0)
+    t.ok(abandonedSignal.aborted, 'Producer signal should be aborted')
+    t.is(abandoned.registry._sweepTimer, null, 'Sweep timer should stop once no stream is open')
+  })
+})
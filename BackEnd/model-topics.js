@@ -0,0 +1,28 @@
+'use strict'
+
+/**
+ * DHT topics processors announce, shared by the processor (announcing) and the gateway (routing).
+ * Every processor announces PROCESSOR_TOPIC, plus one topic per model its backend can serve,
+ * so a request for a specific model only ever reaches a processor that has it installed.
+ */
+
+const PROCESSOR_TOPIC = 'processor'
+const MODEL_TOPIC_PREFIX = 'processor:model:'
+
+// Ollama treats "llama3" and "llama3:latest" as the same model, so names without a tag get ":latest"
+function normalizeModelName(model) {
+  const name = String(model).trim()
+  const baseName = name.substring(name.lastIndexOf('/') + 1)
+  return baseName.includes(':') ? name : `${name}:latest`
+}
+
+function modelTopic(model) {
+  return `${MODEL_TOPIC_PREFIX}${normalizeModelName(model)}`
+}
+
+module.exports = {
+  PROCESSOR_TOPIC,
+  MODEL_TOPIC_PREFIX,
+  normalizeModelName,
+  modelTopic
+}
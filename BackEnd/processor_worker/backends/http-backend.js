@@ -0,0 +1,202 @@
+'use strict'
+
+// Shared plumbing for backends reached over HTTP (Ollama, OpenAI-compatible servers):
+// request timeouts, cancellation, connection error messages and line-by-line body reading.
+// Subclasses set this.label (used in error messages) and implement generate()/stream().
+// A request is either { prompt } or { messages: [{ role, content }] } (chat).
+
+class HttpBackend {
+  constructor(opts = {}) {
+    this.name = opts.backend
+    this.label = opts.label || 'LLM backend'
+    this.endpoint = opts.endpoint
+    this.model = opts.model
+    this.timeoutMs = opts.timeoutMs
+    this.apiKey = opts.apiKey || null
+  }
+
+  // Model for a request: options.model overrides the configured one
+  _model(request) {
+    return request.options?.model || this.model
+  }
+
+  // Summary used in processor logs
+  describe() {
+    return {
+      backend: this.name,
+      model: this.model,
+      endpoint: this.endpoint
+    }
+  }
+
+  _headers() {
+    const headers = {
+      'Content-Type': 'application/json',
+    }
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`
+    }
+    return headers
+  }
+
+  _hostLabel() {
+    try {
+      return new URL(this.endpoint).host
+    } catch (error) {
+      return this.endpoint
+    }
+  }
+
+  _connectionError() {
+    return new Error(`Cannot connect to ${this.label} - make sure it's running on ${this._hostLabel()}`)
+  }
+
+  // GET a JSON document (e.g. the server's model list), giving up after timeoutMs
+  async getJson(url, signal) {
+    const controller = new AbortController()
+    const timeoutId = setTimeout(() => controller.abort(), this.timeoutMs)
+    const onAbort = () => controller.abort()
+    signal?.addEventListener('abort', onAbort)
+
+    try {
+      const response = await fetch(url, {
+        method: 'GET',
+        headers: this._headers(),
+        signal: controller.signal
+      })
+
+      if (!response.ok) {
+        throw new Error(`${this.label} API error: ${response.status} ${response.statusText}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`${this.label} request timeout (${this.timeoutMs / 1000}s)`)
+      } else if (error.code === 'ECONNREFUSED') {
+        throw this._connectionError()
+      }
+      throw error
+    } finally {
+      clearTimeout(timeoutId)
+      signal?.removeEventListener('abort', onAbort)
+    }
+  }
+
+  // Same URL as the endpoint with another path, e.g. /api/tags next to /api/generate
+  _siblingUrl(path) {
+    try {
+      return new URL(path, this.endpoint).toString()
+    } catch (error) {
+      return null
+    }
+  }
+
+  // POST a JSON body and return the parsed JSON response, giving up after timeoutMs
+  async postJson(body, signal, url = this.endpoint) {
+    const controller = new AbortController()
+    const timeoutId = setTimeout(() => controller.abort(), this.timeoutMs)
+    const onAbort = () => controller.abort()
+    signal?.addEventListener('abort', onAbort)
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: this._headers(),
+        body: JSON.stringify(body),
+        signal: controller.signal
+      })
+
+      clearTimeout(timeoutId)
+
+      if (!response.ok) {
+        throw new Error(`${this.label} API error: ${response.status} ${response.statusText}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      clearTimeout(timeoutId)
+      if (error.name === 'AbortError') {
+        throw new Error(`${this.label} request timeout (${this.timeoutMs / 1000}s)`)
+      } else if (error.code === 'ECONNREFUSED') {
+        throw this._connectionError()
+      }
+      throw error
+    } finally {
+      signal?.removeEventListener('abort', onAbort)
+    }
+  }
+
+  // POST a JSON body and yield the response body line by line.
+  // The timeout restarts with every chunk received (an idle timeout), and the
+  // generator ends quietly when `signal` aborts.
+  async * postLines(body, signal, url = this.endpoint) {
+    const controller = new AbortController()
+    const onAbort = () => controller.abort()
+    signal?.addEventListener('abort', onAbort)
+
+    let timedOut = false
+    let timeoutId = null
+    const resetTimeout = () => {
+      clearTimeout(timeoutId)
+      timeoutId = setTimeout(() => {
+        timedOut = true
+        controller.abort()
+      }, this.timeoutMs)
+    }
+    resetTimeout()
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: this._headers(),
+        body: JSON.stringify(body),
+        signal: controller.signal
+      })
+
+      if (!response.ok) {
+        throw new Error(`${this.label} API error: ${response.status} ${response.statusText}`)
+      }
+
+      const reader = response.body.getReader()
+      const decoder = new TextDecoder()
+      let buffer = ''
+
+      while (true) {
+        const { value, done } = await reader.read()
+        if (done) break
+
+        resetTimeout()
+        buffer += decoder.decode(value, { stream: true })
+
+        const lines = buffer.split('\n')
+        buffer = lines.pop()
+
+        for (const line of lines) {
+          if (line.trim()) {
+            yield line
+          }
+        }
+      }
+
+      if (buffer.trim()) {
+        yield buffer
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        if (!timedOut) return
+        throw new Error(`${this.label} stream timeout (no tokens for ${this.timeoutMs / 1000}s)`)
+      } else if (error.code === 'ECONNREFUSED') {
+        throw this._connectionError()
+      }
+      throw error
+    } finally {
+      clearTimeout(timeoutId)
+      signal?.removeEventListener('abort', onAbort)
+      // Release the HTTP connection if we stopped before the server finished
+      controller.abort()
+    }
+  }
+}
+
+module.exports = HttpBackend
@@ -0,0 +1,83 @@
+'use strict'
+
+// Model backend adapters for the processor.
+// Every adapter exposes the same interface:
+//   describe()                     -> { backend, model, endpoint, ... } for logs
+//   generate(request, { signal })  -> Promise<string> complete response text
+//   stream(request, { signal })    -> AsyncIterable<string> response fragments
+//   listModels({ signal })         -> Promise<string[]> models the backend can serve right now
+// where request is { prompt } or { messages: [{ role, content }] } for chat, optionally with
+// options { temperature, top_p, top_k, max_tokens, stop, seed, model } validated by the gateway.
+
+const OllamaBackend = require('./ollama-backend.js')
+const OpenAICompatibleBackend = require('./openai-backend.js')
+const MockBackend = require('./mock-backend.js')
+
+const DEFAULT_MODEL = 'llama3'
+const DEFAULT_TIMEOUT_MS = 30000
+
+// Endpoint used when the config does not name one
+const DEFAULT_ENDPOINTS = {
+  'ollama:generate': 'http://localhost:11434/api/generate',
+  'ollama:chat': 'http://localhost:11434/api/chat',
+  openai: 'http://localhost:8080/v1/chat/completions'
+}
+
+const BACKENDS = ['ollama', 'openai', 'mock']
+
+// Merge processor config (conf.processor) with environment overrides and defaults
+function resolveBackendConfig(conf = {}) {
+  const config = {
+    backend: process.env.PROCESSOR_BACKEND || conf.backend || 'ollama',
+    api: process.env.PROCESSOR_BACKEND_API || conf.api || 'generate',
+    endpoint: process.env.PROCESSOR_BACKEND_ENDPOINT || conf.endpoint || null,
+    chatEndpoint: process.env.PROCESSOR_BACKEND_CHAT_ENDPOINT || conf.chatEndpoint || null,
+    modelsEndpoint: process.env.PROCESSOR_BACKEND_MODELS_ENDPOINT || conf.modelsEndpoint || null,
+    model: process.env.PROCESSOR_MODEL || conf.model || DEFAULT_MODEL,
+    timeoutMs: parseInt(process.env.PROCESSOR_TIMEOUT_MS || conf.timeoutMs, 10) || DEFAULT_TIMEOUT_MS,
+    apiKey: process.env.PROCESSOR_BACKEND_API_KEY || conf.apiKey || null,
+    mock: { ...conf.mock }
+  }
+
+  if (process.env.PROCESSOR_MOCK_FIXTURES) {
+    config.mock.fixturesFile = process.env.PROCESSOR_MOCK_FIXTURES
+  }
+  if (process.env.PROCESSOR_MOCK_LATENCY_MS) {
+    config.mock.latencyMs = parseInt(process.env.PROCESSOR_MOCK_LATENCY_MS, 10) || 0
+  }
+  if (process.env.PROCESSOR_MOCK_FAILURE_RATE) {
+    config.mock.failureRate = parseFloat(process.env.PROCESSOR_MOCK_FAILURE_RATE) || 0
+  }
+
+  if (!config.endpoint) {
+    config.endpoint = config.backend === 'ollama'
+      ? DEFAULT_ENDPOINTS[`ollama:${config.api}`]
+      : DEFAULT_ENDPOINTS[config.backend] || null
+  }
+
+  return config
+}
+
+// Build the adapter selected by the processor config
+function createBackend(conf = {}) {
+  const config = resolveBackendConfig(conf)
+
+  switch (config.backend) {
+    case 'ollama':
+      return new OllamaBackend(config)
+    case 'openai':
+      return new OpenAICompatibleBackend(config)
+    case 'mock':
+      return new MockBackend(config)
+    default:
+      throw new Error(`Unknown processor backend "${config.backend}" (expected one of: ${BACKENDS.join(', ')})`)
+  }
+}
+
+module.exports = {
+  createBackend,
+  resolveBackendConfig,
+  OllamaBackend,
+  OpenAICompatibleBackend,
+  MockBackend
+}
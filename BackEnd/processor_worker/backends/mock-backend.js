@@ -0,0 +1,173 @@
+'use strict'
+
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+
+// Deterministic backend that needs no model server, for offline development and tests.
+// Options (conf.processor.mock):
+//   template      - echo response, "{prompt}" is replaced with the prompt
+//   fixtures      - { <sha256 of prompt>: response } canned responses
+// For chat requests ({ messages }) the prompt is the last user message.
+//   fixturesFile  - JSON file with more fixtures (resolved from the working directory)
+//   latencyMs     - delay before the response / first token
+//   tokenDelayMs  - delay between streamed tokens
+//   failOn        - prompts containing any of these strings fail
+//   failureRate   - share of prompts (0..1) that fail, picked by prompt hash so reruns agree
+//   failureType   - 'error' | 'timeout' | 'unavailable' (same as an unreachable model server)
+//   models        - model names reported by listModels() (default: just the configured model)
+// Streaming yields the same response word by word.
+// Of the generation options, max_tokens (counted in words) and stop are applied to the response.
+
+const DEFAULT_TEMPLATE = 'Mock response to: {prompt}'
+const FAILURE_TYPES = ['error', 'timeout', 'unavailable']
+
+class MockBackend {
+  constructor(opts = {}) {
+    const mock = opts.mock || {}
+
+    this.name = opts.backend || 'mock'
+    this.model = opts.model || 'mock'
+    this.template = mock.template || DEFAULT_TEMPLATE
+    this.latencyMs = mock.latencyMs || 0
+    this.tokenDelayMs = mock.tokenDelayMs || 0
+    this.failOn = mock.failOn || []
+    this.failureRate = mock.failureRate || 0
+    this.failureType = mock.failureType || 'error'
+    this.models = Array.isArray(mock.models) && mock.models.length > 0 ? mock.models : [this.model]
+    this.fixturesFile = mock.fixturesFile || null
+    this.fixtures = {
+      ...MockBackend.loadFixtures(this.fixturesFile),
+      ...mock.fixtures
+    }
+
+    if (!FAILURE_TYPES.includes(this.failureType)) {
+      throw new Error(`Unknown mock failureType "${this.failureType}" (expected one of: ${FAILURE_TYPES.join(', ')})`)
+    }
+  }
+
+  // Fixture key for a prompt
+  static hashPrompt(prompt) {
+    return crypto.createHash('sha256').update(prompt).digest('hex')
+  }
+
+  static loadFixtures(file) {
+    if (!file) return {}
+    return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'))
+  }
+
+  describe() {
+    return {
+      backend: this.name,
+      model: this.model,
+      endpoint: 'in-process',
+      fixtures: Object.keys(this.fixtures).length,
+      latencyMs: this.latencyMs,
+      failureRate: this.failureRate
+    }
+  }
+
+  async listModels() {
+    return [...this.models]
+  }
+
+  static promptOf(request) {
+    if (Array.isArray(request.messages)) {
+      const lastUser = request.messages.filter(message => message.role === 'user').pop()
+      return lastUser ? lastUser.content : ''
+    }
+    return request.prompt
+  }
+
+  respond(request) {
+    const prompt = MockBackend.promptOf(request)
+    const fixture = this.fixtures[MockBackend.hashPrompt(prompt)]
+    const text = typeof fixture === 'string' ? fixture : this.template.split('{prompt}').join(prompt)
+    return MockBackend.applyOptions(text, request.options)
+  }
+
+  // Cut the response at the first stop sequence and after max_tokens words
+  static applyOptions(text, options = {}) {
+    let result = text
+    for (const sequence of [].concat(options.stop || [])) {
+      const index = result.indexOf(sequence)
+      if (index !== -1) {
+        result = result.substring(0, index)
+      }
+    }
+    if (options.max_tokens) {
+      result = (result.match(/\S+\s*/g) || []).slice(0, options.max_tokens).join('').trimEnd()
+    }
+    return result
+  }
+
+  shouldFail(request) {
+    const prompt = MockBackend.promptOf(request)
+    if (this.failOn.some(marker => prompt.includes(marker))) {
+      return true
+    }
+    if (this.failureRate <= 0) {
+      return false
+    }
+    // First 4 bytes of the prompt hash as a number in [0, 1)
+    const bucket = parseInt(MockBackend.hashPrompt(prompt).substring(0, 8), 16) / 0x100000000
+    return bucket < this.failureRate
+  }
+
+  // Errors worded like the HTTP backends' so the processor treats them the same way
+  _failure() {
+    switch (this.failureType) {
+      case 'timeout':
+        return new Error('Mock backend request timeout (simulated)')
+      case 'unavailable':
+        return new Error('Cannot connect to mock backend (simulated)')
+      default:
+        return new Error('Mock backend API error: simulated failure')
+    }
+  }
+
+  // Resolves after ms, or early (with false) when signal aborts
+  _sleep(ms, signal) {
+    if (!ms || signal?.aborted) return Promise.resolve(!signal?.aborted)
+
+    return new Promise(resolve => {
+      const onAbort = () => {
+        clearTimeout(timeoutId)
+        resolve(false)
+      }
+      const timeoutId = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort)
+        resolve(true)
+      }, ms)
+      signal?.addEventListener('abort', onAbort, { once: true })
+    })
+  }
+
+  async generate(request, opts = {}) {
+    await this._sleep(this.latencyMs, opts.signal)
+
+    if (this.shouldFail(request)) {
+      throw this._failure()
+    }
+
+    return this.respond(request)
+  }
+
+  async * stream(request, opts = {}) {
+    if (!await this._sleep(this.latencyMs, opts.signal)) return
+
+    if (this.shouldFail(request)) {
+      throw this._failure()
+    }
+
+    // Keep the whitespace attached so the joined tokens equal generate()'s text
+    const tokens = this.respond(request).match(/\S+\s*/g) || []
+
+    for (let i = 0; i < tokens.length; i++) {
+      if (i > 0 && !await this._sleep(this.tokenDelayMs, opts.signal)) return
+      yield tokens[i]
+    }
+  }
+}
+
+module.exports = MockBackend
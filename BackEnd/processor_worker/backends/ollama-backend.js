@@ -0,0 +1,123 @@
+'use strict'
+
+const HttpBackend = require('./http-backend.js')
+
+// Ollama backend. `api` selects the endpoint flavour for single prompts:
+//   generate - POST /api/generate { model, prompt }          -> { response }
+//   chat     - POST /api/chat     { model, messages: [...] } -> { message: { content } }
+// Chat requests ({ messages }) always go to /api/chat (chatEndpoint, by default the
+// configured endpoint's host with path /api/chat).
+// Streaming uses the same endpoints with stream: true (newline-delimited JSON).
+// Generation options go into Ollama's `options` object (max_tokens becomes num_predict).
+// listModels() reads the installed models from GET /api/tags on the same host.
+
+const OLLAMA_OPTION_NAMES = {
+  temperature: 'temperature',
+  top_p: 'top_p',
+  top_k: 'top_k',
+  max_tokens: 'num_predict',
+  stop: 'stop',
+  seed: 'seed'
+}
+
+class OllamaBackend extends HttpBackend {
+  constructor(opts = {}) {
+    super({ label: 'Ollama', ...opts })
+    this.api = opts.api === 'chat' ? 'chat' : 'generate'
+    this.chatEndpoint = opts.chatEndpoint ||
+      (this.api === 'chat' ? this.endpoint : OllamaBackend.deriveChatEndpoint(this.endpoint))
+  }
+
+  static deriveChatEndpoint(endpoint) {
+    try {
+      return new URL('/api/chat', endpoint).toString()
+    } catch (error) {
+      return endpoint
+    }
+  }
+
+  describe() {
+    return { ...super.describe(), api: this.api }
+  }
+
+  // Names of the models installed on the Ollama server (e.g. "llama3:latest")
+  async listModels(opts = {}) {
+    const result = await this.getJson(this._siblingUrl('/api/tags'), opts.signal)
+    if (!Array.isArray(result.models)) {
+      throw new Error('Invalid response from Ollama: missing models list')
+    }
+    return result.models.map(model => model.name).filter(Boolean)
+  }
+
+  // Map request options onto Ollama's option names; null when none apply
+  static mapOptions(options = {}) {
+    const mapped = {}
+    for (const [name, ollamaName] of Object.entries(OLLAMA_OPTION_NAMES)) {
+      if (options[name] !== undefined) {
+        mapped[ollamaName] = name === 'stop' ? [].concat(options.stop) : options[name]
+      }
+    }
+    return Object.keys(mapped).length > 0 ? mapped : null
+  }
+
+  _usesChat(request) {
+    return this.api === 'chat' || Array.isArray(request.messages)
+  }
+
+  _buildBody(request, stream) {
+    const body = this._usesChat(request)
+      ? {
+          model: this._model(request),
+          messages: request.messages || [{ role: 'user', content: request.prompt }],
+          stream: stream
+        }
+      : {
+          model: this._model(request),
+          prompt: request.prompt,
+          stream: stream
+        }
+
+    const options = OllamaBackend.mapOptions(request.options)
+    if (options) {
+      body.options = options
+    }
+    return body
+  }
+
+  _extractText(result, request) {
+    return this._usesChat(request) ? result.message?.content : result.response
+  }
+
+  _url(request) {
+    return this._usesChat(request) ? this.chatEndpoint : this.endpoint
+  }
+
+  // Resolves with the complete response text
+  async generate(request, opts = {}) {
+    const result = await this.postJson(this._buildBody(request, false), opts.signal, this._url(request))
+    const text = this._extractText(result, request)
+
+    if (!text) {
+      throw new Error('Invalid response from Ollama: missing response field')
+    }
+
+    return text
+  }
+
+  // Yields response fragments as Ollama produces them
+  async * stream(request, opts = {}) {
+    for await (const line of this.postLines(this._buildBody(request, true), opts.signal, this._url(request))) {
+      const chunk = JSON.parse(line)
+      if (chunk.error) {
+        throw new Error(`Ollama API error: ${chunk.error}`)
+      }
+
+      const text = this._extractText(chunk, request)
+      if (text) {
+        yield text
+      }
+    }
+  }
+}
+
+module.exports = OllamaBackend
@@ -0,0 +1,88 @@
+'use strict'
+
+const HttpBackend = require('./http-backend.js')
+
+// Backend for any server exposing OpenAI's POST /v1/chat/completions
+// (llama.cpp server, vLLM, LM Studio, ...). Streaming reads the SSE
+// "data: {...}" lines and stops at "data: [DONE]".
+// Generation options are sent as the request's top-level sampling fields
+// (top_k is not part of OpenAI's API but llama.cpp and vLLM accept it).
+// listModels() reads GET /v1/models (modelsEndpoint, by default derived from the endpoint).
+
+const OPENAI_OPTION_NAMES = ['temperature', 'top_p', 'top_k', 'max_tokens', 'stop', 'seed']
+
+class OpenAICompatibleBackend extends HttpBackend {
+  constructor(opts = {}) {
+    super({ label: 'OpenAI-compatible server', ...opts })
+    this.modelsEndpoint = opts.modelsEndpoint || OpenAICompatibleBackend.deriveModelsEndpoint(this.endpoint)
+  }
+
+  static deriveModelsEndpoint(endpoint) {
+    if (/\/chat\/completions\/?$/.test(endpoint || '')) {
+      return endpoint.replace(/\/chat\/completions\/?$/, '/models')
+    }
+    try {
+      return new URL('/v1/models', endpoint).toString()
+    } catch (error) {
+      return endpoint
+    }
+  }
+
+  // Ids of the models the server offers
+  async listModels(opts = {}) {
+    const result = await this.getJson(this.modelsEndpoint, opts.signal)
+    if (!Array.isArray(result.data)) {
+      throw new Error(`Invalid response from ${this.label}: missing data list`)
+    }
+    return result.data.map(model => model.id).filter(Boolean)
+  }
+
+  _buildBody(request, stream) {
+    const body = {
+      model: this._model(request),
+      messages: request.messages || [{ role: 'user', content: request.prompt }],
+      stream: stream
+    }
+
+    for (const name of OPENAI_OPTION_NAMES) {
+      if (request.options?.[name] !== undefined) {
+        body[name] = request.options[name]
+      }
+    }
+    return body
+  }
+
+  // Resolves with the complete response text
+  async generate(request, opts = {}) {
+    const result = await this.postJson(this._buildBody(request, false), opts.signal)
+    const text = result.choices?.[0]?.message?.content
+
+    if (typeof text !== 'string') {
+      throw new Error(`Invalid response from ${this.label}: missing choices[0].message.content`)
+    }
+
+    return text
+  }
+
+  // Yields response fragments from the SSE delta chunks
+  async * stream(request, opts = {}) {
+    for await (const line of this.postLines(this._buildBody(request, true), opts.signal)) {
+      if (!line.startsWith('data:')) continue
+
+      const payload = line.substring(5).trim()
+      if (payload === '[DONE]') return
+
+      const chunk = JSON.parse(payload)
+      if (chunk.error) {
+        throw new Error(`${this.label} API error: ${chunk.error.message || chunk.error}`)
+      }
+
+      const text = chunk.choices?.[0]?.delta?.content
+      if (text) {
+        yield text
+      }
+    }
+  }
+}
+
+module.exports = OpenAICompatibleBackend
@@ -4,9 +4,145 @@
 // These functions are bound to the main ProcessorWorker instance
 
 const logger = require('../shared-logger.js')
+const { createBackend } = require('./backends')
+const { modelTopic } = require('../model-topics.js')
+
+const LLM_UNAVAILABLE_RESPONSE = "🤖 Oops! Looks like my AI brain has taken a coffee break! ☕\n\n" +
+                                 "It seems there's no LLM connected to chat with you right now. " +
+                                 "I'm like a very expensive parrot without my AI friend - I can repeat things, but the magic happens when we're connected! 🦜✨\n\n" +
+                                 "To wake up the AI and get back to having meaningful conversations:\n" +
+                                 "Check out our SETUP_GUIDE.md - it's got everything you need to get this digital brain purring again! 🧠🚀\n\n" +
+                                 "Until then, I'll just be here... waiting... and dreaming of electric sheep. 🐑⚡"
 
 class ProcessorHelper {
   
+  // Model backend selected by the processor config (conf.processor), created on first use
+  static getBackend(workerInstance) {
+    if (!workerInstance.backend) {
+      workerInstance.backend = createBackend(workerInstance.conf?.processor)
+    }
+    return workerInstance.backend
+  }
+  
+  // Models the backend can serve right now (e.g. Ollama's installed models).
+  // When the backend cannot be asked, the last known list is kept, or the configured model on first run.
+  static async discoverModels(workerInstance) {
+    const backend = ProcessorHelper.getBackend(workerInstance)
+    try {
+      const models = await backend.listModels()
+      logger.debug('ProcessorWorker', 'MODELS', 'Backend models discovered', {
+        backend: backend.name,
+        models: models
+      })
+      return models
+    } catch (error) {
+      const fallback = workerInstance.models || [backend.model]
+      logger.warn('ProcessorWorker', 'MODELS', 'Model discovery failed, keeping previous model list', {
+        backend: backend.name,
+        error: error.message,
+        models: fallback
+      })
+      return fallback
+    }
+  }
+  
+  // Announce one DHT topic per available model (see model-topics.js) and withdraw
+  // topics of models that went away since the last call. Returns the model list.
+  static async announceModels(workerInstance) {
+    const models = await ProcessorHelper.discoverModels(workerInstance)
+    const lookup = workerInstance.net_default.lookup
+    const topics = new Set(models.map(model => modelTopic(model)))
+    const announced = workerInstance.announcedModelTopics || new Set()
+    
+    for (const topic of announced) {
+      if (!topics.has(topic)) {
+        await lookup.unnannounceInterval(topic).catch(error => {
+          logger.warn('ProcessorWorker', 'MODELS', 'Failed to withdraw model topic', { topic, error: error.message })
+        })
+      }
+    }
+    for (const topic of topics) {
+      if (!announced.has(topic)) {
+        // A failed first announce is retried by the lookup's announce interval
+        await lookup.announceInterval(topic).catch(error => {
+          logger.warn('ProcessorWorker', 'MODELS', 'Failed to announce model topic', { topic, error: error.message })
+        })
+      }
+    }
+    
+    workerInstance.models = models
+    workerInstance.announcedModelTopics = topics
+    return models
+  }
+  
+  // Withdraw every model topic (on shutdown)
+  static async unannounceModels(workerInstance) {
+    const lookup = workerInstance.net_default?.lookup
+    if (!lookup || !workerInstance.announcedModelTopics) return
+    
+    for (const topic of workerInstance.announcedModelTopics) {
+      await lookup.unnannounceInterval(topic).catch(() => {})
+    }
+    workerInstance.announcedModelTopics = new Set()
+  }
+  
+  // RPC method: the models this processor currently announces
+  static async listModels(workerInstance) {
+    const backend = ProcessorHelper.getBackend(workerInstance)
+    return {
+      backend: backend.name,
+      defaultModel: backend.model,
+      models: workerInstance.models || []
+    }
+  }
+  
+  // Turn validated RPC data into a backend request.
+  // Accepts { prompt: string } or { messages: [{ role, content }] } (chat; the gateway validates roles)
+  // and returns { request, promptText, messageCount } where promptText is the last user message for chats.
+  // Generation options ({ options }, validated by the gateway) are passed on as request.options.
+  static parseInput(data) {
+    const input = ProcessorHelper.parseRequestInput(data)
+    if (data.options && typeof data.options === 'object' && !Array.isArray(data.options)) {
+      input.request.options = data.options
+    }
+    return input
+  }
+  
+  static parseRequestInput(data) {
+    if (data && Array.isArray(data.messages)) {
+      const valid = data.messages.length > 0 && data.messages.every(message =>
+        message && typeof message.role === 'string' && typeof message.content === 'string')
+      if (!valid) {
+        throw new Error('Invalid input: messages must be a non-empty array of { role: string, content: string }')
+      }
+      
+      const messages = data.messages.map(message => ({ role: message.role, content: message.content }))
+      const lastUser = messages.filter(message => message.role === 'user').pop()
+      return {
+        request: { messages },
+        promptText: lastUser ? lastUser.content : '',
+        messageCount: messages.length
+      }
+    }
+    
+    if (!data || typeof data.prompt !== 'string') {
+      throw new Error('Invalid input: expected { prompt: string }')
+    }
+    
+    return {
+      request: { prompt: data.prompt },
+      promptText: data.prompt,
+      messageCount: 0
+    }
+  }
+  
+  // Check whether an error means the model server itself could not be reached
+  static isBackendConnectionIssue(error) {
+    return error.message.includes('fetch failed') || 
+           error.message.includes('ECONNREFUSED') ||
+           error.message.includes('Cannot connect to')
+  }
+  
   // RPC method for processing AI requests
   static async processRequest(workerInstance, data) {
     const requestId = Math.random().toString(36).substr(2, 9)
@@ -15,80 +151,46 @@ class ProcessorHelper {
       dataType: typeof data
     })
     
+    let input = null
     try {
       // Validate input data
-      if (!data || typeof data.prompt !== 'string') {
+      try {
+        input = ProcessorHelper.parseInput(data)
+      } catch (validationError) {
         logger.error('ProcessorWorker', requestId, 'Invalid input data', {
           data: data,
-          validationError: 'Expected { prompt: string }'
+          validationError: validationError.message
         })
-        throw new Error('Invalid input: expected { prompt: string }')
+        throw validationError
       }
       
-      const userPrompt = data.prompt
+      const userPrompt = input.promptText
       logger.debug('ProcessorWorker', requestId, 'Processing user prompt', {
         promptLength: userPrompt.length,
-        promptPreview: userPrompt.length > 50 ? userPrompt.substring(0, 50) + '...' : userPrompt
+        promptPreview: userPrompt.length > 50 ? userPrompt.substring(0, 50) + '...' : userPrompt,
+        messageCount: input.messageCount
       })
       
+      const backend = ProcessorHelper.getBackend(workerInstance)
+      const backendInfo = backend.describe()
+      
       // Log AI processing start
       logger.prompt('ProcessorWorker', requestId, 'AI_PROCESSING_START', {
         prompt: userPrompt.length > 200 ? userPrompt.substring(0, 200) + '...' : userPrompt,
         promptLength: userPrompt.length,
-        model: 'llama3.2'
+        messageCount: input.messageCount,
+        model: input.request.options?.model || backendInfo.model,
+        options: input.request.options || null
       })
       
-      // Call Llama3 via Ollama with user's prompt
-      logger.info('ProcessorWorker', requestId, 'Sending prompt to Llama3', {
-        model: 'llama3',
-        endpoint: 'http://localhost:11434/api/generate'
-      })
-      
-      // Add timeout and better error handling
-      const controller = new AbortController()
-      const timeoutId = setTimeout(() => controller.abort(), 30000) // 30 second timeout
+      // Call the configured model backend with user's prompt
+      logger.info('ProcessorWorker', requestId, 'Sending prompt to model backend', backendInfo)
       
-      let aiResponse
-      try {
-        const response = await fetch('http://localhost:11434/api/generate', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            model: 'llama3',
-            prompt: userPrompt,
-            stream: false
-          }),
-          signal: controller.signal
-        })
-        
-        clearTimeout(timeoutId)
-        
-        if (!response.ok) {
-          throw new Error(`Ollama API error: ${response.status} ${response.statusText}`)
-        }
-        
-        const ollamaResult = await response.json()
-        
-        if (!ollamaResult.response) {
-          throw new Error('Invalid response from Ollama: missing response field')
-        }
-        
-        aiResponse = ollamaResult.response.trim()
-        logger.info('ProcessorWorker', requestId, 'Llama3 response received', {
-          responseLength: aiResponse.length,
-          model: 'llama3'
-        })
-      } catch (error) {
-        clearTimeout(timeoutId)
-        if (error.name === 'AbortError') {
-          throw new Error('Ollama request timeout (30s)')
-        } else if (error.code === 'ECONNREFUSED') {
-          throw new Error('Cannot connect to Ollama - make sure it\'s running on localhost:11434')
-        }
-        throw error
-      }
+      const aiResponse = (await backend.generate(input.request)).trim()
+      logger.info('ProcessorWorker', requestId, 'Model response received', {
+        responseLength: aiResponse.length,
+        model: backendInfo.model
+      })
       
       const result = {
         prompt: userPrompt,
@@ -96,6 +198,9 @@ class ProcessorHelper {
         processed_at: new Date().toISOString(),
         requestId: requestId
       }
+      if (input.messageCount) {
+        result.messageCount = input.messageCount
+      }
       
       logger.info('ProcessorWorker', requestId, 'Processing completed successfully', {
         responseLength: aiResponse.length,
@@ -104,7 +209,7 @@ class ProcessorHelper {
       
       // Log AI processing completion
       logger.prompt('ProcessorWorker', requestId, 'AI_PROCESSING_SUCCESS', {
-        model: 'llama3.2',
+        model: backendInfo.model,
         responseLength: aiResponse ? aiResponse.length : 0,
         responsePreview: aiResponse ? (aiResponse.length > 200 ? aiResponse.substring(0, 200) + '...' : aiResponse) : 'N/A',
         processingTime: 'N/A' // Could add timing if needed
@@ -122,29 +227,18 @@ class ProcessorHelper {
       
       // Log AI processing failure
       logger.prompt('ProcessorWorker', requestId, 'AI_PROCESSING_ERROR', {
-        model: 'llama3.2',
+        model: workerInstance.backend ? workerInstance.backend.model : 'N/A',
         error: error.message,
         errorType: error.message.includes('fetch failed') ? 'OLLAMA_CONNECTION' : 
                   error.message.includes('timeout') ? 'TIMEOUT' : 'UNKNOWN'
       })
       
-      // Check if this is an Ollama connection issue and return a witty response instead of an error
-      const isOllamaConnectionIssue = error.message.includes('fetch failed') || 
-                                     error.message.includes('ECONNREFUSED') ||
-                                     error.message.includes('Cannot connect to Ollama')
-
-      if (isOllamaConnectionIssue) {
-        const wittyResponse = "🤖 Oops! Looks like my AI brain has taken a coffee break! ☕\n\n" +
-                             "It seems there's no LLM connected to chat with you right now. " +
-                             "I'm like a very expensive parrot without my AI friend - I can repeat things, but the magic happens when we're connected! 🦜✨\n\n" +
-                             "To wake up the AI and get back to having meaningful conversations:\n" +
-                             "Check out our SETUP_GUIDE.md - it's got everything you need to get this digital brain purring again! 🧠🚀\n\n" +
-                             "Until then, I'll just be here... waiting... and dreaming of electric sheep. 🐑⚡"
-        
+      // Check if this is a backend connection issue and return a witty response instead of an error
+      if (ProcessorHelper.isBackendConnectionIssue(error)) {
         // Return as a normal response, not an error
         return {
-          prompt: data.prompt,
-          response: wittyResponse,
+          prompt: input ? input.promptText : data.prompt,
+          response: LLM_UNAVAILABLE_RESPONSE,
           processed_at: new Date().toISOString(),
           requestId: requestId,
           note: "LLM_UNAVAILABLE"
@@ -159,6 +253,100 @@ class ProcessorHelper {
       }
     }
   }
+  
+  // Streaming RPC method (served through net_default.handleStreamReply)
+  // Yields { type: 'token', token } for each fragment, then { type: 'done', result }
+  // with the same result shape as processRequest
+  static async * processRequestStream(workerInstance, data, ctx = {}) {
+    const requestId = Math.random().toString(36).substr(2, 9)
+    logger.rpc('ProcessorWorker', requestId, 'processRequestStream', 'RECEIVED', {
+      hasData: !!data,
+      dataType: typeof data,
+      streamId: ctx.streamId
+    })
+    
+    let input
+    try {
+      input = ProcessorHelper.parseInput(data)
+    } catch (validationError) {
+      logger.error('ProcessorWorker', requestId, 'Invalid input data for stream', {
+        validationError: validationError.message
+      })
+      throw validationError
+    }
+    const userPrompt = input.promptText
+    
+    const backend = ProcessorHelper.getBackend(workerInstance)
+    
+    logger.prompt('ProcessorWorker', requestId, 'AI_STREAM_START', {
+      prompt: userPrompt.length > 200 ? userPrompt.substring(0, 200) + '...' : userPrompt,
+      promptLength: userPrompt.length,
+      messageCount: input.messageCount,
+      model: input.request.options?.model || backend.model,
+      options: input.request.options || null,
+      streamId: ctx.streamId
+    })
+    
+    let fullText = ''
+    let tokenCount = 0
+    
+    try {
+      for await (const token of backend.stream(input.request, { signal: ctx.signal })) {
+        fullText += token
+        tokenCount++
+        yield { type: 'token', token: token }
+      }
+    } catch (error) {
+      if (ProcessorHelper.isBackendConnectionIssue(error) && tokenCount === 0) {
+        // Same friendly fallback as processRequest, delivered as a single token
+        yield { type: 'token', token: LLM_UNAVAILABLE_RESPONSE }
+        yield {
+          type: 'done',
+          result: {
+            prompt: userPrompt,
+            response: LLM_UNAVAILABLE_RESPONSE,
+            processed_at: new Date().toISOString(),
+            requestId: requestId,
+            note: 'LLM_UNAVAILABLE'
+          }
+        }
+        return
+      }
+      
+      logger.prompt('ProcessorWorker', requestId, 'AI_STREAM_ERROR', {
+        streamId: ctx.streamId,
+        error: error.message,
+        tokensDelivered: tokenCount
+      })
+      throw error
+    }
+    
+    if (ctx.signal?.aborted) {
+      logger.warn('ProcessorWorker', requestId, 'Stream cancelled by consumer', {
+        streamId: ctx.streamId,
+        tokensDelivered: tokenCount
+      })
+      return
+    }
+    
+    logger.prompt('ProcessorWorker', requestId, 'AI_STREAM_SUCCESS', {
+      streamId: ctx.streamId,
+      responseLength: fullText.trim().length,
+      tokenCount: tokenCount
+    })
+    
+    const result = {
+      prompt: userPrompt,
+      response: fullText.trim(),
+      processed_at: new Date().toISOString(),
+      requestId: requestId
+    }
+    if (input.messageCount) {
+      result.messageCount = input.messageCount
+    }
+    
+    yield { type: 'done', result: result }
+  }
 }
 
 module.exports = ProcessorHelper 
\ No newline at end of file
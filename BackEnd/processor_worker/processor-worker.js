@@ -20,6 +20,11 @@ const Base = require('../bfx-wrk-base/base.js')
 const ProcessorHelper = require('./processor-helper.js')
 const logger = require('../shared-logger.js')
 const SimpleMetrics = require('../simple-metrics.js')
+const { PROCESSOR_TOPIC } = require('../model-topics.js')
+const { WorkQueue } = require('./work-queue.js')
+
+// How often the backend's model list is re-read (models pulled or removed while running)
+const DEFAULT_MODEL_REFRESH_MS = 60000
 
 class ProcessorWorker extends Base {
   constructor(conf, ctx) {
@@ -47,6 +52,11 @@ class ProcessorWorker extends Base {
       metricsUrl: 'http://localhost:9102/metrics'
     })
     
+    // Limits how many requests reach the model backend at once (configured in _start,
+    // once conf.processor is loaded); queue depth and in-flight count go to ping and metrics
+    this.workQueue = new WorkQueue()
+    this.metrics.trackWorkQueue(this.workQueue)
+    
     logger.lifecycle('ProcessorWorker', 'CONSTRUCTOR_COMPLETE', {})
   }
   
@@ -68,6 +78,13 @@ class ProcessorWorker extends Base {
         facilityReady: true
       })
       
+      this.workQueue.configure(this.conf?.processor)
+      logger.info('ProcessorWorker', 'STARTUP', 'Work queue configured', {
+        maxConcurrency: this.workQueue.maxConcurrency,
+        maxQueue: this.workQueue.maxQueue,
+        maxWaitMs: this.workQueue.maxWaitMs
+      })
+      
       // Start RPC server
       logger.info('ProcessorWorker', 'STARTUP', 'Calling startRpcServer', {})
       await this.net_default.startRpcServer()
@@ -83,10 +100,10 @@ class ProcessorWorker extends Base {
       // Register RPC methods using the correct API
       logger.info('ProcessorWorker', 'STARTUP', 'Registering RPC methods', {})
       if (this.net_default.rpcServer && typeof this.net_default.rpcServer.respond === 'function') {
-        // Register ping method for health checks
-        this.net_default.rpcServer.respond('ping', async () => {
+        // Register ping method for health checks (gateways also read queueDepth for peer selection)
+        this.net_default.rpcServer.respond('ping', async (data) => {
           logger.debug('ProcessorWorker', 'PING', 'Health check received', {})
-          return { status: 'healthy', timestamp: Date.now(), service: 'processor' }
+          return await this.net_default.handleReply('ping', data)
         })
         logger.info('ProcessorWorker', 'STARTUP', 'Ping method registered', {})
         
@@ -127,8 +144,20 @@ class ProcessorWorker extends Base {
         })
         logger.info('ProcessorWorker', 'STARTUP', 'ProcessRequest method registered', {})
         
+        // Streaming generation: NetFacility handles the open/pull/cancel frames
+        this.net_default.rpcServer.respond('processRequestStream', async (data) => {
+          return await this.net_default.handleStreamReply('processRequestStream', data)
+        })
+        logger.info('ProcessorWorker', 'STARTUP', 'ProcessRequestStream method registered', {})
+        
+        // Models this processor can serve (aggregated by the gateway's listModels)
+        this.net_default.rpcServer.respond('listModels', async (data) => {
+          return await this.net_default.handleReply('listModels', data)
+        })
+        logger.info('ProcessorWorker', 'STARTUP', 'ListModels method registered', {})
+        
         logger.info('ProcessorWorker', 'STARTUP', 'RPC methods registered', {
-          methodsRegistered: ['ping', 'processRequest'],
+          methodsRegistered: ['ping', 'processRequest', 'processRequestStream', 'listModels'],
           serverReady: true
         })
       } else {
@@ -151,11 +180,23 @@ class ProcessorWorker extends Base {
       
       // Announce our service
       logger.info('ProcessorWorker', 'STARTUP', 'Announcing service to DHT', {
-        topic: 'processor'
+        topic: PROCESSOR_TOPIC
       })
-      await this.net_default.lookup.announceInterval('processor')
+      await this.net_default.lookup.announceInterval(PROCESSOR_TOPIC)
       logger.info('ProcessorWorker', 'STARTUP', 'Service announced successfully', {})
       
+      // Announce a topic per model the backend has, and keep the list current
+      const models = await ProcessorHelper.announceModels(this)
+      logger.info('ProcessorWorker', 'STARTUP', 'Model topics announced', {
+        models: models
+      })
+      const modelRefreshMs = parseInt(this.conf?.processor?.modelRefreshMs, 10) || DEFAULT_MODEL_REFRESH_MS
+      this.modelRefreshInterval = setInterval(() => {
+        ProcessorHelper.announceModels(this).catch(error => {
+          logger.error('ProcessorWorker', 'MODELS', 'Model refresh failed', { error: error.message })
+        })
+      }, modelRefreshMs)
+      
       // Log service announcement with key details
       logger.info('ProcessorWorker', 'STARTUP', 'Service announced to DHT', {
         topic: 'processor',
@@ -173,7 +214,8 @@ class ProcessorWorker extends Base {
         logger.info('ProcessorWorker', 'STARTUP', 'Processor worker fully initialized', {
           publicKeyPreview: publicKey.substring(0, 16) + '...',
           topic: 'processor',
-          methods: ['ping', 'processRequest'],
+          methods: ['ping', 'processRequest', 'processRequestStream', 'listModels'],
+          models: this.models,
           networkReady: true,
           announcementActive: true
         })
@@ -182,7 +224,7 @@ class ProcessorWorker extends Base {
       // Final startup success log
       logger.lifecycle('ProcessorWorker', 'STARTED', {
         topic: 'processor',
-        methods: ['ping', 'processRequest'],
+        methods: ['ping', 'processRequest', 'processRequestStream', 'listModels'],
         publicKey: this.net_default.rpc?._defaultKeyPair?.publicKey?.toString('hex')?.substring(0, 16) + '...' || 'N/A',
         startupDuration: 'completed'
       })
@@ -210,9 +252,51 @@ class ProcessorWorker extends Base {
     }
   }
   
-  // RPC method called by gateway - delegates to helper (async, non-blocking)
+  // Health check RPC; also reports load (inFlight requests running, queueDepth waiting)
+  async ping(data) {
+    const { inFlight, queueDepth, maxConcurrency, maxQueue } = this.workQueue.stats()
+    return {
+      status: 'healthy',
+      timestamp: Date.now(),
+      service: 'processor',
+      inFlight: inFlight,
+      queueDepth: queueDepth,
+      maxConcurrency: maxConcurrency,
+      maxQueue: maxQueue
+    }
+  }
+  
+  // RPC method called by gateway - waits for a work queue slot, then delegates to helper.
+  // Throws PROCESSOR_BUSY when the queue is full or no slot frees up within maxWaitMs.
   async processRequest(data) {
-    return await this.metrics.wrapRpcMethod('processRequest', ProcessorHelper.processRequest, this, data)
+    const release = await this.workQueue.acquire()
+    try {
+      return await this.metrics.wrapRpcMethod('processRequest', ProcessorHelper.processRequest, this, data)
+    } finally {
+      release()
+    }
+  }
+  
+  // Streaming RPC method called by gateway via jTopicStream - delegates to helper.
+  // The work queue slot is taken before the stream is returned, so a full queue fails the open
+  // with PROCESSOR_BUSY (and jTopicStream tries the next processor) rather than the first pull.
+  async processRequestStream(data, ctx = {}) {
+    const release = await this.workQueue.acquire({ signal: ctx.signal })
+    return this.streamWithSlot(data, ctx, release)
+  }
+  
+  // The stream of processRequestStream; the work queue slot is held until it ends or is cancelled
+  async * streamWithSlot(data, ctx, release) {
+    try {
+      yield * this.metrics.wrapRpcStream('processRequestStream', ProcessorHelper.processRequestStream, this, data, ctx)
+    } finally {
+      release()
+    }
+  }
+  
+  // RPC method called by gateway when aggregating the cluster's models - delegates to helper
+  async listModels(data) {
+    return await this.metrics.wrapRpcMethod('listModels', ProcessorHelper.listModels, this, data)
   }
   
   // Enhanced lifecycle method with proper DHT cleanup
@@ -226,14 +310,18 @@ class ProcessorWorker extends Base {
         announcementCleanup: true
       })
       
+      clearInterval(this.modelRefreshInterval)
+      this.modelRefreshInterval = null
+      
       // Clean up DHT announcements before stopping
       if (this.net_default && this.net_default.lookup) {
         logger.info('ProcessorWorker', 'SHUTDOWN', 'Cleaning up DHT announcements', {
-          topic: 'processor'
+          topic: PROCESSOR_TOPIC
         })
-        await this.net_default.lookup.unnannounceInterval('processor')
+        await this.net_default.lookup.unnannounceInterval(PROCESSOR_TOPIC)
+        await ProcessorHelper.unannounceModels(this)
         logger.info('ProcessorWorker', 'SHUTDOWN', 'DHT announcements cleaned', {
-          topic: 'processor',
+          topic: PROCESSOR_TOPIC,
           cleanupSuccess: true
         })
       }
@@ -268,6 +356,8 @@ module.exports = ProcessorWorker
 // Only execute if this file is run directly (not required)
 if (require.main === module) {
   // Create worker instance
+  const fs = require('fs')
+  const path = require('path')
   const logger = require('../shared-logger.js')
   logger.lifecycle('ProcessorWorker', 'INITIALIZATION', {
     message: 'Creating ProcessorWorker instance'
@@ -286,6 +376,11 @@ if (require.main === module) {
 
   try {
     const worker = new ProcessorWorker(conf, ctx)
+
+    // Model backend selection (config/processor.json); defaults to local Ollama when absent
+    if (fs.existsSync(path.join(ctx.root, 'config', 'processor.json'))) {
+      worker.loadConf('processor', 'processor')
+    }
   
     // Start the worker
     logger.info('ProcessorWorker', 'MAIN', 'Starting ProcessorWorker', {})
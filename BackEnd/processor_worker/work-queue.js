@@ -0,0 +1,151 @@
+'use strict'
+
+// Concurrency limit for model backend calls: at most maxConcurrency requests run at once,
+// up to maxQueue more wait in FIFO order, and anything beyond that is rejected right away
+// with a PROCESSOR_BUSY error so the gateway can send it to another processor instead of
+// letting it time out here. A request that waits longer than maxWaitMs is rejected the same
+// way: maxWaitMs must stay below the gateway's RPC timeout (net "timeout", 30s), so the
+// gateway hears PROCESSOR_BUSY instead of timing out, and a request it gave up on never runs.
+
+const DEFAULT_MAX_CONCURRENCY = 4
+const DEFAULT_MAX_QUEUE = 16
+const DEFAULT_MAX_WAIT_MS = 10000
+
+// Merge processor config (conf.processor) with environment overrides and defaults
+function resolveWorkQueueConfig(conf = {}) {
+  const maxConcurrency = parseInt(process.env.PROCESSOR_MAX_CONCURRENCY || conf.maxConcurrency, 10)
+  const maxQueue = parseInt(process.env.PROCESSOR_MAX_QUEUE ?? conf.maxQueue, 10)
+  const maxWaitMs = parseInt(process.env.PROCESSOR_MAX_QUEUE_WAIT_MS || conf.maxWaitMs, 10)
+
+  return {
+    maxConcurrency: maxConcurrency > 0 ? maxConcurrency : DEFAULT_MAX_CONCURRENCY,
+    maxQueue: maxQueue >= 0 ? maxQueue : DEFAULT_MAX_QUEUE,
+    maxWaitMs: maxWaitMs > 0 ? maxWaitMs : DEFAULT_MAX_WAIT_MS
+  }
+}
+
+function busyError(queued) {
+  const error = new Error(`PROCESSOR_BUSY: processor is at capacity (${queued} requests queued)`)
+  error.code = 'PROCESSOR_BUSY'
+  return error
+}
+
+function waitTimeoutError(maxWaitMs) {
+  const error = new Error(`PROCESSOR_BUSY: request waited more than ${maxWaitMs}ms for a slot`)
+  error.code = 'PROCESSOR_BUSY'
+  return error
+}
+
+class WorkQueue {
+  constructor(opts = {}) {
+    this.inFlight = 0
+    this.rejected = 0
+    this.waiting = []
+    this.configure(opts)
+  }
+
+  // Apply new limits; a higher maxConcurrency starts waiting requests right away
+  configure(opts = {}) {
+    const config = resolveWorkQueueConfig(opts)
+    this.maxConcurrency = config.maxConcurrency
+    this.maxQueue = config.maxQueue
+    this.maxWaitMs = config.maxWaitMs
+    this._drain()
+  }
+
+  get queued() {
+    return this.waiting.length
+  }
+
+  // Snapshot reported in ping replies and metrics
+  stats() {
+    return {
+      inFlight: this.inFlight,
+      queueDepth: this.queued,
+      maxConcurrency: this.maxConcurrency,
+      maxQueue: this.maxQueue,
+      rejected: this.rejected
+    }
+  }
+
+  // Wait for a slot and resolve to its release function (call it exactly once when done).
+  // Rejects with PROCESSOR_BUSY when the queue is full or no slot freed up within maxWaitMs,
+  // or with the signal's reason when `signal` aborts while waiting.
+  acquire({ signal } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason || new Error('Request cancelled while queued'))
+    }
+
+    if (this.inFlight < this.maxConcurrency && this.queued === 0) {
+      this.inFlight++
+      return Promise.resolve(this._releaser())
+    }
+
+    if (this.queued >= this.maxQueue) {
+      this.rejected++
+      return Promise.reject(busyError(this.queued))
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { resolve, reject, signal, onAbort: null, timer: null }
+      // Leave the queue without taking a slot
+      const leave = (error) => {
+        const index = this.waiting.indexOf(entry)
+        if (index === -1) return
+        this.waiting.splice(index, 1)
+        clearTimeout(entry.timer)
+        signal?.removeEventListener('abort', entry.onAbort)
+        reject(error)
+      }
+
+      if (signal) {
+        entry.onAbort = () => leave(signal.reason || new Error('Request cancelled while queued'))
+        signal.addEventListener('abort', entry.onAbort, { once: true })
+      }
+      entry.timer = setTimeout(() => {
+        this.rejected++
+        leave(waitTimeoutError(this.maxWaitMs))
+      }, this.maxWaitMs)
+      this.waiting.push(entry)
+    })
+  }
+
+  // Run fn once a slot is free
+  async run(fn, opts) {
+    const release = await this.acquire(opts)
+    try {
+      return await fn()
+    } finally {
+      release()
+    }
+  }
+
+  _releaser() {
+    let released = false
+    return () => {
+      if (released) return
+      released = true
+      this.inFlight--
+      this._drain()
+    }
+  }
+
+  // Hand free slots to waiting requests, oldest first
+  _drain() {
+    while (this.waiting.length > 0 && this.inFlight < this.maxConcurrency) {
+      const entry = this.waiting.shift()
+      clearTimeout(entry.timer)
+      entry.signal?.removeEventListener('abort', entry.onAbort)
+      this.inFlight++
+      entry.resolve(this._releaser())
+    }
+  }
+}
+
+module.exports = {
+  WorkQueue,
+  resolveWorkQueueConfig,
+  DEFAULT_MAX_CONCURRENCY,
+  DEFAULT_MAX_QUEUE,
+  DEFAULT_MAX_WAIT_MS
+}
@@ -35,7 +35,7 @@ echo ""
 
 # Batch 3: Gateway Tests
 echo "=== BATCH 3: Gateway Tests ==="
-result3=$(npx brittle tests/unit/workers/gateway_worker/gateway-helper.test.js tests/unit/workers/gateway_worker/gateway-worker.test.js tests/unit/workers/gateway_worker/rate-limiter.test.js 2>&1)
+result3=$(npx brittle tests/unit/workers/gateway_worker/gateway-helper.test.js tests/unit/workers/gateway_worker/gateway-worker.test.js tests/unit/workers/gateway_worker/rate-limiter.test.js tests/unit/workers/gateway_worker/conversation-store.test.js tests/unit/workers/gateway_worker/scheduler.test.js tests/unit/workers/gateway_worker/keyed-lock.test.js 2>&1)
 batch3_exit=$?
 echo "$result3"
 if [[ $result3 =~ tests\ =\ ([0-9]+)/([0-9]+)\ pass ]]; then
@@ -44,9 +44,21 @@ if [[ $result3 =~ tests\ =\ ([0-9]+)/([0-9]+)\ pass ]]; then
 fi
 echo ""
 
+# Batch 3b: Gateway Job Tests (isolated: gateway-worker.test.js mocks gateway-helper.js for the
+# whole process, and the job runner needs the real one)
+echo "=== BATCH 3b: Gateway Job Tests ==="
+result3b=$(npx brittle tests/unit/workers/gateway_worker/job-store.test.js tests/unit/workers/gateway_worker/job-runner.test.js 2>&1)
+batch3b_exit=$?
+echo "$result3b"
+if [[ $result3b =~ tests\ =\ ([0-9]+)/([0-9]+)\ pass ]]; then
+  total_tests=$((total_tests + ${BASH_REMATCH[2]}))
+  total_passed=$((total_passed + ${BASH_REMATCH[1]}))
+fi
+echo ""
+
 # Batch 4: Client Worker Tests
 echo "=== BATCH 4: Client Worker Tests ==="
-result4=$(npx brittle tests/unit/workers/client_worker/client-worker.test.js 2>&1)
+result4=$(npx brittle tests/unit/workers/client_worker/client-worker.test.js tests/unit/workers/client_worker/openai-helper.test.js tests/unit/workers/client_worker/cli-batch.test.js tests/unit/workers/client_worker/cli-commands.test.js tests/unit/workers/client_worker/credentials-store.test.js tests/unit/workers/client_worker/cli-prompt.test.js tests/unit/workers/client_worker/cli-chat.test.js tests/unit/workers/client_worker/cli-stream.test.js 2>&1)
 batch4_exit=$?
 echo "$result4"
 if [[ $result4 =~ tests\ =\ ([0-9]+)/([0-9]+)\ pass ]]; then
@@ -55,9 +67,21 @@ if [[ $result4 =~ tests\ =\ ([0-9]+)/([0-9]+)\ pass ]]; then
 fi
 echo ""
 
+# Batch 4b: Client Helper Tests (isolated: client-worker.test.js mocks client-helper.js and the
+# shared logger for the whole process)
+echo "=== BATCH 4b: Client Helper Tests ==="
+result4b=$(npx brittle tests/unit/workers/client_worker/client-helper.test.js 2>&1)
+batch4b_exit=$?
+echo "$result4b"
+if [[ $result4b =~ tests\ =\ ([0-9]+)/([0-9]+)\ pass ]]; then
+  total_tests=$((total_tests + ${BASH_REMATCH[2]}))
+  total_passed=$((total_passed + ${BASH_REMATCH[1]}))
+fi
+echo ""
+
 # Batch 5: Processor Tests (folder version)
 echo "=== BATCH 5: Processor Tests (Folder) ==="
-result5=$(npx brittle tests/unit/workers/processor_worker/processor-helper.test.js tests/unit/workers/processor_worker/processor-worker.test.js 2>&1)
+result5=$(npx brittle tests/unit/workers/processor_worker/processor-helper.test.js tests/unit/workers/processor_worker/processor-worker.test.js tests/unit/workers/processor_worker/backends.test.js tests/unit/workers/processor_worker/mock-backend.test.js tests/unit/workers/processor_worker/work-queue.test.js 2>&1)
 batch5_exit=$?
 echo "$result5"
 if [[ $result5 =~ tests\ =\ ([0-9]+)/([0-9]+)\ pass ]]; then
@@ -79,7 +103,7 @@ echo ""
 
 # Batch 7: External Libraries
 echo "=== BATCH 7: External Libraries ==="
-result7=$(npx brittle hp-svc-facs-net/tests/hyperdht.lookup.test.js hp-svc-facs-store/tests/index.test.js hp-svc-facs-store/tests/compatiblity.test.js 2>&1)
+result7=$(npx brittle hp-svc-facs-net/tests/hyperdht.lookup.test.js hp-svc-facs-net/tests/rpc.stream.test.js hp-svc-facs-net/tests/peer.selector.test.js hp-svc-facs-net/tests/circuit.breaker.test.js hp-svc-facs-store/tests/index.test.js hp-svc-facs-store/tests/compatiblity.test.js 2>&1)
 batch7_exit=$?
 echo "$result7"
 if [[ $result7 =~ tests\ =\ ([0-9]+)/([0-9]+)\ pass ]]; then
@@ -97,7 +121,7 @@ echo "All test files maintained and executed"
 echo ""
 
 # Exit with error if any batch failed
-if [ $batch1_exit -ne 0 ] || [ $batch2_exit -ne 0 ] || [ $batch3_exit -ne 0 ] || [ $batch4_exit -ne 0 ] || [ $batch5_exit -ne 0 ] || [ $batch6_exit -ne 0 ] || [ $batch7_exit -ne 0 ]; then
+if [ $batch1_exit -ne 0 ] || [ $batch2_exit -ne 0 ] || [ $batch3_exit -ne 0 ] || [ $batch3b_exit -ne 0 ] || [ $batch4_exit -ne 0 ] || [ $batch4b_exit -ne 0 ] || [ $batch5_exit -ne 0 ] || [ $batch6_exit -ne 0 ] || [ $batch7_exit -ne 0 ]; then
   echo "Some tests failed - check batches above"
   exit 1
 else
@@ -90,6 +90,100 @@ class SimpleMetrics {
     }
   }
   
+  // Same as wrapRpcMethod for streaming RPC methods (async generators)
+  // Duration covers the whole stream, from open to the last chunk
+  async * wrapRpcStream(methodName, handler, workerInstance, data, ctx) {
+    const startTime = Date.now()
+    try {
+      yield * handler(workerInstance, data, ctx)
+
+      const duration = (Date.now() - startTime) / 1000
+      this.trackRequest(methodName, 'success', duration)
+    } catch (error) {
+      const duration = (Date.now() - startTime) / 1000
+      this.trackRequest(methodName, 'error', duration)
+
+      throw error
+    }
+  }
+
+  // Export a processor work queue's load (see processor_worker/work-queue.js), read at scrape time
+  trackWorkQueue(queue) {
+    new client.Gauge({
+      name: 'work_queue_in_flight',
+      help: 'Requests running against the model backend',
+      registers: [this.register],
+      collect() {
+        this.set(queue.stats().inFlight)
+      }
+    })
+    
+    new client.Gauge({
+      name: 'work_queue_depth',
+      help: 'Requests waiting for a free slot',
+      registers: [this.register],
+      collect() {
+        this.set(queue.stats().queueDepth)
+      }
+    })
+    
+    new client.Gauge({
+      name: 'work_queue_max_concurrency',
+      help: 'Requests allowed to run at once',
+      registers: [this.register],
+      collect() {
+        this.set(queue.stats().maxConcurrency)
+      }
+    })
+    
+    new client.Counter({
+      name: 'work_queue_rejected_total',
+      help: 'Requests rejected with PROCESSOR_BUSY because the queue was full',
+      registers: [this.register],
+      collect() {
+        this.reset()
+        this.inc(queue.stats().rejected)
+      }
+    })
+  }
+  
+  // Export the net facility's per-peer circuit breakers (net_default.breakers).
+  // State is read at scrape time: 0 = closed, 1 = half-open, 2 = open.
+  trackCircuitBreakers(breakers) {
+    const peerLabel = (key) => key.substring(0, 16)
+    const stateValues = { closed: 0, 'half-open': 1, open: 2 }
+    
+    new client.Gauge({
+      name: 'peer_circuit_breaker_state',
+      help: 'Circuit breaker state per peer (0 closed, 1 half-open, 2 open)',
+      labelNames: ['peer'],
+      registers: [this.register],
+      collect() {
+        this.reset()
+        for (const [key, breaker] of Object.entries(breakers.snapshot())) {
+          this.set({ peer: peerLabel(key) }, stateValues[breaker.state])
+        }
+      }
+    })
+    
+    const transitions = new client.Counter({
+      name: 'peer_circuit_breaker_transitions_total',
+      help: 'Circuit breaker state changes per peer',
+      labelNames: ['peer', 'state'],
+      registers: [this.register]
+    })
+    
+    const rejections = new client.Counter({
+      name: 'peer_circuit_breaker_rejections_total',
+      help: 'Requests that skipped a peer because its circuit was open',
+      labelNames: ['peer'],
+      registers: [this.register]
+    })
+    
+    breakers.on('state', (key, state) => transitions.inc({ peer: peerLabel(key), state }))
+    breakers.on('reject', (key) => rejections.inc({ peer: peerLabel(key) }))
+  }
+  
   // Clean shutdown
   async stop() {
     if (this.server) {
@@ -0,0 +1,138 @@
+'use strict'
+
+const test = require('brittle')
+const sinon = require('sinon')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { Readable } = require('stream')
+
+const CliBatch = require('../../../../client_worker/cli-batch.js')
+
+function jsonl(entries) {
+  return Readable.from(entries.map(entry => (typeof entry === 'string' ? entry : JSON.stringify(entry)) + '\n'))
+}
+
+// Test argument parsing
+test('CliBatch.parseArgs - should read flags, defaults and the token variable', async (t) => {
+  const args = CliBatch.parseArgs(['--input', 'prompts.jsonl', '-o', 'out.jsonl', '-c', '8', '--model', 'llama3'], { INFERENCE_API_TOKEN: 'jwt' })
+
+  t.is(args.input, 'prompts.jsonl')
+  t.is(args.output, 'out.jsonl')
+  t.is(args.concurrency, 8)
+  t.is(args.model, 'llama3')
+  t.is(args.token, 'jwt', 'Should take the token from the environment')
+  t.is(CliBatch.parseArgs(['-i', '-', '--token', 'flag'], { INFERENCE_API_TOKEN: 'jwt' }).token, 'flag', '--token should win over the environment')
+  t.is(CliBatch.parseArgs(['-i', '-', '--token', 'jwt']).concurrency, CliBatch.DEFAULT_CONCURRENCY)
+
+  t.exception(() => CliBatch.parseArgs(['--token', 'jwt'], {}), /--input is required/)
+  t.is(CliBatch.parseArgs(['-i', 'a.jsonl', '--profile', 'staging'], {}).token, null, 'Without a token the saved login is used')
+  t.is(CliBatch.parseArgs(['-i', 'a.jsonl', '--profile', 'staging'], {}).profile, 'staging')
+  t.exception(() => CliBatch.parseArgs(['-i', 'a.jsonl', '-c', '0', '--token', 'jwt'], {}), /--concurrency/)
+  t.exception(() => CliBatch.parseArgs(['-i', 'a.jsonl', '--verbose'], {}), /Unknown argument/)
+  t.exception(() => CliBatch.parseArgs(['-i', '--token', 'jwt'], {}), /-i needs a value/)
+})
+
+// Test line parsing
+test('CliBatch.parseLine - should accept prompts and messages and reject the rest', async (t) => {
+  t.alike(CliBatch.parseLine('{"id":"q1","prompt":"Hi","options":{"temperature":0}}', { priority: 'batch' }), {
+    id: 'q1',
+    input: 'Hi',
+    opts: { options: { temperature: 0 }, priority: 'batch' }
+  })
+  const messages = [{ role: 'user', content: 'Hi' }]
+  t.alike(CliBatch.parseLine(JSON.stringify({ id: 7, messages, model: 'mistral' }), { model: 'llama3' }), {
+    id: '7',
+    input: messages,
+    opts: { model: 'mistral' }
+  }, 'Numeric ids become strings and a line model wins')
+
+  t.exception(() => CliBatch.parseLine('not json'), /not valid JSON/)
+  t.exception(() => CliBatch.parseLine('["q1"]'), /JSON object/)
+  t.exception(() => CliBatch.parseLine('{"prompt":"Hi"}'), /non-empty "id"/)
+  t.exception(() => CliBatch.parseLine('{"id":"q1","prompt":"  "}'), /"prompt" string or a "messages" array/)
+})
+
+// Test resume support
+test('CliBatch.readCompletedIds - should collect ids of the result lines and ignore broken ones', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-batch-'))
+  t.teardown(() => fs.rmSync(dir, { recursive: true, force: true }))
+  const outputPath = path.join(dir, 'out.jsonl')
+
+  t.is((await CliBatch.readCompletedIds(outputPath)).size, 0, 'A missing output file means nothing is done')
+
+  fs.writeFileSync(outputPath, '{"id":"q1","response":"a"}\n{"id":"q2","error":{"message":"x"}}\n{"id":"q3","resp')
+  t.alike([...await CliBatch.readCompletedIds(outputPath)], ['q1', 'q2'], 'A line cut short should run again')
+})
+
+// Test the batch run
+test('CliBatch.run - should send prompts with bounded concurrency and write one result per prompt', async (t) => {
+  let active = 0
+  let maxActive = 0
+  const worker = {
+    sendRequest: sinon.stub().callsFake(async (input) => {
+      active++
+      maxActive = Math.max(maxActive, active)
+      await new Promise(resolve => setTimeout(resolve, 5))
+      active--
+      if (input === 'boom') throw new Error('CHANNEL_CLOSED')
+      if (input === 'limited') return { error: true, status: 429, code: 'RATE_LIMITED', message: 'Rate limit exceeded' }
+      return { response: `echo ${input}` }
+    })
+  }
+  const lines = []
+
+  const summary = await CliBatch.run(worker, {
+    input: jsonl([
+      { id: 'q1', prompt: 'one' },
+      { id: 'q2', prompt: 'two' },
+      '',
+      'oops',
+      { id: 'q3', prompt: 'boom' },
+      { id: 'q4', prompt: 'limited' },
+      { id: 'q5', prompt: 'five' },
+      { id: 'q1', prompt: 'again' }
+    ]),
+    write: async (line) => { lines.push(JSON.parse(line)) },
+    concurrency: 2
+  })
+
+  t.ok(maxActive <= 2, 'Should never have more than concurrency prompts in flight')
+  t.is(worker.sendRequest.callCount, 5, 'Should skip repeated ids')
+  t.alike(lines.map(line => line.id).sort(), ['q1', 'q2', 'q3', 'q4', 'q5'])
+
+  const byId = Object.fromEntries(lines.map(line => [line.id, line]))
+  t.is(byId.q1.response, 'echo one')
+  t.is(byId.q1.error, null)
+  t.ok(byId.q1.latencyMs >= 0, 'Should record the latency')
+  t.alike(byId.q3.error, { message: 'CHANNEL_CLOSED' }, 'Should record thrown errors')
+  t.alike(byId.q4.error, { message: 'Rate limit exceeded', status: 429, code: 'RATE_LIMITED' }, 'Should record gateway errors')
+  t.is(summary.succeeded, 3)
+  t.is(summary.failed, 2)
+  t.is(summary.skipped, 1)
+  t.is(summary.invalid, 1, 'Should count lines that are not prompts')
+})
+
+test('CliBatch.run - should skip completed ids and stop taking prompts once aborted', async (t) => {
+  const controller = new AbortController()
+  const worker = {
+    sendRequest: sinon.stub().callsFake(async (input) => {
+      controller.abort()
+      return { response: input }
+    })
+  }
+  const lines = []
+
+  const summary = await CliBatch.run(worker, {
+    input: jsonl([{ id: 'q1', prompt: 'done before' }, { id: 'q2', prompt: 'two' }, { id: 'q3', prompt: 'three' }]),
+    write: async (line) => { lines.push(JSON.parse(line)) },
+    concurrency: 1,
+    completed: new Set(['q1']),
+    signal: controller.signal
+  })
+
+  t.alike(worker.sendRequest.args.map(args => args[0]), ['two'], 'Should resume after q1 and stop after the prompt in flight')
+  t.alike(lines.map(line => line.id), ['q2'], 'The prompt in flight should still be written')
+  t.is(summary.skipped, 1)
+  t.ok(summary.cancelled)
+})
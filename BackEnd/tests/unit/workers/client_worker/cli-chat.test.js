@@ -0,0 +1,119 @@
+'use strict'
+
+const test = require('brittle')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const CliChat = require('../../../../client_worker/cli-chat.js')
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-chat-'))
+  t.teardown(() => fs.rmSync(dir, { recursive: true, force: true }))
+  return dir
+}
+
+// Test line parsing
+test('CliChat.parseSlash - should split chat commands and leave messages alone', async (t) => {
+  t.alike(CliChat.parseSlash('/set temperature 0.2'), { command: 'set', args: 'temperature 0.2' })
+  t.alike(CliChat.parseSlash('/NEW'), { command: 'new', args: '' })
+  t.alike(CliChat.parseSlash('/system You are terse.  '), { command: 'system', args: 'You are terse.' })
+  t.is(CliChat.parseSlash('Explain DHTs'), null)
+  t.is(CliChat.parseSlash('//etc/hosts is a file?'), null, '"//" should escape a leading slash')
+  t.is(CliChat.messageText('//etc/hosts is a file?'), '/etc/hosts is a file?')
+})
+
+test('CliChat.startMultiline - should collect lines as typed until the terminator', async (t) => {
+  const chat = CliChat.create()
+
+  t.absent(CliChat.startMultiline(chat, 'a << b'), 'Shifts are not heredocs')
+  t.ok(CliChat.startMultiline(chat, 'Review this code <<END'))
+  t.is(CliChat.collectLine(chat, 'function f () {'), undefined)
+  t.is(CliChat.collectLine(chat, '  return 1'), undefined)
+  t.is(CliChat.collectLine(chat, 'EOF'), undefined, 'Only the chosen terminator should end the message')
+  t.is(CliChat.collectLine(chat, '}'), undefined)
+  t.is(CliChat.collectLine(chat, 'END'), 'Review this code\nfunction f () {\n  return 1\nEOF\n}')
+  t.is(chat.pending, null)
+
+  t.ok(CliChat.startMultiline(chat, '<<'))
+  CliChat.collectLine(chat, 'line one')
+  t.is(CliChat.collectLine(chat, ' EOF '), 'line one', 'EOF should be the default terminator')
+})
+
+// Test the conversation
+test('CliChat.buildMessages - should send the system prompt and earlier turns with the message', async (t) => {
+  const chat = CliChat.create({ system: 'Be brief.' })
+  CliChat.addTurn(chat, 'Hi', 'Hello!')
+
+  t.alike(CliChat.buildMessages(chat, 'And DHTs?'), {
+    messages: [
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', content: 'Hello!' },
+      { role: 'user', content: 'And DHTs?' }
+    ],
+    dropped: 0
+  })
+
+  CliChat.reset(chat)
+  t.is(chat.turns.length, 0)
+  t.is(chat.system, 'Be brief.', '/new should keep the system prompt')
+
+  for (let index = 0; index < 60; index++) {
+    CliChat.addTurn(chat, `q${index}`, `a${index}`)
+  }
+  const { messages, dropped } = CliChat.buildMessages(chat, 'last')
+  t.ok(messages.length <= CliChat.MAX_MESSAGES, 'Should stay within the gateway limit')
+  t.is(dropped, 11)
+  t.alike(messages.slice(0, 2), [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'q11' }], 'Should leave out the oldest turns')
+})
+
+test('CliChat.saveTranscript - should write the conversation as Markdown', async (t) => {
+  const chat = CliChat.create({ system: 'Be brief.' })
+  CliChat.addTurn(chat, 'Hi', 'Hello!')
+  const file = path.join(tempDir(t), 'chat.md')
+
+  const savedPath = await CliChat.saveTranscript(file, chat, {
+    model: 'llama3',
+    options: { model: 'llama3', temperature: 0.2 },
+    savedAt: new Date('2026-01-02T03:04:05.000Z')
+  })
+
+  t.is(savedPath, file)
+  t.is(fs.readFileSync(file, 'utf8'), [
+    '# Chat transcript',
+    '',
+    '- Saved: 2026-01-02T03:04:05.000Z',
+    '- Model: llama3',
+    '- Options: temperature 0.2',
+    '',
+    '## System',
+    '',
+    'Be brief.',
+    '',
+    '## You',
+    '',
+    'Hi',
+    '',
+    '## Assistant',
+    '',
+    'Hello!',
+    ''
+  ].join('\n'))
+})
+
+// Test the history file
+test('CliChat history - should keep readline history in an owner-only file across sessions', async (t) => {
+  const dir = tempDir(t)
+  const file = path.join(dir, 'distributed-inference', 'history')
+
+  t.is(CliChat.historyPath({ XDG_CONFIG_HOME: '/cfg' }), path.join('/cfg', 'distributed-inference', 'history'))
+  t.is(CliChat.historyPath({ INFERENCE_HISTORY_FILE: '/tmp/h' }), '/tmp/h')
+  t.alike(await CliChat.loadHistory(file), [], 'A missing file is an empty history')
+
+  await CliChat.saveHistory(file, ['newest', 'middle', 'oldest'])
+  t.is(fs.readFileSync(file, 'utf8'), 'oldest\nmiddle\nnewest\n', 'The file should hold the oldest entry first')
+  t.is(fs.statSync(file).mode & 0o777, 0o600)
+  t.alike(await CliChat.loadHistory(file), ['newest', 'middle', 'oldest'], 'Should load newest first as readline expects')
+  t.alike(await CliChat.loadHistory(file, 2), ['newest', 'middle'], 'Should keep only the newest entries')
+})
@@ -0,0 +1,168 @@
+'use strict'
+
+const test = require('brittle')
+const sinon = require('sinon')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { Readable } = require('stream')
+
+const CliCommands = require('../../../../client_worker/cli-commands.js')
+
+const { EXIT_CODES } = CliCommands
+
+// Captures what a command writes; stdin is piped unless isTTY is set
+function createIo(stdin = '', isTTY = false) {
+  const io = {
+    stdout: '',
+    stderr: '',
+    stdin: Readable.from([stdin]),
+    isTTY: isTTY
+  }
+  io.out = text => { io.stdout += text }
+  io.err = text => { io.stderr += text }
+  return io
+}
+
+function parse(argv) {
+  return CliCommands.parseArgs(argv, { INFERENCE_API_TOKEN: 'jwt' })
+}
+
+// Test argument parsing
+test('CliCommands.parseArgs - should read the command, its text and flags', async (t) => {
+  const parsed = parse(['prompt', 'Explain', 'DHTs', '--json', '--temperature=0.2', '--max-tokens', '64', '--stop', 'END', '--stop', '###'])
+
+  t.is(parsed.command, 'prompt')
+  t.alike(parsed.positional, ['Explain', 'DHTs'])
+  t.is(parsed.flags.json, true)
+  t.is(parsed.flags.token, 'jwt', 'Should take the token from the environment')
+  t.alike(CliCommands.generationOptions(parsed.flags), { temperature: 0.2, max_tokens: 64, stop: ['END', '###'] }, 'Should map flags to gateway options')
+  t.is(parse(['status', '--token', 'other']).flags.token, 'other', '--token should win over the environment')
+
+  t.exception(() => parse(['frob']), /Unknown command/)
+  t.exception(() => parse(['status', '--model', 'x']), /Unknown option for status/)
+  t.exception(() => parse(['prompt', 'hi', '--seed']), /--seed needs a value/)
+  t.exception(() => parse(['prompt', 'hi', '--temperature', 'warm']), /must be a number/)
+})
+
+// Test exit codes
+test('CliCommands.exitCodeFor - should tell auth, rate limit and availability failures apart', async (t) => {
+  t.is(CliCommands.exitCodeFor({ status: 401, message: 'Unauthorized: Invalid or expired token' }), EXIT_CODES.AUTH_FAILED)
+  t.is(CliCommands.exitCodeFor({ status: 429, message: 'Rate limit exceeded' }), EXIT_CODES.RATE_LIMITED)
+  t.is(CliCommands.exitCodeFor({ status: 429, code: 'USER_QUEUE_FULL' }), EXIT_CODES.RATE_LIMITED)
+  t.is(CliCommands.exitCodeFor({ status: 503, code: 'PROCESSOR_BUSY' }), EXIT_CODES.UNAVAILABLE)
+  t.is(CliCommands.exitCodeFor({ message: 'ERR_TOPIC_LOOKUP_EMPTY' }), EXIT_CODES.UNAVAILABLE, 'A missing gateway should count as unavailable')
+  t.is(CliCommands.exitCodeFor({ message: 'connect ECONNREFUSED' }), EXIT_CODES.UNAVAILABLE)
+  t.is(CliCommands.exitCodeFor({ status: 400, message: 'Invalid options' }), EXIT_CODES.FAILED)
+})
+
+// Test the commands
+test('CliCommands.run prompt - should send the prompt and print the response or JSON', async (t) => {
+  const worker = { sendRequest: sinon.stub().resolves({ response: 'Distributed hash tables', requestId: 'r1' }) }
+
+  const io = createIo()
+  const code = await CliCommands.run(worker, parse(['prompt', 'Explain', 'DHTs', '--model', 'llama3', '--top-k', '5']), io)
+  t.is(code, EXIT_CODES.OK)
+  t.is(io.stdout, 'Distributed hash tables\n', 'Plain output should be the response only')
+  t.alike(worker.sendRequest.firstCall.args, ['Explain DHTs', { sessionKey: 'jwt', options: { top_k: 5 }, model: 'llama3' }])
+
+  const jsonIo = createIo()
+  await CliCommands.run(worker, parse(['prompt', 'hi', '--json']), jsonIo)
+  t.alike(JSON.parse(jsonIo.stdout), { success: true, response: 'Distributed hash tables', requestId: 'r1' })
+})
+
+test('CliCommands.run prompt - should read piped stdin as the prompt', async (t) => {
+  const worker = { sendRequest: sinon.stub().resolves({ response: 'ok' }) }
+
+  t.is(await CliCommands.run(worker, parse(['prompt']), createIo('Summarise this\n')), EXIT_CODES.OK)
+  t.is(worker.sendRequest.firstCall.args[0], 'Summarise this')
+
+  const ttyIo = createIo('', true)
+  t.is(await CliCommands.run(worker, parse(['prompt']), ttyIo), EXIT_CODES.USAGE, 'Should not wait on a terminal')
+  t.ok(ttyIo.stderr.includes('No prompt given'))
+})
+
+test('CliCommands.run prompt - should report gateway failures with their exit code', async (t) => {
+  const worker = {
+    sendRequest: sinon.stub()
+      .onFirstCall().resolves({ error: true, success: false, status: 429, message: 'Rate limit exceeded' })
+      .onSecondCall().rejects(new Error('ERR_TOPIC_LOOKUP_EMPTY'))
+  }
+
+  const io = createIo()
+  t.is(await CliCommands.run(worker, parse(['prompt', 'hi', '--json']), io), EXIT_CODES.RATE_LIMITED)
+  t.alike(JSON.parse(io.stdout), { success: false, error: { message: 'Rate limit exceeded', status: 429, code: null }, exitCode: EXIT_CODES.RATE_LIMITED })
+
+  const plainIo = createIo()
+  t.is(await CliCommands.run(worker, parse(['prompt', 'hi']), plainIo), EXIT_CODES.UNAVAILABLE)
+  t.is(plainIo.stdout, '', 'Errors should stay off stdout')
+  t.ok(plainIo.stderr.includes('ERR_TOPIC_LOOKUP_EMPTY'))
+
+  const noToken = createIo()
+  t.is(await CliCommands.run(worker, CliCommands.parseArgs(['prompt', 'hi'], {}), noToken), EXIT_CODES.AUTH_FAILED, 'A missing token is an auth failure')
+})
+
+test('CliCommands.run login and status - should print the token and check it', async (t) => {
+  const worker = {
+    loginUser: sinon.stub()
+      .onFirstCall().resolves({ success: true, email: 'a@example.com', key: 'new-jwt', status: 200 })
+      .onSecondCall().resolves({ success: false, status: 401, message: 'Invalid credentials' })
+      .onThirdCall().resolves({ success: true, email: 'a@example.com', key: 'tty-jwt', status: 200 }),
+    registerUser: sinon.stub().resolves({ success: true, email: 'a@example.com', message: 'Registered' }),
+    verifySession: sinon.stub()
+      .onFirstCall().resolves({ success: true, valid: true, email: 'a@example.com', rateLimitInfo: { remainingRequests: 9, maxRequests: 10 } })
+      .onSecondCall().resolves({ success: false, status: 401, valid: false, message: 'Session is invalid or expired' })
+  }
+
+  const io = createIo('s3cret\n')
+  t.is(await CliCommands.run(worker, parse(['login', '--email', 'a@example.com', '--password-stdin']), io), EXIT_CODES.OK)
+  t.is(io.stdout, 'new-jwt\n', 'Should print the token so scripts can capture it')
+  t.alike(worker.loginUser.firstCall.args, ['a@example.com', 's3cret', { persistSession: false }], 'Should read the password from stdin')
+  t.is(await CliCommands.run(worker, parse(['login', '--email', 'a@example.com', '--password', 'bad']), createIo()), EXIT_CODES.AUTH_FAILED)
+  t.is(await CliCommands.run(worker, parse(['login', '--email', 'a@example.com']), createIo()), EXIT_CODES.USAGE, 'Should require a password')
+
+  const ttyIo = Object.assign(createIo('', true), { askHidden: sinon.stub().resolves('typed') })
+  t.is(await CliCommands.run(worker, parse(['login', '--email', 'a@example.com']), ttyIo), EXIT_CODES.OK)
+  t.is(worker.loginUser.thirdCall.args[1], 'typed', 'Should ask for the password on a terminal')
+  t.is(ttyIo.askHidden.firstCall.args[0], 'Password: ')
+  const mismatchIo = Object.assign(createIo('', true), { askHidden: sinon.stub().onFirstCall().resolves('one').onSecondCall().resolves('two') })
+  t.is(await CliCommands.run(worker, parse(['register', '--email', 'a@example.com']), mismatchIo), EXIT_CODES.USAGE)
+  t.ok(mismatchIo.stderr.includes('Passwords do not match'), 'register should ask twice')
+  t.is(worker.registerUser.callCount, 0)
+
+  const statusIo = createIo()
+  t.is(await CliCommands.run(worker, parse(['status', '--json']), statusIo), EXIT_CODES.OK)
+  t.alike(JSON.parse(statusIo.stdout), { success: true, authenticated: true, email: 'a@example.com', rateLimitInfo: { remainingRequests: 9, maxRequests: 10 } })
+  t.is(await CliCommands.run(worker, parse(['status']), createIo()), EXIT_CODES.AUTH_FAILED, 'An expired token should fail')
+})
+
+test('CliCommands.run - should keep logins in the credentials file and use them later', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-commands-'))
+  t.teardown(() => fs.rmSync(dir, { recursive: true, force: true }))
+  const withStore = (io) => Object.assign(io, { credentialsFile: path.join(dir, 'credentials.json'), env: {} })
+  const worker = {
+    loginUser: sinon.stub().resolves({ success: true, email: 'a@example.com', key: 'saved-jwt', status: 200 }),
+    sendRequest: sinon.stub().resolves({ response: 'ok' })
+  }
+  const noEnv = argv => CliCommands.parseArgs(argv, {})
+
+  const loginIo = withStore(createIo('s3cret\n'))
+  t.is(await CliCommands.run(worker, noEnv(['login', '--email', 'a@example.com', '--password-stdin', '--profile', 'staging']), loginIo), EXIT_CODES.OK)
+  t.ok(loginIo.stderr.includes('profile "staging"'))
+
+  t.is(await CliCommands.run(worker, noEnv(['prompt', 'hi']), withStore(createIo())), EXIT_CODES.AUTH_FAILED, 'The current profile holds no login yet')
+  t.is(await CliCommands.run(worker, noEnv(['profile', 'use', 'staging']), withStore(createIo())), EXIT_CODES.OK)
+  t.is(await CliCommands.run(worker, noEnv(['prompt', 'hi']), withStore(createIo())), EXIT_CODES.OK)
+  t.is(worker.sendRequest.lastCall.args[1].sessionKey, 'saved-jwt', 'Should send the saved token')
+
+  const listIo = withStore(createIo())
+  await CliCommands.run(worker, noEnv(['profile', 'list', '--json']), listIo)
+  t.alike(JSON.parse(listIo.stdout).profiles.map(profile => [profile.name, profile.current, profile.email]), [
+    ['staging', true, 'a@example.com']
+  ])
+
+  const logoutIo = withStore(createIo())
+  t.is(await CliCommands.run(worker, noEnv(['logout', '--json']), logoutIo), EXIT_CODES.OK)
+  t.alike(JSON.parse(logoutIo.stdout), { success: true, profile: 'staging', loggedOut: true })
+  t.is(await CliCommands.run(worker, noEnv(['prompt', 'hi']), withStore(createIo())), EXIT_CODES.AUTH_FAILED, 'logout should forget the token')
+})
@@ -0,0 +1,67 @@
+'use strict'
+
+const test = require('brittle')
+const readline = require('readline')
+const { PassThrough } = require('stream')
+
+const CliPrompt = require('../../../../client_worker/cli-prompt.js')
+
+// A terminal-like readline interface whose output is captured
+function createTerminal() {
+  const input = new PassThrough()
+  const output = new PassThrough()
+  output.isTTY = true
+  output.columns = 80
+  let written = ''
+  output.on('data', chunk => { written += chunk.toString() })
+  const rl = readline.createInterface({ input, output, terminal: true })
+  return { rl, input, written: () => written }
+}
+
+// Test log and history redaction
+test('CliPrompt.scrubCommand - should redact passwords and tokens and keep other commands', async (t) => {
+  t.is(CliPrompt.scrubCommand('login a@example.com s3cret'), 'login a@example.com [REDACTED]')
+  t.is(CliPrompt.scrubCommand('REGISTER a@example.com s3cret extra'), 'REGISTER a@example.com [REDACTED]')
+  t.is(CliPrompt.scrubCommand('settoken eyJhbGciOi'), 'settoken [REDACTED]')
+  t.is(CliPrompt.scrubCommand('login a@example.com'), 'login a@example.com', 'Nothing to hide without a password')
+  t.is(CliPrompt.scrubCommand('Explain DHTs'), 'Explain DHTs')
+
+  t.ok(CliPrompt.hasSecret('login a@example.com s3cret'))
+  t.absent(CliPrompt.hasSecret('status'))
+})
+
+test('CliPrompt.maskToken - should only show the ends of long tokens', async (t) => {
+  t.is(CliPrompt.maskToken('abcdefgh0123456789ijklmnop'), 'abcdefgh**********ijklmnop')
+  t.is(CliPrompt.maskToken('short-token'), '***********', 'Short tokens should be hidden entirely')
+  t.is(CliPrompt.maskToken(null), '')
+})
+
+test('CliPrompt.scrubHistory - should drop or replace a history entry', async (t) => {
+  const rl = { history: ['login a@example.com s3cret', 'status'] }
+
+  CliPrompt.scrubHistory(rl, 'login a@example.com s3cret', 'login a@example.com')
+  t.alike(rl.history, ['login a@example.com', 'status'])
+  CliPrompt.scrubHistory(rl, 'status')
+  t.alike(rl.history, ['login a@example.com'])
+  CliPrompt.scrubHistory(rl, 'missing')
+  t.alike(rl.history, ['login a@example.com'])
+})
+
+// Test the hidden prompt
+test('CliPrompt.askHidden - should not echo the answer nor keep it in the history', async (t) => {
+  const { rl, input, written } = createTerminal()
+  t.teardown(() => rl.close())
+  rl.history.unshift('older')
+
+  const answer = CliPrompt.askHidden(rl, 'Password: ')
+  input.write('s3cret\r')
+
+  t.is(await answer, 's3cret')
+  t.ok(written().includes('Password: '), 'Should show the question')
+  t.absent(written().includes('s3cret'), 'Should not echo the password')
+  t.alike(rl.history, ['older'], 'Should keep the password out of the history')
+
+  input.write('visible\r')
+  await new Promise(resolve => setImmediate(resolve))
+  t.ok(written().includes('visible'), 'Should echo input again afterwards')
+})
@@ -0,0 +1,112 @@
+'use strict'
+
+const test = require('brittle')
+const sinon = require('sinon')
+
+const CliStream = require('../../../../client_worker/cli-stream.js')
+
+// Collects what is written; a terminal when isTTY is set
+function createOutput(isTTY = false) {
+  const output = { text: '', isTTY: isTTY }
+  output.write = chunk => { output.text += chunk; return true }
+  return output
+}
+
+// Clock that moves forward by the given steps, one per call
+function createClock(...times) {
+  return () => times.shift()
+}
+
+// Test timing stats
+test('CliStream.timingStats - should measure time to first token and generation speed', async (t) => {
+  const stats = CliStream.timingStats({ startedAt: 1000, firstTokenAt: 1400, endedAt: 3400, tokens: 50 })
+  t.alike(stats, { timeToFirstTokenMs: 400, totalMs: 2400, tokens: 50, tokensPerSecond: 25 })
+  t.is(CliStream.formatStats(stats), '⏱️  first token 400 ms · total 2.40 s · 50 tokens · 25 tokens/s')
+
+  t.alike(CliStream.timingStats({ startedAt: 0, firstTokenAt: null, endedAt: 500, tokens: 0 }), {
+    timeToFirstTokenMs: null,
+    totalMs: 500,
+    tokens: 0,
+    tokensPerSecond: null
+  }, 'No tokens means nothing to measure')
+})
+
+// Test streaming
+test('CliStream.run - should write tokens as they arrive after the prefix', async (t) => {
+  const worker = {
+    sendRequestStream: sinon.stub().callsFake(async (input, onToken) => {
+      onToken('Hello')
+      onToken(', world')
+      return { response: 'Hello, world', requestId: 'r1' }
+    })
+  }
+  const output = createOutput()
+
+  const outcome = await CliStream.run(worker, 'Hi', {
+    opts: { options: { temperature: 0.2 } },
+    output: output,
+    prefix: '🤖 ',
+    clock: createClock(0, 100, 600)
+  })
+
+  t.is(output.text, '🤖 Hello, world\n')
+  t.is(outcome.result.response, 'Hello, world')
+  t.ok(outcome.streamed)
+  t.absent(outcome.cancelled)
+  t.alike(outcome.stats, { timeToFirstTokenMs: 100, totalMs: 600, tokens: 2, tokensPerSecond: 4 })
+  t.alike(worker.sendRequestStream.firstCall.args[2], { options: { temperature: 0.2 }, signal: undefined })
+})
+
+test('CliStream.run - should report a cancelled generation', async (t) => {
+  const controller = new AbortController()
+  const worker = {
+    sendRequestStream: sinon.stub().callsFake(async (input, onToken, opts) => {
+      onToken('Partial')
+      controller.abort()
+      return opts.signal.aborted ? { cancelled: true, requestId: 'r1' } : { response: 'Partial answer' }
+    })
+  }
+  const output = createOutput()
+
+  const outcome = await CliStream.run(worker, 'Hi', { signal: controller.signal, output: output })
+
+  t.ok(outcome.cancelled)
+  t.is(output.text, 'Partial\n', 'The partial response should end on its own line')
+})
+
+test('CliStream.run - should fall back to a whole response when the gateway cannot stream', async (t) => {
+  const worker = {
+    sendRequestStream: sinon.stub().rejects(new Error('UNKNOWN_METHOD')),
+    sendRequest: sinon.stub().resolves({ response: 'Whole answer' })
+  }
+  const output = createOutput()
+
+  const outcome = await CliStream.run(worker, 'Hi', { output: output, prefix: '> ' })
+
+  t.is(output.text, '> Whole answer\n')
+  t.absent(outcome.streamed)
+  t.is(outcome.stats.tokens, null, 'Tokens are not counted without streaming')
+
+  worker.sendRequestStream = sinon.stub().rejects(new Error('CHANNEL_CLOSED'))
+  await t.exception(CliStream.run(worker, 'Hi', { output: createOutput() }), /CHANNEL_CLOSED/, 'Other errors should not be retried')
+})
+
+test('CliStream.createSpinner - should draw on a terminal until stopped', async (t) => {
+  const clock = sinon.useFakeTimers()
+  t.teardown(() => clock.restore())
+
+  const terminal = createOutput(true)
+  const spinner = CliStream.createSpinner(terminal, 'Thinking...')
+  spinner.start()
+  clock.tick(200)
+  spinner.stop()
+  const drawn = terminal.text
+  clock.tick(200)
+
+  t.ok(drawn.includes('Thinking...'))
+  t.is(terminal.text, drawn, 'Should stop drawing once stopped')
+
+  const piped = createOutput(false)
+  CliStream.createSpinner(piped).start()
+  t.is(piped.text, '', 'Should not draw on piped output')
+})
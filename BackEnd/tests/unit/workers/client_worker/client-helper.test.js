@@ -1302,13 +1302,9 @@ test('should handle null workerInstance across all methods', async (t) => {
     t.fail('getApiToken should not throw error with null workerInstance')
   }
 
-  // Test async methods - these should throw errors when accessing properties on null
-  try {
-    await ClientHelper.verifySession(null)
-    t.fail('Should have thrown error')
-  } catch (error) {
-    t.ok(error instanceof Error)
-  }
+  // Without a worker or opts.sessionKey there is no session to verify
+  const verifyResult = await ClientHelper.verifySession(null)
+  t.is(verifyResult.valid, false, 'verifySession should report no active session')
 })
 
 test('should handle undefined workerInstance across all methods', async (t) => {
@@ -1327,13 +1323,9 @@ test('should handle undefined workerInstance across all methods', async (t) => {
     t.fail('getApiToken should not throw error with undefined workerInstance')
   }
 
-  // Test async methods - these should throw errors when accessing properties on undefined
-  try {
-    await ClientHelper.verifySession(undefined)
-    t.fail('Should have thrown error')
-  } catch (error) {
-    t.ok(error instanceof Error)
-  }
+  // Without a worker or opts.sessionKey there is no session to verify
+  const verifyResult = await ClientHelper.verifySession(undefined)
+  t.is(verifyResult.valid, false, 'verifySession should report no active session')
 })
 
 test('should handle workerInstance without required properties', async (t) => {
@@ -1452,9 +1444,10 @@ test('should handle various data types for prompt parameter', async (t) => {
     sinon.match.any, sinon.match.any, sinon.match.any, { prompt: { nested: 'object' } }
   ))
 
+  // Arrays are conversations; the gateway validates their messages
   await ClientHelper.sendRequest(mockWorkerInstance, [1, 2, 3])
   t.ok(authorizedStub.getCall(3).calledWith(
-    sinon.match.any, sinon.match.any, sinon.match.any, { prompt: [1, 2, 3] }
+    sinon.match.any, sinon.match.any, sinon.match.any, { messages: [1, 2, 3] }
   ))
 
   await ClientHelper.sendRequest(mockWorkerInstance, true)
@@ -1593,4 +1586,297 @@ test('should handle method calls with shared workerInstance', async (t) => {
   t.is(tokenResult1.success, false) // No initial session
   t.is(logoutResult.success, false) // No session to logout
   t.is(tokenResult2.success, false) // Still no session
-})
\ No newline at end of file
+})
+
+// Test per-request session keys (bridge server isolation)
+test('should prefer opts.sessionKey over worker sessionKey in authorizedTopicRequest', async (t) => {
+  const sandbox = sinon.createSandbox()
+  t.teardown(() => sandbox.restore())
+
+  const mockWorkerInstance = {
+    sessionKey: 'shared-worker-key',
+    net_default: {
+      jTopicRequestRobust: sandbox.stub().resolves({ success: true })
+    }
+  }
+
+  await ClientHelper.authorizedTopicRequest(mockWorkerInstance, 'gateway', 'processPrompt', { prompt: 'hi' }, { sessionKey: 'caller-key' })
+
+  const callArgs = mockWorkerInstance.net_default.jTopicRequestRobust.getCall(0).args
+  t.is(callArgs[2].meta.key, 'caller-key')
+})
+
+test('should not fall back to worker sessionKey when opts.sessionKey is null', async (t) => {
+  const sandbox = sinon.createSandbox()
+  t.teardown(() => sandbox.restore())
+
+  const mockWorkerInstance = {
+    sessionKey: 'shared-worker-key',
+    net_default: {
+      jTopicRequestRobust: sandbox.stub().resolves({ success: true })
+    }
+  }
+
+  await ClientHelper.authorizedTopicRequest(mockWorkerInstance, 'gateway', 'processPrompt', { prompt: 'hi' }, { sessionKey: null })
+
+  const callArgs = mockWorkerInstance.net_default.jTopicRequestRobust.getCall(0).args
+  t.not(callArgs[2].hasOwnProperty('meta'))
+})
+
+test('should forward opts from sendRequest to authorizedTopicRequest', async (t) => {
+  const sandbox = sinon.createSandbox()
+  t.teardown(() => sandbox.restore())
+
+  const mockWorkerInstance = { sessionKey: null }
+  const authorizedStub = sandbox.stub(ClientHelper, 'authorizedTopicRequest').resolves({ response: 'ok' })
+
+  await ClientHelper.sendRequest(mockWorkerInstance, 'hello', { sessionKey: 'caller-key' })
+
+  t.alike(authorizedStub.getCall(0).args[4], { sessionKey: 'caller-key' })
+})
+
+test('should not store session key when persistSession is false', async (t) => {
+  const sandbox = sinon.createSandbox()
+  t.teardown(() => sandbox.restore())
+
+  const mockWorkerInstance = { sessionKey: null }
+  sandbox.stub(ClientHelper, 'authorizedTopicRequest').resolves({ success: true, key: 'caller-token' })
+
+  const result = await ClientHelper.loginUser(mockWorkerInstance, 'test@example.com', 'password', { persistSession: false })
+
+  t.is(result.key, 'caller-token')
+  t.is(mockWorkerInstance.sessionKey, null)
+})
+
+test('should return caller token from getApiToken when opts.sessionKey is given', async (t) => {
+  const mockWorkerInstance = { sessionKey: 'shared-worker-key' }
+
+  const result = ClientHelper.getApiToken(mockWorkerInstance, { sessionKey: 'caller-key' })
+  const noSession = ClientHelper.getApiToken(mockWorkerInstance, { sessionKey: null })
+
+  t.is(result.token, 'caller-key')
+  t.is(noSession.success, false)
+})
+
+test('should verify the caller session when opts.sessionKey is given', async (t) => {
+  const sandbox = sinon.createSandbox()
+  t.teardown(() => sandbox.restore())
+
+  const mockWorkerInstance = { sessionKey: 'shared-worker-key' }
+  const authorizedStub = sandbox.stub(ClientHelper, 'authorizedTopicRequest').resolves({ success: true, valid: true })
+
+  await ClientHelper.verifySession(mockWorkerInstance, { sessionKey: 'caller-key' })
+  const noSession = await ClientHelper.verifySession(mockWorkerInstance, { sessionKey: null })
+
+  t.alike(authorizedStub.getCall(0).args[4], { sessionKey: 'caller-key' })
+  t.is(authorizedStub.callCount, 1)
+  t.is(noSession.valid, false)
+})
+
+test('should stream tokens from the gateway and resolve with the final result', async (t) => {
+  const mockWorkerInstance = {
+    sessionKey: 'stored-key',
+    net_default: {
+      jTopicStream: sinon.stub().callsFake(async function * () {
+        yield { type: 'start', requestId: 'req1', rateLimitInfo: { remainingRequests: 9 }, queueInfo: { waitMs: 12, priority: 'interactive' } }
+        yield { type: 'token', token: 'Hel' }
+        yield { type: 'token', token: 'lo' }
+        yield { type: 'done', result: { response: 'Hello' } }
+      })
+    }
+  }
+  const tokens = []
+  const onStart = sinon.stub()
+
+  const result = await ClientHelper.sendRequestStream(mockWorkerInstance, 'hi', (token) => tokens.push(token), { onStart })
+
+  const [topic, method, payload] = mockWorkerInstance.net_default.jTopicStream.getCall(0).args
+  t.is(topic, 'gateway')
+  t.is(method, 'processPromptStream')
+  t.alike(payload, { data: { prompt: 'hi' }, meta: { key: 'stored-key' } })
+  t.alike(tokens, ['Hel', 'lo'])
+  t.alike(onStart.getCall(0).args[0], { requestId: 'req1', rateLimitInfo: { remainingRequests: 9 }, queueInfo: { waitMs: 12, priority: 'interactive' } })
+  t.is(result.response, 'Hello')
+})
+
+test('should return gateway rejections from a stream without the chunk type', async (t) => {
+  const mockWorkerInstance = {
+    sessionKey: 'stored-key',
+    net_default: {
+      jTopicStream: sinon.stub().callsFake(async function * () {
+        yield { type: 'error', success: false, status: 429, message: 'Rate limit exceeded' }
+      })
+    }
+  }
+
+  const result = await ClientHelper.sendRequestStream(mockWorkerInstance, 'hi', () => {})
+
+  t.is(result.status, 429)
+  t.absent(result.type)
+})
+
+test('should send conversations as messages for both request styles', async (t) => {
+  const sandbox = sinon.createSandbox()
+  t.teardown(() => sandbox.restore())
+
+  const messages = [
+    { role: 'system', content: 'Be brief' },
+    { role: 'user', content: 'hi' }
+  ]
+  const mockWorkerInstance = {
+    sessionKey: 'stored-key',
+    net_default: {
+      jTopicStream: sinon.stub().callsFake(async function * () {
+        yield { type: 'done', result: { response: 'Hello' } }
+      })
+    }
+  }
+  const authorizedStub = sandbox.stub(ClientHelper, 'authorizedTopicRequest').resolves({ response: 'Hello' })
+
+  await ClientHelper.sendRequest(mockWorkerInstance, messages)
+  await ClientHelper.sendRequestStream(mockWorkerInstance, messages, () => {})
+
+  t.alike(authorizedStub.getCall(0).args[3], { messages })
+  t.alike(mockWorkerInstance.net_default.jTopicStream.getCall(0).args[2].data, { messages })
+})
+
+test('should attach opts.conversationId to prompt requests', async (t) => {
+  const sandbox = sinon.createSandbox()
+  t.teardown(() => sandbox.restore())
+
+  const mockWorkerInstance = { sessionKey: null }
+  const authorizedStub = sandbox.stub(ClientHelper, 'authorizedTopicRequest').resolves({ response: 'ok' })
+
+  await ClientHelper.sendRequest(mockWorkerInstance, 'hello', { sessionKey: 'caller-key', conversationId: 'c1' })
+
+  t.alike(authorizedStub.getCall(0).args[3], { prompt: 'hello', conversationId: 'c1' })
+})
+
+test('should call the gateway conversation RPCs with the caller session', async (t) => {
+  const sandbox = sinon.createSandbox()
+  t.teardown(() => sandbox.restore())
+
+  const mockWorkerInstance = { sessionKey: null }
+  const authorizedStub = sandbox.stub(ClientHelper, 'authorizedTopicRequest').resolves({ success: true, status: 200 })
+  const opts = { sessionKey: 'caller-key' }
+
+  await ClientHelper.listConversations(mockWorkerInstance, { ...opts, limit: 5 })
+  await ClientHelper.createConversation(mockWorkerInstance, 'Trip', opts)
+  await ClientHelper.getConversation(mockWorkerInstance, 'c1', opts)
+  await ClientHelper.renameConversation(mockWorkerInstance, 'c1', 'Trip 2', opts)
+  const result = await ClientHelper.deleteConversation(mockWorkerInstance, 'c1', opts)
+
+  const calls = authorizedStub.getCalls().map(call => [call.args[1], call.args[2], call.args[3]])
+  t.alike(calls, [
+    ['gateway', 'listConversations', { limit: 5 }],
+    ['gateway', 'createConversation', { title: 'Trip' }],
+    ['gateway', 'getConversation', { conversationId: 'c1' }],
+    ['gateway', 'renameConversation', { conversationId: 'c1', title: 'Trip 2' }],
+    ['gateway', 'deleteConversation', { conversationId: 'c1' }]
+  ])
+  t.is(authorizedStub.getCall(2).args[4].sessionKey, 'caller-key')
+  t.alike(result, { success: true, status: 200 })
+})
+
+test('should attach opts.options to prompt requests', async (t) => {
+  const sandbox = sinon.createSandbox()
+  t.teardown(() => sandbox.restore())
+
+  const mockWorkerInstance = { sessionKey: null }
+  const authorizedStub = sandbox.stub(ClientHelper, 'authorizedTopicRequest').resolves({ response: 'ok' })
+
+  await ClientHelper.sendRequest(mockWorkerInstance, 'hello', { options: { temperature: 0.2 } })
+
+  t.alike(authorizedStub.getCall(0).args[3], { prompt: 'hello', options: { temperature: 0.2 } })
+})
+
+test('should attach opts.priority to prompt requests', async (t) => {
+  const sandbox = sinon.createSandbox()
+  t.teardown(() => sandbox.restore())
+
+  const mockWorkerInstance = { sessionKey: null }
+  const authorizedStub = sandbox.stub(ClientHelper, 'authorizedTopicRequest').resolves({ response: 'ok' })
+
+  await ClientHelper.sendRequest(mockWorkerInstance, 'hello', { priority: 'batch' })
+
+  t.alike(authorizedStub.getCall(0).args[3], { prompt: 'hello', priority: 'batch' })
+})
+
+test('should attach opts.model to prompt requests and list models through the gateway', async (t) => {
+  const sandbox = sinon.createSandbox()
+  t.teardown(() => sandbox.restore())
+
+  const mockWorkerInstance = { sessionKey: null }
+  const models = { success: true, status: 200, models: [{ id: 'llama3:latest', processors: 1 }], processors: 1 }
+  const authorizedStub = sandbox.stub(ClientHelper, 'authorizedTopicRequest')
+  authorizedStub.withArgs(mockWorkerInstance, 'gateway', 'listModels').resolves(models)
+  authorizedStub.resolves({ response: 'ok' })
+
+  await ClientHelper.sendRequest(mockWorkerInstance, 'hello', { model: 'mistral' })
+  const result = await ClientHelper.listModels(mockWorkerInstance, { sessionKey: 'caller-key' })
+
+  t.alike(authorizedStub.getCall(0).args[3], { prompt: 'hello', model: 'mistral' })
+  t.alike(authorizedStub.getCall(1).args.slice(1, 4), ['gateway', 'listModels', {}])
+  t.is(authorizedStub.getCall(1).args[4].sessionKey, 'caller-key')
+  t.alike(result, models)
+})
+
+test('should submit, poll and cancel asynchronous jobs through the gateway', async (t) => {
+  const sandbox = sinon.createSandbox()
+  t.teardown(() => sandbox.restore())
+
+  const mockWorkerInstance = { sessionKey: null }
+  const authorizedStub = sandbox.stub(ClientHelper, 'authorizedTopicRequest').resolves({ success: true, status: 202, job: { id: 'j1', status: 'queued' } })
+
+  const submitted = await ClientHelper.submitJob(mockWorkerInstance, 'hello', { priority: 'batch' })
+  await ClientHelper.getJob(mockWorkerInstance, 'j1')
+  await ClientHelper.cancelJob(mockWorkerInstance, 'j1')
+
+  t.is(submitted.job.id, 'j1')
+  t.alike(authorizedStub.getCall(0).args.slice(1, 4), ['gateway', 'submitJob', { prompt: 'hello', priority: 'batch' }])
+  t.alike(authorizedStub.getCall(1).args.slice(2, 4), ['getJob', { jobId: 'j1' }])
+  t.alike(authorizedStub.getCall(2).args.slice(2, 4), ['cancelJob', { jobId: 'j1' }])
+})
+
+test('should send dead-letter admin operations to the gateway', async (t) => {
+  const sandbox = sinon.createSandbox()
+  t.teardown(() => sandbox.restore())
+
+  const mockWorkerInstance = { sessionKey: null }
+  const authorizedStub = sandbox.stub(ClientHelper, 'authorizedTopicRequest').resolves({ success: true, status: 200 })
+
+  await ClientHelper.listDeadLetters(mockWorkerInstance, { limit: 10 })
+  await ClientHelper.requeueDeadLetter(mockWorkerInstance, 'j1')
+  await ClientHelper.purgeDeadLetters(mockWorkerInstance, { all: true })
+
+  t.alike(authorizedStub.getCall(0).args.slice(2, 4), ['listDeadLetters', { limit: 10, errorCategory: undefined }])
+  t.alike(authorizedStub.getCall(1).args.slice(2, 4), ['requeueDeadLetter', { jobId: 'j1' }])
+  t.alike(authorizedStub.getCall(2).args.slice(2, 4), ['purgeDeadLetters', { jobIds: undefined, olderThan: undefined, all: true }])
+})
+
+test('should collect batch results from the gateway in item order', async (t) => {
+  const summary = { total: 2, succeeded: 1, failed: 1, cancelled: 0, failuresByCode: { RATE_LIMITED: 1 }, durationMs: 20 }
+  const mockWorkerInstance = {
+    sessionKey: 'stored-key',
+    net_default: {
+      jTopicStream: sinon.stub().callsFake(async function * () {
+        yield { type: 'start', requestId: 'b1', total: 2, parallelism: 2 }
+        yield { type: 'item', index: 1, success: false, error: { status: 429, code: 'RATE_LIMITED', message: 'Rate limit exceeded' } }
+        yield { type: 'item', index: 0, success: true, result: { response: 'A' } }
+        yield { type: 'done', requestId: 'b1', summary }
+      })
+    }
+  }
+  const onItem = sinon.stub()
+
+  const result = await ClientHelper.processBatch(mockWorkerInstance, ['a', 'b'], { parallelism: 2, options: { temperature: 0 }, onItem })
+
+  const [, method, payload] = mockWorkerInstance.net_default.jTopicStream.getCall(0).args
+  t.is(method, 'processBatch')
+  t.alike(payload, { data: { items: ['a', 'b'], options: { temperature: 0 }, parallelism: 2 }, meta: { key: 'stored-key' } })
+  t.is(result.status, 207, 'Partial failures should answer 207')
+  t.alike(result.results.map(item => item.index), [0, 1], 'Results should be in item order')
+  t.is(result.results[0].result.response, 'A')
+  t.alike(result.summary, summary)
+  t.is(onItem.callCount, 2, 'Should report each item as it arrives')
+})
@@ -0,0 +1,62 @@
+'use strict'
+
+const test = require('brittle')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const CredentialsStore = require('../../../../client_worker/credentials-store.js')
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'credentials-'))
+  t.teardown(() => fs.rmSync(dir, { recursive: true, force: true }))
+  return path.join(dir, 'distributed-inference', 'credentials.json')
+}
+
+test('CredentialsStore.defaultPath - should use the XDG config directory and the override', async (t) => {
+  t.is(CredentialsStore.defaultPath({ XDG_CONFIG_HOME: '/cfg' }), path.join('/cfg', 'distributed-inference', 'credentials.json'))
+  t.is(CredentialsStore.defaultPath({ HOME: '/home/a' }), path.join(os.homedir(), '.config', 'distributed-inference', 'credentials.json'))
+  t.is(CredentialsStore.defaultPath({ INFERENCE_CREDENTIALS_FILE: '/tmp/creds.json' }), '/tmp/creds.json')
+})
+
+test('CredentialsStore - should save logins per profile in an owner-only file', async (t) => {
+  const file = tempFile(t)
+
+  t.alike(await CredentialsStore.getProfile(file, null, {}), { name: 'default', email: null, token: null }, 'A missing file holds no login')
+
+  await CredentialsStore.saveProfile(file, 'default', { email: 'a@example.com', token: 'jwt-a' })
+  await CredentialsStore.saveProfile(file, 'staging', { email: 'b@example.com', token: 'jwt-b' })
+
+  t.is(fs.statSync(file).mode & 0o777, 0o600, 'The file should only be readable by its owner')
+  t.is(fs.statSync(path.dirname(file)).mode & 0o777, 0o700, 'The directory should only be open to its owner')
+  t.is((await CredentialsStore.getProfile(file, null, {})).token, 'jwt-a', 'Should use the current profile')
+  t.is((await CredentialsStore.getProfile(file, 'staging', {})).token, 'jwt-b', 'Should use the named profile')
+  t.is((await CredentialsStore.getProfile(file, null, { INFERENCE_PROFILE: 'staging' })).email, 'b@example.com', 'INFERENCE_PROFILE should pick the profile')
+
+  await CredentialsStore.useProfile(file, 'staging')
+  t.is((await CredentialsStore.getProfile(file, null, {})).name, 'staging', 'profile use should change the current profile')
+  t.alike((await CredentialsStore.listProfiles(file)).map(profile => [profile.name, profile.current, profile.loggedIn]), [
+    ['default', false, true],
+    ['staging', true, true]
+  ])
+  t.absent(JSON.stringify(await CredentialsStore.listProfiles(file)).includes('jwt'), 'Listing should not expose tokens')
+
+  t.is(await CredentialsStore.clearProfile(file, 'staging'), true, 'logout should remove the login')
+  t.is(await CredentialsStore.clearProfile(file, 'staging'), false)
+  t.is((await CredentialsStore.getProfile(file, null, {})).token, null)
+  t.is((await CredentialsStore.getProfile(file, 'default', {})).token, 'jwt-a', 'Other profiles should keep their login')
+
+  await t.exception(CredentialsStore.useProfile(file, '../etc'), /Invalid profile name/)
+})
+
+test('CredentialsStore.load - should tighten a file others can read and reject a broken one', async (t) => {
+  const file = tempFile(t)
+  await CredentialsStore.saveProfile(file, 'default', { token: 'jwt' })
+  fs.chmodSync(file, 0o644)
+
+  t.is((await CredentialsStore.load(file)).profiles.default.token, 'jwt')
+  t.is(fs.statSync(file).mode & 0o777, 0o600, 'Should reset the permissions to 0600')
+
+  fs.writeFileSync(file, '{ not json')
+  await t.exception(CredentialsStore.load(file), /not valid JSON/)
+})
@@ -0,0 +1,154 @@
+'use strict'
+
+const test = require('brittle')
+const OpenAIHelper = require('../../../../client_worker/openai-helper.js')
+
+// Test buildError / getBearerToken
+test('should build errors in the OpenAI shape', async (t) => {
+  const body = OpenAIHelper.buildError('Bad key', 'invalid_request_error', 'invalid_api_key')
+
+  t.alike(body, { error: { message: 'Bad key', type: 'invalid_request_error', code: 'invalid_api_key' } })
+})
+
+test('should read the bearer token from the Authorization header', async (t) => {
+  t.is(OpenAIHelper.getBearerToken('Bearer jwt-token'), 'jwt-token')
+  t.is(OpenAIHelper.getBearerToken('Basic abc'), null)
+  t.is(OpenAIHelper.getBearerToken('Bearer   '), null)
+  t.is(OpenAIHelper.getBearerToken(undefined), null)
+})
+
+// Test request parsing
+test('should forward chat messages as a conversation', async (t) => {
+  const parsed = OpenAIHelper.parseChatRequest({
+    model: 'llama3',
+    messages: [
+      { role: 'system', content: 'Be brief' },
+      { role: 'user', content: 'Hi', name: 'sam' }
+    ]
+  })
+
+  t.alike(parsed.messages, [
+    { role: 'system', content: 'Be brief' },
+    { role: 'user', content: 'Hi' }
+  ])
+  t.is(parsed.input, parsed.messages)
+  t.is(parsed.promptText, 'Hi')
+  t.is(parsed.model, 'llama3')
+  t.is(parsed.requestedModel, 'llama3', 'Should route the prompt to the named model')
+  t.is(parsed.stream, false)
+})
+
+test('should default the model and read the stream flag', async (t) => {
+  const parsed = OpenAIHelper.parseChatRequest({
+    messages: [{ role: 'user', content: 'Hello' }],
+    stream: true
+  })
+
+  t.is(parsed.model, OpenAIHelper.DEFAULT_MODEL)
+  t.is(parsed.requestedModel, null, 'The default model should not be routed to')
+  t.is(parsed.stream, true)
+})
+
+test('should forward OpenAI sampling fields as generation options', async (t) => {
+  const parsed = OpenAIHelper.parseChatRequest({
+    messages: [{ role: 'user', content: 'Hello' }],
+    temperature: 0.2,
+    top_p: 0.9,
+    max_tokens: 64,
+    stop: ['###'],
+    seed: 7,
+    stop_sequence: 'ignored',
+    presence_penalty: null
+  })
+
+  t.alike(parsed.options, { temperature: 0.2, top_p: 0.9, max_tokens: 64, stop: ['###'], seed: 7 })
+  t.alike(OpenAIHelper.parseCompletionRequest({ prompt: 'Once upon', temperature: 0, stop: null }).options, { temperature: 0 }, 'Zero should be kept and null left out')
+  t.is(OpenAIHelper.parseCompletionRequest({ prompt: 'Once upon' }).options, undefined, 'No fields means the processors\' defaults')
+})
+
+test('should reject invalid chat requests with an OpenAI error', async (t) => {
+  t.is(OpenAIHelper.parseChatRequest({}).error.error.code, 'invalid_messages')
+  t.is(OpenAIHelper.parseChatRequest({ messages: [] }).error.error.code, 'invalid_messages')
+  t.ok(OpenAIHelper.parseChatRequest({ messages: [{ role: 'tool', content: 'x' }] }).error.error.message.includes('role'))
+  t.ok(OpenAIHelper.parseChatRequest({ messages: [{ role: 'user', content: 42 }] }).error.error.message.includes('content'))
+  t.is(OpenAIHelper.parseChatRequest({ messages: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }] }).error.error.code, 'invalid_messages')
+})
+
+test('should accept string and single-element array prompts for completions', async (t) => {
+  t.is(OpenAIHelper.parseCompletionRequest({ prompt: 'Once upon' }).prompt, 'Once upon')
+  t.is(OpenAIHelper.parseCompletionRequest({ prompt: ['Once upon'] }).prompt, 'Once upon')
+  t.is(OpenAIHelper.parseCompletionRequest({ prompt: '' }).error.error.code, 'invalid_prompt')
+  t.is(OpenAIHelper.parseCompletionRequest(undefined).error.error.code, 'invalid_prompt')
+  t.is(OpenAIHelper.parseCompletionRequest({ prompt: 'Once upon', model: 'mistral' }).requestedModel, 'mistral')
+})
+
+// Test error mapping
+test('should map gateway auth and rate limit errors to OpenAI codes', async (t) => {
+  const auth = OpenAIHelper.mapGatewayError({ success: false, status: 401, message: 'Unauthorized: Invalid or expired token' })
+  const rate = OpenAIHelper.mapGatewayError({ error: true, status: 429, message: 'Rate limit exceeded' })
+  const other = OpenAIHelper.mapGatewayError({ error: true, message: 'Ollama API error: 500' })
+
+  t.is(auth.status, 401)
+  t.is(auth.body.error.code, 'invalid_api_key')
+  t.is(rate.status, 429)
+  t.is(rate.body.error.code, 'rate_limit_exceeded')
+  t.is(other.status, 500)
+  t.is(other.body.error.type, 'server_error')
+})
+
+test('should map the gateway\'s option validation to invalid_request_error', async (t) => {
+  const mapped = OpenAIHelper.mapGatewayError({ error: true, status: 400, message: 'Invalid input: options.temperature must be between 0 and 2' })
+
+  t.is(mapped.status, 400)
+  t.is(mapped.body.error.type, 'invalid_request_error')
+  t.is(mapped.body.error.message, 'Invalid input: options.temperature must be between 0 and 2')
+})
+
+test('should map a model no processor serves to model_not_found', async (t) => {
+  const mapped = OpenAIHelper.mapGatewayError({ error: true, status: 404, code: 'MODEL_NOT_AVAILABLE', message: 'Model "mistral" is not available' })
+
+  t.is(mapped.status, 404)
+  t.is(mapped.body.error.type, 'invalid_request_error')
+  t.is(mapped.body.error.code, 'model_not_found')
+  t.is(mapped.body.error.message, 'Model "mistral" is not available')
+})
+
+test('should map a missing gateway to 503', async (t) => {
+  const mapped = OpenAIHelper.mapNetworkError(new Error('ERR_TOPIC_LOOKUP_EMPTY'))
+
+  t.is(mapped.status, 503)
+  t.is(mapped.body.error.code, 'service_unavailable')
+  t.is(OpenAIHelper.mapNetworkError(new Error('ERR_TOPIC_PEERS_CIRCUIT_OPEN')).status, 503)
+})
+
+// Test response builders
+test('should build a chat completion from a gateway result', async (t) => {
+  const completion = OpenAIHelper.buildChatCompletion({ response: 'Hi there' }, 'llama3')
+
+  t.ok(completion.id.startsWith('chatcmpl-'))
+  t.is(completion.object, 'chat.completion')
+  t.is(completion.model, 'llama3')
+  t.alike(completion.choices[0].message, { role: 'assistant', content: 'Hi there' })
+  t.is(completion.choices[0].finish_reason, 'stop')
+})
+
+test('should build streaming chunks in the OpenAI delta format', async (t) => {
+  const chunk = OpenAIHelper.buildChatChunk('chatcmpl-1', 123, 'llama3', { content: 'Hi' })
+  const last = OpenAIHelper.buildChatChunk('chatcmpl-1', 123, 'llama3', {}, 'stop')
+  const text = OpenAIHelper.buildCompletionChunk('cmpl-1', 123, 'llama3', 'Hi')
+
+  t.is(chunk.object, 'chat.completion.chunk')
+  t.alike(chunk.choices[0], { index: 0, delta: { content: 'Hi' }, finish_reason: null })
+  t.is(last.choices[0].finish_reason, 'stop')
+  t.is(text.object, 'text_completion')
+  t.is(text.choices[0].text, 'Hi')
+})
+
+test('should list models in the OpenAI format', async (t) => {
+  const list = OpenAIHelper.buildModelList([{ id: 'llama3', processors: 2 }, { id: 'mistral', processors: 1 }])
+
+  t.is(list.object, 'list')
+  t.alike(list.data.map(m => m.id), ['llama3', 'mistral'])
+  t.is(list.data[0].object, 'model')
+  t.alike(OpenAIHelper.buildModelList().data, [], 'No processors means no models')
+})
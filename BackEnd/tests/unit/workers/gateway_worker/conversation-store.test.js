@@ -0,0 +1,148 @@
+'use strict'
+
+const test = require('brittle')
+const sinon = require('sinon')
+
+const ConversationStore = require('../../../../gateway_worker/conversation-store.js')
+
+// In-memory stand-in for a Hyperbee: sorted keys, range reads and batches
+function createFakeBee() {
+  const entries = new Map()
+  const bee = {
+    entries,
+    ready: sinon.stub().resolves(),
+    get: async (key) => entries.has(key) ? { key, value: entries.get(key) } : null,
+    put: async (key, value) => { entries.set(key, value) },
+    del: async (key) => { entries.delete(key) },
+    createReadStream: ({ gte, lt, limit = Infinity } = {}) => {
+      const keys = [...entries.keys()]
+        .filter(key => (gte === undefined || key >= gte) && (lt === undefined || key < lt))
+        .sort()
+        .slice(0, limit)
+      return (async function * () {
+        for (const key of keys) {
+          yield { key, value: entries.get(key) }
+        }
+      })()
+    },
+    batch: () => {
+      const ops = []
+      return {
+        put: async (key, value) => { ops.push(() => entries.set(key, value)) },
+        del: async (key) => { ops.push(() => entries.delete(key)) },
+        flush: async () => { ops.forEach(op => op()) }
+      }
+    }
+  }
+  return bee
+}
+
+function createWorkerInstance(bee = createFakeBee()) {
+  ConversationStore._db = null
+  return {
+    bee,
+    store_s0: { getBee: sinon.stub().resolves(bee) }
+  }
+}
+
+test('ConversationStore - should require the store facility', async (t) => {
+  ConversationStore._db = null
+  await t.exception(ConversationStore.list({}, 'a@example.com'), /Store facility not available/, 'Should name the missing facility')
+})
+
+test('ConversationStore.create - should store a conversation under the user with a default title', async (t) => {
+  const workerInstance = createWorkerInstance()
+
+  const conversation = await ConversationStore.create(workerInstance, 'a@example.com')
+  const stored = await ConversationStore.get(workerInstance, 'a@example.com', conversation.id)
+
+  t.ok(/^[0-9a-f]{16}$/.test(conversation.id), 'Should generate a hex id')
+  t.is(conversation.title, 'New conversation', 'Should use the default title')
+  t.alike(conversation.messages, [], 'Should start empty')
+  t.alike(stored, conversation, 'Should be readable back')
+  t.is(workerInstance.store_s0.getBee.firstCall.args[0].name, 'conversations', 'Should use the conversations bee')
+})
+
+test('ConversationStore.get - should not return another user\'s conversation', async (t) => {
+  const workerInstance = createWorkerInstance()
+
+  const conversation = await ConversationStore.create(workerInstance, 'a@example.com', { title: 'Mine' })
+
+  t.is(await ConversationStore.get(workerInstance, 'b@example.com', conversation.id), null, 'Should be scoped to the owner')
+  t.is(await ConversationStore.get(workerInstance, 'a@example.com', 'missing'), null, 'Should return null for unknown ids')
+})
+
+test('ConversationStore.list - should list a user\'s conversations most recently updated first', async (t) => {
+  const workerInstance = createWorkerInstance()
+  const clock = sinon.useFakeTimers({ now: 1700000000000, toFake: ['Date'] })
+  t.teardown(() => clock.restore())
+
+  const first = await ConversationStore.create(workerInstance, 'a@example.com', { title: 'First' })
+  clock.tick(1000)
+  const second = await ConversationStore.create(workerInstance, 'a@example.com', { title: 'Second' })
+  clock.tick(1000)
+  await ConversationStore.create(workerInstance, 'a@example.co', { title: 'Other user' })
+  clock.tick(1000)
+  await ConversationStore.appendMessages(workerInstance, 'a@example.com', first.id, [{ role: 'user', content: 'hi' }])
+
+  const conversations = await ConversationStore.list(workerInstance, 'a@example.com')
+  const limited = await ConversationStore.list(workerInstance, 'a@example.com', { limit: 1 })
+
+  t.alike(conversations.map(c => c.id), [first.id, second.id], 'Should order by last update')
+  t.is(conversations[0].messageCount, 1, 'Should include the message count')
+  t.absent(conversations[0].messages, 'Should list summaries only')
+  t.is(limited.length, 1, 'Should honour the limit')
+  t.is(workerInstance.bee.entries.size, 6, 'Should keep one index entry per conversation')
+})
+
+test('ConversationStore.appendMessages - should append messages and title the conversation from the first prompt', async (t) => {
+  const workerInstance = createWorkerInstance()
+
+  const conversation = await ConversationStore.create(workerInstance, 'a@example.com')
+  const updated = await ConversationStore.appendMessages(workerInstance, 'a@example.com', conversation.id, [
+    { role: 'user', content: 'How do tides work?\nPlease explain.' },
+    { role: 'assistant', content: 'The moon.' }
+  ])
+  const missing = await ConversationStore.appendMessages(workerInstance, 'a@example.com', 'missing', [])
+
+  t.alike(updated.messages.map(m => m.role), ['user', 'assistant'], 'Should append in order')
+  t.ok(updated.messages[0].createdAt, 'Should timestamp messages')
+  t.is(updated.title, 'How do tides work?', 'Should use the first line of the first prompt')
+  t.is(missing, null, 'Should return null for unknown conversations')
+})
+
+test('ConversationStore.appendMessages - should not lose concurrent appends', async (t) => {
+  const workerInstance = createWorkerInstance()
+
+  const conversation = await ConversationStore.create(workerInstance, 'a@example.com', { title: 'Busy' })
+  await Promise.all([1, 2, 3].map(n =>
+    ConversationStore.appendMessages(workerInstance, 'a@example.com', conversation.id, [{ role: 'user', content: `m${n}` }])
+  ))
+
+  const stored = await ConversationStore.get(workerInstance, 'a@example.com', conversation.id)
+  t.is(stored.messages.length, 3, 'Should keep every message')
+  t.is(stored.title, 'Busy', 'Should keep an explicit title')
+})
+
+test('ConversationStore.rename - should rename and validate the title', async (t) => {
+  const workerInstance = createWorkerInstance()
+
+  const conversation = await ConversationStore.create(workerInstance, 'a@example.com')
+  const renamed = await ConversationStore.rename(workerInstance, 'a@example.com', conversation.id, '  Trip plans  ')
+  const [summary] = await ConversationStore.list(workerInstance, 'a@example.com')
+
+  t.is(renamed.title, 'Trip plans', 'Should trim the title')
+  t.is(summary.title, 'Trip plans', 'Should update the listing')
+  t.is(await ConversationStore.rename(workerInstance, 'a@example.com', 'missing', 'x'), null, 'Should return null for unknown conversations')
+  await t.exception(ConversationStore.rename(workerInstance, 'a@example.com', conversation.id, '   '), /non-empty string/, 'Should reject blank titles')
+})
+
+test('ConversationStore.remove - should delete the conversation and its index entry', async (t) => {
+  const workerInstance = createWorkerInstance()
+
+  const conversation = await ConversationStore.create(workerInstance, 'a@example.com')
+
+  t.is(await ConversationStore.remove(workerInstance, 'a@example.com', conversation.id), true, 'Should report the deletion')
+  t.is(await ConversationStore.remove(workerInstance, 'a@example.com', conversation.id), false, 'Should report unknown conversations')
+  t.is(workerInstance.bee.entries.size, 0, 'Should leave no keys behind')
+})
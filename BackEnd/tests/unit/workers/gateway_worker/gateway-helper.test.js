@@ -75,6 +75,7 @@ setupGlobalMocks()
 
 // Load GatewayHelper with mocked dependencies
 const GatewayHelper = require('../../../../gateway_worker/gateway-helper.js')
+const { FairScheduler } = require('../../../../gateway_worker/scheduler.js')
 
 // Reset mocks function
 function resetAllMocks() {
@@ -694,6 +695,15 @@ test('GatewayHelper.categorizeGatewayError - should categorize CHANNEL_CLOSED er
   t.is(result, 'PROCESSOR_CONNECTION_LOST', 'Should categorize CHANNEL_CLOSED correctly')
 })
 
+test('GatewayHelper.categorizeGatewayError - should categorize ERR_STREAM_NOT_FOUND errors as PROCESSOR_CONNECTION_LOST', async (t) => {
+  resetAllMocks()
+  
+  const error = new Error('[HRPC_ERR]=ERR_STREAM_NOT_FOUND')
+  const result = GatewayHelper.categorizeGatewayError(error)
+  
+  t.is(result, 'PROCESSOR_CONNECTION_LOST', 'A processor that restarted mid-stream should count as a lost connection')
+})
+
 test('GatewayHelper.categorizeGatewayError - should categorize ERR_TOPIC_LOOKUP_EMPTY errors as PROCESSOR_NOT_FOUND', async (t) => {
   resetAllMocks()
   
@@ -1367,4 +1377,795 @@ test('GatewayHelper.verifySession - should include requestId in error responses'
   
   t.ok(result.requestId, 'Should include requestId')
   t.ok(typeof result.requestId === 'string' && result.requestId.length > 0, 'RequestId should be non-empty string')
-})
\ No newline at end of file
+})
+// === STREAMING TESTS ===
+
+// Stand-in for net_default.jTopicStream yielding the given processor chunks
+function createStreamingWorkerInstance(chunks = [], error = null) {
+  return {
+    net_default: {
+      jTopicStream: sinon.stub().callsFake(async function * () {
+        yield * chunks
+        if (error) throw error
+      })
+    }
+  }
+}
+
+// Run the gateway stream to completion, collecting every chunk
+async function drainGatewayStream(workerInstance, data, ctx) {
+  const chunks = []
+  for await (const chunk of GatewayHelper.processPromptStream(workerInstance, data, ctx)) {
+    chunks.push(chunk)
+  }
+  return chunks
+}
+
+test('GatewayHelper.processPromptStream - should reject unauthenticated requests before contacting a processor', async (t) => {
+  resetAllMocks()
+  
+  const workerInstance = createStreamingWorkerInstance()
+  const chunks = await drainGatewayStream(workerInstance, { data: { prompt: 'hi' } })
+  
+  t.is(chunks.length, 1, 'Should yield a single chunk')
+  t.is(chunks[0].type, 'error', 'Should be an error chunk')
+  t.is(chunks[0].status, 401, 'Should carry status 401')
+  t.is(workerInstance.net_default.jTopicStream.callCount, 0, 'Should not open a processor stream')
+})
+
+test('GatewayHelper.processPromptStream - should apply rate limiting before the stream starts', async (t) => {
+  resetAllMocks()
+  rateLimiterStub.checkRateLimit.resolves({ allowed: false, error: true, status: 429, message: 'Rate limit exceeded' })
+  
+  const workerInstance = createStreamingWorkerInstance()
+  const chunks = await drainGatewayStream(workerInstance, { data: { prompt: 'hi' }, meta: { key: 'token' } })
+  
+  t.is(chunks[0].status, 429, 'Should carry status 429')
+  t.absent(chunks[0].allowed, 'Should strip the internal allowed flag')
+  t.is(workerInstance.net_default.jTopicStream.callCount, 0, 'Should not open a processor stream')
+})
+
+test('GatewayHelper.processPromptStream - should relay processor tokens and attach rate limit info to the result', async (t) => {
+  resetAllMocks()
+  
+  const workerInstance = createStreamingWorkerInstance([
+    { type: 'token', token: 'Hel' },
+    { type: 'token', token: 'lo' },
+    { type: 'done', result: { response: 'Hello' } }
+  ])
+  const chunks = await drainGatewayStream(workerInstance, { data: { prompt: 'hi' }, meta: { key: 'token' } })
+  
+  const [topic, method, payload] = workerInstance.net_default.jTopicStream.firstCall.args
+  t.is(topic, 'processor', 'Should stream from the processor topic')
+  t.is(method, 'processRequestStream', 'Should call processRequestStream')
+  t.alike(payload, { prompt: 'hi' }, 'Should forward only the unwrapped data')
+  t.alike(chunks.map(c => c.type), ['start', 'token', 'token', 'done'], 'Should yield start, tokens and done in order')
+  t.ok(chunks[0].rateLimitInfo, 'Should include rate limit info in the start chunk')
+  t.ok(chunks[3].result.rateLimitInfo, 'Should attach rate limit info to the final result')
+})
+
+test('GatewayHelper.processPromptStream - should turn processor failures into an error chunk', async (t) => {
+  resetAllMocks()
+  
+  const workerInstance = createStreamingWorkerInstance([{ type: 'token', token: 'Hel' }], new Error('Ollama API error: 500'))
+  const chunks = await drainGatewayStream(workerInstance, { data: { prompt: 'hi' }, meta: { key: 'token' } })
+  
+  const last = chunks[chunks.length - 1]
+  t.is(last.type, 'error', 'Should end with an error chunk')
+  t.is(last.error, true, 'Should flag the error')
+  t.is(last.message, 'Ollama API error: 500', 'Should carry the processor error')
+})
+
+test('GatewayHelper.processPromptStream - should stop relaying once the client cancelled', async (t) => {
+  resetAllMocks()
+  
+  const ctx = { signal: { aborted: false } }
+  const workerInstance = createStreamingWorkerInstance([
+    { type: 'token', token: 'Hel' },
+    { type: 'token', token: 'lo' }
+  ])
+  
+  const chunks = []
+  for await (const chunk of GatewayHelper.processPromptStream(workerInstance, { data: { prompt: 'hi' }, meta: { key: 'token' } }, ctx)) {
+    chunks.push(chunk)
+    if (chunk.type === 'token') ctx.signal.aborted = true
+  }
+  
+  t.alike(chunks.map(c => c.type), ['start', 'token'], 'Should not relay tokens after cancellation')
+})
+
+// === CHAT INPUT TESTS ===
+
+function createChatMessages() {
+  return [
+    { role: 'system', content: 'Be brief' },
+    { role: 'user', content: 'Hi' },
+    { role: 'assistant', content: 'Hello!' },
+    { role: 'user', content: 'What is 2+2?' }
+  ]
+}
+
+test('GatewayHelper.validatePromptInput - should accept a prompt or a valid conversation', async (t) => {
+  t.is(GatewayHelper.validatePromptInput({ prompt: 'hi' }), null, 'Should accept a prompt')
+  t.is(GatewayHelper.validatePromptInput({ messages: createChatMessages() }), null, 'Should accept a conversation')
+})
+
+test('GatewayHelper.validatePromptInput - should reject malformed conversations', async (t) => {
+  t.ok(GatewayHelper.validatePromptInput({ messages: [] }).includes('non-empty array'), 'Should reject an empty conversation')
+  t.ok(GatewayHelper.validatePromptInput({ messages: 'hi' }).includes('non-empty array'), 'Should reject non-array messages')
+  t.ok(GatewayHelper.validatePromptInput({ messages: [{ role: 'tool', content: 'x' }] }).includes('messages[0].role'), 'Should reject unknown roles')
+  t.ok(GatewayHelper.validatePromptInput({ messages: [{ role: 'user', content: 42 }] }).includes('messages[0].content'), 'Should reject non-string content')
+  t.ok(GatewayHelper.validatePromptInput({ messages: [{ role: 'user', content: 'hi' }, { role: 'assistant', content: 'yo' }] }).includes('last message'), 'Should require a final user message')
+  t.ok(GatewayHelper.validatePromptInput({ prompt: 'hi', messages: [{ role: 'user', content: 'hi' }] }).includes('not both'), 'Should reject prompt and messages together')
+  t.ok(GatewayHelper.validatePromptInput({ messages: Array(101).fill({ role: 'user', content: 'hi' }) }).includes('at most 100'), 'Should cap the conversation length')
+})
+
+test('GatewayHelper.processPrompt - should forward a conversation to the processor', async (t) => {
+  resetAllMocks()
+  
+  const workerInstance = createValidWorkerInstance()
+  const messages = createChatMessages()
+  
+  const result = await GatewayHelper.processPrompt(workerInstance, { data: { messages }, meta: { key: 'validtoken' } })
+  
+  const [topic, method, payload] = workerInstance.net_default.jTopicRequestRobust.firstCall.args
+  t.is(topic, 'processor', 'Should use processor topic')
+  t.is(method, 'processRequest', 'Should call processRequest')
+  t.alike(payload, { messages }, 'Should forward the messages')
+  t.is(result.response, 'test response', 'Should return the processor result')
+})
+
+test('GatewayHelper.processPrompt - should answer invalid conversations with status 400', async (t) => {
+  resetAllMocks()
+  
+  const workerInstance = createValidWorkerInstance()
+  const result = await GatewayHelper.processPrompt(workerInstance, {
+    data: { messages: [{ role: 'robot', content: 'beep' }] },
+    meta: { key: 'validtoken' }
+  })
+  
+  t.is(result.error, true, 'Should return error')
+  t.is(result.status, 400, 'Should mark the error as a bad request')
+  t.ok(result.message.includes('messages[0].role'), 'Should name the invalid field')
+  t.is(workerInstance.net_default.jTopicRequestRobust.callCount, 0, 'Should not contact a processor')
+})
+
+test('GatewayHelper.processPromptStream - should stream conversations and reject invalid ones before starting', async (t) => {
+  resetAllMocks()
+  
+  const messages = createChatMessages()
+  const workerInstance = createStreamingWorkerInstance([{ type: 'done', result: { response: '4' } }])
+  await drainGatewayStream(workerInstance, { data: { messages }, meta: { key: 'token' } })
+  
+  const invalidInstance = createStreamingWorkerInstance()
+  const chunks = await drainGatewayStream(invalidInstance, { data: { messages: [] }, meta: { key: 'token' } })
+  
+  t.alike(workerInstance.net_default.jTopicStream.firstCall.args[2], { messages }, 'Should forward the messages')
+  t.is(chunks.length, 1, 'Should yield a single chunk for invalid input')
+  t.is(chunks[0].status, 400, 'Should carry status 400')
+  t.is(invalidInstance.net_default.jTopicStream.callCount, 0, 'Should not open a processor stream')
+})
+
+// === CONVERSATION TESTS ===
+
+const ConversationStore = require('../../../../gateway_worker/conversation-store.js')
+
+function createStoredConversation() {
+  return {
+    id: 'c1',
+    title: 'Tides',
+    createdAt: 1,
+    updatedAt: 2,
+    messages: [
+      { role: 'user', content: 'How do tides work?', createdAt: 1 },
+      { role: 'assistant', content: 'The moon.', createdAt: 2 }
+    ]
+  }
+}
+
+test('GatewayHelper.processPrompt - should send the stored history with a conversationId and store the turn', async (t) => {
+  resetAllMocks()
+  const getStub = sinon.stub(ConversationStore, 'get').resolves(createStoredConversation())
+  const appendStub = sinon.stub(ConversationStore, 'appendMessages').resolves({})
+  t.teardown(() => sinon.restore())
+  
+  const workerInstance = createValidWorkerInstance()
+  const result = await GatewayHelper.processPrompt(workerInstance, { data: { prompt: 'Why twice a day?', conversationId: 'c1' }, meta: { key: 'validtoken' } })
+  
+  t.alike(getStub.firstCall.args.slice(1), ['test@example.com', 'c1'], 'Should load the caller\'s conversation')
+  t.alike(workerInstance.net_default.jTopicRequestRobust.firstCall.args[2], {
+    messages: [
+      { role: 'user', content: 'How do tides work?' },
+      { role: 'assistant', content: 'The moon.' },
+      { role: 'user', content: 'Why twice a day?' }
+    ]
+  }, 'Should forward the history plus the new prompt')
+  t.alike(appendStub.firstCall.args[3], [
+    { role: 'user', content: 'Why twice a day?' },
+    { role: 'assistant', content: 'test response' }
+  ], 'Should append the exchange')
+  t.is(result.conversationId, 'c1', 'Should report the conversation')
+})
+
+test('GatewayHelper.processPrompt - should reject unknown conversations and skip storing failed responses', async (t) => {
+  resetAllMocks()
+  const getStub = sinon.stub(ConversationStore, 'get').resolves(null)
+  const appendStub = sinon.stub(ConversationStore, 'appendMessages').resolves({})
+  t.teardown(() => sinon.restore())
+  
+  const workerInstance = createValidWorkerInstance()
+  const missing = await GatewayHelper.processPrompt(workerInstance, { data: { prompt: 'hi', conversationId: 'nope' }, meta: { key: 'validtoken' } })
+  
+  getStub.resolves(createStoredConversation())
+  workerInstance.net_default.jTopicRequestRobust.resolves({ response: 'unavailable', note: 'LLM_UNAVAILABLE' })
+  await GatewayHelper.processPrompt(workerInstance, { data: { prompt: 'hi', conversationId: 'c1' }, meta: { key: 'validtoken' } })
+  
+  t.is(missing.status, 404, 'Should answer 404')
+  t.is(workerInstance.net_default.jTopicRequestRobust.callCount, 1, 'Should not contact a processor for the unknown conversation')
+  t.is(appendStub.callCount, 0, 'Should not store fallback responses')
+})
+
+test('GatewayHelper.processPromptStream - should store the turn when the stream completes', async (t) => {
+  resetAllMocks()
+  sinon.stub(ConversationStore, 'get').resolves(createStoredConversation())
+  const appendStub = sinon.stub(ConversationStore, 'appendMessages').resolves({})
+  t.teardown(() => sinon.restore())
+  
+  const workerInstance = createStreamingWorkerInstance([{ type: 'done', result: { response: 'Gravity.' } }])
+  const chunks = await drainGatewayStream(workerInstance, { data: { prompt: 'Why?', conversationId: 'c1' }, meta: { key: 'token' } })
+  
+  t.is(workerInstance.net_default.jTopicStream.firstCall.args[2].messages.length, 3, 'Should stream with the history')
+  t.is(appendStub.firstCall.args[3][1].content, 'Gravity.', 'Should store the streamed response')
+  t.is(chunks[chunks.length - 1].result.conversationId, 'c1', 'Should report the conversation')
+})
+
+test('GatewayHelper conversation RPCs - should require authentication', async (t) => {
+  resetAllMocks()
+  const listStub = sinon.stub(ConversationStore, 'list').resolves([])
+  t.teardown(() => sinon.restore())
+  
+  const result = await GatewayHelper.listConversations({}, { data: {} })
+  
+  t.is(result.status, 401, 'Should answer 401')
+  t.is(listStub.callCount, 0, 'Should not read the store')
+})
+
+test('GatewayHelper conversation RPCs - should list, create, get, rename and delete for the caller', async (t) => {
+  resetAllMocks()
+  const conversation = createStoredConversation()
+  sinon.stub(ConversationStore, 'list').resolves([{ id: 'c1' }])
+  const createStub = sinon.stub(ConversationStore, 'create').resolves(conversation)
+  sinon.stub(ConversationStore, 'get').resolves(conversation)
+  sinon.stub(ConversationStore, 'rename').resolves({ ...conversation, title: 'Moon' })
+  sinon.stub(ConversationStore, 'remove').resolves(true)
+  t.teardown(() => sinon.restore())
+  
+  const meta = { key: 'validtoken' }
+  const listed = await GatewayHelper.listConversations({}, { data: { limit: 5 }, meta })
+  const created = await GatewayHelper.createConversation({}, { data: { title: 'Tides' }, meta })
+  const fetched = await GatewayHelper.getConversation({}, { data: { conversationId: 'c1' }, meta })
+  const renamed = await GatewayHelper.renameConversation({}, { data: { conversationId: 'c1', title: 'Moon' }, meta })
+  const deleted = await GatewayHelper.deleteConversation({}, { data: { conversationId: 'c1' }, meta })
+  
+  t.alike(listed.conversations, [{ id: 'c1' }], 'Should list conversations')
+  t.is(ConversationStore.list.firstCall.args[1], 'test@example.com', 'Should scope to the token\'s user')
+  t.is(created.status, 201, 'Should answer 201 on create')
+  t.is(createStub.firstCall.args[2].title, 'Tides', 'Should pass the title')
+  t.is(fetched.conversation.id, 'c1', 'Should return the conversation')
+  t.is(renamed.conversation.title, 'Moon', 'Should return the renamed conversation')
+  t.alike(deleted, { success: true, status: 200, deleted: true }, 'Should confirm the deletion')
+})
+
+test('GatewayHelper conversation RPCs - should answer 404 and 400 for unknown ids and bad titles', async (t) => {
+  resetAllMocks()
+  sinon.stub(ConversationStore, 'get').resolves(null)
+  sinon.stub(ConversationStore, 'rename').resolves(null)
+  sinon.stub(ConversationStore, 'remove').resolves(false)
+  const createStub = sinon.stub(ConversationStore, 'create')
+  t.teardown(() => sinon.restore())
+  
+  const meta = { key: 'validtoken' }
+  
+  t.is((await GatewayHelper.getConversation({}, { data: { conversationId: 'x' }, meta })).status, 404, 'Should answer 404 on get')
+  t.is((await GatewayHelper.renameConversation({}, { data: { conversationId: 'x', title: 'y' }, meta })).status, 404, 'Should answer 404 on rename')
+  t.is((await GatewayHelper.deleteConversation({}, { data: { conversationId: 'x' }, meta })).status, 404, 'Should answer 404 on delete')
+  t.is((await GatewayHelper.renameConversation({}, { data: { conversationId: 'x', title: ' ' }, meta })).status, 400, 'Should reject blank titles')
+  t.is((await GatewayHelper.createConversation({}, { data: { title: 42 }, meta })).status, 400, 'Should reject invalid titles on create')
+  t.is(createStub.callCount, 0, 'Should not create with an invalid title')
+})
+
+test('GatewayHelper conversation RPCs - should report storage failures as status 500', async (t) => {
+  resetAllMocks()
+  sinon.stub(ConversationStore, 'list').rejects(new Error('Store facility not available in worker instance'))
+  t.teardown(() => sinon.restore())
+  
+  const result = await GatewayHelper.listConversations({}, { data: {}, meta: { key: 'validtoken' } })
+  
+  t.is(result.success, false, 'Should fail')
+  t.is(result.status, 500, 'Should answer 500')
+  t.ok(result.requestId, 'Should include a request id')
+})
+
+// === GENERATION OPTIONS TESTS ===
+
+test('GatewayHelper.validateGenerationOptions - should accept supported options within range', async (t) => {
+  t.is(GatewayHelper.validateGenerationOptions({}), null, 'Should accept no options')
+  t.is(GatewayHelper.validateGenerationOptions({
+    temperature: 0.7, top_p: 1, top_k: 40, max_tokens: 256, seed: 42, stop: ['###', '\n\n'], model: 'llama3:8b'
+  }), null, 'Should accept every supported option')
+  t.is(GatewayHelper.validateGenerationOptions({ stop: 'END' }), null, 'Should accept a single stop string')
+})
+
+test('GatewayHelper.validateGenerationOptions - should reject bad types, ranges and unknown options', async (t) => {
+  const reject = (options, fragment, message) => {
+    const error = GatewayHelper.validateGenerationOptions(options)
+    t.ok(error && error.includes(fragment), message)
+  }
+
+  reject([], 'must be an object', 'Should reject arrays')
+  reject({ temperature: 3 }, 'between 0 and 2', 'Should range-check temperature')
+  reject({ temperature: '0.5' }, 'must be a number', 'Should reject numeric strings')
+  reject({ top_p: -0.1 }, 'options.top_p', 'Should range-check top_p')
+  reject({ top_k: 1.5 }, 'must be an integer', 'Should require integer top_k')
+  reject({ max_tokens: 0 }, 'options.max_tokens', 'Should range-check max_tokens')
+  reject({ seed: NaN }, 'options.seed', 'Should reject NaN')
+  reject({ stop: [] }, 'options.stop', 'Should reject an empty stop list')
+  reject({ stop: ['a', 'b', 'c', 'd', 'e'] }, 'options.stop', 'Should cap the stop list')
+  reject({ stop: [''] }, 'non-empty strings', 'Should reject empty stop sequences')
+  reject({ model: 'bad model!' }, 'options.model', 'Should reject invalid model names')
+  reject({ frequency_penalty: 1 }, 'unknown option "frequency_penalty"', 'Should name unknown options')
+})
+
+test('GatewayHelper.processPrompt - should forward options and answer invalid ones with status 400', async (t) => {
+  resetAllMocks()
+  
+  const workerInstance = createValidWorkerInstance()
+  await GatewayHelper.processPrompt(workerInstance, { data: { prompt: 'hi', options: { temperature: 0.1 } }, meta: { key: 'validtoken' } })
+  const invalid = await GatewayHelper.processPrompt(workerInstance, { data: { prompt: 'hi', options: { temperature: 9 } }, meta: { key: 'validtoken' } })
+  
+  t.alike(workerInstance.net_default.jTopicRequestRobust.firstCall.args[2], { prompt: 'hi', options: { temperature: 0.1 } }, 'Should forward the options')
+  t.is(invalid.status, 400, 'Should answer 400')
+  t.ok(invalid.message.includes('options.temperature'), 'Should name the invalid option')
+  t.is(workerInstance.net_default.jTopicRequestRobust.callCount, 1, 'Should not contact a processor for invalid options')
+})
+
+test('GatewayHelper.processPromptStream - should keep options when sending a saved conversation', async (t) => {
+  resetAllMocks()
+  sinon.stub(ConversationStore, 'get').resolves(createStoredConversation())
+  sinon.stub(ConversationStore, 'appendMessages').resolves({})
+  t.teardown(() => sinon.restore())
+  
+  const workerInstance = createStreamingWorkerInstance([{ type: 'done', result: { response: 'ok' } }])
+  await drainGatewayStream(workerInstance, { data: { prompt: 'Why?', conversationId: 'c1', options: { seed: 3 } }, meta: { key: 'token' } })
+  
+  t.alike(workerInstance.net_default.jTopicStream.firstCall.args[2].options, { seed: 3 }, 'Should forward the options with the history')
+})
+
+// === MODEL ROUTING TESTS ===
+
+test('GatewayHelper.processPrompt - should route a requested model to its processor topic', async (t) => {
+  resetAllMocks()
+  
+  const workerInstance = createValidWorkerInstance()
+  await GatewayHelper.processPrompt(workerInstance, { data: { prompt: 'hi', model: 'mistral' }, meta: { key: 'validtoken' } })
+  await GatewayHelper.processPrompt(workerInstance, { data: { prompt: 'hi', options: { model: 'qwen:7b', seed: 1 } }, meta: { key: 'validtoken' } })
+  const [topic, , data] = workerInstance.net_default.jTopicRequestRobust.firstCall.args
+  
+  t.is(topic, 'processor:model:mistral:latest', 'Should use the model topic')
+  t.alike(data, { prompt: 'hi', options: { model: 'mistral' } }, 'Should pass the model on as options.model')
+  t.is(workerInstance.net_default.jTopicRequestRobust.secondCall.args[0], 'processor:model:qwen:7b', 'Should route on options.model too')
+})
+
+test('GatewayHelper.processPrompt - should answer MODEL_NOT_AVAILABLE when no processor serves the model', async (t) => {
+  resetAllMocks()
+  
+  const workerInstance = createValidWorkerInstance()
+  workerInstance.net_default.jTopicRequestRobust.rejects(new Error('ERR_TOPIC_LOOKUP_EMPTY'))
+  const missing = await GatewayHelper.processPrompt(workerInstance, { data: { prompt: 'hi', model: 'phi3' }, meta: { key: 'validtoken' } })
+  const noProcessors = await GatewayHelper.processPrompt(workerInstance, { data: { prompt: 'hi' }, meta: { key: 'validtoken' } })
+  const conflicting = await GatewayHelper.processPrompt(workerInstance, { data: { prompt: 'hi', model: 'a', options: { model: 'b' } }, meta: { key: 'validtoken' } })
+  
+  t.is(missing.status, 404, 'Should answer 404')
+  t.is(missing.code, 'MODEL_NOT_AVAILABLE', 'Should set the error code')
+  t.is(missing.message, 'Model "phi3" is not available', 'Should name the model')
+  t.is(noProcessors.message, 'ERR_TOPIC_LOOKUP_EMPTY', 'Should keep the lookup error without a model')
+  t.is(conflicting.status, 400, 'Should reject conflicting model fields')
+})
+
+test('GatewayHelper.processPromptStream - should stream from the model topic and report unavailable models', async (t) => {
+  resetAllMocks()
+  
+  const workerInstance = createStreamingWorkerInstance([], new Error('ERR_TOPIC_LOOKUP_EMPTY'))
+  const chunks = await drainGatewayStream(workerInstance, { data: { prompt: 'hi', model: 'phi3' }, meta: { key: 'token' } })
+  const last = chunks[chunks.length - 1]
+  
+  t.is(workerInstance.net_default.jTopicStream.firstCall.args[0], 'processor:model:phi3:latest', 'Should stream from the model topic')
+  t.is(last.type, 'error', 'Should end with an error chunk')
+  t.is(last.code, 'MODEL_NOT_AVAILABLE', 'Should report the model as unavailable')
+})
+
+test('GatewayHelper.processPrompt - should answer PROCESSOR_BUSY when every processor is at capacity', async (t) => {
+  resetAllMocks()
+  
+  const workerInstance = createValidWorkerInstance()
+  workerInstance.net_default.jTopicRequestRobust.rejects(new Error('[HRPC_ERR]=PROCESSOR_BUSY: processor is at capacity (16 requests queued)'))
+  const result = await GatewayHelper.processPrompt(workerInstance, { data: { prompt: 'hi' }, meta: { key: 'validtoken' } })
+  
+  t.is(GatewayHelper.categorizeGatewayError(new Error('PROCESSOR_BUSY')), 'PROCESSOR_BUSY', 'Should categorize busy errors')
+  t.is(result.status, 503, 'Should answer 503')
+  t.is(result.code, 'PROCESSOR_BUSY', 'Should set the error code')
+  t.ok(result.requestId, 'Should include the request id')
+})
+
+test('GatewayHelper.processPrompt - should go through the scheduler and report the queue wait', async (t) => {
+  resetAllMocks()
+  
+  // Freeze the clock so the reported wait is exactly 0
+  const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] })
+  t.teardown(() => clock.restore())
+  const workerInstance = createValidWorkerInstance()
+  workerInstance.scheduler = new FairScheduler({ maxInFlight: 1 })
+  const result = await GatewayHelper.processPrompt(workerInstance, { data: { prompt: 'hi', priority: 'batch' }, meta: { key: 'validtoken' } })
+  
+  t.alike(result.queueInfo, { waitMs: 0, priority: 'batch' }, 'Should add queueInfo to the response')
+  t.alike(workerInstance.net_default.jTopicRequestRobust.firstCall.args[2], { prompt: 'hi' }, 'Should not forward the priority')
+  t.is(workerInstance.scheduler.stats().inFlight, 0, 'Should release the slot once the processor answered')
+  
+  const invalid = await GatewayHelper.processPrompt(workerInstance, { data: { prompt: 'hi', priority: 'urgent' }, meta: { key: 'validtoken' } })
+  t.is(invalid.status, 400, 'Should reject unknown priorities')
+})
+
+test('GatewayHelper.processPrompt - should answer the scheduler rejection without contacting a processor', async (t) => {
+  resetAllMocks()
+  
+  const workerInstance = createValidWorkerInstance()
+  workerInstance.scheduler = new FairScheduler({ maxInFlight: 1, maxQueuePerUser: 1 })
+  const running = await workerInstance.scheduler.schedule({ user: 'test@example.com' })
+  const queued = workerInstance.scheduler.schedule({ user: 'test@example.com' })
+  
+  const result = await GatewayHelper.processPrompt(workerInstance, { data: { prompt: 'hi' }, meta: { key: 'validtoken' } })
+  
+  t.is(result.status, 429, 'Should answer 429')
+  t.is(result.code, 'USER_QUEUE_FULL', 'Should set the error code')
+  t.is(workerInstance.net_default.jTopicRequestRobust.callCount, 0, 'Should not contact a processor')
+  
+  running.release()
+  ;(await queued).release()
+})
+
+test('GatewayHelper.schedulePrompt - should pass a cancellation on instead of answering it as a scheduler rejection', async (t) => {
+  resetAllMocks()
+  
+  const workerInstance = createValidWorkerInstance()
+  workerInstance.scheduler = new FairScheduler({ maxInFlight: 1 })
+  const running = await workerInstance.scheduler.schedule({ user: 'other@example.com' })
+  const controller = new AbortController()
+  const authorization = { authValidation: { decoded: { email: 'test@example.com' } }, actualData: { prompt: 'hi' } }
+  
+  const scheduled = GatewayHelper.schedulePrompt(workerInstance, authorization, 'processPromptStream', 'r1', controller.signal)
+  controller.abort()
+  
+  await t.exception(scheduled, /aborted/, 'Should reject with the AbortError')
+  t.is(workerInstance.scheduler.stats().queued, 0, 'Should leave the queue')
+  
+  running.release()
+})
+
+test('GatewayHelper.processPromptStream - should hold the scheduler slot until the stream ends', async (t) => {
+  resetAllMocks()
+  
+  const workerInstance = createStreamingWorkerInstance([
+    { type: 'token', token: 'hi' },
+    { type: 'done', result: { response: 'hi' } }
+  ])
+  workerInstance.scheduler = new FairScheduler({ maxInFlight: 1 })
+  const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] })
+  t.teardown(() => clock.restore())
+  
+  let inFlight = null
+  const chunks = []
+  for await (const chunk of GatewayHelper.processPromptStream(workerInstance, { data: { prompt: 'hi' }, meta: { key: 'token' } })) {
+    if (chunk.type === 'token') inFlight = workerInstance.scheduler.stats().inFlight
+    chunks.push(chunk)
+  }
+  
+  t.alike(chunks[0].queueInfo, { waitMs: 0, priority: 'interactive' }, 'Start chunk should carry queueInfo')
+  t.alike(chunks[2].result.queueInfo, { waitMs: 0, priority: 'interactive' }, 'Result should carry queueInfo')
+  t.is(inFlight, 1, 'Slot should be held while tokens flow')
+  t.is(workerInstance.scheduler.stats().inFlight, 0, 'Slot should be released after the stream')
+})
+
+test('GatewayHelper.listModels - should aggregate the models of every reachable processor', async (t) => {
+  resetAllMocks()
+  
+  const jRequest = sinon.stub()
+  jRequest.withArgs('aaaa').resolves({ backend: 'ollama', defaultModel: 'llama3', models: ['llama3:latest', 'mistral:7b'] })
+  jRequest.withArgs('bbbb').resolves({ backend: 'ollama', defaultModel: 'llama3', models: ['llama3'] })
+  jRequest.withArgs('cccc').rejects(new Error('CHANNEL_CLOSED'))
+  const workerInstance = {
+    net_default: {
+      lookup: { lookup: sinon.stub().resolves(['aaaa', 'bbbb', 'cccc']) },
+      jRequest: jRequest
+    }
+  }
+  
+  const result = await GatewayHelper.listModels(workerInstance, { data: {}, meta: { key: 'token' } })
+  const unauthenticated = await GatewayHelper.listModels(workerInstance, { data: {} })
+  
+  t.is(workerInstance.net_default.lookup.lookup.firstCall.args[0], 'processor', 'Should look up all processors')
+  t.is(jRequest.firstCall.args[1], 'listModels', 'Should ask each processor for its models')
+  t.is(result.status, 200, 'Should succeed')
+  t.is(result.processors, 2, 'Should count the processors that answered')
+  t.alike(result.models, [
+    { id: 'llama3:latest', processors: 2 },
+    { id: 'mistral:7b', processors: 1 }
+  ], 'Should merge model names and count processors per model')
+  t.is(unauthenticated.status, 401, 'Should require authentication')
+})
+
+test('GatewayHelper.probeProcessors - should ping processors through the net facility and count the answers', async (t) => {
+  resetAllMocks()
+  
+  const workerInstance = {
+    net_default: {
+      probeTopic: sinon.stub().resolves([
+        { key: 'aaaa'.repeat(8), ok: true, queueDepth: 2 },
+        { key: 'bbbb'.repeat(8), ok: false, error: 'CHANNEL_CLOSED' }
+      ])
+    }
+  }
+  
+  const answered = await GatewayHelper.probeProcessors(workerInstance)
+  
+  t.is(workerInstance.net_default.probeTopic.firstCall.args[0], 'processor', 'Should probe every processor')
+  t.ok(workerInstance.net_default.probeTopic.firstCall.args[1].timeout > 0, 'Should bound each ping')
+  t.is(answered, 1, 'Should count the processors that answered')
+})
+
+const JobStore = require('../../../../gateway_worker/job-store.js')
+
+function createStoredJob(overrides = {}) {
+  return {
+    id: 'j1',
+    user: 'test@example.com',
+    status: 'queued',
+    data: { prompt: 'hi' },
+    topic: 'processor',
+    priority: 'batch',
+    attempts: 0,
+    progress: { tokens: 0 },
+    result: null,
+    error: null,
+    ...overrides
+  }
+}
+
+test('GatewayHelper.submitJob - should queue the prompt at batch priority and answer 202', async (t) => {
+  resetAllMocks()
+  const createStub = sinon.stub(JobStore, 'create').resolves(createStoredJob())
+  t.teardown(() => createStub.restore())
+  const workerInstance = createValidWorkerInstance()
+  workerInstance.jobRunner = { poll: sinon.stub() }
+  
+  const result = await GatewayHelper.submitJob(workerInstance, { data: { prompt: 'hi' }, meta: { key: 'validtoken' } })
+  const [, user, job] = createStub.firstCall.args
+  
+  t.is(result.status, 202, 'Should accept the job')
+  t.is(result.job.id, 'j1', 'Should return the job id')
+  t.absent('user' in result.job, 'Should not expose the owner')
+  t.is(user, 'test@example.com', 'Should store the owner')
+  t.is(job.priority, 'batch', 'Jobs should default to the batch priority')
+  t.is(job.topic, 'processor', 'Should remember the processor topic')
+  t.ok(workerInstance.jobRunner.poll.calledOnce, 'Should wake the job runner')
+  t.ok(workerInstance.net_default.jTopicRequestRobust.notCalled, 'Should not wait for the processor')
+})
+
+test('GatewayHelper.submitJob - should reject invalid prompts without queueing them', async (t) => {
+  resetAllMocks()
+  const createStub = sinon.stub(JobStore, 'create').resolves(createStoredJob())
+  t.teardown(() => createStub.restore())
+  
+  const result = await GatewayHelper.submitJob(createValidWorkerInstance(), { data: {}, meta: { key: 'validtoken' } })
+  
+  t.is(result.success, false, 'Should fail')
+  t.is(result.status, 400, 'Should answer 400')
+  t.ok(createStub.notCalled, 'Should not store a job')
+})
+
+test('GatewayHelper.getJob - should only show jobs to their owner', async (t) => {
+  resetAllMocks()
+  const getStub = sinon.stub(JobStore, 'get')
+  getStub.withArgs(sinon.match.any, 'j1').resolves(createStoredJob({ status: 'completed', result: { response: 'done' } }))
+  getStub.withArgs(sinon.match.any, 'j2').resolves(createStoredJob({ id: 'j2', user: 'other@example.com' }))
+  t.teardown(() => getStub.restore())
+  
+  const own = await GatewayHelper.getJob(createValidWorkerInstance(), { data: { jobId: 'j1' }, meta: { key: 'validtoken' } })
+  const other = await GatewayHelper.getJob(createValidWorkerInstance(), { data: { jobId: 'j2' }, meta: { key: 'validtoken' } })
+  
+  t.is(own.status, 200, 'Should find the caller\'s job')
+  t.alike(own.job.result, { response: 'done' }, 'Should include the result')
+  t.is(other.status, 404, 'Should hide other users\' jobs')
+})
+
+test('GatewayHelper.cancelJob - should cancel unfinished jobs and answer 409 for finished ones', async (t) => {
+  resetAllMocks()
+  const jobs = {
+    j1: createStoredJob({ status: 'running' }),
+    j2: createStoredJob({ id: 'j2', status: 'completed' })
+  }
+  const getStub = sinon.stub(JobStore, 'get').callsFake(async (workerInstance, id) => jobs[id])
+  const updateStub = sinon.stub(JobStore, 'update').callsFake(async (workerInstance, id, fn) => {
+    const changes = fn(jobs[id])
+    return changes && { ...jobs[id], ...changes }
+  })
+  t.teardown(() => {
+    getStub.restore()
+    updateStub.restore()
+  })
+  const workerInstance = createValidWorkerInstance()
+  workerInstance.jobRunner = { cancel: sinon.stub() }
+  
+  const cancelled = await GatewayHelper.cancelJob(workerInstance, { data: { jobId: 'j1' }, meta: { key: 'validtoken' } })
+  const finished = await GatewayHelper.cancelJob(workerInstance, { data: { jobId: 'j2' }, meta: { key: 'validtoken' } })
+  
+  t.is(cancelled.status, 200, 'Should cancel a running job')
+  t.is(cancelled.job.status, 'cancelled', 'Should report the new status')
+  t.alike(workerInstance.jobRunner.cancel.firstCall.args, ['j1'], 'Should abort the running attempt')
+  t.is(finished.status, 409, 'Should not cancel a finished job')
+  t.is(finished.message, 'Job already completed', 'Should say why')
+})
+
+test('GatewayHelper.listDeadLetters - should be refused to users who are not admins', async (t) => {
+  resetAllMocks()
+  const listStub = sinon.stub(JobStore, 'listDeadLetters').resolves([])
+  t.teardown(() => listStub.restore())
+  
+  const result = await GatewayHelper.listDeadLetters(createValidWorkerInstance(), { data: {}, meta: { key: 'validtoken' } })
+  
+  t.is(result.status, 403, 'Should answer 403')
+  t.ok(listStub.notCalled, 'Should not read the dead-letter store')
+})
+
+test('GatewayHelper.listDeadLetters - should list entries without their payload for admins', async (t) => {
+  resetAllMocks()
+  jwtStub.verify.returns({ email: 'ops@example.com', role: 'user' })
+  const listStub = sinon.stub(JobStore, 'listDeadLetters').resolves([
+    { id: 'j1', user: 'test@example.com', data: { prompt: 'secret' }, promptText: 'secret', errorCategory: 'PROCESSOR_TIMEOUT', attempts: 3 }
+  ])
+  t.teardown(() => listStub.restore())
+  const workerInstance = createValidWorkerInstance()
+  workerInstance.conf = { gateway: { admins: ['ops@example.com'] } }
+  
+  const result = await GatewayHelper.listDeadLetters(workerInstance, { data: { limit: 5000, errorCategory: 'PROCESSOR_TIMEOUT' }, meta: { key: 'validtoken' } })
+  
+  t.is(result.status, 200, 'Configured admins should be allowed')
+  t.alike(listStub.firstCall.args[1], { limit: 500, errorCategory: 'PROCESSOR_TIMEOUT' }, 'Should cap the limit and pass the category')
+  t.alike(result.entries, [{ id: 'j1', user: 'test@example.com', errorCategory: 'PROCESSOR_TIMEOUT', attempts: 3 }], 'Should leave out the payload')
+})
+
+test('GatewayHelper.requeueDeadLetter - should requeue for admins and wake the job runner', async (t) => {
+  resetAllMocks()
+  jwtStub.verify.returns({ email: 'ops@example.com', role: 'admin' })
+  const requeueStub = sinon.stub(JobStore, 'requeueDeadLetter')
+  requeueStub.withArgs(sinon.match.any, 'j1').resolves(createStoredJob({ attempts: 0, requeues: 1 }))
+  requeueStub.resolves(null)
+  t.teardown(() => requeueStub.restore())
+  const workerInstance = createValidWorkerInstance()
+  workerInstance.jobRunner = { poll: sinon.stub() }
+  
+  const requeued = await GatewayHelper.requeueDeadLetter(workerInstance, { data: { jobId: 'j1' }, meta: { key: 'validtoken' } })
+  const missing = await GatewayHelper.requeueDeadLetter(workerInstance, { data: { jobId: 'nope' }, meta: { key: 'validtoken' } })
+  
+  t.is(requeued.status, 200, 'Should requeue the job')
+  t.is(requeued.job.status, 'queued', 'Should report the queued job')
+  t.ok(workerInstance.jobRunner.poll.calledOnce, 'Should wake the job runner')
+  t.is(missing.status, 404, 'Should answer 404 for unknown entries')
+})
+
+test('GatewayHelper.purgeDeadLetters - should require a filter', async (t) => {
+  resetAllMocks()
+  jwtStub.verify.returns({ email: 'ops@example.com', role: 'admin' })
+  const purgeStub = sinon.stub(JobStore, 'purgeDeadLetters').resolves(2)
+  t.teardown(() => purgeStub.restore())
+  
+  const invalid = await GatewayHelper.purgeDeadLetters(createValidWorkerInstance(), { data: {}, meta: { key: 'validtoken' } })
+  const all = await GatewayHelper.purgeDeadLetters(createValidWorkerInstance(), { data: { all: true }, meta: { key: 'validtoken' } })
+  const some = await GatewayHelper.purgeDeadLetters(createValidWorkerInstance(), { data: { jobIds: ['j1'] }, meta: { key: 'validtoken' } })
+  
+  t.is(invalid.status, 400, 'Should not purge without a filter')
+  t.is(all.purged, 2, 'Should report how many entries were purged')
+  t.alike(purgeStub.firstCall.args[1], { ids: null, olderThan: null }, 'all: true should purge everything')
+  t.alike(purgeStub.secondCall.args[1], { ids: ['j1'], olderThan: null }, 'Should purge the given ids')
+})
+
+async function collectBatch(workerInstance, data, ctx) {
+  const chunks = []
+  for await (const chunk of GatewayHelper.processBatch(workerInstance, data, ctx)) {
+    chunks.push(chunk)
+  }
+  return chunks
+}
+
+test('GatewayHelper.processBatch - should run every item through the processors with bounded parallelism', async (t) => {
+  resetAllMocks()
+  
+  let inFlight = 0
+  let maxInFlight = 0
+  const workerInstance = createValidWorkerInstance()
+  workerInstance.net_default.jTopicRequestRobust = sinon.stub().callsFake(async (topic, method, data) => {
+    inFlight++
+    maxInFlight = Math.max(maxInFlight, inFlight)
+    await new Promise(resolve => setTimeout(resolve, 5))
+    inFlight--
+    return { response: `echo ${data.prompt}` }
+  })
+  
+  const chunks = await collectBatch(workerInstance, {
+    data: { items: ['a', { prompt: 'b', options: { temperature: 0.1 } }, 'c', 'd', 'e'], options: { max_tokens: 10 }, parallelism: 2 },
+    meta: { key: 'validtoken' }
+  })
+  const items = chunks.filter(chunk => chunk.type === 'item')
+  const done = chunks[chunks.length - 1]
+  const forwarded = workerInstance.net_default.jTopicRequestRobust.getCalls().map(call => call.args[2])
+  
+  t.alike(chunks[0], { type: 'start', requestId: chunks[0].requestId, total: 5, parallelism: 2 }, 'Should announce the batch')
+  t.is(maxInFlight, 2, 'Should keep at most parallelism items in flight')
+  t.alike(items.map(item => item.index).sort(), [0, 1, 2, 3, 4], 'Should report every item once')
+  t.is(items.find(item => item.index === 3).result.response, 'echo d', 'Should report each item\'s own result')
+  t.alike(forwarded[1].options, { max_tokens: 10, temperature: 0.1 }, 'Item options should extend the batch options')
+  t.is(rateLimiterStub.checkRateLimit.callCount, 5, 'Every item should count against the rate limit')
+  t.is(done.type, 'done', 'Should end with a summary')
+  t.alike({ ...done.summary, durationMs: 0 }, { total: 5, succeeded: 5, failed: 0, cancelled: 0, failuresByCode: {}, durationMs: 0 })
+})
+
+test('GatewayHelper.processBatch - should report failed items without failing the batch', async (t) => {
+  resetAllMocks()
+  rateLimiterStub.checkRateLimit.onCall(1).resolves({ allowed: false, error: true, success: false, status: 429, message: 'Rate limit exceeded' })
+  
+  const chunks = await collectBatch(createValidWorkerInstance(), {
+    data: { items: ['ok', 'limited', 42, { prompt: 'hi', conversationId: 'c1' }, { prompt: 'hi', options: { temperature: 9 } }], parallelism: 1 },
+    meta: { key: 'validtoken' }
+  })
+  const items = chunks.filter(chunk => chunk.type === 'item').sort((a, b) => a.index - b.index)
+  const { summary } = chunks[chunks.length - 1]
+  
+  t.is(items[0].success, true, 'Valid items should succeed')
+  t.alike(items[1].error, { status: 429, code: 'RATE_LIMITED', message: 'Rate limit exceeded' }, 'Rate limited items should fail with 429')
+  t.is(items[2].error.status, 400, 'Non-prompt items should fail with 400')
+  t.ok(items[3].error.message.includes('conversationId'), 'Conversations should be refused')
+  t.is(items[4].error.code, 'INVALID_REQUEST', 'Invalid options should fail the item')
+  t.is(summary.succeeded, 1)
+  t.is(summary.failed, 4)
+  t.alike(summary.failuresByCode, { RATE_LIMITED: 1, INVALID_REQUEST: 3 }, 'Should count failures by code')
+})
+
+test('GatewayHelper.processBatch - should reject unauthenticated and malformed batches', async (t) => {
+  resetAllMocks()
+  
+  const unauthenticated = await collectBatch(createValidWorkerInstance(), { data: { items: ['a'] } })
+  const empty = await collectBatch(createValidWorkerInstance(), { data: { items: [] }, meta: { key: 'validtoken' } })
+  const tooMany = await collectBatch(createValidWorkerInstance(), { data: { items: Array(501).fill('a') }, meta: { key: 'validtoken' } })
+  
+  t.is(unauthenticated.length, 1)
+  t.is(unauthenticated[0].status, 401, 'Should require authentication')
+  t.is(empty[0].status, 400, 'Should refuse an empty batch')
+  t.is(tooMany[0].status, 400, 'Should refuse more than maxItems')
+  t.is(rateLimiterStub.checkRateLimit.callCount, 0, 'Rejected batches should not count against the rate limit')
+})
+
+test('GatewayHelper.processBatch - should start no more items once cancelled', async (t) => {
+  resetAllMocks()
+  
+  const controller = new AbortController()
+  const workerInstance = createValidWorkerInstance()
+  workerInstance.net_default.jTopicRequestRobust = sinon.stub().callsFake(async () => {
+    controller.abort()
+    return { response: 'ok' }
+  })
+  
+  const chunks = await collectBatch(workerInstance, { data: { items: ['a', 'b', 'c', 'd'], parallelism: 1 }, meta: { key: 'validtoken' } }, { signal: controller.signal })
+  const { summary } = chunks[chunks.length - 1]
+  
+  t.is(workerInstance.net_default.jTopicRequestRobust.callCount, 1, 'Should not start the remaining items')
+  t.is(summary.cancelled, 3, 'Should count the items that never ran')
+})
@@ -0,0 +1,244 @@
+'use strict'
+
+const test = require('brittle')
+const sinon = require('sinon')
+
+const JobStore = require('../../../../gateway_worker/job-store.js')
+const { JobRunner, resolveJobConfig } = require('../../../../gateway_worker/job-runner.js')
+
+// In-memory stand-in for a Hyperbee: sorted keys, range reads and batches
+function createFakeBee() {
+  const entries = new Map()
+  return {
+    ready: sinon.stub().resolves(),
+    get: async (key) => entries.has(key) ? { key, value: entries.get(key) } : null,
+    put: async (key, value) => { entries.set(key, value) },
+    del: async (key) => { entries.delete(key) },
+    createReadStream: ({ gte, lt, limit = Infinity } = {}) => {
+      const keys = [...entries.keys()]
+        .filter(key => (gte === undefined || key >= gte) && (lt === undefined || key < lt))
+        .sort()
+        .slice(0, limit)
+      return (async function * () {
+        for (const key of keys) {
+          yield { key, value: entries.get(key) }
+        }
+      })()
+    },
+    batch: () => {
+      const ops = []
+      return {
+        put: async (key, value) => { ops.push(() => entries.set(key, value)) },
+        del: async (key) => { ops.push(() => entries.delete(key)) },
+        flush: async () => { ops.forEach(op => op()) }
+      }
+    }
+  }
+}
+
+// Worker whose processors answer every stream with `stream(data, opts)`
+function createWorkerInstance(stream) {
+  JobStore._db = null
+  const bee = createFakeBee()
+  return {
+    store_s0: { getBee: sinon.stub().resolves(bee) },
+    net_default: {
+      jTopicStream: sinon.stub().callsFake(stream),
+      isRetryableError: (error) => /CHANNEL_CLOSED|ECONNRESET/.test(error.message),
+      isBusyError: (error) => error.message.includes('PROCESSOR_BUSY')
+    }
+  }
+}
+
+// Wait until the job reaches one of the statuses after at least `attempts` runs
+async function waitForStatus(workerInstance, id, statuses, attempts = 0) {
+  for (let i = 0; i < 300; i++) {
+    const job = await JobStore.get(workerInstance, id)
+    if (statuses.includes(job.status) && job.attempts >= attempts) return job
+    await new Promise(resolve => setTimeout(resolve, 10))
+  }
+  throw new Error(`Job ${id} never reached ${statuses.join('/')}`)
+}
+
+async function submit(workerInstance) {
+  return await JobStore.create(workerInstance, 'a@example.com', { data: { prompt: 'hi' }, topic: 'processor', priority: 'batch' })
+}
+
+test('resolveJobConfig - should use config values and defaults', async (t) => {
+  const { retryPolicy, ...limits } = resolveJobConfig()
+  t.alike(limits, { maxConcurrentJobs: 4, pollIntervalMs: 1000, maxAttempts: 5, retryDelayMs: 2000, progressIntervalMs: 5000 })
+  t.alike(retryPolicy.PROCESSOR_CONNECTION_LOST, { retry: true, maxAttempts: 5, retryDelayMs: 2000 }, 'Lost connections should be retried')
+  t.is(retryPolicy.default.retry, false, 'Other errors should not be retried')
+  t.is(resolveJobConfig({ maxAttempts: 2, retryDelayMs: 0 }).maxAttempts, 2)
+  t.is(resolveJobConfig({ retryDelayMs: 0 }).retryDelayMs, 2000, 'Invalid values should fall back to the default')
+
+  const configured = resolveJobConfig({ maxAttempts: 3, retryPolicy: { PROCESSOR_NOT_FOUND: { retry: true, maxAttempts: 10 }, PROCESSOR_BUSY: { retry: false } } })
+  t.alike(configured.retryPolicy.PROCESSOR_NOT_FOUND, { retry: true, maxAttempts: 10, retryDelayMs: 2000 }, 'Should take per-category limits')
+  t.is(configured.retryPolicy.PROCESSOR_BUSY.retry, false, 'Should let config turn retries off')
+  t.is(configured.retryPolicy.PROCESSOR_TIMEOUT.maxAttempts, 3, 'Categories without limits should use the job-wide ones')
+})
+
+test('JobRunner - should stream a queued job from a processor and store the result', async (t) => {
+  const workerInstance = createWorkerInstance(async function * () {
+    yield { type: 'token', token: 'Hel' }
+    yield { type: 'token', token: 'lo' }
+    yield { type: 'done', result: { response: 'Hello', requestId: 'p1' } }
+  })
+  const runner = new JobRunner(workerInstance)
+  t.teardown(() => runner.stop())
+
+  const job = await submit(workerInstance)
+  await runner.start()
+  const done = await waitForStatus(workerInstance, job.id, ['completed'])
+
+  t.alike(done.result, { response: 'Hello', requestId: 'p1' }, 'Should store the processor result')
+  t.alike(done.progress, { tokens: 2 }, 'Should count the streamed tokens')
+  t.is(done.attempts, 1)
+  t.ok(done.finishedAt >= done.startedAt, 'Should record when it finished')
+  t.alike(workerInstance.net_default.jTopicStream.firstCall.args.slice(0, 3), ['processor', 'processRequestStream', { prompt: 'hi' }])
+})
+
+test('JobRunner - should requeue jobs that lost their processor and fail the others', async (t) => {
+  const errors = [new Error('CHANNEL_CLOSED'), new Error('Ollama API error: 500 Internal Server Error')]
+  const workerInstance = createWorkerInstance(async function * () {
+    throw errors.shift()
+  })
+  const runner = new JobRunner(workerInstance, { retryDelayMs: 60000 })
+  t.teardown(() => runner.stop())
+
+  const job = await submit(workerInstance)
+  await runner.start()
+  const requeued = await waitForStatus(workerInstance, job.id, ['queued', 'failed'], 1)
+
+  t.is(requeued.status, 'queued', 'Connection errors should requeue the job')
+  t.is(requeued.error, 'CHANNEL_CLOSED', 'Should keep the last error')
+  t.ok(requeued.runAt >= Date.now() + 50000, 'Should wait retryDelayMs before the next attempt')
+
+  await JobStore.update(workerInstance, job.id, () => ({ runAt: Date.now() }))
+  await runner.poll()
+  const failed = await waitForStatus(workerInstance, job.id, ['failed'])
+  t.is(failed.attempts, 2)
+  t.is(failed.error, 'Ollama API error: 500 Internal Server Error', 'Processor errors should fail the job')
+})
+
+test('JobRunner - should requeue a job whose processor restarted mid-stream', async (t) => {
+  let attempt = 0
+  const workerInstance = createWorkerInstance(async function * () {
+    attempt++
+    yield { type: 'token', token: 'Hel' }
+    if (attempt === 1) throw new Error('[HRPC_ERR]=ERR_STREAM_NOT_FOUND')
+    yield { type: 'done', result: { response: 'Hello' } }
+  })
+  const runner = new JobRunner(workerInstance, { retryDelayMs: 60000 })
+  t.teardown(() => runner.stop())
+
+  const job = await submit(workerInstance)
+  await runner.start()
+  const requeued = await waitForStatus(workerInstance, job.id, ['queued', 'failed'], 1)
+
+  t.is(requeued.status, 'queued', 'A lost stream should requeue the job')
+  t.is(requeued.errorCategory, 'PROCESSOR_CONNECTION_LOST')
+  t.absent(await JobStore.getDeadLetter(workerInstance, job.id), 'Should not dead-letter the job')
+
+  await JobStore.update(workerInstance, job.id, () => ({ runAt: Date.now() }))
+  await runner.poll()
+  const done = await waitForStatus(workerInstance, job.id, ['completed'])
+  t.is(done.attempts, 2, 'The next attempt should complete')
+})
+
+test('JobRunner - should retry the fallback reply of an unavailable model backend and dead-letter it in the end', async (t) => {
+  const workerInstance = createWorkerInstance(async function * () {
+    yield { type: 'token', token: 'Oops' }
+    yield { type: 'done', result: { response: 'Oops! Looks like my AI brain has taken a coffee break!', note: 'LLM_UNAVAILABLE' } }
+  })
+  const runner = new JobRunner(workerInstance, { retryDelayMs: 60000, retryPolicy: { LLM_UNAVAILABLE: { retry: true, maxAttempts: 2 } } })
+  t.teardown(() => runner.stop())
+
+  const job = await submit(workerInstance)
+  await runner.start()
+  const requeued = await waitForStatus(workerInstance, job.id, ['queued', 'completed', 'failed'], 1)
+
+  t.is(requeued.status, 'queued', 'The fallback reply should not complete the job')
+  t.is(requeued.errorCategory, 'LLM_UNAVAILABLE')
+  t.absent(requeued.result, 'Should not keep the placeholder answer')
+
+  await JobStore.update(workerInstance, job.id, () => ({ runAt: Date.now() }))
+  await runner.poll()
+  const failed = await waitForStatus(workerInstance, job.id, ['failed', 'completed'])
+  const entry = await JobStore.getDeadLetter(workerInstance, job.id)
+
+  t.is(failed.attempts, 2, 'Should stop at the category\'s maxAttempts')
+  t.is(entry.errorCategory, 'LLM_UNAVAILABLE', 'Should dead-letter the job once retries run out')
+})
+
+test('JobRunner - should give up after maxAttempts', async (t) => {
+  const workerInstance = createWorkerInstance(async function * () {
+    throw new Error('[HRPC_ERR]=PROCESSOR_BUSY: processor is at capacity (16 requests queued)')
+  })
+  const runner = new JobRunner(workerInstance, { maxAttempts: 1 })
+  t.teardown(() => runner.stop())
+
+  const job = await submit(workerInstance)
+  await runner.start()
+  const failed = await waitForStatus(workerInstance, job.id, ['failed', 'queued'], 1)
+
+  t.is(failed.status, 'failed', 'Should not retry past maxAttempts')
+})
+
+test('JobRunner - should requeue jobs left running by a previous gateway process', async (t) => {
+  const workerInstance = createWorkerInstance(async function * () {
+    yield { type: 'done', result: { response: 'ok' } }
+  })
+  const job = await submit(workerInstance)
+  await JobStore.update(workerInstance, job.id, () => ({ status: 'running', attempts: 1 }))
+
+  const runner = new JobRunner(workerInstance)
+  t.teardown(() => runner.stop())
+  await runner.start()
+  const done = await waitForStatus(workerInstance, job.id, ['completed'])
+
+  t.is(done.attempts, 2, 'Should run the interrupted job again')
+})
+
+test('JobRunner - should abort a running job when it is cancelled', async (t) => {
+  let streamSignal = null
+  const workerInstance = createWorkerInstance(async function * (topic, method, data, opts) {
+    streamSignal = opts.signal
+    yield { type: 'token', token: 'a' }
+    await new Promise(resolve => opts.signal.addEventListener('abort', resolve))
+  })
+  const runner = new JobRunner(workerInstance)
+  t.teardown(() => runner.stop())
+
+  const job = await submit(workerInstance)
+  await runner.start()
+  await waitForStatus(workerInstance, job.id, ['running'])
+  while (!streamSignal) await new Promise(resolve => setImmediate(resolve))
+
+  await JobStore.update(workerInstance, job.id, () => ({ status: 'cancelled' }))
+  runner.cancel(job.id)
+  while (runner.running.size > 0) await new Promise(resolve => setImmediate(resolve))
+
+  t.ok(streamSignal.aborted, 'Should abort the processor stream')
+  t.is((await JobStore.get(workerInstance, job.id)).status, 'cancelled', 'Should keep the cancelled status')
+})
+
+test('JobRunner - should apply the retry policy of the error category and dead-letter the job', async (t) => {
+  const workerInstance = createWorkerInstance(async function * () {
+    throw new Error('ERR_TOPIC_LOOKUP_EMPTY')
+  })
+  const runner = new JobRunner(workerInstance, { retryPolicy: { PROCESSOR_NOT_FOUND: { retry: false } } })
+  t.teardown(() => runner.stop())
+
+  const job = await submit(workerInstance)
+  await runner.start()
+  const failed = await waitForStatus(workerInstance, job.id, ['failed', 'queued'], 1)
+  const entry = await JobStore.getDeadLetter(workerInstance, job.id)
+
+  t.is(failed.status, 'failed', 'Category without retries should fail at once')
+  t.is(failed.errorCategory, 'PROCESSOR_NOT_FOUND', 'Should record the error category')
+  t.is(entry.errorCategory, 'PROCESSOR_NOT_FOUND', 'Should dead-letter the job')
+  t.alike(entry.data, { prompt: 'hi' }, 'Dead letter should keep the payload')
+  t.is(runner.categorize(new Error('read ECONNRESET')), 'PROCESSOR_CONNECTION_LOST', 'Unnamed connection errors should count as a lost connection')
+  t.is(runner.categorize(Object.assign(new Error('full'), { code: 'USER_QUEUE_FULL' })), 'USER_QUEUE_FULL', 'Scheduler rejections should keep their code')
+})
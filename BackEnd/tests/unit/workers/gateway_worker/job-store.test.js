@@ -0,0 +1,167 @@
+'use strict'
+
+const test = require('brittle')
+const sinon = require('sinon')
+
+const JobStore = require('../../../../gateway_worker/job-store.js')
+
+// In-memory stand-in for a Hyperbee: sorted keys, range reads and batches
+function createFakeBee() {
+  const entries = new Map()
+  const bee = {
+    entries,
+    ready: sinon.stub().resolves(),
+    get: async (key) => entries.has(key) ? { key, value: entries.get(key) } : null,
+    put: async (key, value) => { entries.set(key, value) },
+    del: async (key) => { entries.delete(key) },
+    createReadStream: ({ gte, lt, limit = Infinity } = {}) => {
+      const keys = [...entries.keys()]
+        .filter(key => (gte === undefined || key >= gte) && (lt === undefined || key < lt))
+        .sort()
+        .slice(0, limit)
+      return (async function * () {
+        for (const key of keys) {
+          yield { key, value: entries.get(key) }
+        }
+      })()
+    },
+    batch: () => {
+      const ops = []
+      return {
+        put: async (key, value) => { ops.push(() => entries.set(key, value)) },
+        del: async (key) => { ops.push(() => entries.delete(key)) },
+        flush: async () => { ops.forEach(op => op()) }
+      }
+    }
+  }
+  return bee
+}
+
+function createWorkerInstance(bee = createFakeBee()) {
+  JobStore._db = null
+  return {
+    bee,
+    store_s0: { getBee: sinon.stub().resolves(bee) }
+  }
+}
+
+test('JobStore - should require the store facility', async (t) => {
+  JobStore._db = null
+  await t.exception(JobStore.get({}, 'abc'), /Store facility not available/, 'Should name the missing facility')
+})
+
+test('JobStore.create - should store a queued job and list it as due', async (t) => {
+  const workerInstance = createWorkerInstance()
+
+  const job = await JobStore.create(workerInstance, 'a@example.com', { data: { prompt: 'hi' }, topic: 'processor', priority: 'batch' })
+  const stored = await JobStore.get(workerInstance, job.id)
+
+  t.ok(/^[0-9a-f]{16}$/.test(job.id), 'Should generate a hex id')
+  t.is(stored.status, 'queued', 'Should start queued')
+  t.is(stored.user, 'a@example.com', 'Should keep the owner')
+  t.alike(await JobStore.listDue(workerInstance), [job.id], 'Should be due right away')
+  t.is(workerInstance.store_s0.getBee.firstCall.args[0].name, 'jobs', 'Should use the jobs Hyperbee')
+})
+
+test('JobStore.update - should keep the queue and running markers in step with the status', async (t) => {
+  const workerInstance = createWorkerInstance()
+  const job = await JobStore.create(workerInstance, 'a@example.com', { data: { prompt: 'hi' }, topic: 'processor' })
+
+  await JobStore.update(workerInstance, job.id, () => ({ status: 'running' }))
+  t.alike(await JobStore.listDue(workerInstance), [], 'Running job should leave the queue')
+  t.alike(await JobStore.listRunning(workerInstance), [job.id], 'Running job should be marked running')
+
+  const retryAt = Date.now() + 60000
+  await JobStore.update(workerInstance, job.id, () => ({ status: 'queued', runAt: retryAt }))
+  t.alike(await JobStore.listRunning(workerInstance), [], 'Requeued job should not be marked running')
+  t.alike(await JobStore.listDue(workerInstance), [], 'Delayed job should not be due yet')
+  t.alike(await JobStore.listDue(workerInstance, { now: retryAt }), [job.id], 'Delayed job should be due at runAt')
+
+  const declined = await JobStore.update(workerInstance, job.id, () => null)
+  t.is(declined, null, 'Should leave the job alone when fn declines')
+
+  await JobStore.update(workerInstance, job.id, () => ({ status: 'cancelled' }))
+  const keys = [...workerInstance.bee.entries.keys()]
+  t.alike(keys, [`job/${job.id}`], 'Finished job should only keep its record')
+  t.ok(JobStore.isFinished(await JobStore.get(workerInstance, job.id)))
+})
+
+test('JobStore.view - should hide the owner and processor input', async (t) => {
+  const workerInstance = createWorkerInstance()
+  const job = await JobStore.create(workerInstance, 'a@example.com', { data: { prompt: 'secret' }, topic: 'processor', promptText: 'secret' })
+
+  const view = JobStore.view(job)
+  t.is(view.id, job.id)
+  t.is(view.status, 'queued')
+  t.absent('user' in view, 'Should not expose the owner')
+  t.absent('data' in view, 'Should not expose the processor input')
+  t.absent('promptText' in view, 'Should not expose the prompt')
+})
+
+test('JobStore dead letters - should keep failed jobs until they are requeued or purged', async (t) => {
+  const workerInstance = createWorkerInstance()
+  const first = await JobStore.create(workerInstance, 'a@example.com', { data: { prompt: 'one' }, topic: 'processor' })
+  const second = await JobStore.create(workerInstance, 'b@example.com', { data: { prompt: 'two' }, topic: 'processor' })
+  await JobStore.update(workerInstance, first.id, () => ({ status: 'failed', attempts: 5, error: 'CHANNEL_CLOSED', errorCategory: 'PROCESSOR_CONNECTION_LOST', finishedAt: 1000 }))
+  await JobStore.update(workerInstance, second.id, () => ({ status: 'failed', attempts: 1, error: 'model not found', errorCategory: 'UNKNOWN_PROCESSOR_ERROR', finishedAt: 2000 }))
+
+  const entry = await JobStore.getDeadLetter(workerInstance, first.id)
+  t.alike(entry.data, { prompt: 'one' }, 'Should keep the original payload')
+  t.is(entry.errorCategory, 'PROCESSOR_CONNECTION_LOST', 'Should keep the error category')
+  t.is(entry.attempts, 5, 'Should keep the attempts')
+  t.is(entry.failedAt, 1000, 'Should keep when it failed')
+  t.alike((await JobStore.listDeadLetters(workerInstance)).map(e => e.id), [second.id, first.id], 'Should list the latest failure first')
+  t.alike((await JobStore.listDeadLetters(workerInstance, { errorCategory: 'UNKNOWN_PROCESSOR_ERROR' })).map(e => e.id), [second.id], 'Should filter by category')
+
+  const requeued = await JobStore.requeueDeadLetter(workerInstance, first.id)
+  t.is(requeued.status, 'queued', 'Requeued job should be queued again')
+  t.is(requeued.attempts, 0, 'Requeued job should get a fresh set of attempts')
+  t.is(requeued.requeues, 1, 'Should count the requeues')
+  t.is(await JobStore.getDeadLetter(workerInstance, first.id), null, 'Requeued job should leave the dead-letter store')
+  t.alike(await JobStore.listDue(workerInstance), [first.id], 'Requeued job should be due')
+  t.is(await JobStore.requeueDeadLetter(workerInstance, first.id), null, 'Should not requeue a job twice')
+
+  t.is(await JobStore.purgeDeadLetters(workerInstance, { olderThan: 2000 }), 0, 'Should only purge older entries')
+  t.is(await JobStore.purgeDeadLetters(workerInstance, {}), 1, 'Should purge everything without a filter')
+  t.is((await JobStore.get(workerInstance, second.id)).status, 'failed', 'Purged job should stay failed')
+  t.is(await JobStore.requeueDeadLetter(workerInstance, second.id), null, 'Purged entry cannot be requeued')
+})
+
+test('JobStore.purgeDeadLetters - should delete by id or age without listing the whole store', async (t) => {
+  const workerInstance = createWorkerInstance()
+  const jobs = []
+  for (let index = 0; index < 4; index++) {
+    const job = await JobStore.create(workerInstance, 'a@example.com', { data: { prompt: `p${index}` }, topic: 'processor' })
+    await JobStore.update(workerInstance, job.id, () => ({ status: 'failed', error: 'CHANNEL_CLOSED', finishedAt: 1000 * (index + 1) }))
+    jobs.push(job)
+  }
+  const listSpy = sinon.spy(JobStore, 'listDeadLetters')
+  t.teardown(() => listSpy.restore())
+
+  t.is(await JobStore.purgeDeadLetters(workerInstance, { ids: [jobs[0].id, 'missing'] }), 1, 'Should skip ids without an entry')
+  t.is(await JobStore.purgeDeadLetters(workerInstance, { ids: [jobs[3].id], olderThan: 2000 }), 0, 'Ids should also honour olderThan')
+  t.is(await JobStore.purgeDeadLetters(workerInstance, { olderThan: 3500 }), 2, 'Should purge the entries that failed before olderThan')
+  t.alike((await JobStore.listDeadLetters(workerInstance)).map(e => e.id), [jobs[3].id], 'Should keep newer entries')
+  t.is(listSpy.callCount, 1, 'Purging should not go through listDeadLetters')
+})
+
+test('JobStore.purgeDeadLetters - should wait for the job\'s lock and check the entry again', async (t) => {
+  const workerInstance = createWorkerInstance()
+  const job = await JobStore.create(workerInstance, 'a@example.com', { data: { prompt: 'hi' }, topic: 'processor' })
+  await JobStore.update(workerInstance, job.id, () => ({ status: 'failed', error: 'CHANNEL_CLOSED', finishedAt: 1000 }))
+  const deadLetterKey = `dead-letter/${job.id}`
+
+  let release
+  const held = JobStore._locks.run(JobStore._recordKey(job.id), () => new Promise(resolve => { release = resolve }))
+  const purge = JobStore.purgeDeadLetters(workerInstance, { ids: [job.id], olderThan: 5000 })
+  await new Promise(resolve => setImmediate(resolve))
+  t.ok(workerInstance.bee.entries.has(deadLetterKey), 'Should not delete while another write holds the lock')
+
+  // The job failed again meanwhile, so its entry is newer than olderThan now
+  workerInstance.bee.entries.set(deadLetterKey, { ...workerInstance.bee.entries.get(deadLetterKey), failedAt: 9000 })
+  release()
+  await held
+
+  t.is(await purge, 0, 'Should not purge the rewritten entry')
+  t.ok(workerInstance.bee.entries.has(deadLetterKey))
+})
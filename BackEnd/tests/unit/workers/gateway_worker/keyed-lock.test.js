@@ -0,0 +1,52 @@
+'use strict'
+
+const test = require('brittle')
+const KeyedLock = require('../../../../gateway_worker/keyed-lock.js')
+
+// A promise together with the function that resolves it
+function deferred() {
+  let resolve
+  const promise = new Promise(r => { resolve = r })
+  return { promise, resolve }
+}
+
+test('KeyedLock - should run calls for the same key one at a time, in order', async (t) => {
+  const lock = new KeyedLock()
+  const order = []
+  const first = deferred()
+
+  const a = lock.run('job/1', async () => {
+    order.push('a start')
+    await first.promise
+    order.push('a end')
+    return 'a'
+  })
+  const b = lock.run('job/1', async () => {
+    order.push('b')
+    return 'b'
+  })
+  const other = lock.run('job/2', async () => {
+    order.push('other')
+    return 'other'
+  })
+
+  t.is(await other, 'other', 'Other keys should not wait')
+  t.alike(order, ['a start', 'other'])
+  t.is(lock.size, 1, 'Only the busy key should be held')
+
+  first.resolve()
+  t.alike(await Promise.all([a, b]), ['a', 'b'])
+  t.alike(order, ['a start', 'other', 'a end', 'b'])
+  t.is(lock.size, 0, 'Should forget keys once their calls settled')
+})
+
+test('KeyedLock - should keep the chain going after a call fails', async (t) => {
+  const lock = new KeyedLock()
+
+  const failing = lock.run('user', async () => { throw new Error('write failed') })
+  const next = lock.run('user', async () => 'next')
+
+  await t.exception(failing, /write failed/, 'The caller should get the error')
+  t.is(await next, 'next', 'Later calls should still run')
+  t.is(lock.size, 0)
+})
@@ -573,4 +573,26 @@ test('RateLimiter - should handle record with negative remainingRequests', async
   t.is(result.status, 429, 'Should return 429 status')
   
   resetMocks()
-})
\ No newline at end of file
+})
+
+test('RateLimiter.checkRateLimit - should count parallel requests of the same user one by one', async (t) => {
+  setupMocks()
+  sandbox.stub(RateLimiter, '_getConfig').returns({
+    maxRequests: 3,
+    resetIntervalMs: 60000
+  })
+  // Slow storage: every parallel check would read the same record without the lock
+  const records = new Map()
+  mockDatabase.get.callsFake(async (key) => {
+    await new Promise(resolve => setTimeout(resolve, 5))
+    return records.has(key) ? { value: { ...records.get(key) } } : null
+  })
+  mockDatabase.put.callsFake(async (key, value) => { records.set(key, value) })
+  
+  const results = await Promise.all(Array.from({ length: 5 }, () => RateLimiter.checkRateLimit(mockWorkerInstance, 'test@example.com')))
+  
+  t.alike(results.map(result => result.allowed), [true, true, true, false, false], 'Only maxRequests parallel requests should pass')
+  t.is(RateLimiter._locks.size, 0, 'Should drop the lock once the checks are done')
+  
+  resetMocks()
+})
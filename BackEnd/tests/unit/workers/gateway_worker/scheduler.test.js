@@ -0,0 +1,153 @@
+'use strict'
+
+const test = require('brittle')
+const sinon = require('sinon')
+const { FairScheduler, resolveSchedulerConfig, DEFAULT_MAX_IN_FLIGHT, DEFAULT_PRIORITIES } = require('../../../../gateway_worker/scheduler.js')
+
+// Resolves once every pending promise callback has run
+const flush = () => new Promise(resolve => setImmediate(resolve))
+
+// Queue requests and record the order in which the scheduler lets them through;
+// each one finishes (releases its slot) as soon as it starts
+function enqueue(scheduler, requests, started) {
+  return Promise.all(requests.map(([id, opts]) => scheduler.schedule(opts).then(ticket => {
+    started.push(id)
+    ticket.release()
+  })))
+}
+
+test('resolveSchedulerConfig - should use config values, env overrides and defaults', async (t) => {
+  const originalEnv = { ...process.env }
+  delete process.env.GATEWAY_MAX_IN_FLIGHT
+  delete process.env.GATEWAY_MAX_QUEUE
+
+  const defaults = resolveSchedulerConfig()
+  t.is(defaults.maxInFlight, DEFAULT_MAX_IN_FLIGHT)
+  t.alike(defaults.priorities, DEFAULT_PRIORITIES)
+  t.is(defaults.defaultPriority, 'interactive')
+
+  const custom = resolveSchedulerConfig({ maxInFlight: 2, priorities: { high: 3, low: 1, broken: -1 }, defaultPriority: 'low' })
+  t.is(custom.maxInFlight, 2)
+  t.alike(custom.priorities, { high: 3, low: 1 }, 'Invalid weights should be dropped')
+  t.is(custom.defaultPriority, 'low')
+
+  process.env.GATEWAY_MAX_IN_FLIGHT = '7'
+  t.is(resolveSchedulerConfig({ maxInFlight: 2 }).maxInFlight, 7)
+
+  process.env = originalEnv
+})
+
+test('FairScheduler - should cap in-flight prompts and report queue wait', async (t) => {
+  const clock = sinon.useFakeTimers({ now: 1000, toFake: ['Date'] })
+  t.teardown(() => clock.restore())
+
+  const scheduler = new FairScheduler({ maxInFlight: 1 })
+  const first = await scheduler.schedule({ user: 'a' })
+  t.is(first.waitMs, 0)
+  t.is(first.priority, 'interactive', 'Should use the default priority')
+
+  const second = scheduler.schedule({ user: 'b' })
+  await flush()
+  t.alike(scheduler.stats(), { inFlight: 1, queued: 1, queuedUsers: 1, maxInFlight: 1, maxQueue: 256, rejected: 0 })
+
+  clock.tick(250)
+  first.release()
+  first.release()
+  const ticket = await second
+  t.is(ticket.waitMs, 250, 'Should report how long the prompt waited')
+  t.is(scheduler.stats().inFlight, 1, 'Releasing twice should free one slot')
+})
+
+test('FairScheduler - should interleave users instead of serving a heavy user first', async (t) => {
+  const scheduler = new FairScheduler({ maxInFlight: 1 })
+  const started = []
+
+  const blocker = await scheduler.schedule({ user: 'heavy' })
+  const done = enqueue(scheduler, [
+    ['h1', { user: 'heavy' }],
+    ['h2', { user: 'heavy' }],
+    ['h3', { user: 'heavy' }],
+    ['l1', { user: 'light' }],
+    ['l2', { user: 'light' }]
+  ], started)
+
+  blocker.release()
+  await done
+
+  t.alike(started, ['l1', 'h1', 'l2', 'h2', 'h3'], 'Later users should not wait behind the heavy user')
+})
+
+test('FairScheduler - should share slots by priority and role weight', async (t) => {
+  const scheduler = new FairScheduler({ maxInFlight: 1, priorities: { interactive: 2, batch: 1 }, roleWeights: { admin: 2 } })
+  const started = []
+
+  const blocker = await scheduler.schedule({ user: 'x' })
+  const done = enqueue(scheduler, [
+    ['b1', { user: 'a', priority: 'batch' }],
+    ['b2', { user: 'a', priority: 'batch' }],
+    ['i1', { user: 'b', priority: 'interactive' }],
+    ['i2', { user: 'b', priority: 'interactive' }],
+    ['i3', { user: 'b', priority: 'interactive' }],
+    ['i4', { user: 'b', priority: 'interactive' }]
+  ], started)
+
+  blocker.release()
+  await done
+  t.alike(started, ['b1', 'i1', 'i2', 'b2', 'i3', 'i4'], 'Interactive prompts should get twice the share of batch prompts')
+
+  t.is(scheduler.weight('batch', 'admin'), 2)
+  t.is(scheduler.weight('batch', 'unknown'), 1)
+  await t.exception(scheduler.schedule({ priority: 'urgent' }), /Invalid priority/)
+})
+
+test('FairScheduler - should reject when the user or gateway queue is full', async (t) => {
+  const scheduler = new FairScheduler({ maxInFlight: 1, maxQueue: 2, maxQueuePerUser: 1 })
+
+  await scheduler.schedule({ user: 'a' })
+  scheduler.schedule({ user: 'a' })
+
+  try {
+    await scheduler.schedule({ user: 'a' })
+    t.fail('Should have rejected')
+  } catch (error) {
+    t.is(error.code, 'USER_QUEUE_FULL')
+    t.is(error.status, 429)
+  }
+
+  scheduler.schedule({ user: 'b' })
+  try {
+    await scheduler.schedule({ user: 'c' })
+    t.fail('Should have rejected')
+  } catch (error) {
+    t.is(error.code, 'GATEWAY_QUEUE_FULL')
+    t.is(error.status, 503)
+  }
+  t.is(scheduler.stats().rejected, 2)
+})
+
+test('FairScheduler - should drop prompts that are cancelled or wait too long', async (t) => {
+  const clock = sinon.useFakeTimers({ now: 1000 })
+  t.teardown(() => clock.restore())
+
+  const scheduler = new FairScheduler({ maxInFlight: 1, maxWaitMs: 5000 })
+  const controller = new AbortController()
+
+  const blocker = await scheduler.schedule({ user: 'a' })
+  const cancelled = scheduler.schedule({ user: 'b', signal: controller.signal })
+  const timedOut = scheduler.schedule({ user: 'c' })
+
+  controller.abort()
+  await t.exception(cancelled)
+
+  clock.tick(5000)
+  try {
+    await timedOut
+    t.fail('Should have timed out')
+  } catch (error) {
+    t.is(error.code, 'QUEUE_TIMEOUT')
+  }
+
+  t.is(scheduler.stats().queued, 0, 'Both prompts should have left the queue')
+  blocker.release()
+  t.is(scheduler.stats().inFlight, 0, 'Slot should not go to a dropped prompt')
+})
@@ -14,7 +14,8 @@ function createValidContext() {
 
 // Mock SimpleMetrics before requiring ProcessorWorker
 const SimpleMetricsMock = sinon.stub().returns({
-  isMetricsInstance: true
+  isMetricsInstance: true,
+  trackWorkQueue: sinon.stub()
 })
 
 // Mock SimpleMetrics, ProcessorHelper and logger modules
@@ -199,7 +200,7 @@ test('should assign metrics property', async (t) => {
   const conf = createValidConfig()
   const ctx = createValidContext()
   const consoleStub = sinon.stub(console, 'log')
-  const mockMetricsInstance = { isMetricsInstance: true }
+  const mockMetricsInstance = { isMetricsInstance: true, trackWorkQueue: sinon.stub() }
   SimpleMetricsMock.returns(mockMetricsInstance)
 
   // Action
@@ -225,7 +226,7 @@ test('should call setInitFacs before creating metrics', async (t) => {
   
   // Reset SimpleMetrics to simple return
   SimpleMetricsMock.resetBehavior()
-  SimpleMetricsMock.returns({ isMetricsInstance: true })
+  SimpleMetricsMock.returns({ isMetricsInstance: true, trackWorkQueue: sinon.stub() })
 
   // Action
   const worker = new ProcessorWorker(conf, ctx)
@@ -1659,13 +1660,18 @@ test('should return correct ping response format', async (t) => {
   // Get the ping handler function
   const pingCall = worker.net_default.rpcServer.respond.getCalls().find(call => call.args[0] === 'ping')
   const pingHandler = pingCall.args[1]
-  const result = await pingHandler()
+  const pingData = Buffer.from('{}')
+  await pingHandler(pingData)
+  const result = await worker.ping({})
 
   // Assert
+  t.ok(worker.net_default.handleReply.calledWith('ping', pingData), 'Ping should be answered through handleReply')
   t.ok(result.status === 'healthy', 'Status should be healthy')
   t.ok(typeof result.timestamp === 'number', 'Timestamp should be a number')
   t.ok(result.service === 'processor', 'Service should be processor')
   t.ok(result.timestamp > 0, 'Timestamp should be valid')
+  t.is(result.queueDepth, 0, 'Queue depth should be 0 when idle')
+  t.is(result.inFlight, 0, 'No request should be in flight when idle')
   
   // Cleanup
   consoleStub.restore()
@@ -0,0 +1,322 @@
+'use strict'
+
+const test = require('brittle')
+const sinon = require('sinon')
+
+const {
+  createBackend,
+  resolveBackendConfig,
+  OllamaBackend,
+  OpenAICompatibleBackend,
+  MockBackend
+} = require('../../../../processor_worker/backends')
+
+const BACKEND_ENV_VARS = [
+  'PROCESSOR_BACKEND',
+  'PROCESSOR_BACKEND_API',
+  'PROCESSOR_BACKEND_ENDPOINT',
+  'PROCESSOR_MODEL',
+  'PROCESSOR_TIMEOUT_MS',
+  'PROCESSOR_BACKEND_API_KEY'
+]
+
+// Run fn with the backend env vars cleared (plus any overrides), restoring them afterwards
+async function withEnv(overrides, fn) {
+  const saved = {}
+  for (const name of BACKEND_ENV_VARS) {
+    saved[name] = process.env[name]
+    delete process.env[name]
+  }
+  Object.assign(process.env, overrides)
+
+  try {
+    return await fn()
+  } finally {
+    for (const name of BACKEND_ENV_VARS) {
+      if (saved[name] === undefined) delete process.env[name]
+      else process.env[name] = saved[name]
+    }
+  }
+}
+
+// Swap global fetch for a stub for the duration of fn
+async function withFetch(stub, fn) {
+  const originalFetch = global.fetch
+  global.fetch = stub
+  try {
+    return await fn()
+  } finally {
+    global.fetch = originalFetch
+  }
+}
+
+function createJsonResponse(payload) {
+  return Promise.resolve({
+    ok: true,
+    json: () => Promise.resolve(payload)
+  })
+}
+
+// Fetch response whose body yields the given raw text chunks
+function createStreamingResponse(textChunks) {
+  const encoder = new TextEncoder()
+  const chunks = textChunks.map(text => encoder.encode(text))
+  return Promise.resolve({
+    ok: true,
+    body: {
+      getReader: () => ({
+        read: async () => chunks.length
+          ? { value: chunks.shift(), done: false }
+          : { value: undefined, done: true }
+      })
+    }
+  })
+}
+
+async function collect(iterable) {
+  const items = []
+  for await (const item of iterable) {
+    items.push(item)
+  }
+  return items
+}
+
+// === CONFIG RESOLUTION TESTS ===
+
+test('resolveBackendConfig - should default to the local Ollama generate endpoint', async (t) => {
+  await withEnv({}, () => {
+    const config = resolveBackendConfig()
+
+    t.is(config.backend, 'ollama', 'Should default to ollama')
+    t.is(config.api, 'generate', 'Should default to the generate API')
+    t.is(config.endpoint, 'http://localhost:11434/api/generate', 'Should use the default Ollama endpoint')
+    t.is(config.model, 'llama3', 'Should default to llama3')
+    t.is(config.timeoutMs, 30000, 'Should default to a 30s timeout')
+  })
+})
+
+test('resolveBackendConfig - should pick the default endpoint for the selected API', async (t) => {
+  await withEnv({}, () => {
+    t.is(resolveBackendConfig({ api: 'chat' }).endpoint, 'http://localhost:11434/api/chat', 'Should use /api/chat for the chat API')
+    t.is(resolveBackendConfig({ backend: 'openai' }).endpoint, 'http://localhost:8080/v1/chat/completions', 'Should use the OpenAI-compatible default')
+  })
+})
+
+test('resolveBackendConfig - should let environment variables override the config file', async (t) => {
+  await withEnv({
+    PROCESSOR_BACKEND: 'openai',
+    PROCESSOR_BACKEND_ENDPOINT: 'http://gpu-box:8000/v1/chat/completions',
+    PROCESSOR_MODEL: 'mistral',
+    PROCESSOR_TIMEOUT_MS: '5000'
+  }, () => {
+    const config = resolveBackendConfig({ backend: 'ollama', model: 'llama3', timeoutMs: 30000 })
+
+    t.is(config.backend, 'openai', 'Should use PROCESSOR_BACKEND')
+    t.is(config.endpoint, 'http://gpu-box:8000/v1/chat/completions', 'Should use PROCESSOR_BACKEND_ENDPOINT')
+    t.is(config.model, 'mistral', 'Should use PROCESSOR_MODEL')
+    t.is(config.timeoutMs, 5000, 'Should parse PROCESSOR_TIMEOUT_MS')
+  })
+})
+
+// === FACTORY TESTS ===
+
+test('createBackend - should build the adapter named by the config', async (t) => {
+  await withEnv({}, () => {
+    t.ok(createBackend() instanceof OllamaBackend, 'Should build Ollama by default')
+    t.ok(createBackend({ backend: 'openai' }) instanceof OpenAICompatibleBackend, 'Should build the OpenAI-compatible adapter')
+    t.ok(createBackend({ backend: 'mock' }) instanceof MockBackend, 'Should build the mock adapter')
+  })
+})
+
+test('createBackend - should reject unknown backends', async (t) => {
+  await withEnv({}, () => {
+    t.exception(() => createBackend({ backend: 'carrier-pigeon' }), /Unknown processor backend "carrier-pigeon"/, 'Should name the unknown backend')
+  })
+})
+
+// === OLLAMA TESTS ===
+
+test('OllamaBackend - should use /api/chat request and response shapes for the chat API', async (t) => {
+  const fetchStub = sinon.stub().returns(createJsonResponse({ message: { role: 'assistant', content: 'Hello there' } }))
+  const backend = new OllamaBackend({ backend: 'ollama', api: 'chat', endpoint: 'http://localhost:11434/api/chat', model: 'llama3', timeoutMs: 30000 })
+
+  const text = await withFetch(fetchStub, () => backend.generate({ prompt: 'Hi' }))
+
+  const body = JSON.parse(fetchStub.firstCall.args[1].body)
+  t.alike(body.messages, [{ role: 'user', content: 'Hi' }], 'Should send the prompt as a user message')
+  t.is(body.stream, false, 'Should disable streaming')
+  t.is(text, 'Hello there', 'Should read message.content')
+})
+
+test('OllamaBackend - should report connection refused with the configured host', async (t) => {
+  const error = new Error('connect ECONNREFUSED')
+  error.code = 'ECONNREFUSED'
+  const backend = new OllamaBackend({ backend: 'ollama', endpoint: 'http://gpu-box:11434/api/generate', model: 'llama3', timeoutMs: 30000 })
+
+  await withFetch(sinon.stub().rejects(error), async () => {
+    await t.exception(backend.generate({ prompt: 'Hi' }), /Cannot connect to Ollama - make sure it's running on gpu-box:11434/, 'Should name the unreachable host')
+  })
+})
+
+// === OPENAI-COMPATIBLE TESTS ===
+
+test('OpenAICompatibleBackend - should post a chat completion and read the first choice', async (t) => {
+  const fetchStub = sinon.stub().returns(createJsonResponse({
+    choices: [{ index: 0, message: { role: 'assistant', content: 'Paris' } }]
+  }))
+  const backend = new OpenAICompatibleBackend({ backend: 'openai', endpoint: 'http://localhost:8080/v1/chat/completions', model: 'qwen', timeoutMs: 30000, apiKey: 'sk-local' })
+
+  const text = await withFetch(fetchStub, () => backend.generate({ prompt: 'Capital of France?' }))
+
+  const [url, options] = fetchStub.firstCall.args
+  const body = JSON.parse(options.body)
+  t.is(url, 'http://localhost:8080/v1/chat/completions', 'Should call the configured endpoint')
+  t.is(options.headers.Authorization, 'Bearer sk-local', 'Should send the API key')
+  t.is(body.model, 'qwen', 'Should send the configured model')
+  t.alike(body.messages, [{ role: 'user', content: 'Capital of France?' }], 'Should send the prompt as a user message')
+  t.is(text, 'Paris', 'Should return the message content')
+})
+
+test('OpenAICompatibleBackend - should stream SSE deltas until [DONE]', async (t) => {
+  const sse = [
+    'data: {"choices":[{"delta":{"role":"assistant"}}]}\n\n',
+    'data: {"choices":[{"delta":{"content":"Hel"}}]}\n\ndata: {"choices":[{"delta":{"content":"lo"}}]}\n\n',
+    'data: [DONE]\n\n'
+  ]
+  const backend = new OpenAICompatibleBackend({ backend: 'openai', endpoint: 'http://localhost:8080/v1/chat/completions', model: 'qwen', timeoutMs: 30000 })
+
+  const tokens = await withFetch(sinon.stub().returns(createStreamingResponse(sse)), () => collect(backend.stream({ prompt: 'Hi' })))
+
+  t.alike(tokens, ['Hel', 'lo'], 'Should yield only the content deltas')
+})
+
+// === MOCK TESTS ===
+
+test('MockBackend - should stream the same text it generates', async (t) => {
+  const backend = new MockBackend({ backend: 'mock' })
+
+  const text = await backend.generate({ prompt: 'ping' })
+  const tokens = await collect(backend.stream({ prompt: 'ping' }))
+
+  t.is(text, 'Mock response to: ping', 'Should echo the prompt')
+  t.ok(tokens.length > 1, 'Should stream more than one token')
+  t.is(tokens.join(''), text, 'Should reassemble to the generated text')
+})
+
+// === CHAT TESTS ===
+
+test('OllamaBackend - should send conversations to /api/chat even when configured for generate', async (t) => {
+  const fetchStub = sinon.stub().returns(createJsonResponse({ message: { role: 'assistant', content: '4' } }))
+  const backend = new OllamaBackend({ backend: 'ollama', api: 'generate', endpoint: 'http://localhost:11434/api/generate', model: 'llama3', timeoutMs: 30000 })
+  const messages = [
+    { role: 'system', content: 'Answer with a number' },
+    { role: 'user', content: '2+2?' }
+  ]
+
+  const text = await withFetch(fetchStub, () => backend.generate({ messages }))
+
+  const [url, options] = fetchStub.firstCall.args
+  t.is(url, 'http://localhost:11434/api/chat', 'Should derive the chat endpoint')
+  t.alike(JSON.parse(options.body).messages, messages, 'Should send the whole conversation')
+  t.is(text, '4', 'Should read message.content')
+})
+
+test('OllamaBackend - should stream chat responses from message chunks', async (t) => {
+  const ndjson = [
+    '{"message":{"role":"assistant","content":"Hel"},"done":false}\n',
+    '{"message":{"role":"assistant","content":"lo"},"done":false}\n{"done":true}\n'
+  ]
+  const backend = new OllamaBackend({ backend: 'ollama', endpoint: 'http://localhost:11434/api/generate', chatEndpoint: 'http://proxy/ollama/api/chat', model: 'llama3', timeoutMs: 30000 })
+  const fetchStub = sinon.stub().returns(createStreamingResponse(ndjson))
+
+  const tokens = await withFetch(fetchStub, () => collect(backend.stream({ messages: [{ role: 'user', content: 'Hi' }] })))
+
+  t.is(fetchStub.firstCall.args[0], 'http://proxy/ollama/api/chat', 'Should use the configured chat endpoint')
+  t.alike(tokens, ['Hel', 'lo'], 'Should yield message content')
+})
+
+test('OpenAICompatibleBackend - should pass conversations through unchanged', async (t) => {
+  const fetchStub = sinon.stub().returns(createJsonResponse({ choices: [{ message: { content: 'ok' } }] }))
+  const backend = new OpenAICompatibleBackend({ backend: 'openai', endpoint: 'http://localhost:8080/v1/chat/completions', model: 'qwen', timeoutMs: 30000 })
+  const messages = [
+    { role: 'user', content: 'Hi' },
+    { role: 'assistant', content: 'Hello' },
+    { role: 'user', content: 'Bye' }
+  ]
+
+  await withFetch(fetchStub, () => backend.generate({ messages }))
+
+  t.alike(JSON.parse(fetchStub.firstCall.args[1].body).messages, messages, 'Should send the messages as given')
+})
+
+// === GENERATION OPTIONS TESTS ===
+
+test('OllamaBackend - should map generation options onto Ollama options and the model', async (t) => {
+  const fetchStub = sinon.stub().returns(createJsonResponse({ response: 'ok' }))
+  const backend = new OllamaBackend({ backend: 'ollama', endpoint: 'http://localhost:11434/api/generate', model: 'llama3', timeoutMs: 30000 })
+
+  await withFetch(fetchStub, () => backend.generate({
+    prompt: 'Hi',
+    options: { temperature: 0.2, top_p: 0.9, top_k: 40, max_tokens: 64, stop: '###', seed: 7, model: 'mistral' }
+  }))
+  await withFetch(fetchStub, () => backend.generate({ prompt: 'Hi' }))
+
+  const body = JSON.parse(fetchStub.firstCall.args[1].body)
+  t.is(body.model, 'mistral', 'Should use the requested model')
+  t.alike(body.options, { temperature: 0.2, top_p: 0.9, top_k: 40, num_predict: 64, stop: ['###'], seed: 7 }, 'Should rename max_tokens and wrap stop in an array')
+  t.absent(JSON.parse(fetchStub.secondCall.args[1].body).options, 'Should omit options when none are set')
+})
+
+test('OpenAICompatibleBackend - should send generation options as sampling fields', async (t) => {
+  const fetchStub = sinon.stub().returns(createJsonResponse({ choices: [{ message: { content: 'ok' } }] }))
+  const backend = new OpenAICompatibleBackend({ backend: 'openai', endpoint: 'http://localhost:8080/v1/chat/completions', model: 'qwen', timeoutMs: 30000 })
+
+  await withFetch(fetchStub, () => backend.generate({ prompt: 'Hi', options: { temperature: 1.5, max_tokens: 10, stop: ['\n'], seed: 1 } }))
+
+  const body = JSON.parse(fetchStub.firstCall.args[1].body)
+  t.is(body.model, 'qwen', 'Should keep the configured model')
+  t.is(body.temperature, 1.5, 'Should send temperature')
+  t.is(body.max_tokens, 10, 'Should send max_tokens')
+  t.alike(body.stop, ['\n'], 'Should send stop')
+  t.is(body.seed, 1, 'Should send seed')
+  t.absent('top_p' in body, 'Should not send unset options')
+})
+
+test('MockBackend - should apply stop and max_tokens to the response', async (t) => {
+  const backend = new MockBackend()
+
+  t.is(await backend.generate({ prompt: 'a b c', options: { max_tokens: 4 } }), 'Mock response to: a', 'Should keep max_tokens words')
+  t.is(await backend.generate({ prompt: 'a b c', options: { stop: ['b'] } }), 'Mock response to: a ', 'Should cut at the stop sequence')
+  t.alike(await collect(backend.stream({ prompt: 'a b c', options: { max_tokens: 2 } })), ['Mock ', 'response'], 'Should stream the shortened text')
+})
+
+// === MODEL DISCOVERY TESTS ===
+
+test('OllamaBackend - should list installed models from /api/tags', async (t) => {
+  const fetchStub = sinon.stub().returns(createJsonResponse({ models: [{ name: 'llama3:latest' }, { name: 'mistral:7b' }] }))
+  const backend = new OllamaBackend({ backend: 'ollama', endpoint: 'http://gpu-box:11434/api/generate', model: 'llama3', timeoutMs: 30000 })
+
+  const models = await withFetch(fetchStub, () => backend.listModels())
+
+  t.is(fetchStub.firstCall.args[0], 'http://gpu-box:11434/api/tags', 'Should ask the configured host')
+  t.is(fetchStub.firstCall.args[1].method, 'GET', 'Should use GET')
+  t.alike(models, ['llama3:latest', 'mistral:7b'], 'Should return the model names')
+})
+
+test('OpenAICompatibleBackend - should list models from /v1/models', async (t) => {
+  const fetchStub = sinon.stub().returns(createJsonResponse({ object: 'list', data: [{ id: 'qwen2.5-7b' }] }))
+  const backend = new OpenAICompatibleBackend({ backend: 'openai', endpoint: 'http://localhost:8080/v1/chat/completions', model: 'qwen', timeoutMs: 30000 })
+
+  const models = await withFetch(fetchStub, () => backend.listModels())
+
+  t.is(fetchStub.firstCall.args[0], 'http://localhost:8080/v1/models', 'Should derive the models endpoint')
+  t.alike(models, ['qwen2.5-7b'], 'Should return the model ids')
+  await withFetch(sinon.stub().returns(createJsonResponse({ error: 'nope' })), async () => {
+    await t.exception(backend.listModels(), /missing data list/, 'Should reject malformed lists')
+  })
+})
+
+test('MockBackend - should list the configured models', async (t) => {
+  t.alike(await new MockBackend({ model: 'tiny' }).listModels(), ['tiny'], 'Should default to the configured model')
+  t.alike(await new MockBackend({ mock: { models: ['a', 'b:7b'] } }).listModels(), ['a', 'b:7b'], 'Should use mock.models')
+})
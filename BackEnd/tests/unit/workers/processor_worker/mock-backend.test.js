@@ -0,0 +1,230 @@
+'use strict'
+
+const test = require('brittle')
+const sinon = require('sinon')
+const path = require('path')
+
+// Mock logger module so ProcessorHelper does not write log files
+const Module = require('module')
+const originalRequire = Module.prototype.require
+Module.prototype.require = function(id) {
+  if (id === '../shared-logger.js') {
+    return {
+      info: sinon.stub(),
+      error: sinon.stub(),
+      warn: sinon.stub(),
+      debug: sinon.stub(),
+      lifecycle: sinon.stub(),
+      jwt: sinon.stub(),
+      rpc: sinon.stub(),
+      prompt: sinon.stub()
+    }
+  }
+  return originalRequire.apply(this, arguments)
+}
+
+const { MockBackend } = require('../../../../processor_worker/backends')
+const ProcessorHelper = require('../../../../processor_worker/processor-helper.js')
+
+const FIXTURES_FILE = path.join(__dirname, '../../../../config/mock-fixtures.json')
+
+// Worker instance whose processor config selects the mock backend
+function createMockWorkerInstance(mock = {}) {
+  return { conf: { processor: { backend: 'mock', mock } } }
+}
+
+async function collect(iterable) {
+  const items = []
+  for await (const item of iterable) {
+    items.push(item)
+  }
+  return items
+}
+
+// === RESPONSE TESTS ===
+
+test('MockBackend - should echo the prompt through the template', async (t) => {
+  const backend = new MockBackend({ mock: { template: '[{prompt}] -> {prompt}!' } })
+
+  t.is(await backend.generate({ prompt: 'hi' }), '[hi] -> hi!', 'Should replace every {prompt}')
+  t.is(await new MockBackend().generate({ prompt: 'hi' }), 'Mock response to: hi', 'Should use the default template')
+})
+
+test('MockBackend - should answer from fixtures keyed by prompt hash', async (t) => {
+  const backend = new MockBackend({
+    mock: { fixtures: { [MockBackend.hashPrompt('2+2?')]: '4' } }
+  })
+
+  t.is(MockBackend.hashPrompt('2+2?'), MockBackend.hashPrompt('2+2?'), 'Should hash deterministically')
+  t.is(MockBackend.hashPrompt('2+2?').length, 64, 'Should use a sha256 hex digest')
+  t.is(await backend.generate({ prompt: '2+2?' }), '4', 'Should return the fixture')
+  t.is(await backend.generate({ prompt: '3+3?' }), 'Mock response to: 3+3?', 'Should echo prompts without a fixture')
+})
+
+test('MockBackend - should load fixtures from a file, with inline fixtures taking precedence', async (t) => {
+  const backend = new MockBackend({
+    mock: {
+      fixturesFile: FIXTURES_FILE,
+      fixtures: { [MockBackend.hashPrompt('Hello')]: 'Inline hello' }
+    }
+  })
+
+  t.is(await backend.generate({ prompt: 'What is the capital of France?' }), 'The capital of France is Paris.', 'Should use the file fixture')
+  t.is(await backend.generate({ prompt: 'Hello' }), 'Inline hello', 'Should prefer the inline fixture')
+})
+
+// === LATENCY TESTS ===
+
+test('MockBackend - should delay the response by latencyMs', async (t) => {
+  const backend = new MockBackend({ mock: { latencyMs: 50 } })
+
+  const start = Date.now()
+  await backend.generate({ prompt: 'slow' })
+
+  t.ok(Date.now() - start >= 45, 'Should wait before responding')
+})
+
+test('MockBackend - should stop a delayed stream quietly when the signal aborts', async (t) => {
+  const backend = new MockBackend({ mock: { tokenDelayMs: 1000 } })
+  const controller = new AbortController()
+  const tokens = []
+
+  const start = Date.now()
+  for await (const token of backend.stream({ prompt: 'one two three' }, { signal: controller.signal })) {
+    tokens.push(token)
+    controller.abort()
+  }
+
+  t.alike(tokens, ['Mock '], 'Should stop after the abort')
+  t.ok(Date.now() - start < 500, 'Should not wait out the token delay')
+})
+
+// === FAILURE TESTS ===
+
+test('MockBackend - should fail prompts containing a failOn marker', async (t) => {
+  const backend = new MockBackend({ mock: { failOn: ['[fail]'] } })
+
+  await t.exception(backend.generate({ prompt: 'please [fail] now' }), /Mock backend API error: simulated failure/, 'Should reject the marked prompt')
+  await t.exception(collect(backend.stream({ prompt: '[fail]' })), /simulated failure/, 'Should fail the stream before any token')
+  t.ok(await backend.generate({ prompt: 'fine' }), 'Should answer other prompts')
+})
+
+test('MockBackend - should pick the same failing prompts on every run', async (t) => {
+  const prompts = Array.from({ length: 200 }, (_, i) => `prompt ${i}`)
+  const failing = backend => prompts.filter(prompt => backend.shouldFail({ prompt }))
+
+  const first = failing(new MockBackend({ mock: { failureRate: 0.25 } }))
+  const second = failing(new MockBackend({ mock: { failureRate: 0.25 } }))
+
+  t.alike(first, second, 'Should be deterministic')
+  t.ok(first.length > 20 && first.length < 80, 'Should fail roughly failureRate of prompts')
+  t.is(failing(new MockBackend({ mock: { failureRate: 1 } })).length, 200, 'Should fail every prompt at rate 1')
+})
+
+test('MockBackend - should reject unknown failure types', async (t) => {
+  t.exception(() => new MockBackend({ mock: { failureType: 'explode' } }), /Unknown mock failureType "explode"/, 'Should name the bad type')
+})
+
+// === PROCESSOR INTEGRATION TESTS ===
+
+test('ProcessorHelper with mock backend - should process requests without a model server', async (t) => {
+  const result = await ProcessorHelper.processRequest(createMockWorkerInstance(), { prompt: 'offline?' })
+
+  t.is(result.response, 'Mock response to: offline?', 'Should return the mock response')
+  t.absent(result.note, 'Should not fall back to LLM_UNAVAILABLE')
+})
+
+test('ProcessorHelper with mock backend - should stream tokens and a matching result', async (t) => {
+  const chunks = await collect(ProcessorHelper.processRequestStream(createMockWorkerInstance(), { prompt: 'stream me' }))
+  const tokens = chunks.filter(c => c.type === 'token').map(c => c.token)
+  const last = chunks[chunks.length - 1]
+
+  t.ok(tokens.length > 1, 'Should stream several tokens')
+  t.is(last.type, 'done', 'Should finish with a done chunk')
+  t.is(last.result.response, tokens.join('').trim(), 'Should match the streamed text')
+})
+
+test('ProcessorHelper with mock backend - should surface simulated failures like real ones', async (t) => {
+  const errorResult = await ProcessorHelper.processRequest(createMockWorkerInstance({ failOn: ['boom'] }), { prompt: 'boom' })
+  const unavailableResult = await ProcessorHelper.processRequest(
+    createMockWorkerInstance({ failOn: ['boom'], failureType: 'unavailable' }),
+    { prompt: 'boom' }
+  )
+
+  t.is(errorResult.error, true, 'Should return the error format')
+  t.is(errorResult.message, 'Mock backend API error: simulated failure', 'Should pass the message through')
+  t.is(unavailableResult.note, 'LLM_UNAVAILABLE', 'Should use the LLM unavailable fallback')
+})
+
+test('ProcessorHelper with mock backend - should answer conversations from the last user message', async (t) => {
+  const messages = [
+    { role: 'system', content: 'Be brief' },
+    { role: 'user', content: 'first question' },
+    { role: 'assistant', content: 'first answer' },
+    { role: 'user', content: 'second question' }
+  ]
+
+  const result = await ProcessorHelper.processRequest(createMockWorkerInstance(), { messages })
+  const chunks = await collect(ProcessorHelper.processRequestStream(createMockWorkerInstance(), { messages }))
+  const invalid = await ProcessorHelper.processRequest(createMockWorkerInstance(), { messages: [{ role: 'user' }] })
+
+  t.is(result.response, 'Mock response to: second question', 'Should respond to the last user message')
+  t.is(result.prompt, 'second question', 'Should report the last user message as the prompt')
+  t.is(result.messageCount, 4, 'Should report the conversation length')
+  t.is(chunks[chunks.length - 1].result.messageCount, 4, 'Should report the conversation length when streaming')
+  t.ok(invalid.message.includes('Invalid input: messages'), 'Should reject malformed messages')
+})
+
+test('ProcessorHelper with mock backend - should pass generation options to the backend', async (t) => {
+  const result = await ProcessorHelper.processRequest(createMockWorkerInstance(), { prompt: 'one two three', options: { max_tokens: 3 } })
+  const chunks = await collect(ProcessorHelper.processRequestStream(createMockWorkerInstance(), {
+    messages: [{ role: 'user', content: 'one two three' }],
+    options: { stop: ['two'] }
+  }))
+
+  t.is(result.response, 'Mock response to:', 'Should apply max_tokens')
+  t.is(chunks[chunks.length - 1].result.response, 'Mock response to: one', 'Should apply stop when streaming chats')
+})
+
+// === MODEL ANNOUNCEMENT TESTS ===
+
+function createAnnouncingWorkerInstance(mock = {}) {
+  return {
+    ...createMockWorkerInstance(mock),
+    net_default: {
+      lookup: {
+        announceInterval: sinon.stub().resolves(),
+        unnannounceInterval: sinon.stub().resolves()
+      }
+    }
+  }
+}
+
+test('ProcessorHelper.announceModels - should announce one topic per model and withdraw removed ones', async (t) => {
+  const workerInstance = createAnnouncingWorkerInstance({ models: ['llama3', 'mistral:7b'] })
+  const lookup = workerInstance.net_default.lookup
+
+  const models = await ProcessorHelper.announceModels(workerInstance)
+
+  t.alike(models, ['llama3', 'mistral:7b'], 'Should return the discovered models')
+  t.alike(lookup.announceInterval.args.map(args => args[0]), ['processor:model:llama3:latest', 'processor:model:mistral:7b'], 'Should announce normalized model topics')
+
+  workerInstance.backend.models = ['mistral:7b']
+  await ProcessorHelper.announceModels(workerInstance)
+
+  t.is(lookup.announceInterval.callCount, 2, 'Should not re-announce known topics')
+  t.alike(lookup.unnannounceInterval.args.map(args => args[0]), ['processor:model:llama3:latest'], 'Should withdraw the removed model')
+})
+
+test('ProcessorHelper.announceModels - should keep the last known models when discovery fails', async (t) => {
+  const workerInstance = createAnnouncingWorkerInstance()
+  await ProcessorHelper.announceModels(workerInstance)
+  sinon.stub(workerInstance.backend, 'listModels').rejects(new Error('Cannot connect to Ollama'))
+
+  const models = await ProcessorHelper.announceModels(workerInstance)
+  const listed = await ProcessorHelper.listModels(workerInstance)
+
+  t.alike(models, ['llama3'], 'Should fall back to the previous list')
+  t.is(workerInstance.net_default.lookup.unnannounceInterval.callCount, 0, 'Should not withdraw anything')
+  t.alike(listed, { backend: 'mock', defaultModel: 'llama3', models: ['llama3'] }, 'Should report the announced models over RPC')
+})
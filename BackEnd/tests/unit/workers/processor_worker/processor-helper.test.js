@@ -43,6 +43,7 @@ Module.prototype.require = function(id) {
     return {
       info: sinon.stub(),
       error: sinon.stub(),
+      warn: sinon.stub(),
       debug: sinon.stub(),
       lifecycle: sinon.stub(),
       jwt: sinon.stub(),
@@ -561,4 +562,108 @@ test('ProcessorHelper.processRequest - should handle data parameter with extra p
   const [, options] = fetchStub.firstCall.args
   const body = JSON.parse(options.body)
   t.is(body.prompt, 'test', 'Should use only prompt property')
-})
\ No newline at end of file
+})
+// === STREAMING TESTS ===
+
+// Build a fetch response whose body yields the given NDJSON lines
+function createStreamingFetchResponse(lines) {
+  const encoder = new TextEncoder()
+  const chunks = lines.map(line => encoder.encode(JSON.stringify(line) + '\n'))
+  return Promise.resolve({
+    ok: true,
+    body: {
+      getReader: () => ({
+        read: async () => chunks.length
+          ? { value: chunks.shift(), done: false }
+          : { value: undefined, done: true }
+      })
+    }
+  })
+}
+
+// resetAllMocks also wipes the AbortController stub's return value, which streaming needs
+function resetStreamingMocks() {
+  resetAllMocks()
+  global.AbortController.returns({
+    abort: abortControllerStub,
+    signal: {}
+  })
+}
+
+// Run the streaming generator to completion, collecting every chunk
+async function drainStream(data, ctx) {
+  const chunks = []
+  for await (const chunk of ProcessorHelper.processRequestStream(createValidWorkerInstance(), data, ctx)) {
+    chunks.push(chunk)
+  }
+  return {
+    tokens: chunks.filter(c => c.type === 'token').map(c => c.token),
+    last: chunks[chunks.length - 1]
+  }
+}
+
+test('ProcessorHelper.processRequestStream - should reject invalid input without calling Ollama', async (t) => {
+  resetStreamingMocks()
+  
+  await t.exception(drainStream({ prompt: 42 }), /Invalid input: expected \{ prompt: string \}/, 'Should throw validation error')
+  t.is(fetchStub.callCount, 0, 'Should not make API call')
+})
+
+test('ProcessorHelper.processRequestStream - should request a streaming generation from Ollama', async (t) => {
+  resetStreamingMocks()
+  fetchStub.returns(createStreamingFetchResponse([{ response: 'Hi', done: true }]))
+  
+  await drainStream(createValidData())
+  
+  const [url, options] = fetchStub.firstCall.args
+  t.is(url, EXPECTED_OLLAMA_ENDPOINT, 'Should call the Ollama generate endpoint')
+  t.is(JSON.parse(options.body).stream, true, 'Should ask Ollama to stream')
+})
+
+test('ProcessorHelper.processRequestStream - should yield tokens in order and finish with the full result', async (t) => {
+  resetStreamingMocks()
+  fetchStub.returns(createStreamingFetchResponse([
+    { response: 'Hello', done: false },
+    { response: ' world', done: false },
+    { response: '', done: true }
+  ]))
+  
+  const { tokens, last } = await drainStream(createValidData())
+  
+  t.alike(tokens, ['Hello', ' world'], 'Should deliver every token once, in order')
+  t.is(last.type, 'done', 'Should end with a done chunk')
+  t.is(last.result.response, 'Hello world', 'Should finish with the complete response')
+  t.is(last.result.prompt, 'test prompt', 'Should echo the prompt')
+})
+
+test('ProcessorHelper.processRequestStream - should throw Ollama errors to end the stream', async (t) => {
+  resetStreamingMocks()
+  fetchStub.returns(createErrorFetchResponse(500, 'Internal Server Error'))
+  
+  await t.exception(drainStream(createValidData()), /Ollama API error: 500 Internal Server Error/, 'Should carry the Ollama error')
+})
+
+test('ProcessorHelper.processRequestStream - should fall back to the LLM unavailable message when Ollama is down', async (t) => {
+  resetStreamingMocks()
+  fetchStub.rejects(new Error('fetch failed'))
+  
+  const { tokens, last } = await drainStream(createValidData())
+  
+  t.is(tokens.length, 1, 'Should deliver the fallback as one token')
+  t.is(last.result.note, 'LLM_UNAVAILABLE', 'Should mark the result as LLM unavailable')
+})
+
+test('ProcessorHelper.processRequestStream - should stop without a result when the consumer cancels', async (t) => {
+  resetStreamingMocks()
+  const signal = { aborted: true, addEventListener: sinon.stub(), removeEventListener: sinon.stub() }
+  fetchStub.callsFake(async () => {
+    const error = new Error('aborted')
+    error.name = 'AbortError'
+    throw error
+  })
+  
+  const { tokens, last } = await drainStream(createValidData(), { signal })
+  
+  t.is(tokens.length, 0, 'Should not yield tokens')
+  t.is(last, undefined, 'Should not yield a done chunk')
+})
@@ -14,7 +14,8 @@ function createValidContext() {
 
 // Mock SimpleMetrics before requiring ProcessorWorker
 const SimpleMetricsMock = sinon.stub().returns({
-  isMetricsInstance: true
+  isMetricsInstance: true,
+  trackWorkQueue: sinon.stub()
 })
 
 // Mock SimpleMetrics, ProcessorHelper and logger modules
@@ -199,7 +200,7 @@ test('should assign metrics property', async (t) => {
   const conf = createValidConfig()
   const ctx = createValidContext()
   const consoleStub = sinon.stub(console, 'log')
-  const mockMetricsInstance = { isMetricsInstance: true }
+  const mockMetricsInstance = { isMetricsInstance: true, trackWorkQueue: sinon.stub() }
   SimpleMetricsMock.returns(mockMetricsInstance)
 
   // Action
@@ -225,7 +226,7 @@ test('should call setInitFacs before creating metrics', async (t) => {
   
   // Reset SimpleMetrics to simple return
   SimpleMetricsMock.resetBehavior()
-  SimpleMetricsMock.returns({ isMetricsInstance: true })
+  SimpleMetricsMock.returns({ isMetricsInstance: true, trackWorkQueue: sinon.stub() })
 
   // Action
   const worker = new ProcessorWorker(conf, ctx)
@@ -337,6 +338,100 @@ test('should return result from metrics.wrapRpcMethod', async (t) => {
   consoleStub.restore()
 })
 
+test('should count the request as in flight while it runs', async (t) => {
+  // Setup
+  const conf = createValidConfig()
+  const ctx = createValidContext()
+  const consoleStub = sinon.stub(console, 'log')
+  
+  const worker = new ProcessorWorker(conf, ctx)
+  worker.metrics = createMockMetrics()
+  let loadDuringRequest = null
+  worker.metrics.wrapRpcMethod.callsFake(async () => {
+    loadDuringRequest = await worker.ping({})
+    throw new Error('Backend failed')
+  })
+
+  // Action
+  await t.exception(() => worker.processRequest({ prompt: 'test prompt' }), /Backend failed/)
+
+  // Assert
+  t.is(loadDuringRequest.inFlight, 1, 'Running request should be reported')
+  t.is(loadDuringRequest.queueDepth, 0, 'Nothing should be queued')
+  t.is((await worker.ping({})).inFlight, 0, 'Failed request should no longer be counted')
+  
+  // Cleanup
+  consoleStub.restore()
+})
+
+test('should reject with PROCESSOR_BUSY when the work queue is full', async (t) => {
+  // Setup
+  const conf = createValidConfig()
+  const ctx = createValidContext()
+  const consoleStub = sinon.stub(console, 'log')
+  
+  const worker = new ProcessorWorker(conf, ctx)
+  worker.workQueue.configure({ maxConcurrency: 1, maxQueue: 1 })
+  worker.metrics = createMockMetrics()
+  let finish = null
+  worker.metrics.wrapRpcMethod.onFirstCall().callsFake(() => new Promise(resolve => { finish = resolve }))
+
+  // Action
+  const running = worker.processRequest({ prompt: 'first' })
+  const queued = worker.processRequest({ prompt: 'second' })
+  const load = await worker.ping({})
+  await t.exception(() => worker.processRequest({ prompt: 'third' }), /PROCESSOR_BUSY/)
+  finish('first result')
+
+  // Assert
+  t.is(load.inFlight, 1, 'One request should run')
+  t.is(load.queueDepth, 1, 'One request should wait')
+  t.is(await running, 'first result', 'Running request should complete')
+  t.is(await queued, 'wrapped result', 'Queued request should run once a slot frees up')
+  
+  // Cleanup
+  consoleStub.restore()
+})
+
+test('should fail opening a stream with PROCESSOR_BUSY when the work queue is full', async (t) => {
+  // Setup
+  const conf = createValidConfig()
+  const ctx = createValidContext()
+  const consoleStub = sinon.stub(console, 'log')
+  const { RpcStreamRegistry } = require('../../../../hp-svc-facs-net/lib/rpc.stream.js')
+  
+  const worker = new ProcessorWorker(conf, ctx)
+  worker.workQueue.configure({ maxConcurrency: 1, maxQueue: 0 })
+  let finish = null
+  worker.metrics = {
+    wrapRpcStream: sinon.stub().callsFake(async function * () {
+      await new Promise(resolve => { finish = resolve })
+      yield { type: 'done', result: { response: 'first' } }
+    })
+  }
+  const registry = new RpcStreamRegistry()
+  const producer = (data, streamCtx) => worker.processRequestStream(data, streamCtx)
+
+  // Action
+  const opened = await registry.open(producer, { prompt: 'first' })
+  const busyOpen = registry.open(producer, { prompt: 'second' })
+
+  // Assert
+  await t.exception(busyOpen, /PROCESSOR_BUSY/, 'The open itself should fail so the client can try another processor')
+  t.ok(opened.streamId, 'The first stream should open')
+  t.is((await worker.ping({})).inFlight, 1, 'The open stream should hold the slot')
+  finish()
+  let frame = await registry.pull(opened.streamId)
+  while (!frame.end) {
+    frame = await registry.pull(opened.streamId, frame.seq + frame.chunks.length)
+  }
+  t.is((await worker.ping({})).inFlight, 0, 'The slot should be released when the stream ends')
+  
+  // Cleanup
+  registry.close()
+  consoleStub.restore()
+})
+
 test('should propagate errors from metrics.wrapRpcMethod', async (t) => {
   // Setup
   const conf = createValidConfig()
@@ -1659,13 +1754,18 @@ test('should return correct ping response format', async (t) => {
   // Get the ping handler function
   const pingCall = worker.net_default.rpcServer.respond.getCalls().find(call => call.args[0] === 'ping')
   const pingHandler = pingCall.args[1]
-  const result = await pingHandler()
+  const pingData = Buffer.from('{}')
+  await pingHandler(pingData)
+  const result = await worker.ping({})
 
   // Assert
+  t.ok(worker.net_default.handleReply.calledWith('ping', pingData), 'Ping should be answered through handleReply')
   t.ok(result.status === 'healthy', 'Status should be healthy')
   t.ok(typeof result.timestamp === 'number', 'Timestamp should be a number')
   t.ok(result.service === 'processor', 'Service should be processor')
   t.ok(result.timestamp > 0, 'Timestamp should be valid')
+  t.is(result.queueDepth, 0, 'Queue depth should be 0 when idle')
+  t.is(result.inFlight, 0, 'No request should be in flight when idle')
   
   // Cleanup
   consoleStub.restore()
@@ -0,0 +1,122 @@
+'use strict'
+
+const test = require('brittle')
+const { WorkQueue, resolveWorkQueueConfig, DEFAULT_MAX_CONCURRENCY, DEFAULT_MAX_QUEUE, DEFAULT_MAX_WAIT_MS } = require('../../../../processor_worker/work-queue.js')
+
+// Resolves once every pending promise callback has run
+const flush = () => new Promise(resolve => setImmediate(resolve))
+
+test('resolveWorkQueueConfig - should use config values, env overrides and defaults', async (t) => {
+  const originalEnv = { ...process.env }
+  delete process.env.PROCESSOR_MAX_CONCURRENCY
+  delete process.env.PROCESSOR_MAX_QUEUE
+  delete process.env.PROCESSOR_MAX_QUEUE_WAIT_MS
+
+  t.alike(resolveWorkQueueConfig(), { maxConcurrency: DEFAULT_MAX_CONCURRENCY, maxQueue: DEFAULT_MAX_QUEUE, maxWaitMs: DEFAULT_MAX_WAIT_MS })
+  t.alike(resolveWorkQueueConfig({ maxConcurrency: 2, maxQueue: 0, maxWaitMs: 500 }), { maxConcurrency: 2, maxQueue: 0, maxWaitMs: 500 })
+  t.alike(resolveWorkQueueConfig({ maxConcurrency: 0, maxQueue: -1, maxWaitMs: 0 }), { maxConcurrency: DEFAULT_MAX_CONCURRENCY, maxQueue: DEFAULT_MAX_QUEUE, maxWaitMs: DEFAULT_MAX_WAIT_MS })
+
+  process.env.PROCESSOR_MAX_CONCURRENCY = '8'
+  process.env.PROCESSOR_MAX_QUEUE = '3'
+  process.env.PROCESSOR_MAX_QUEUE_WAIT_MS = '2000'
+  t.alike(resolveWorkQueueConfig({ maxConcurrency: 2, maxQueue: 0, maxWaitMs: 500 }), { maxConcurrency: 8, maxQueue: 3, maxWaitMs: 2000 })
+
+  process.env = originalEnv
+})
+
+test('WorkQueue - should run up to maxConcurrency requests and queue the rest in FIFO order', async (t) => {
+  const queue = new WorkQueue({ maxConcurrency: 2, maxQueue: 5 })
+  const started = []
+
+  const releases = []
+  for (const id of [1, 2, 3, 4]) {
+    queue.acquire().then(release => {
+      started.push(id)
+      releases.push(release)
+    })
+  }
+  await flush()
+
+  t.alike(started, [1, 2], 'Only two requests should start')
+  t.alike(queue.stats(), { inFlight: 2, queueDepth: 2, maxConcurrency: 2, maxQueue: 5, rejected: 0 })
+
+  releases[0]()
+  releases[0]()
+  await flush()
+  t.alike(started, [1, 2, 3], 'A released slot should go to the oldest waiting request, once')
+
+  releases[1]()
+  await flush()
+  t.alike(started, [1, 2, 3, 4])
+  t.is(queue.stats().queueDepth, 0)
+})
+
+test('WorkQueue - should reject with PROCESSOR_BUSY when the queue is full', async (t) => {
+  const queue = new WorkQueue({ maxConcurrency: 1, maxQueue: 1, maxWaitMs: 50 })
+
+  await queue.acquire()
+  queue.acquire().catch(() => {})
+
+  try {
+    await queue.acquire()
+    t.fail('Should have rejected')
+  } catch (error) {
+    t.is(error.code, 'PROCESSOR_BUSY')
+    t.ok(error.message.startsWith('PROCESSOR_BUSY'), 'Message should carry the error code')
+  }
+  t.is(queue.stats().rejected, 1)
+})
+
+test('WorkQueue - should drop a waiting request when its signal aborts', async (t) => {
+  const queue = new WorkQueue({ maxConcurrency: 1, maxQueue: 5 })
+  const controller = new AbortController()
+
+  const release = await queue.acquire()
+  const waiting = queue.acquire({ signal: controller.signal })
+  controller.abort()
+
+  await t.exception(waiting)
+  t.is(queue.stats().queueDepth, 0, 'Cancelled request should leave the queue')
+
+  release()
+  t.is(queue.stats().inFlight, 0, 'Slot should not go to the cancelled request')
+})
+
+test('WorkQueue - should reject with PROCESSOR_BUSY when no slot frees up within maxWaitMs', async (t) => {
+  const queue = new WorkQueue({ maxConcurrency: 1, maxQueue: 5, maxWaitMs: 20 })
+
+  const release = await queue.acquire()
+  try {
+    await queue.acquire()
+    t.fail('Should have rejected')
+  } catch (error) {
+    t.is(error.code, 'PROCESSOR_BUSY')
+    t.ok(error.message.includes('20ms'), 'Message should name the wait limit')
+  }
+  t.is(queue.stats().queueDepth, 0, 'Timed out request should leave the queue')
+  t.is(queue.stats().rejected, 1)
+
+  release()
+  t.is(queue.stats().inFlight, 0, 'Slot should not go to the timed out request')
+})
+
+test('WorkQueue - run should release the slot when fn throws', async (t) => {
+  const queue = new WorkQueue({ maxConcurrency: 1, maxQueue: 0 })
+
+  await t.exception(queue.run(async () => { throw new Error('boom') }), /boom/)
+  t.is(await queue.run(async () => 'ok'), 'ok')
+  t.is(queue.stats().inFlight, 0)
+})
+
+test('WorkQueue - configure should start waiting requests when the limit grows', async (t) => {
+  const queue = new WorkQueue({ maxConcurrency: 1, maxQueue: 5 })
+  let started = false
+
+  await queue.acquire()
+  queue.acquire().then(() => { started = true })
+  queue.configure({ maxConcurrency: 2, maxQueue: 5 })
+  await flush()
+
+  t.ok(started, 'Waiting request should start')
+  t.is(queue.stats().inFlight, 2)
+})
@@ -4,7 +4,7 @@ import { Box, CircularProgress, Typography } from '@mui/material';
 import { useAuth } from '../context/AuthContext';
 import LoginPage from '../pages/LoginPage';
 import RegisterPage from '../pages/RegisterPage';
-import PromptPage from '../pages/PromptPage';
+import ChatPage from '../pages/ChatPage';
 
 // Protected Route component that requires authentication
 const ProtectedRoute = ({ children }) => {
@@ -47,12 +47,12 @@ const AppRouter = () => {
   return (
     <Router>
       <Routes>
-        {/* Protected route - main prompt interface */}
+        {/* Protected route - chat interface */}
         <Route 
           path="/" 
           element={
             <ProtectedRoute>
-              <PromptPage />
+              <ChatPage />
             </ProtectedRoute>
           } 
         />
@@ -0,0 +1,87 @@
+import React, { useEffect, useRef } from 'react';
+import { Box, Paper, Typography, Avatar, CircularProgress } from '@mui/material';
+import { SmartToy, Person } from '@mui/icons-material';
+
+// Scrolling message thread; the last assistant message may still be streaming
+const ChatThread = ({ messages, waiting }) => {
+  const bottomRef = useRef(null);
+
+  // Keep the newest message (and streamed tokens) in view
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ behavior: 'smooth', block: 'end' });
+  }, [messages, waiting]);
+
+  if (messages.length === 0) {
+    return (
+      <Box sx={{ flex: 1, display: 'flex', flexDirection: 'column', justifyContent: 'center', alignItems: 'center', p: 4, textAlign: 'center' }}>
+        <Typography variant="h4" component="h1" gutterBottom>
+          AI Assistant
+        </Typography>
+        <Typography variant="body1" color="text.secondary" sx={{ fontSize: '1.1rem', lineHeight: 1.6, maxWidth: 560 }}>
+          Welcome to your intelligent conversation partner. Share your thoughts, ask questions,
+          or explore ideas together in a natural dialogue.
+        </Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ flex: 1, overflowY: 'auto', px: 3, py: 2 }}>
+      {messages.map((message, index) => {
+        const isUser = message.role === 'user';
+        return (
+          <Box
+            key={index}
+            sx={{
+              display: 'flex',
+              flexDirection: isUser ? 'row-reverse' : 'row',
+              alignItems: 'flex-start',
+              gap: 1.5,
+              mb: 2
+            }}
+          >
+            <Avatar sx={{ bgcolor: isUser ? 'secondary.main' : 'primary.main', width: 32, height: 32 }}>
+              {isUser ? <Person fontSize="small" /> : <SmartToy fontSize="small" />}
+            </Avatar>
+            <Paper
+              elevation={1}
+              sx={{
+                p: 2,
+                maxWidth: '75%',
+                backgroundColor: isUser ? 'action.hover' : 'background.paper',
+                border: '1px solid',
+                borderColor: isUser ? 'primary.light' : 'divider'
+              }}
+            >
+              <Typography
+                variant="body1"
+                component="pre"
+                sx={{
+                  whiteSpace: 'pre-wrap',
+                  wordBreak: 'break-word',
+                  fontFamily: 'inherit',
+                  m: 0
+                }}
+              >
+                {message.content}
+              </Typography>
+            </Paper>
+          </Box>
+        );
+      })}
+
+      {waiting && (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5, mb: 2 }}>
+          <CircularProgress size={20} />
+          <Typography variant="body2" color="text.secondary" sx={{ fontStyle: 'italic' }}>
+            Your AI assistant is carefully considering your message...
+          </Typography>
+        </Box>
+      )}
+
+      <div ref={bottomRef} />
+    </Box>
+  );
+};
+
+export default ChatThread;
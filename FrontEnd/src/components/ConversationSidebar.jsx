@@ -0,0 +1,184 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemText,
+  IconButton,
+  Tooltip,
+  Typography,
+  Divider,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  TextField
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon
+} from '@mui/icons-material';
+
+// Short relative label for the conversation list ("Just now", "5m ago", "Mar 3")
+const formatUpdatedAt = (timestamp) => {
+  const seconds = Math.floor((Date.now() - timestamp) / 1000);
+  if (seconds < 60) return 'Just now';
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+  return new Date(timestamp).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+};
+
+const ConversationSidebar = ({
+  conversations,
+  selectedId,
+  loading,
+  disabled,
+  onSelect,
+  onNewChat,
+  onRename,
+  onDelete
+}) => {
+  const [renaming, setRenaming] = useState(null);
+  const [renameTitle, setRenameTitle] = useState('');
+  const [deleting, setDeleting] = useState(null);
+
+  const openRename = (conversation) => {
+    setRenaming(conversation);
+    setRenameTitle(conversation.title);
+  };
+
+  const handleRenameSubmit = async (e) => {
+    e.preventDefault();
+    if (!renameTitle.trim()) return;
+
+    await onRename(renaming.id, renameTitle.trim());
+    setRenaming(null);
+  };
+
+  const handleDeleteConfirm = async () => {
+    await onDelete(deleting.id);
+    setDeleting(null);
+  };
+
+  return (
+    <Box
+      sx={{
+        width: 280,
+        flexShrink: 0,
+        display: 'flex',
+        flexDirection: 'column',
+        borderRight: '1px solid',
+        borderColor: 'divider',
+        backgroundColor: 'background.paper'
+      }}
+    >
+      <Box sx={{ p: 2 }}>
+        <Button
+          fullWidth
+          variant="contained"
+          startIcon={<AddIcon />}
+          onClick={onNewChat}
+          disabled={disabled}
+        >
+          New chat
+        </Button>
+      </Box>
+      <Divider />
+
+      <Box sx={{ flex: 1, overflowY: 'auto' }}>
+        {loading && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+            <CircularProgress size={24} />
+          </Box>
+        )}
+
+        {!loading && conversations.length === 0 && (
+          <Typography variant="body2" color="text.secondary" sx={{ p: 2, textAlign: 'center' }}>
+            No conversations yet
+          </Typography>
+        )}
+
+        <List dense disablePadding>
+          {conversations.map((conversation) => (
+            <ListItem
+              key={conversation.id}
+              disablePadding
+              secondaryAction={
+                <Box sx={{ display: 'flex' }}>
+                  <Tooltip title="Rename">
+                    <IconButton size="small" onClick={() => openRename(conversation)} disabled={disabled}>
+                      <EditIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Delete">
+                    <IconButton size="small" onClick={() => setDeleting(conversation)} disabled={disabled}>
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                </Box>
+              }
+            >
+              <ListItemButton
+                selected={conversation.id === selectedId}
+                onClick={() => onSelect(conversation.id)}
+                disabled={disabled}
+                sx={{ pr: 10 }}
+              >
+                <ListItemText
+                  primary={conversation.title}
+                  secondary={formatUpdatedAt(conversation.updatedAt)}
+                  primaryTypographyProps={{ noWrap: true }}
+                />
+              </ListItemButton>
+            </ListItem>
+          ))}
+        </List>
+      </Box>
+
+      <Dialog open={!!renaming} onClose={() => setRenaming(null)} fullWidth maxWidth="xs">
+        <form onSubmit={handleRenameSubmit}>
+          <DialogTitle>Rename conversation</DialogTitle>
+          <DialogContent>
+            <TextField
+              autoFocus
+              fullWidth
+              margin="dense"
+              label="Title"
+              value={renameTitle}
+              onChange={(e) => setRenameTitle(e.target.value)}
+              inputProps={{ maxLength: 200 }}
+            />
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setRenaming(null)}>Cancel</Button>
+            <Button type="submit" variant="contained" disabled={!renameTitle.trim()}>
+              Save
+            </Button>
+          </DialogActions>
+        </form>
+      </Dialog>
+
+      <Dialog open={!!deleting} onClose={() => setDeleting(null)}>
+        <DialogTitle>Delete conversation?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            "{deleting?.title}" and all of its messages will be removed.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDeleting(null)}>Cancel</Button>
+          <Button onClick={handleDeleteConfirm} color="error" variant="contained">
+            Delete
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default ConversationSidebar;
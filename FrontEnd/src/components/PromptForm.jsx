@@ -3,176 +3,150 @@ import {
   Paper,
   TextField,
   Button,
-  Typography,
   Box,
   CircularProgress,
-  Alert,
-  Divider
+  IconButton,
+  Tooltip,
+  Badge,
+  Collapse,
+  Grid
 } from '@mui/material';
-import { Send } from '@mui/icons-material';
-import axios from 'axios';
-import { useAuth } from '../context/AuthContext';
+import { Send, Stop, Tune } from '@mui/icons-material';
 
-const PromptForm = () => {
+// Generation option fields; the gateway checks the ranges and answers bad values with a 400
+const OPTION_FIELDS = [
+  { name: 'model', label: 'Model', type: 'text', placeholder: 'Server default' },
+  { name: 'temperature', label: 'Temperature', type: 'number', min: 0, max: 2, step: 0.1 },
+  { name: 'top_p', label: 'Top P', type: 'number', min: 0, max: 1, step: 0.05 },
+  { name: 'top_k', label: 'Top K', type: 'number', min: 1, max: 1000, step: 1 },
+  { name: 'max_tokens', label: 'Max tokens', type: 'number', min: 1, max: 32768, step: 1 },
+  { name: 'seed', label: 'Seed', type: 'number', min: 0, step: 1 },
+  { name: 'stop', label: 'Stop sequences', type: 'text', placeholder: 'Comma-separated' }
+];
+
+// Turn the filled-in fields into an options object (empty fields are left to the model defaults)
+const buildOptions = (values) => {
+  const options = {};
+  OPTION_FIELDS.forEach(({ name, type }) => {
+    const value = (values[name] || '').trim();
+    if (!value) return;
+
+    if (name === 'stop') {
+      options.stop = value.split(',').map((sequence) => sequence.trim()).filter(Boolean);
+    } else {
+      options[name] = type === 'number' ? Number(value) : value;
+    }
+  });
+  return options;
+};
+
+// Message composer for the chat page. Enter sends, Shift+Enter adds a new line.
+// onSend(text, options) resolves to true when the message was accepted, so the box is only cleared then.
+const PromptForm = ({ onSend, onStop, loading, disabled }) => {
   const [query, setQuery] = useState('');
-  const [response, setResponse] = useState('');
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState('');
-  const { isAuthenticated, rateLimitInfo, setRateLimitInfo } = useAuth();
+  const [showOptions, setShowOptions] = useState(false);
+  const [optionValues, setOptionValues] = useState({});
+  const options = buildOptions(optionValues);
+  const optionCount = Object.keys(options).length;
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    
-    if (!query.trim()) {
-      setError('Please share something you\'d like to discuss');
-      return;
-    }
 
-    if (!isAuthenticated) {
-      setError('Please sign in to start your conversation with the AI assistant');
+    const text = query.trim();
+    if (!text || loading || disabled) {
       return;
     }
 
-    setLoading(true);
-    setError('');
-    setResponse('');
-
-    try {
-      const result = await axios.post('http://localhost:3000/inference', {
-        prompt: query
-        // Note: ClientWorker handles authentication internally via sessionKey
-      });
-      
-      // Check if the response is an error object
-      if (result.data && result.data.error) {
-        setError(result.data.message || 'An error occurred while processing your request');
-        
-        // Update rate limit info even for errors (if available)
-        if (result.data.rateLimitInfo) {
-          setRateLimitInfo(result.data.rateLimitInfo);
-        }
-      } else {
-        // Handle successful response
-        const responseText = result.data.response || result.data;
-        
-        // Update rate limit info from successful response
-        if (result.data.rateLimitInfo) {
-          setRateLimitInfo(result.data.rateLimitInfo);
-        }
-        
-        // Ensure we're setting a string, not an object
-        if (typeof responseText === 'string') {
-          setResponse(responseText);
-        } else if (typeof responseText === 'object') {
-          // If it's still an object, stringify it safely
-          setResponse(JSON.stringify(responseText, null, 2));
-        } else {
-          setResponse(String(responseText));
-        }
-      }
-    } catch (err) {
-      // Handle axios errors
-      let errorMessage = 'I\'m having trouble connecting right now. Please try again in a moment.';
-      
-      if (err.response?.data) {
-        if (typeof err.response.data === 'string') {
-          errorMessage = err.response.data;
-        } else if (err.response.data.message) {
-          errorMessage = err.response.data.message;
-        } else if (err.response.data.error) {
-          errorMessage = err.response.data.error;
-        }
-      } else if (err.message) {
-        errorMessage = err.message;
-      }
-      
-      setError(errorMessage);
-    } finally {
-      setLoading(false);
+    setQuery('');
+    const accepted = await onSend(text, optionCount > 0 ? options : undefined);
+    if (!accepted) {
+      // Give the user their message back so it can be retried
+      setQuery((current) => current || text);
     }
   };
 
-  const handleClear = () => {
-    setQuery('');
-    setResponse('');
-    setError('');
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      handleSubmit(e);
+    }
   };
 
   return (
-    <Box>
-      <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
-        <form onSubmit={handleSubmit}>
-          <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
-            <TextField
-              fullWidth
-              multiline
-              rows={3}
-              variant="outlined"
-              label="What's on your mind?"
-              value={query}
-              onChange={(e) => setQuery(e.target.value)}
-              disabled={loading}
-              placeholder="Share your thoughts, ask questions, or explore new ideas..."
-            />
-          </Box>
-          
-          <Box sx={{ display: 'flex', gap: 2, justifyContent: 'flex-end' }}>
+    <Paper elevation={3} sx={{ p: 2 }}>
+      <form onSubmit={handleSubmit}>
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'flex-end' }}>
+          <TextField
+            fullWidth
+            multiline
+            maxRows={6}
+            variant="outlined"
+            label="What's on your mind?"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            disabled={disabled}
+            placeholder="Share your thoughts, ask questions, or explore new ideas..."
+          />
+          <Tooltip title="Generation options">
+            <IconButton
+              onClick={() => setShowOptions((previous) => !previous)}
+              color={showOptions ? 'primary' : 'default'}
+            >
+              <Badge badgeContent={optionCount} color="primary">
+                <Tune />
+              </Badge>
+            </IconButton>
+          </Tooltip>
+          {loading ? (
             <Button
               variant="outlined"
-              onClick={handleClear}
-              disabled={loading}
+              color="error"
+              startIcon={<Stop />}
+              onClick={onStop}
+              sx={{ whiteSpace: 'nowrap' }}
             >
-              Clear
+              Stop
             </Button>
+          ) : (
             <Button
               type="submit"
               variant="contained"
-              startIcon={loading ? <CircularProgress size={20} /> : <Send />}
-              disabled={loading || !query.trim()}
+              startIcon={disabled ? <CircularProgress size={20} /> : <Send />}
+              disabled={disabled || !query.trim()}
+              sx={{ whiteSpace: 'nowrap' }}
             >
-              {loading ? 'Thinking...' : 'Send Message'}
+              Send
             </Button>
-          </Box>
-          
-          {loading && (
-            <Typography 
-              variant="body2" 
-              color="text.secondary" 
-              sx={{ mt: 1, textAlign: 'center', fontStyle: 'italic' }}
-            >
-              Your AI assistant is carefully considering your message...
-            </Typography>
           )}
-        </form>
-      </Paper>
-
-      {error && (
-        <Alert severity="error" sx={{ mb: 3 }}>
-          {error}
-        </Alert>
-      )}
+        </Box>
 
-      {response && (
-        <Paper elevation={2} sx={{ p: 3 }}>
-          <Typography variant="h6" gutterBottom>
-            AI Assistant:
-          </Typography>
-          <Divider sx={{ mb: 2 }} />
-          <Typography 
-            variant="body1" 
-            component="pre" 
-            sx={{ 
-              whiteSpace: 'pre-wrap',
-              wordBreak: 'break-word',
-              fontFamily: 'inherit'
-            }}
-          >
-            {response}
-          </Typography>
-        </Paper>
-      )}
-    </Box>
+        <Collapse in={showOptions}>
+          <Grid container spacing={2} sx={{ pt: 2 }}>
+            {OPTION_FIELDS.map((field) => (
+              <Grid item xs={6} sm={field.type === 'text' ? 6 : 3} key={field.name}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label={field.label}
+                  type={field.type}
+                  placeholder={field.placeholder || 'Default'}
+                  value={optionValues[field.name] || ''}
+                  onChange={(e) => setOptionValues((previous) => ({ ...previous, [field.name]: e.target.value }))}
+                  inputProps={field.type === 'number' ? { min: field.min, max: field.max, step: field.step } : undefined}
+                  InputLabelProps={{ shrink: true }}
+                />
+              </Grid>
+            ))}
+            <Grid item xs={12} sx={{ display: 'flex', justifyContent: 'flex-end' }}>
+              <Button size="small" onClick={() => setOptionValues({})} disabled={optionCount === 0}>
+                Reset to defaults
+              </Button>
+            </Grid>
+          </Grid>
+        </Collapse>
+      </form>
+    </Paper>
   );
 };
 
-export default PromptForm; 
\ No newline at end of file
+export default PromptForm;
@@ -1,6 +1,10 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import axios from 'axios';
 
+// The bridge keeps each browser's session in an HttpOnly cookie,
+// so every request must include credentials for the server to know who is calling
+axios.defaults.withCredentials = true;
+
 const AuthContext = createContext();
 
 export const useAuth = () => {
@@ -78,7 +82,13 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
+  const logout = async () => {
+    try {
+      // Clear the session cookie on the bridge
+      await axios.post('http://localhost:3000/logout');
+    } catch (error) {
+      console.log('❌ Logout request failed:', error.message);
+    }
     setToken(null);
     setUserEmail(null);
     setRateLimitInfo(null);
@@ -0,0 +1,222 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Box, Alert, Container, CircularProgress } from '@mui/material';
+import Navbar from '../components/Navbar';
+import ConversationSidebar from '../components/ConversationSidebar';
+import ChatThread from '../components/ChatThread';
+import PromptForm from '../components/PromptForm';
+import { useAuth } from '../context/AuthContext';
+import { streamInference } from '../utils/streamInference';
+import {
+  listConversations,
+  createConversation,
+  getConversation,
+  renameConversation,
+  deleteConversation,
+  getErrorMessage
+} from '../utils/conversationsApi';
+
+// The gateway accepts at most 100 messages per request, so only the most recent turns are resent
+const MAX_CONTEXT_MESSAGES = 100;
+
+const ChatPage = () => {
+  const [conversations, setConversations] = useState([]);
+  const [listLoading, setListLoading] = useState(true);
+  const [selectedId, setSelectedId] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [conversationLoading, setConversationLoading] = useState(false);
+  const [streamingReply, setStreamingReply] = useState('');
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+  const abortRef = useRef(null);
+  const { setRateLimitInfo } = useAuth();
+
+  const refreshConversations = useCallback(async () => {
+    try {
+      setConversations(await listConversations());
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to load your conversations'));
+    } finally {
+      setListLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshConversations();
+  }, [refreshConversations]);
+
+  // Stop a running stream when leaving the page
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const handleNewChat = () => {
+    setSelectedId(null);
+    setMessages([]);
+    setError('');
+  };
+
+  const handleSelect = async (conversationId) => {
+    if (conversationId === selectedId) return;
+
+    setSelectedId(conversationId);
+    setMessages([]);
+    setError('');
+    setConversationLoading(true);
+
+    try {
+      const conversation = await getConversation(conversationId);
+      setMessages(conversation.messages);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to load the conversation'));
+      if (err.response?.status === 404) {
+        setSelectedId(null);
+        setConversations((previous) => previous.filter((c) => c.id !== conversationId));
+      }
+    } finally {
+      setConversationLoading(false);
+    }
+  };
+
+  const handleRename = async (conversationId, title) => {
+    try {
+      const renamed = await renameConversation(conversationId, title);
+      setConversations((previous) => previous.map((c) => (c.id === conversationId ? { ...c, title: renamed.title } : c)));
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to rename the conversation'));
+    }
+  };
+
+  const handleDelete = async (conversationId) => {
+    try {
+      await deleteConversation(conversationId);
+      setConversations((previous) => previous.filter((c) => c.id !== conversationId));
+      if (conversationId === selectedId) {
+        handleNewChat();
+      }
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to delete the conversation'));
+    }
+  };
+
+  const handleStop = () => {
+    abortRef.current?.abort();
+  };
+
+  // Send one user turn with the thread so far as context; the bridge stores the
+  // exchange in the selected conversation once the reply completes
+  const handleSend = async (text, options) => {
+    setError('');
+    setSending(true);
+
+    const userMessage = { role: 'user', content: text };
+    const context = messages
+      .map(({ role, content }) => ({ role, content }))
+      .concat(userMessage)
+      .slice(-MAX_CONTEXT_MESSAGES);
+    setMessages((previous) => [...previous, userMessage]);
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    try {
+      // The first message of a new chat creates its conversation (titled after that message)
+      let conversationId = selectedId;
+      if (!conversationId) {
+        const conversation = await createConversation();
+        conversationId = conversation.id;
+        setSelectedId(conversationId);
+      }
+
+      const result = await streamInference(
+        { messages: context, conversationId, options },
+        {
+          signal: controller.signal,
+          onStart: (info) => {
+            if (info.rateLimitInfo) {
+              setRateLimitInfo(info.rateLimitInfo);
+            }
+          },
+          onToken: (token) => {
+            setStreamingReply((previous) => previous + token);
+          }
+        }
+      );
+
+      if (result.rateLimitInfo) {
+        setRateLimitInfo(result.rateLimitInfo);
+      }
+
+      // The final text is authoritative (e.g. trimmed), so it replaces the streamed copy
+      setMessages((previous) => [...previous, { role: 'assistant', content: result.response }]);
+      refreshConversations();
+      return true;
+    } catch (err) {
+      // Nothing was stored for a failed or stopped turn, so take the message back out of the thread
+      setMessages((previous) => previous.slice(0, -1));
+
+      if (err.data?.rateLimitInfo) {
+        setRateLimitInfo(err.data.rateLimitInfo);
+      }
+
+      if (err.name !== 'AbortError') {
+        // Server errors carry the response body; network failures surface as a TypeError from fetch
+        const errorMessage = err.name === 'TypeError' || !err.message
+          ? 'I\'m having trouble connecting right now. Please try again in a moment.'
+          : getErrorMessage(err, err.message);
+        setError(errorMessage);
+      }
+      refreshConversations();
+      return false;
+    } finally {
+      abortRef.current = null;
+      setStreamingReply('');
+      setSending(false);
+    }
+  };
+
+  const threadMessages = streamingReply
+    ? [...messages, { role: 'assistant', content: streamingReply }]
+    : messages;
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', height: '100vh' }}>
+      <Navbar />
+      <Box sx={{ display: 'flex', flex: 1, minHeight: 0 }}>
+        <ConversationSidebar
+          conversations={conversations}
+          selectedId={selectedId}
+          loading={listLoading}
+          disabled={sending}
+          onSelect={handleSelect}
+          onNewChat={handleNewChat}
+          onRename={handleRename}
+          onDelete={handleDelete}
+        />
+
+        <Box sx={{ flex: 1, display: 'flex', flexDirection: 'column', minWidth: 0 }}>
+          {conversationLoading ? (
+            <Box sx={{ flex: 1, display: 'flex', justifyContent: 'center', alignItems: 'center' }}>
+              <CircularProgress />
+            </Box>
+          ) : (
+            <ChatThread messages={threadMessages} waiting={sending && !streamingReply} />
+          )}
+
+          <Container maxWidth="md" sx={{ pb: 3 }}>
+            {error && (
+              <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+                {error}
+              </Alert>
+            )}
+            <PromptForm
+              onSend={handleSend}
+              onStop={handleStop}
+              loading={sending}
+              disabled={conversationLoading}
+            />
+          </Container>
+        </Box>
+      </Box>
+    </Box>
+  );
+};
+
+export default ChatPage;
@@ -0,0 +1,35 @@
+// Saved conversations on the bridge's /conversations routes.
+// Requests go through axios, which sends the session cookie (see AuthContext).
+import axios from 'axios';
+
+const CONVERSATIONS_URL = 'http://localhost:3000/conversations';
+
+// The bridge answers errors as { error: true, message }
+export const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.message || fallback;
+
+// Summaries ({ id, title, createdAt, updatedAt, messageCount }), most recently updated first
+export const listConversations = async () => {
+  const response = await axios.get(CONVERSATIONS_URL);
+  return response.data.conversations;
+};
+
+export const createConversation = async (title) => {
+  const response = await axios.post(CONVERSATIONS_URL, title ? { title } : {});
+  return response.data.conversation;
+};
+
+// Full conversation including its messages ([{ role, content, createdAt }])
+export const getConversation = async (conversationId) => {
+  const response = await axios.get(`${CONVERSATIONS_URL}/${encodeURIComponent(conversationId)}`);
+  return response.data.conversation;
+};
+
+export const renameConversation = async (conversationId, title) => {
+  const response = await axios.patch(`${CONVERSATIONS_URL}/${encodeURIComponent(conversationId)}`, { title });
+  return response.data.conversation;
+};
+
+export const deleteConversation = async (conversationId) => {
+  await axios.delete(`${CONVERSATIONS_URL}/${encodeURIComponent(conversationId)}`);
+};
@@ -0,0 +1,90 @@
+// Streams an inference request from the bridge's /inference/stream endpoint.
+// EventSource only supports GET, so the Server-Sent Events are read from a fetch body instead.
+
+const STREAM_URL = 'http://localhost:3000/inference/stream';
+
+// Parse one "event: ...\ndata: ..." block into { event, data }
+const parseEvent = (block) => {
+  let event = 'message';
+  const dataLines = [];
+
+  block.split('\n').forEach((line) => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim());
+    }
+  });
+
+  if (dataLines.length === 0) {
+    return null;
+  }
+
+  return { event, data: JSON.parse(dataLines.join('\n')) };
+};
+
+// Build an Error carrying the server's response body (message, rateLimitInfo, ...)
+const createStreamError = (data, status) => {
+  const error = new Error(data?.message || data?.error || `Request failed with status ${status}`);
+  error.data = data || {};
+  error.status = status;
+  return error;
+};
+
+/**
+ * Send a prompt and receive the answer token by token.
+ * @param {object} body - request body, e.g. { prompt }
+ * @param {object} handlers - { onToken(token), onStart(info), signal }
+ * @returns {Promise<object>} the final result ({ response, rateLimitInfo, ... })
+ */
+export const streamInference = async (body, { onToken, onStart, signal } = {}) => {
+  const response = await fetch(STREAM_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    body: JSON.stringify(body),
+    signal
+  });
+
+  // Errors raised before the stream opened (auth, rate limit, validation) come back as plain JSON
+  const contentType = response.headers.get('content-type') || '';
+  if (!contentType.includes('text/event-stream')) {
+    const data = await response.json().catch(() => null);
+    throw createStreamError(data, response.status);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let finalResult = null;
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop();
+
+    for (const block of blocks) {
+      const parsed = parseEvent(block);
+      if (!parsed) continue;
+
+      if (parsed.event === 'token' && onToken) {
+        onToken(parsed.data.token);
+      } else if (parsed.event === 'start' && onStart) {
+        onStart(parsed.data);
+      } else if (parsed.event === 'done') {
+        finalResult = parsed.data;
+      } else if (parsed.event === 'error') {
+        throw createStreamError(parsed.data, response.status);
+      }
+    }
+  }
+
+  if (!finalResult) {
+    throw new Error('The response stream ended unexpectedly');
+  }
+
+  return finalResult;
+};